@@ -12,27 +12,29 @@ import { PromptSaverExtension } from './prompt-saver.js';
 import { waitForElement } from './utils.js';
 
 // Extension constants
-const EXTENSION_NAME = 'prompt-saver-extension';
 const LOG_PREFIX = '[Prompt Saver]';
 
 /**
- * Initialize extension settings namespace
+ * Expose the SillyTavern APIs the library engine (script.js) reads as globals
  */
-function initializeSettings() {
-    if (!extension_settings[EXTENSION_NAME]) {
-        extension_settings[EXTENSION_NAME] = {
-            prompts: {},
-            settings: {
-                max_prompts: 1000,
-                auto_backup: true,
-                backup_interval: 24,
-                show_favorites_first: true,
-                enable_comparison: true,
-                enable_export: true
-            }
-        };
+async function exposeEngineGlobals() {
+    const globals = { extension_settings, saveSettingsDebounced, eventSource, event_types };
+    Object.entries(globals).forEach(([name, value]) => {
+        if (typeof globalThis[name] === 'undefined') {
+            globalThis[name] = value;
+        }
+    });
+
+    // SlashCommandEnumValue only exists on newer builds; it is used for autocompletion only
+    const context = globalThis.SillyTavern?.getContext?.();
+    if (typeof globalThis.SlashCommandEnumValue === 'undefined' && !context?.SlashCommandEnumValue) {
+        try {
+            const module = await import('../../../slash-commands/SlashCommandEnumValue.js');
+            globalThis.SlashCommandEnumValue = module.SlashCommandEnumValue;
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} SlashCommandEnumValue not available, slash command autocompletion disabled`);
+        }
     }
-    console.log(`${LOG_PREFIX} Settings initialized`);
 }
 
 /**
@@ -42,20 +44,16 @@ async function initializeExtension() {
     try {
         console.log(`${LOG_PREFIX} Starting initialization...`);
         
-        // Initialize settings
-        initializeSettings();
+        // Load the library engine; it owns the settings, storage and prompt manager toolbar
+        await exposeEngineGlobals();
+        await import('./script.js');
         
-        // Create extension instance
-        const promptSaver = new PromptSaverExtension();
-        
-        // Initialize the extension
+        // Connect the navigation entry point to the same library service
+        const promptSaver = window.promptSaver || new PromptSaverExtension();
         await promptSaver.initialize();
         
-        // Setup event listeners
-        setupEventListeners(promptSaver);
-        
         // Setup UI integration
-        await setupUIIntegration(promptSaver);
+        setupUIIntegration(promptSaver);
         
         console.log(`${LOG_PREFIX} Initialization complete!`);
         
@@ -64,50 +62,16 @@ async function initializeExtension() {
     }
 }
 
-/**
- * Setup event listeners for SillyTavern events
- */
-function setupEventListeners(promptSaver) {
-    // Listen for preset changes
-    eventSource.on(event_types.SETTINGS_LOADED, () => {
-        console.log(`${LOG_PREFIX} Settings loaded, refreshing extension`);
-        promptSaver.refresh();
-    });
-    
-    // Listen for character changes
-    eventSource.on(event_types.CHARACTER_SELECTED, () => {
-        console.log(`${LOG_PREFIX} Character changed, updating context`);
-        promptSaver.updateContext();
-    });
-    
-    // Listen for preset updates
-    eventSource.on(event_types.PRESET_CHANGED, () => {
-        console.log(`${LOG_PREFIX} Preset changed, updating UI`);
-        promptSaver.updateUI();
-    });
-}
-
 /**
  * Setup UI integration with SillyTavern
  */
-async function setupUIIntegration(promptSaver) {
-    // Wait for prompt manager to be available
-    waitForElement('#completion_prompt_manager', async (element) => {
-        console.log(`${LOG_PREFIX} Prompt manager found, integrating UI`);
-        await promptSaver.integrateWithPromptManager();
-    });
-    
-    // Wait for main navigation to add our button
+function setupUIIntegration(promptSaver) {
+    // The prompt manager toolbar and settings panel are added by the library engine;
+    // only the navigation button lives here
     waitForElement('#left-nav-panel', async (element) => {
         console.log(`${LOG_PREFIX} Navigation panel found, adding menu button`);
         await promptSaver.addNavigationButton();
     });
-    
-    // Wait for settings panel to add our settings
-    waitForElement('#extensions_settings', async (element) => {
-        console.log(`${LOG_PREFIX} Settings panel found, adding extension settings`);
-        await promptSaver.addSettingsPanel();
-    });
 }
 
 // Initialize when DOM is ready
@@ -12,6 +12,23 @@
 const extensionName = 'prompt-saver-extension';
 const extensionFolderPath = `scripts/extensions/${extensionName}`;
 
+// Schema version of stored prompt records; bump together with a SchemaMigrator migration
+const SCHEMA_VERSION = '1.3.0';
+
+// Version of the public API object (PromptSaverAPI); bump the major version on breaking changes
+const PUBLIC_API_VERSION = '1.0.0';
+
+// Library change events emitted on SillyTavern's eventSource
+const PROMPT_SAVER_EVENTS = Object.freeze({
+    SAVED: 'prompt_saver:saved',
+    UPDATED: 'prompt_saver:updated',
+    FAVORITED: 'prompt_saver:favorited',
+    APPLIED: 'prompt_saver:applied',
+    DELETED: 'prompt_saver:deleted',
+    RESTORED: 'prompt_saver:restored',
+    IMPORTED: 'prompt_saver:imported'
+});
+
 // Setup global environment for Node.js testing
 if (typeof window === 'undefined' && typeof global !== 'undefined') {
     // Mock browser globals for Node.js environment
@@ -77,3506 +94,11283 @@ if (typeof window === 'undefined' && typeof global !== 'undefined') {
 // Global extension state
 let extensionSettings = {};
 let isExtensionLoaded = false;
+let initPromise = null;
 let promptDataManager = null;
 let presetIntegrator = null;
 let promptSaverManager = null;
 let promptLibraryUI = null;
+let promptStorage = null;
+let backupScheduler = null;
+let tokenCounter = null;
+let searchIndex = null;
+// {{savedprompt::...}} keys registered with SillyTavern's macro parser, lowercased
+let registeredSavedPromptMacros = new Set();
 
 /**
- * PromptDataManager class handles all prompt data operations including
- * saving, loading, validation, and storage integration with SillyTavern's extension settings
+ * SettingsPromptStorage keeps prompt records inside SillyTavern's extension settings.
+ * This is the original storage location and stays available as a fallback backend.
  */
-class PromptDataManager {
+class SettingsPromptStorage {
     constructor() {
         this.extensionName = extensionName;
+        this.name = 'settings';
     }
 
     /**
-     * Generate a unique identifier for a prompt
-     * @returns {string} UUID-like identifier
+     * Prepare the backend for use
+     * @returns {Promise<Object>} Result object with success status
      */
-    generatePromptId() {
-        return 'prompt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    async initialize() {
+        const prompts = this.getPromptMap();
+        return {
+            success: true,
+            count: Object.keys(prompts).length,
+            message: 'Settings storage ready'
+        };
     }
 
     /**
-     * Validate prompt data structure
-     * @param {Object} promptData - The prompt data to validate
-     * @returns {Object} Validation result with isValid boolean and errors array
+     * Get the live map of stored prompts keyed by ID
+     * @returns {Object} Prompt map
      */
-    validatePromptData(promptData) {
-        const errors = [];
-        const result = { isValid: true, errors };
-
-        // Required fields validation
-        if (!promptData.id || typeof promptData.id !== 'string') {
-            errors.push('Prompt ID is required and must be a string');
-        }
-
-        if (!promptData.name || typeof promptData.name !== 'string' || promptData.name.trim().length === 0) {
-            errors.push('Prompt name is required and must be a non-empty string');
+    getPromptMap() {
+        if (!extension_settings[this.extensionName]) {
+            extension_settings[this.extensionName] = { prompts: {} };
         }
 
-        if (!promptData.content || typeof promptData.content !== 'string' || promptData.content.trim().length === 0) {
-            errors.push('Prompt content is required and must be a non-empty string');
-        }
-
-        if (!promptData.role || !['user', 'assistant', 'system'].includes(promptData.role)) {
-            errors.push('Prompt role must be one of: user, assistant, system');
+        if (!extension_settings[this.extensionName].prompts) {
+            extension_settings[this.extensionName].prompts = {};
         }
 
-        // Optional fields validation with defaults
-        if (promptData.system_prompt !== undefined && typeof promptData.system_prompt !== 'boolean') {
-            errors.push('system_prompt must be a boolean');
-        }
+        return extension_settings[this.extensionName].prompts;
+    }
 
-        if (promptData.marker !== undefined && typeof promptData.marker !== 'boolean') {
-            errors.push('marker must be a boolean');
-        }
+    /**
+     * Store a single prompt record
+     * @param {Object} promptData - The prompt data to store
+     * @returns {Promise<void>}
+     */
+    async writePrompt(promptData) {
+        this.getPromptMap()[promptData.id] = promptData;
+        saveSettingsDebounced();
+    }
 
-        if (promptData.injection_position !== undefined && typeof promptData.injection_position !== 'number') {
-            errors.push('injection_position must be a number');
-        }
+    /**
+     * Remove a single prompt record
+     * @param {string} promptId - The ID of the prompt to remove
+     * @returns {Promise<void>}
+     */
+    async removePrompt(promptId) {
+        delete this.getPromptMap()[promptId];
+        saveSettingsDebounced();
+    }
 
-        if (promptData.injection_depth !== undefined && typeof promptData.injection_depth !== 'number') {
-            errors.push('injection_depth must be a number');
-        }
+    /**
+     * Replace every stored prompt with the given map
+     * @param {Object} prompts - Prompt map keyed by ID
+     * @returns {Promise<void>}
+     */
+    async replaceAll(prompts) {
+        this.getPromptMap();
+        extension_settings[this.extensionName].prompts = { ...prompts };
+        saveSettingsDebounced();
+    }
 
-        if (promptData.injection_order !== undefined && typeof promptData.injection_order !== 'number') {
-            errors.push('injection_order must be a number');
-        }
+    /**
+     * Get the live map of stored preset snapshots keyed by ID
+     * @returns {Object} Snapshot map
+     */
+    getSnapshotMap() {
+        this.getPromptMap();
 
-        if (promptData.forbid_overrides !== undefined && typeof promptData.forbid_overrides !== 'boolean') {
-            errors.push('forbid_overrides must be a boolean');
+        if (!extension_settings[this.extensionName].snapshots) {
+            extension_settings[this.extensionName].snapshots = {};
         }
 
-        // Metadata validation
-        if (promptData.metadata) {
-            const metadata = promptData.metadata;
-            
-            if (metadata.created_at && !this.isValidISODate(metadata.created_at)) {
-                errors.push('metadata.created_at must be a valid ISO date string');
-            }
-
-            if (metadata.last_used && !this.isValidISODate(metadata.last_used)) {
-                errors.push('metadata.last_used must be a valid ISO date string');
-            }
-
-            if (metadata.favorite !== undefined && typeof metadata.favorite !== 'boolean') {
-                errors.push('metadata.favorite must be a boolean');
-            }
-
-            if (metadata.usage_count !== undefined && (typeof metadata.usage_count !== 'number' || metadata.usage_count < 0)) {
-                errors.push('metadata.usage_count must be a non-negative number');
-            }
-
-            if (metadata.tags && (!Array.isArray(metadata.tags) || !metadata.tags.every(tag => typeof tag === 'string'))) {
-                errors.push('metadata.tags must be an array of strings');
-            }
+        return extension_settings[this.extensionName].snapshots;
+    }
 
-            if (metadata.source_preset !== undefined && metadata.source_preset !== null && typeof metadata.source_preset !== 'string') {
-                errors.push('metadata.source_preset must be a string or null');
-            }
-        }
+    /**
+     * Store a single preset snapshot
+     * @param {Object} snapshotData - The snapshot to store
+     * @returns {Promise<void>}
+     */
+    async writeSnapshot(snapshotData) {
+        this.getSnapshotMap()[snapshotData.id] = snapshotData;
+        saveSettingsDebounced();
+    }
 
-        result.isValid = errors.length === 0;
-        return result;
+    /**
+     * Remove a single preset snapshot
+     * @param {string} snapshotId - The ID of the snapshot to remove
+     * @returns {Promise<void>}
+     */
+    async removeSnapshot(snapshotId) {
+        delete this.getSnapshotMap()[snapshotId];
+        saveSettingsDebounced();
     }
 
     /**
-     * Check if a string is a valid ISO date
-     * @param {string} dateString - Date string to validate
-     * @returns {boolean} True if valid ISO date
+     * Replace every stored preset snapshot with the given map
+     * @param {Object} snapshots - Snapshot map keyed by ID
+     * @returns {Promise<void>}
      */
-    isValidISODate(dateString) {
-        if (!dateString || typeof dateString !== 'string') {
-            return false;
-        }
-        
-        const date = new Date(dateString);
-        if (!(date instanceof Date) || isNaN(date)) {
-            return false;
-        }
-        
-        // Check if the date string is in a valid ISO format
-        // Allow both full ISO format and simplified formats
-        const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
-        return isoRegex.test(dateString) && date.toISOString().startsWith(dateString.replace('Z', ''));
+    async replaceAllSnapshots(snapshots) {
+        this.getSnapshotMap();
+        extension_settings[this.extensionName].snapshots = { ...snapshots };
+        saveSettingsDebounced();
     }
 
     /**
-     * Create a complete prompt data structure with defaults
-     * @param {Object} promptData - Partial prompt data
-     * @returns {Object} Complete prompt data structure
+     * Release backend resources
      */
-    createPromptData(promptData) {
-        const now = new Date().toISOString();
-        
-        const completePromptData = {
-            id: promptData.id || this.generatePromptId(),
-            name: promptData.name || 'Untitled Prompt',
-            content: promptData.content || '',
-            role: promptData.role || 'user',
-            system_prompt: promptData.system_prompt || false,
-            marker: promptData.marker || false,
-            injection_position: promptData.injection_position || 0,
-            injection_depth: promptData.injection_depth || 4,
-            injection_order: promptData.injection_order || 100,
-            forbid_overrides: promptData.forbid_overrides || false,
-            metadata: {
-                created_at: promptData.metadata?.created_at || now,
-                last_used: promptData.metadata?.last_used || null,
-                favorite: promptData.metadata?.favorite || false,
-                usage_count: promptData.metadata?.usage_count || 0,
-                tags: promptData.metadata?.tags || [],
-                source_preset: promptData.metadata?.source_preset || null,
-                ...promptData.metadata
-            }
-        };
+    close() {
+        // Nothing to release, extension settings are owned by SillyTavern
+    }
+}
 
-        return completePromptData;
+/**
+ * IndexedDBPromptStorage keeps prompt records in a dedicated IndexedDB database,
+ * so that library changes no longer re-serialize the whole SillyTavern settings file.
+ * All records are cached in memory after initialization; writes go to the database first.
+ */
+class IndexedDBPromptStorage {
+    constructor() {
+        this.extensionName = extensionName;
+        this.name = 'indexeddb';
+        this.dbName = `${extensionName}-library`;
+        this.dbVersion = 2;
+        this.storeName = 'prompts';
+        this.snapshotStoreName = 'snapshots';
+        this.db = null;
+        this.cache = {};
+        this.snapshotCache = {};
     }
 
     /**
-     * Save a prompt to storage
-     * @param {Object} promptData - The prompt data to save
-     * @returns {Promise<Object>} Result object with success status and saved prompt data
+     * Check whether IndexedDB can be used in the current environment
+     * @returns {boolean} True if IndexedDB is available
      */
-    async savePrompt(promptData) {
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database and load all prompt records into the cache
+     * @returns {Promise<Object>} Result object with success status and record count
+     */
+    async initialize() {
         try {
-            // Create complete prompt data structure
-            const completePromptData = this.createPromptData(promptData);
-            
-            // Validate the prompt data
-            const validation = this.validatePromptData(completePromptData);
-            if (!validation.isValid) {
-                throw new Error(`Prompt validation failed: ${validation.errors.join(', ')}`);
+            if (!IndexedDBPromptStorage.isAvailable()) {
+                throw new Error('IndexedDB is not available in this environment');
             }
 
-            // Check storage limits
-            const currentPrompts = await this.getPrompts();
-            const maxPrompts = extensionSettings.settings?.max_prompts || 1000;
-            
-            if (Object.keys(currentPrompts).length >= maxPrompts && !currentPrompts[completePromptData.id]) {
-                throw new Error(`Storage limit reached. Maximum ${maxPrompts} prompts allowed.`);
-            }
+            this.db = await this.openDatabase();
 
-            // Save to extension settings
-            if (!extension_settings[this.extensionName]) {
-                extension_settings[this.extensionName] = { prompts: {} };
-            }
-            
-            if (!extension_settings[this.extensionName].prompts) {
-                extension_settings[this.extensionName].prompts = {};
-            }
+            const records = await this.runTransaction('readonly', store => store.getAll());
+            this.cache = {};
+            (records || []).forEach(record => {
+                this.cache[record.id] = record;
+            });
+
+            const snapshots = await this.runTransaction('readonly', store => store.getAll(), this.snapshotStoreName);
+            this.snapshotCache = {};
+            (snapshots || []).forEach(snapshot => {
+                this.snapshotCache[snapshot.id] = snapshot;
+            });
+
+            console.log(`[${this.extensionName}] Loaded ${Object.keys(this.cache).length} prompts from IndexedDB`);
 
-            extension_settings[this.extensionName].prompts[completePromptData.id] = completePromptData;
-            
-            // Save settings to storage
-            saveSettingsDebounced();
-            
-            console.log(`[${this.extensionName}] Prompt saved successfully:`, completePromptData.id);
-            
             return {
                 success: true,
-                promptData: completePromptData,
-                message: 'Prompt saved successfully'
+                count: Object.keys(this.cache).length,
+                message: 'IndexedDB storage ready'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error saving prompt:`, error);
+            console.error(`[${this.extensionName}] Error initializing IndexedDB storage:`, error);
+            this.close();
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to save prompt'
+                message: 'Failed to initialize IndexedDB storage'
             };
         }
     }
 
     /**
-     * Load a specific prompt by ID
-     * @param {string} promptId - The ID of the prompt to load
-     * @returns {Promise<Object|null>} The prompt data or null if not found
+     * Open (and create or upgrade if needed) the prompt database
+     * @returns {Promise<IDBDatabase>} The open database
      */
-    async loadPrompt(promptId) {
-        try {
-            if (!extension_settings[this.extensionName]?.prompts) {
-                return null;
-            }
-
-            const promptData = extension_settings[this.extensionName].prompts[promptId];
-            
-            if (!promptData) {
-                return null;
-            }
-
-            // Validate loaded data
-            const validation = this.validatePromptData(promptData);
-            if (!validation.isValid) {
-                console.warn(`[${this.extensionName}] Loaded prompt data is invalid:`, validation.errors);
-                // Try to repair the data
-                const repairedData = this.repairPromptData(promptData);
-                if (repairedData) {
-                    // Save the repaired data
-                    extension_settings[this.extensionName].prompts[promptId] = repairedData;
-                    saveSettingsDebounced();
-                    return repairedData;
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
                 }
-                return null;
-            }
-
-            return promptData;
+                if (!db.objectStoreNames.contains(this.snapshotStoreName)) {
+                    db.createObjectStore(this.snapshotStoreName, { keyPath: 'id' });
+                }
+            };
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error loading prompt ${promptId}:`, error);
-            return null;
-        }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+        });
     }
 
     /**
-     * Get all prompts with optional filtering
-     * @param {Object} filters - Optional filters to apply
-     * @returns {Promise<Object>} Object containing all prompts keyed by ID
+     * Run an operation inside a transaction and wait for it to complete
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store, may return an IDBRequest
+     * @param {string} storeName - Object store to use, the prompt store by default
+     * @returns {Promise<*>} Result of the returned request, if any
      */
-    async getPrompts(filters = {}) {
-        try {
-            if (!extension_settings[this.extensionName]?.prompts) {
-                return {};
+    runTransaction(mode, operation, storeName = this.storeName) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('IndexedDB storage is not initialized'));
+                return;
             }
 
-            let prompts = { ...extension_settings[this.extensionName].prompts };
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
 
-            // Validate and repair prompts
-            const validPrompts = {};
-            for (const [id, promptData] of Object.entries(prompts)) {
-                const validation = this.validatePromptData(promptData);
-                if (validation.isValid) {
-                    validPrompts[id] = promptData;
-                } else {
-                    console.warn(`[${this.extensionName}] Invalid prompt data found for ${id}:`, validation.errors);
-                    const repairedData = this.repairPromptData(promptData);
-                    if (repairedData) {
-                        validPrompts[id] = repairedData;
-                        // Update storage with repaired data
-                        extension_settings[this.extensionName].prompts[id] = repairedData;
-                    } else {
-                        console.error(`[${this.extensionName}] Could not repair prompt ${id}, removing from storage`);
-                        delete extension_settings[this.extensionName].prompts[id];
-                    }
-                }
-            }
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
 
-            // Save any repairs made
-            if (Object.keys(validPrompts).length !== Object.keys(prompts).length) {
-                saveSettingsDebounced();
-            }
+    /**
+     * Get the live map of cached prompts keyed by ID
+     * @returns {Object} Prompt map
+     */
+    getPromptMap() {
+        return this.cache;
+    }
 
-            // Apply filters if provided
-            if (Object.keys(filters).length > 0) {
-                return this.applyFilters(validPrompts, filters);
-            }
+    /**
+     * Store a single prompt record
+     * @param {Object} promptData - The prompt data to store
+     * @returns {Promise<void>}
+     */
+    async writePrompt(promptData) {
+        await this.runTransaction('readwrite', store => store.put(promptData));
+        this.cache[promptData.id] = promptData;
+    }
 
-            return validPrompts;
+    /**
+     * Remove a single prompt record
+     * @param {string} promptId - The ID of the prompt to remove
+     * @returns {Promise<void>}
+     */
+    async removePrompt(promptId) {
+        await this.runTransaction('readwrite', store => store.delete(promptId));
+        delete this.cache[promptId];
+    }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error getting prompts:`, error);
-            return {};
+    /**
+     * Replace every stored prompt with the given map in a single transaction
+     * @param {Object} prompts - Prompt map keyed by ID
+     * @returns {Promise<void>}
+     */
+    async replaceAll(prompts) {
+        await this.runTransaction('readwrite', store => {
+            store.clear();
+            Object.values(prompts).forEach(promptData => store.put(promptData));
+        });
+        this.cache = { ...prompts };
+    }
+
+    /**
+     * Get the live map of cached preset snapshots keyed by ID
+     * @returns {Object} Snapshot map
+     */
+    getSnapshotMap() {
+        return this.snapshotCache;
+    }
+
+    /**
+     * Store a single preset snapshot
+     * @param {Object} snapshotData - The snapshot to store
+     * @returns {Promise<void>}
+     */
+    async writeSnapshot(snapshotData) {
+        await this.runTransaction('readwrite', store => store.put(snapshotData), this.snapshotStoreName);
+        this.snapshotCache[snapshotData.id] = snapshotData;
+    }
+
+    /**
+     * Remove a single preset snapshot
+     * @param {string} snapshotId - The ID of the snapshot to remove
+     * @returns {Promise<void>}
+     */
+    async removeSnapshot(snapshotId) {
+        await this.runTransaction('readwrite', store => store.delete(snapshotId), this.snapshotStoreName);
+        delete this.snapshotCache[snapshotId];
+    }
+
+    /**
+     * Replace every stored preset snapshot with the given map in a single transaction
+     * @param {Object} snapshots - Snapshot map keyed by ID
+     * @returns {Promise<void>}
+     */
+    async replaceAllSnapshots(snapshots) {
+        await this.runTransaction('readwrite', store => {
+            store.clear();
+            Object.values(snapshots).forEach(snapshotData => store.put(snapshotData));
+        }, this.snapshotStoreName);
+        this.snapshotCache = { ...snapshots };
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Get the active prompt storage backend
+ * Falls back to extension settings storage until initializePromptStorage has run
+ * @returns {SettingsPromptStorage|IndexedDBPromptStorage} Active storage backend
+ */
+function getPromptStorage() {
+    if (!promptStorage) {
+        promptStorage = new SettingsPromptStorage();
+    }
+    return promptStorage;
+}
+
+/**
+ * Create a storage backend instance by name
+ * @param {string} backendName - Backend name ('settings' or 'indexeddb')
+ * @returns {SettingsPromptStorage|IndexedDBPromptStorage} Storage backend instance
+ */
+function createPromptStorage(backendName) {
+    return backendName === 'indexeddb' ? new IndexedDBPromptStorage() : new SettingsPromptStorage();
+}
+
+/**
+ * Initialize the storage backend selected by settings.storage_backend
+ * IndexedDB is used by default; extension settings storage is used if it cannot be opened.
+ * If the library can't be moved into the selected backend, the backend holding it stays active.
+ * @returns {Promise<Object>} Result object with the active backend name
+ */
+async function initializePromptStorage() {
+    const requestedBackend = extensionSettings.settings?.storage_backend || 'indexeddb';
+    let storage = createPromptStorage(requestedBackend);
+    let initResult = await storage.initialize();
+
+    if (!initResult.success) {
+        console.warn(`[${extensionName}] Storage backend "${requestedBackend}" unavailable, falling back to extension settings: ${initResult.error}`);
+        storage = new SettingsPromptStorage();
+        initResult = await storage.initialize();
+    }
+
+    const migrationResult = await migratePromptStorage(storage);
+    if (!migrationResult.success) {
+        // An empty target would look like a lost library; keep reading from where the prompts are
+        const targetName = storage.name;
+        const sourceName = extensionSettings.metadata.storage_backend || 'settings';
+        const sourceStorage = createPromptStorage(sourceName);
+        const sourceResult = await sourceStorage.initialize();
+        if (sourceResult.success) {
+            storage.close();
+            storage = sourceStorage;
+        }
+        if (typeof toastr !== 'undefined') {
+            toastr.warning(
+                sourceResult.success ?
+                    `Could not move the prompt library to ${targetName} storage, still using ${sourceName} storage. It will be retried on next load.` :
+                    `Could not read the prompt library from ${sourceName} storage, it will be retried on next load.`,
+                'Prompt Library'
+            );
+        }
+    }
+
+    promptStorage = storage;
+    console.log(`[${extensionName}] Prompt storage initialized: ${storage.name}`);
+
+    return {
+        success: true,
+        backend: storage.name,
+        migratedCount: migrationResult.migratedCount || 0,
+        migrationFailed: !migrationResult.success,
+        message: `Using ${storage.name} prompt storage`
+    };
+}
+
+/**
+ * Move prompt records from the previously used backend into the active one.
+ * metadata.storage_backend records where the library lives; installs without it
+ * keep their prompts in extension settings.
+ * @param {SettingsPromptStorage|IndexedDBPromptStorage} targetStorage - The active, initialized backend
+ * @returns {Promise<Object>} Result object with success status and migrated count
+ */
+async function migratePromptStorage(targetStorage) {
+    if (!extensionSettings.metadata) {
+        extensionSettings.metadata = {};
+    }
+
+    const sourceName = extensionSettings.metadata.storage_backend || 'settings';
+    if (sourceName === targetStorage.name) {
+        return {
+            success: true,
+            migratedCount: 0,
+            message: 'No storage migration needed'
+        };
+    }
+
+    const sourceStorage = createPromptStorage(sourceName);
+    try {
+        const sourceResult = await sourceStorage.initialize();
+        if (!sourceResult.success) {
+            throw new Error(sourceResult.error);
+        }
+
+        const sourcePrompts = { ...sourceStorage.getPromptMap() };
+        const migratedCount = Object.keys(sourcePrompts).length;
+
+        // Records from the previous backend win over anything already in the target
+        await targetStorage.replaceAll({ ...targetStorage.getPromptMap(), ...sourcePrompts });
+        await targetStorage.replaceAllSnapshots({ ...targetStorage.getSnapshotMap(), ...sourceStorage.getSnapshotMap() });
+        await sourceStorage.replaceAll({});
+        await sourceStorage.replaceAllSnapshots({});
+        sourceStorage.close();
+
+        extensionSettings.metadata.storage_backend = targetStorage.name;
+        saveSettingsDebounced();
+
+        console.log(`[${extensionName}] Migrated ${migratedCount} prompts from ${sourceName} to ${targetStorage.name} storage`);
+
+        return {
+            success: true,
+            migratedCount: migratedCount,
+            message: `Migrated ${migratedCount} prompts to ${targetStorage.name} storage`
+        };
+
+    } catch (error) {
+        // Leave storage_backend untouched so the migration is retried on next load
+        sourceStorage.close();
+        console.error(`[${extensionName}] Error migrating prompt storage from ${sourceName}:`, error);
+        return {
+            success: false,
+            error: error.message,
+            message: 'Failed to migrate prompt storage'
+        };
+    }
+}
+
+/**
+ * SchemaMigrator upgrades stored prompt records to the current SCHEMA_VERSION.
+ * Each migration moves records exactly one version forward and reports what it changed,
+ * so data from any older version is upgraded step by step.
+ */
+class SchemaMigrator {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.extensionName = extensionName;
+        this.migrations = [
+            {
+                from: '1.0.0',
+                to: '1.1.0',
+                description: 'Add revision history and content hash',
+                migrate: (promptData) => {
+                    const changes = [];
+
+                    if (!Array.isArray(promptData.revisions)) {
+                        promptData.revisions = [];
+                        changes.push('added revisions');
+                    }
+
+                    if (!promptData.content_hash) {
+                        promptData.content_hash = this.dataManager.computeContentHash(promptData.content);
+                        changes.push('added content_hash');
+                    }
+
+                    if (promptData.metadata && !Array.isArray(promptData.metadata.tags)) {
+                        promptData.metadata.tags = [];
+                        changes.push('reset invalid tags');
+                    }
+
+                    return changes;
+                }
+            },
+            {
+                from: '1.1.0',
+                to: '1.2.0',
+                description: 'Add folders',
+                migrate: (promptData) => {
+                    const changes = [];
+
+                    if (promptData.metadata && typeof promptData.metadata.folder !== 'string') {
+                        promptData.metadata.folder = '';
+                        changes.push('added folder');
+                    }
+
+                    return changes;
+                }
+            },
+            {
+                from: '1.2.0',
+                to: '1.3.0',
+                description: 'Fill in fields missing from prompts saved by the old prompt-saver.js engine',
+                migrate: (promptData) => {
+                    const changes = [];
+                    const promptDefaults = {
+                        role: 'user',
+                        system_prompt: false,
+                        marker: false,
+                        injection_position: 0,
+                        injection_depth: 4,
+                        injection_order: 100,
+                        forbid_overrides: false
+                    };
+                    const metadataDefaults = {
+                        last_used: null,
+                        favorite: false,
+                        usage_count: 0,
+                        source_preset: null
+                    };
+
+                    Object.entries(promptDefaults).forEach(([field, value]) => {
+                        if (promptData[field] === undefined) {
+                            promptData[field] = value;
+                            changes.push(`added ${field}`);
+                        }
+                    });
+
+                    if (!promptData.metadata || typeof promptData.metadata !== 'object') {
+                        promptData.metadata = { created_at: new Date().toISOString() };
+                        changes.push('added metadata');
+                    }
+                    Object.entries(metadataDefaults).forEach(([field, value]) => {
+                        if (promptData.metadata[field] === undefined) {
+                            promptData.metadata[field] = value;
+                            changes.push(`added metadata.${field}`);
+                        }
+                    });
+
+                    // The old engine kept writing records after the library was stamped with a newer
+                    // version, so the fields of earlier migrations may be missing as well
+                    if (!Array.isArray(promptData.metadata.tags)) {
+                        promptData.metadata.tags = [];
+                        changes.push('added tags');
+                    }
+                    if (typeof promptData.metadata.folder !== 'string') {
+                        promptData.metadata.folder = '';
+                        changes.push('added folder');
+                    }
+                    if (!Array.isArray(promptData.revisions)) {
+                        promptData.revisions = [];
+                        changes.push('added revisions');
+                    }
+                    if (!promptData.content_hash) {
+                        promptData.content_hash = this.dataManager.computeContentHash(promptData.content);
+                        changes.push('added content_hash');
+                    }
+
+                    return changes;
+                }
+            }
+        ];
+    }
+
+    /**
+     * Compare two dotted version strings
+     * @param {string} versionA - First version
+     * @param {string} versionB - Second version
+     * @returns {number} Negative if A is older, positive if A is newer, 0 if equal
+     */
+    compareVersions(versionA, versionB) {
+        const partsA = String(versionA).split('.').map(Number);
+        const partsB = String(versionB).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
         }
+        return 0;
     }
 
     /**
-     * Delete a prompt by ID
-     * @param {string} promptId - The ID of the prompt to delete
-     * @returns {Promise<Object>} Result object with success status
+     * Check whether data of a version is newer than this extension understands
+     * @param {string} version - Schema version of the data
+     * @returns {boolean} True if the version is unknown and newer
      */
-    async deletePrompt(promptId) {
-        try {
-            if (!extension_settings[this.extensionName]?.prompts?.[promptId]) {
-                return {
-                    success: false,
-                    error: 'Prompt not found',
-                    message: 'Prompt does not exist'
-                };
+    isNewerVersion(version) {
+        return this.compareVersions(version, SCHEMA_VERSION) > 0;
+    }
+
+    /**
+     * Get the ordered migrations that lead from a version to SCHEMA_VERSION
+     * @param {string} fromVersion - Schema version of the data
+     * @returns {Array} Migration steps
+     */
+    getMigrationPath(fromVersion) {
+        const path = [];
+        let version = fromVersion;
+
+        while (this.compareVersions(version, SCHEMA_VERSION) < 0) {
+            const step = this.migrations.find(migration => migration.from === version);
+            if (!step) {
+                throw new Error(`No migration available from schema version ${version}`);
             }
+            path.push(step);
+            version = step.to;
+        }
 
-            delete extension_settings[this.extensionName].prompts[promptId];
-            saveSettingsDebounced();
+        return path;
+    }
 
-            console.log(`[${this.extensionName}] Prompt deleted successfully:`, promptId);
+    /**
+     * Upgrade a single prompt record
+     * @param {Object} promptData - The prompt record, not modified
+     * @param {string} fromVersion - Schema version of the record
+     * @returns {Object} Upgraded record and a list of changes per step
+     */
+    migratePrompt(promptData, fromVersion) {
+        const migrated = JSON.parse(JSON.stringify(promptData));
+        const changes = [];
+
+        for (const step of this.getMigrationPath(fromVersion)) {
+            const stepChanges = step.migrate(migrated);
+            if (stepChanges.length > 0) {
+                changes.push({ from: step.from, to: step.to, changes: stepChanges });
+            }
+        }
 
-            return {
-                success: true,
-                message: 'Prompt deleted successfully'
-            };
+        return { promptData: migrated, changes: changes };
+    }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error deleting prompt ${promptId}:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Failed to delete prompt'
-            };
+    /**
+     * Upgrade a map of prompt records
+     * @param {Object} prompts - Prompt records keyed by ID
+     * @param {string} fromVersion - Schema version of the records
+     * @returns {Object} Upgraded prompts and the IDs of changed records
+     */
+    migratePromptMap(prompts, fromVersion) {
+        const migratedPrompts = {};
+        const changedIds = [];
+
+        for (const [id, promptData] of Object.entries(prompts || {})) {
+            const result = this.migratePrompt(promptData, fromVersion);
+            migratedPrompts[id] = result.promptData;
+            if (result.changes.length > 0) {
+                changedIds.push(id);
+            }
         }
+
+        return { prompts: migratedPrompts, changedIds: changedIds };
     }
 
     /**
-     * Update prompt metadata
-     * @param {string} promptId - The ID of the prompt to update
-     * @param {Object} metadata - Metadata updates to apply
-     * @returns {Promise<Object>} Result object with success status
+     * Upgrade the stored library to SCHEMA_VERSION
+     * A pinned backup is taken first. Data from a newer, unknown schema is left untouched
+     * and only loaded if a backup of it could be made.
+     * @returns {Promise<Object>} Result object with success status and migration details
      */
-    async updatePromptMetadata(promptId, metadata) {
+    async migrateLibrary() {
         try {
-            const promptData = await this.loadPrompt(promptId);
-            if (!promptData) {
+            if (!extensionSettings.metadata) {
+                extensionSettings.metadata = {};
+            }
+
+            const storedVersion = extensionSettings.metadata.version || '1.0.0';
+
+            if (this.isNewerVersion(storedVersion)) {
+                // This runs on every startup until the extension is updated; one pinned backup per schema is enough
+                const existingBackup = this.dataManager.listBackups()
+                    .find(backup => backup.reason === 'before_newer_schema' && backup.version === storedVersion);
+                if (!existingBackup) {
+                    const backupResult = await this.dataManager.createAutomaticBackup('before_newer_schema', { pinned: true, rawPrompts: true });
+                    if (!backupResult.success) {
+                        throw new Error(`Library uses newer schema ${storedVersion} and could not be backed up: ${backupResult.error}`);
+                    }
+                }
+
+                console.warn(`[${this.extensionName}] Library uses newer schema ${storedVersion} than supported ${SCHEMA_VERSION}; loaded without migrating`);
                 return {
-                    success: false,
-                    error: 'Prompt not found',
-                    message: 'Prompt does not exist'
+                    success: true,
+                    newerSchema: true,
+                    fromVersion: storedVersion,
+                    toVersion: storedVersion,
+                    changedCount: 0,
+                    message: `Library schema ${storedVersion} is newer than this extension supports`
                 };
             }
 
-            // Update metadata
-            promptData.metadata = { ...promptData.metadata, ...metadata };
-
-            // Validate updated data
-            const validation = this.validatePromptData(promptData);
-            if (!validation.isValid) {
+            if (this.compareVersions(storedVersion, SCHEMA_VERSION) === 0) {
                 return {
-                    success: false,
-                    error: `Validation failed: ${validation.errors.join(', ')}`,
-                    message: 'Invalid metadata update'
+                    success: true,
+                    fromVersion: storedVersion,
+                    toVersion: SCHEMA_VERSION,
+                    changedCount: 0,
+                    message: 'Library schema is up to date'
                 };
             }
 
-            // Save updated prompt
-            extension_settings[this.extensionName].prompts[promptId] = promptData;
+            // Validate the path before touching anything
+            const path = this.getMigrationPath(storedVersion);
+
+            // Raw records: repairing them first would change the data the backup is meant to preserve
+            await this.dataManager.createAutomaticBackup('before_migration', { rawPrompts: true });
+
+            const storage = getPromptStorage();
+            const changeLog = [];
+
+            // Trashed prompts are stored records too and are migrated as well
+            for (const [id, promptData] of Object.entries({ ...storage.getPromptMap() })) {
+                const result = this.migratePrompt(promptData, storedVersion);
+                if (result.changes.length > 0) {
+                    await storage.writePrompt(result.promptData);
+                    changeLog.push({ id: id, steps: result.changes });
+                    console.log(`[${this.extensionName}] Migrated prompt ${id}:`, result.changes.map(step => `${step.from}→${step.to}: ${step.changes.join(', ')}`).join('; '));
+                }
+            }
+
+            extensionSettings.metadata.version = SCHEMA_VERSION;
+            extensionSettings.metadata.migration_log = [
+                ...(extensionSettings.metadata.migration_log || []),
+                {
+                    from: storedVersion,
+                    to: SCHEMA_VERSION,
+                    migrated_at: new Date().toISOString(),
+                    steps: path.map(step => step.description),
+                    changed_count: changeLog.length
+                }
+            ];
             saveSettingsDebounced();
 
-            console.log(`[${this.extensionName}] Prompt metadata updated:`, promptId);
+            console.log(`[${this.extensionName}] Library migrated from schema ${storedVersion} to ${SCHEMA_VERSION}, ${changeLog.length} prompts changed`);
 
             return {
                 success: true,
-                promptData: promptData,
-                message: 'Prompt metadata updated successfully'
+                fromVersion: storedVersion,
+                toVersion: SCHEMA_VERSION,
+                changedCount: changeLog.length,
+                changeLog: changeLog,
+                message: `Library migrated from schema ${storedVersion} to ${SCHEMA_VERSION}`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error updating prompt metadata ${promptId}:`, error);
+            console.error(`[${this.extensionName}] Error migrating library schema:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to update prompt metadata'
+                message: 'Failed to migrate library schema'
             };
         }
     }
+}
+
+/**
+ * SearchIndex is an inverted index over the prompt library with BM25 ranking.
+ * Names and tags are indexed as separate fields and weigh more than content.
+ * Documents are updated one at a time when prompts change; sync() catches any other writes.
+ */
+class SearchIndex {
+    constructor() {
+        this.extensionName = extensionName;
+        this.fieldBoosts = { name: 3, tags: 2, content: 1 };
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.postings = new Map();
+        this.documents = new Map();
+        this.fieldLengthTotals = { name: 0, tags: 0, content: 0 };
+        // Incremented on every change, so callers can tell when cached lookups are stale
+        this.version = 0;
+    }
 
     /**
-     * Attempt to repair corrupted prompt data
-     * @param {Object} promptData - The corrupted prompt data
-     * @returns {Object|null} Repaired prompt data or null if unrepairable
+     * Split text into lowercase index terms; CJK characters are indexed one by one
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Terms in order of appearance
      */
-    repairPromptData(promptData) {
-        try {
-            // Helper function to fix date strings
-            const fixDateString = (dateStr) => {
-                if (!dateStr) return null;
-                if (typeof dateStr !== 'string') return null;
-                
-                // Try to parse the date
-                const date = new Date(dateStr);
-                if (isNaN(date)) return null;
-                
-                // Return as proper ISO string
-                return date.toISOString();
-            };
+    tokenize(text) {
+        const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const terms = [];
+
+        words.forEach(word => {
+            if (/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/.test(word)) {
+                // Split runs of CJK characters, keep other characters together
+                (word.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]|[^\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g) || [])
+                    .forEach(part => terms.push(part));
+            } else {
+                terms.push(word);
+            }
+        });
 
-            const repaired = {
-                id: promptData.id || this.generatePromptId(),
-                name: promptData.name || 'Recovered Prompt',
-                content: promptData.content || '',
-                role: ['user', 'assistant', 'system'].includes(promptData.role) ? promptData.role : 'user',
-                system_prompt: typeof promptData.system_prompt === 'boolean' ? promptData.system_prompt : false,
-                marker: typeof promptData.marker === 'boolean' ? promptData.marker : false,
-                injection_position: typeof promptData.injection_position === 'number' ? promptData.injection_position : 0,
-                injection_depth: typeof promptData.injection_depth === 'number' ? promptData.injection_depth : 4,
-                injection_order: typeof promptData.injection_order === 'number' ? promptData.injection_order : 100,
-                forbid_overrides: typeof promptData.forbid_overrides === 'boolean' ? promptData.forbid_overrides : false,
-                metadata: {
-                    created_at: fixDateString(promptData.metadata?.created_at) || new Date().toISOString(),
-                    last_used: fixDateString(promptData.metadata?.last_used),
-                    favorite: typeof promptData.metadata?.favorite === 'boolean' ? promptData.metadata.favorite : false,
-                    usage_count: typeof promptData.metadata?.usage_count === 'number' ? promptData.metadata.usage_count : 0,
-                    tags: Array.isArray(promptData.metadata?.tags) ? promptData.metadata.tags : [],
-                    source_preset: promptData.metadata?.source_preset || null
-                }
-            };
-
-            // Validate repaired data
-            const validation = this.validatePromptData(repaired);
-            if (validation.isValid) {
-                console.log(`[${this.extensionName}] Successfully repaired prompt data:`, repaired.id);
-                return repaired;
-            }
-
-            return null;
-
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error repairing prompt data:`, error);
-            return null;
-        }
+        return terms;
     }
 
     /**
-     * Apply filters to a set of prompts
-     * @param {Object} prompts - Prompts to filter
-     * @param {Object} filters - Filters to apply
-     * @returns {Object} Filtered prompts
+     * Build the signature used to detect whether an indexed prompt changed
+     * @param {Object} promptData - The prompt data
+     * @returns {string} Signature of the indexed fields
      */
-    applyFilters(prompts, filters) {
-        let filtered = { ...prompts };
-
-        // Search filter
-        if (filters.search && filters.search.trim()) {
-            const searchTerm = filters.search.toLowerCase().trim();
-            filtered = Object.fromEntries(
-                Object.entries(filtered).filter(([id, prompt]) =>
-                    prompt.name.toLowerCase().includes(searchTerm) ||
-                    prompt.content.toLowerCase().includes(searchTerm) ||
-                    prompt.metadata.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-                )
-            );
-        }
+    getSignature(promptData) {
+        return `${promptData.content_hash || promptData.content}|${promptData.name}|${(promptData.metadata?.tags || []).join(',')}`;
+    }
 
-        // Role filter
-        if (filters.role && filters.role !== 'all') {
-            filtered = Object.fromEntries(
-                Object.entries(filtered).filter(([id, prompt]) => prompt.role === filters.role)
-            );
+    /**
+     * Add or replace a prompt in the index
+     * @param {Object} promptData - The prompt data
+     */
+    addDocument(promptData) {
+        if (!promptData || !promptData.id) {
+            return;
         }
 
-        // Favorite filter
-        if (filters.favorite !== undefined && filters.favorite !== null) {
-            filtered = Object.fromEntries(
-                Object.entries(filtered).filter(([id, prompt]) => prompt.metadata.favorite === filters.favorite)
-            );
-        }
+        this.removeDocument(promptData.id);
 
-        // Tags filter
-        if (filters.tags && Array.isArray(filters.tags) && filters.tags.length > 0) {
-            filtered = Object.fromEntries(
-                Object.entries(filtered).filter(([id, prompt]) =>
-                    filters.tags.some(tag => prompt.metadata.tags.includes(tag))
-                )
-            );
+        // Trashed prompts are not searchable
+        if (promptData.trash) {
+            return;
         }
 
-        return filtered;
-    }
-
-    /**
-     * Export all prompts to JSON format
-     * @returns {Promise<Object>} Export result with JSON data
-     */
-    async exportPrompts() {
-        try {
-            const prompts = await this.getPrompts();
-            const exportData = {
-                version: '1.0.0',
-                exported_at: new Date().toISOString(),
-                prompt_count: Object.keys(prompts).length,
-                prompts: prompts
-            };
+        const fields = {
+            name: this.tokenize(promptData.name),
+            tags: this.tokenize((promptData.metadata?.tags || []).join(' ')),
+            content: this.tokenize(promptData.content)
+        };
 
-            return {
-                success: true,
-                data: exportData,
-                message: 'Prompts exported successfully'
-            };
+        const terms = new Set();
+        Object.entries(fields).forEach(([field, fieldTerms]) => {
+            this.fieldLengthTotals[field] += fieldTerms.length;
+            fieldTerms.forEach(term => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const posting = this.postings.get(term);
+                if (!posting.has(promptData.id)) {
+                    posting.set(promptData.id, { name: 0, tags: 0, content: 0 });
+                }
+                posting.get(promptData.id)[field]++;
+                terms.add(term);
+            });
+        });
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error exporting prompts:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Failed to export prompts'
-            };
-        }
+        this.documents.set(promptData.id, {
+            signature: this.getSignature(promptData),
+            lengths: {
+                name: fields.name.length,
+                tags: fields.tags.length,
+                content: fields.content.length
+            },
+            terms: terms
+        });
+        this.version++;
     }
 
     /**
-     * Get storage statistics
-     * @returns {Promise<Object>} Storage statistics
+     * Remove a prompt from the index
+     * @param {string} promptId - The ID of the prompt
      */
-    async getStorageStats() {
-        try {
-            const prompts = await this.getPrompts();
-            const promptCount = Object.keys(prompts).length;
-            const maxPrompts = extensionSettings.settings?.max_prompts || 1000;
+    removeDocument(promptId) {
+        const document = this.documents.get(promptId);
+        if (!document) {
+            return;
+        }
 
-            // Calculate approximate storage size
-            const dataSize = JSON.stringify(prompts).length;
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (posting) {
+                posting.delete(promptId);
+                if (posting.size === 0) {
+                    this.postings.delete(term);
+                }
+            }
+        });
 
-            return {
-                prompt_count: promptCount,
-                max_prompts: maxPrompts,
-                storage_used_percent: Math.round((promptCount / maxPrompts) * 100),
-                approximate_size_bytes: dataSize,
-                approximate_size_kb: Math.round(dataSize / 1024)
-            };
+        Object.keys(this.fieldLengthTotals).forEach(field => {
+            this.fieldLengthTotals[field] -= document.lengths[field];
+        });
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error getting storage stats:`, error);
-            return {
-                prompt_count: 0,
-                max_prompts: 1000,
-                storage_used_percent: 0,
-                approximate_size_bytes: 0,
-                approximate_size_kb: 0
-            };
-        }
+        this.documents.delete(promptId);
+        this.version++;
     }
 
     /**
-     * Compare two prompts and generate diff data
-     * @param {string} prompt1Id - ID of first prompt
-     * @param {string} prompt2Id - ID of second prompt
-     * @returns {Promise<Object>} Comparison result with diff data
+     * Bring the index in line with a prompt map, re-indexing only prompts that changed
+     * @param {Object} promptMap - All stored prompts keyed by ID
+     * @returns {number} Number of documents added, updated or removed
      */
-    async comparePrompts(prompt1Id, prompt2Id) {
-        try {
-            // Load both prompts
-            const prompt1 = await this.loadPrompt(prompt1Id);
-            const prompt2 = await this.loadPrompt(prompt2Id);
-
-            if (!prompt1) {
-                throw new Error(`First prompt not found: ${prompt1Id}`);
+    sync(promptMap) {
+        let changedCount = 0;
+
+        this.documents.forEach((document, promptId) => {
+            const promptData = promptMap[promptId];
+            if (!promptData || promptData.trash) {
+                this.removeDocument(promptId);
+                changedCount++;
             }
+        });
 
-            if (!prompt2) {
-                throw new Error(`Second prompt not found: ${prompt2Id}`);
+        Object.values(promptMap).forEach(promptData => {
+            if (!promptData || promptData.trash) {
+                return;
             }
+            const document = this.documents.get(promptData.id);
+            if (!document || document.signature !== this.getSignature(promptData)) {
+                this.addDocument(promptData);
+                changedCount++;
+            }
+        });
 
-            // Generate content differences
-            const differences = this.generateContentDiff(prompt1.content, prompt2.content);
-
-            // Generate metadata comparison
-            const metadataComparison = this.generateMetadataComparison(prompt1.metadata, prompt2.metadata);
-
-            console.log(`[${this.extensionName}] Comparison completed for ${prompt1Id} vs ${prompt2Id}`);
-
-            return {
-                success: true,
-                data: {
-                    prompt1,
-                    prompt2,
-                    differences,
-                    metadata_comparison: metadataComparison
-                },
-                message: 'Prompts compared successfully'
-            };
-
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error comparing prompts:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Failed to compare prompts'
-            };
-        }
+        return changedCount;
     }
 
     /**
-     * Generate content diff between two text strings
-     * @param {string} content1 - First content string
-     * @param {string} content2 - Second content string
-     * @returns {Array} Array of diff objects
+     * Expand a query term to the indexed terms it matches; the term is treated as a prefix
+     * @param {string} queryTerm - Term from the search query
+     * @returns {Array<string>} Matching index terms
      */
-    generateContentDiff(content1, content2) {
-        const lines1 = content1.split('\n');
-        const lines2 = content2.split('\n');
-        const differences = [];
+    expandTerm(queryTerm) {
+        const matches = [];
+        this.postings.forEach((posting, term) => {
+            if (term.startsWith(queryTerm)) {
+                matches.push(term);
+            }
+        });
+        return matches;
+    }
 
-        // Simple line-by-line comparison
-        const maxLines = Math.max(lines1.length, lines2.length);
+    /**
+     * Search the index; every query term has to match a prompt
+     * @param {string} query - Search text
+     * @returns {Array<Object>} Matches with id and score, best first
+     */
+    search(query) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        if (queryTerms.length === 0) {
+            return [];
+        }
 
-        for (let i = 0; i < maxLines; i++) {
-            const line1 = lines1[i] || '';
-            const line2 = lines2[i] || '';
+        const documentCount = this.documents.size;
+        const averageLengths = {};
+        Object.keys(this.fieldLengthTotals).forEach(field => {
+            averageLengths[field] = documentCount > 0 ? Math.max(this.fieldLengthTotals[field] / documentCount, 1) : 1;
+        });
 
-            if (line1 === line2) {
-                // Lines are identical
-                if (line1) { // Only add non-empty lines
-                    differences.push({
-                        type: 'unchanged',
-                        content: line1,
-                        lineNumber: i + 1
+        let scores = null;
+        for (const queryTerm of queryTerms) {
+            const termScores = new Map();
+
+            this.expandTerm(queryTerm).forEach(term => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+                // Exact term matches rank above prefix matches
+                const exactness = term === queryTerm ? 1 : 0.5;
+
+                posting.forEach((frequencies, promptId) => {
+                    const lengths = this.documents.get(promptId).lengths;
+                    let termScore = 0;
+                    Object.entries(frequencies).forEach(([field, frequency]) => {
+                        if (frequency === 0) {
+                            return;
+                        }
+                        const normalization = 1 - this.b + this.b * (lengths[field] / averageLengths[field]);
+                        termScore += this.fieldBoosts[field] * idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * normalization);
                     });
-                }
-            } else if (!line1 && line2) {
-                // Line added in second prompt
-                differences.push({
-                    type: 'added',
-                    content: line2,
-                    lineNumber: i + 1
-                });
-            } else if (line1 && !line2) {
-                // Line removed in second prompt
-                differences.push({
-                    type: 'removed',
-                    content: line1,
-                    lineNumber: i + 1
+                    termScores.set(promptId, Math.max(termScores.get(promptId) || 0, termScore * exactness));
                 });
+            });
+
+            if (scores === null) {
+                scores = termScores;
             } else {
-                // Line modified
-                differences.push({
-                    type: 'removed',
-                    content: line1,
-                    lineNumber: i + 1
-                });
-                differences.push({
-                    type: 'added',
-                    content: line2,
-                    lineNumber: i + 1
+                const combined = new Map();
+                scores.forEach((score, promptId) => {
+                    if (termScores.has(promptId)) {
+                        combined.set(promptId, score + termScores.get(promptId));
+                    }
                 });
+                scores = combined;
+            }
+
+            if (scores.size === 0) {
+                break;
             }
         }
 
-        return differences;
+        return [...scores.entries()]
+            .map(([id, score]) => ({ id: id, score: score }))
+            .sort((a, b) => b.score - a.score);
     }
 
     /**
-     * Generate metadata comparison
-     * @param {Object} metadata1 - First prompt metadata
-     * @param {Object} metadata2 - Second prompt metadata
-     * @returns {Object} Metadata comparison object
+     * Find where query terms occur in a text, for highlighting
+     * @param {string} text - Text to search
+     * @param {string} query - Search text
+     * @returns {Array<Array<number>>} Sorted [start, end] ranges of matches
      */
-    generateMetadataComparison(metadata1, metadata2) {
-        const comparison = {};
-        const allKeys = new Set([...Object.keys(metadata1), ...Object.keys(metadata2)]);
-
-        allKeys.forEach(key => {
-            const value1 = metadata1[key];
-            const value2 = metadata2[key];
+    findMatchRanges(text, query) {
+        const queryTerms = [...new Set(this.tokenize(query))].sort((a, b) => b.length - a.length);
+        if (queryTerms.length === 0 || !text) {
+            return [];
+        }
 
-            comparison[key] = {
-                value1: value1,
-                value2: value2,
-                different: JSON.stringify(value1) !== JSON.stringify(value2)
-            };
+        // Terms match at word starts, like the prefix matching in search(); CJK characters match anywhere
+        const alternatives = queryTerms.map(term => {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return /^[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]$/.test(term) ? escaped : `(?<![\\p{L}\\p{N}])${escaped}`;
         });
+        const pattern = new RegExp(alternatives.join('|'), 'giu');
+        const ranges = [];
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
 
-        return comparison;
+        return ranges;
     }
+}
 
-    /**
-     * Handle storage quota exceeded error
-     * @param {Error} error - The storage quota error
-     * @returns {Promise<Object>} Result object with success status and cleanup options
-     */
-    async handleStorageQuotaExceeded(error) {
-        try {
-            console.warn(`[${this.extensionName}] Storage quota exceeded:`, error);
+/**
+ * Get the shared search index
+ * @returns {SearchIndex} Search index instance
+ */
+function getSearchIndex() {
+    if (!searchIndex) {
+        searchIndex = new SearchIndex();
+    }
+    return searchIndex;
+}
 
-            // Get current storage stats
-            const stats = await this.getStorageStats();
 
-            // Calculate cleanup options
-            const cleanupOptions = await this.calculateCleanupOptions();
+/**
+ * PromptDataManager class handles all prompt data operations including
+ * saving, loading, validation, and storage through the active prompt storage backend
+ */
+class PromptDataManager {
+    constructor() {
+        this.extensionName = extensionName;
+        this.storageKey = extensionName;
+        this.schemaMigrator = new SchemaMigrator(this);
+        // Fill-in variable placeholder: {{ps:name}} or {{ps:name|default=value}}
+        this.templatePattern = /\{\{ps:([\w-]+)(?:\|default=([^}]*))?\}\}/;
+        // Relevance scores per search mode and query, dropped whenever the search index changes
+        this.searchScoreCache = new Map();
+        this.searchScoreCacheSize = 50;
+        this.searchScoreCacheVersion = null;
+        // Regex search can backtrack catastrophically and a running regex can't be interrupted,
+        // so patterns are length-limited and first timed in a worker, see checkSearchPatternSpeed()
+        this.regexSearchLimits = {
+            patternLength: 500,
+            timeoutMs: 1000
+        };
+        // Refused patterns, with the reason shown next to the search box
+        this.slowSearchPatterns = new Map();
+        // A prompt referencing another several times grows exponentially with nesting,
+        // so {{savedprompt::...}} expansion stops at a depth and an inserted length
+        this.savedPromptMacroLimits = {
+            depth: 5,
+            outputLength: 100000
+        };
+        // Field names accepted in search queries, with their aliases
+        this.queryFieldAliases = {
+            tag: 'tag', tags: 'tag', role: 'role', fav: 'fav', favorite: 'fav',
+            used: 'used', usage: 'used', tokens: 'tokens', age: 'age', preset: 'preset', folder: 'folder'
+        };
+        this.defaultRetentionPolicy = {
+            hourly: 24,
+            daily: 7,
+            weekly: 4,
+            monthly: 12
+        };
+        // Backups taken before destructive operations are never pruned automatically, only unpinned or deleted by the user
+        this.pinnedBackupReasons = ['before_import', 'before_cleanup', 'before_bulk_delete', 'before_restore', 'before_merge', 'before_migration', 'before_newer_schema'];
+        // Above this total size (in characters) the backup usage panel asks the user to unpin or delete pinned backups
+        this.pinnedBackupWarningSize = 2 * 1024 * 1024;
+        this.revisionFields = [
+            'name',
+            'content',
+            'role',
+            'system_prompt',
+            'marker',
+            'injection_position',
+            'injection_depth',
+            'injection_order',
+            'forbid_overrides'
+        ];
+    }
 
-            // Perform automatic cleanup if possible
-            if (cleanupOptions.unusedPrompts > 0) {
-                const cleanupResult = await this.performAutomaticCleanup();
-                return {
-                    success: cleanupResult.success,
-                    action: 'automatic_cleanup',
-                    cleanupResult: cleanupResult,
-                    message: cleanupResult.success ?
-                        'Storage cleaned up automatically' :
-                        'Automatic cleanup failed'
-                };
+    /**
+     * Generate a unique identifier for a prompt
+     * @returns {string} UUID-like identifier
+     */
+    generatePromptId() {
+        return 'prompt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Validate prompt data structure
+     * @param {Object} promptData - The prompt data to validate
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validatePromptData(promptData) {
+        const errors = [];
+        const result = { isValid: true, errors };
+
+        // Required fields validation
+        if (!promptData.id || typeof promptData.id !== 'string') {
+            errors.push('Prompt ID is required and must be a string');
+        }
+
+        if (!promptData.name || typeof promptData.name !== 'string' || promptData.name.trim().length === 0) {
+            errors.push('Prompt name is required and must be a non-empty string');
+        }
+
+        if (!promptData.content || typeof promptData.content !== 'string' || promptData.content.trim().length === 0) {
+            errors.push('Prompt content is required and must be a non-empty string');
+        }
+
+        if (!promptData.role || !['user', 'assistant', 'system'].includes(promptData.role)) {
+            errors.push('Prompt role must be one of: user, assistant, system');
+        }
+
+        // Optional fields validation with defaults
+        if (promptData.system_prompt !== undefined && typeof promptData.system_prompt !== 'boolean') {
+            errors.push('system_prompt must be a boolean');
+        }
+
+        if (promptData.marker !== undefined && typeof promptData.marker !== 'boolean') {
+            errors.push('marker must be a boolean');
+        }
+
+        if (promptData.injection_position !== undefined && typeof promptData.injection_position !== 'number') {
+            errors.push('injection_position must be a number');
+        }
+
+        if (promptData.injection_depth !== undefined && typeof promptData.injection_depth !== 'number') {
+            errors.push('injection_depth must be a number');
+        }
+
+        if (promptData.injection_order !== undefined && typeof promptData.injection_order !== 'number') {
+            errors.push('injection_order must be a number');
+        }
+
+        if (promptData.forbid_overrides !== undefined && typeof promptData.forbid_overrides !== 'boolean') {
+            errors.push('forbid_overrides must be a boolean');
+        }
+
+        if (promptData.revisions !== undefined && !Array.isArray(promptData.revisions)) {
+            errors.push('revisions must be an array');
+        }
+
+        // Metadata validation
+        if (promptData.metadata) {
+            const metadata = promptData.metadata;
+            
+            if (metadata.created_at && !this.isValidISODate(metadata.created_at)) {
+                errors.push('metadata.created_at must be a valid ISO date string');
             }
 
-            return {
-                success: false,
-                action: 'manual_intervention_required',
-                stats: stats,
-                cleanupOptions: cleanupOptions,
-                message: 'Storage quota exceeded - manual cleanup required'
-            };
+            if (metadata.last_used && !this.isValidISODate(metadata.last_used)) {
+                errors.push('metadata.last_used must be a valid ISO date string');
+            }
 
-        } catch (handlingError) {
-            console.error(`[${this.extensionName}] Error handling storage quota:`, handlingError);
-            return {
-                success: false,
-                error: handlingError.message,
-                message: 'Failed to handle storage quota exceeded'
-            };
+            if (metadata.favorite !== undefined && typeof metadata.favorite !== 'boolean') {
+                errors.push('metadata.favorite must be a boolean');
+            }
+
+            if (metadata.usage_count !== undefined && (typeof metadata.usage_count !== 'number' || metadata.usage_count < 0)) {
+                errors.push('metadata.usage_count must be a non-negative number');
+            }
+
+            if (metadata.tags && (!Array.isArray(metadata.tags) || !metadata.tags.every(tag => typeof tag === 'string'))) {
+                errors.push('metadata.tags must be an array of strings');
+            }
+
+            if (metadata.source_preset !== undefined && metadata.source_preset !== null && typeof metadata.source_preset !== 'string') {
+                errors.push('metadata.source_preset must be a string or null');
+            }
+
+            if (metadata.folder !== undefined && typeof metadata.folder !== 'string') {
+                errors.push('metadata.folder must be a string');
+            }
         }
+
+        result.isValid = errors.length === 0;
+        return result;
     }
 
     /**
-     * Calculate cleanup options for storage management
-     * @returns {Promise<Object>} Cleanup options with recommendations
+     * Check if a string is a valid ISO date
+     * @param {string} dateString - Date string to validate
+     * @returns {boolean} True if valid ISO date
      */
-    async calculateCleanupOptions() {
-        try {
-            const prompts = await this.getPrompts();
-            const promptList = Object.values(prompts);
+    isValidISODate(dateString) {
+        if (!dateString || typeof dateString !== 'string') {
+            return false;
+        }
+        
+        const date = new Date(dateString);
+        if (!(date instanceof Date) || isNaN(date)) {
+            return false;
+        }
+        
+        // Check if the date string is in a valid ISO format
+        // Allow both full ISO format and simplified formats
+        const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
+        return isoRegex.test(dateString) && date.toISOString().startsWith(dateString.replace('Z', ''));
+    }
 
-            // Calculate recommendations
-            const unusedPrompts = promptList.filter(p => (p.metadata.usage_count || 0) === 0);
-            const oldPrompts = promptList.filter(p => {
-                const age = Date.now() - new Date(p.metadata.created_at).getTime();
-                return age > (90 * 24 * 60 * 60 * 1000); // 90 days
-            });
+    /**
+     * Create a complete prompt data structure with defaults
+     * @param {Object} promptData - Partial prompt data
+     * @returns {Object} Complete prompt data structure
+     */
+    createPromptData(promptData) {
+        const now = new Date().toISOString();
+        
+        const completePromptData = {
+            id: promptData.id || this.generatePromptId(),
+            name: promptData.name || 'Untitled Prompt',
+            content: promptData.content || '',
+            role: promptData.role || 'user',
+            system_prompt: promptData.system_prompt || false,
+            marker: promptData.marker || false,
+            injection_position: promptData.injection_position || 0,
+            injection_depth: promptData.injection_depth || 4,
+            injection_order: promptData.injection_order || 100,
+            forbid_overrides: promptData.forbid_overrides || false,
+            content_hash: this.computeContentHash(promptData.content),
+            revisions: Array.isArray(promptData.revisions) ? promptData.revisions : [],
+            metadata: {
+                created_at: promptData.metadata?.created_at || now,
+                last_used: promptData.metadata?.last_used || null,
+                favorite: promptData.metadata?.favorite || false,
+                usage_count: promptData.metadata?.usage_count || 0,
+                tags: promptData.metadata?.tags || [],
+                source_preset: promptData.metadata?.source_preset || null,
+                ...promptData.metadata,
+                folder: this.normalizeFolderPath(promptData.metadata?.folder)
+            }
+        };
 
-            return {
-                totalPrompts: promptList.length,
-                unusedPrompts: unusedPrompts.length,
-                oldPrompts: oldPrompts.length,
-                recommendations: {
-                    deleteUnused: unusedPrompts.slice(0, 10).map(p => ({ id: p.id, name: p.name })),
-                    deleteOld: oldPrompts.slice(0, 10).map(p => ({ id: p.id, name: p.name, age: Date.now() - new Date(p.metadata.created_at).getTime() }))
-                }
-            };
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error calculating cleanup options:`, error);
-            return {
-                totalPrompts: 0,
-                unusedPrompts: 0,
-                oldPrompts: 0,
-                recommendations: { deleteUnused: [], deleteOld: [] }
-            };
+        if (promptData.trash) {
+            completePromptData.trash = promptData.trash;
         }
+
+        return completePromptData;
     }
 
     /**
-     * Perform automatic cleanup of unused prompts
-     * @returns {Promise<Object>} Cleanup result
+     * Save a prompt to storage
+     * @param {Object} promptData - The prompt data to save
+     * @param {Object} options - Save options
+     * @param {string} options.revisionReason - Reason recorded if an existing prompt's text is replaced
+     * @param {boolean} options.restore - Save the record as given over a trashed prompt, taking it out of the trash;
+     *                                    otherwise a trashed prompt stays in the trash
+     * @returns {Promise<Object>} Result object with success status and saved prompt data
      */
-    async performAutomaticCleanup() {
+    async savePrompt(promptData, options = {}) {
         try {
-            const prompts = await this.getPrompts();
-            const unusedPrompts = Object.values(prompts).filter(p => (p.metadata.usage_count || 0) === 0);
+            // Create complete prompt data structure
+            const completePromptData = this.createPromptData(promptData);
 
-            let deletedCount = 0;
-            const deletedPrompts = [];
+            // Keep the replaced version in the prompt's revision history
+            const existingPrompt = getPromptStorage().getPromptMap()[completePromptData.id];
+            const previousData = this.clonePromptForEvent(existingPrompt);
+            if (existingPrompt?.trash && !completePromptData.trash && !options.restore) {
+                completePromptData.trash = existingPrompt.trash;
+            }
+            if (existingPrompt) {
+                completePromptData.revisions = this.buildRevisionHistory(
+                    existingPrompt,
+                    completePromptData,
+                    options.revisionReason || 'before_save'
+                );
+            }
+            
+            // Validate the prompt data
+            const validation = this.validatePromptData(completePromptData);
+            if (!validation.isValid) {
+                throw new Error(`Prompt validation failed: ${validation.errors.join(', ')}`);
+            }
 
-            // Delete up to 5 unused prompts automatically
-            for (const prompt of unusedPrompts.slice(0, 5)) {
-                const deleteResult = await this.deletePrompt(prompt.id);
-                if (deleteResult.success) {
-                    deletedCount++;
-                    deletedPrompts.push(prompt.name);
-                }
+            // Check storage limits
+            const currentPrompts = await this.getPrompts();
+            const maxPrompts = extensionSettings.settings?.max_prompts || 1000;
+            
+            if (Object.keys(currentPrompts).length >= maxPrompts && !currentPrompts[completePromptData.id] && !completePromptData.trash) {
+                throw new Error(`Storage limit reached. Maximum ${maxPrompts} prompts allowed.`);
             }
 
+            // Save to the active storage backend
+            await getPromptStorage().writePrompt(completePromptData);
+            getSearchIndex().addDocument(completePromptData);
+            
+            console.log(`[${this.extensionName}] Prompt saved successfully:`, completePromptData.id);
+
+            if (!options.silent) {
+                this.emitPromptChange(PROMPT_SAVER_EVENTS.SAVED, completePromptData.id, previousData, completePromptData);
+            }
+            
             return {
-                success: deletedCount > 0,
-                deletedCount: deletedCount,
-                deletedPrompts: deletedPrompts,
-                message: `Automatically deleted ${deletedCount} unused prompts`
+                success: true,
+                promptData: completePromptData,
+                previousData: previousData,
+                message: 'Prompt saved successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error performing automatic cleanup:`, error);
+            console.error(`[${this.extensionName}] Error saving prompt:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to perform automatic cleanup'
+                message: 'Failed to save prompt'
             };
         }
     }
 
     /**
-     * Recover corrupted data
-     * @param {Object} options - Recovery options
-     * @returns {Promise<Object>} Recovery result
+     * Copy a prompt record for an event payload, without its revision history
+     * @param {Object|null} promptData - The prompt data
+     * @returns {Object|null} Detached copy of the prompt, or null
      */
-    async recoverCorruptedData(options = {}) {
-        try {
-            console.log(`[${this.extensionName}] Attempting to recover corrupted data`);
-
-            const recoveryResults = [];
-            let recoveredCount = 0;
+    clonePromptForEvent(promptData) {
+        if (!promptData) {
+            return null;
+        }
+        const { revisions, ...record } = promptData;
+        return JSON.parse(JSON.stringify(record));
+    }
 
-            // Recovery 1: Try to restore from backup
-            if (options.tryBackupRestore !== false) {
-                try {
-                    const backupResult = await this.restoreFromBackup();
-                    recoveryResults.push({
-                        method: 'backup_restore',
-                        success: backupResult.success,
-                        result: backupResult
-                    });
-                    if (backupResult.success) {
-                        recoveredCount += backupResult.restoredItems || 0;
-                    }
-                } catch (backupError) {
-                    recoveryResults.push({
-                        method: 'backup_restore',
-                        success: false,
-                        error: backupError.message
-                    });
-                }
+    /**
+     * List the fields that differ between two versions of a prompt
+     * Metadata fields are reported individually as "metadata.<field>"
+     * @param {Object|null} before - Prompt before the change, or null if it was created
+     * @param {Object|null} after - Prompt after the change, or null if it was removed
+     * @returns {Object} Map of field name to { before, after }
+     */
+    diffPromptData(before, after) {
+        const diff = {};
+        const compare = (field, beforeValue, afterValue) => {
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                diff[field] = {
+                    before: beforeValue === undefined ? null : beforeValue,
+                    after: afterValue === undefined ? null : afterValue
+                };
             }
+        };
 
-            // Recovery 2: Try to validate and fix existing data
-            if (options.tryDataValidation !== false) {
-                try {
-                    const validationResult = await this.validateAndFixData();
-                    recoveryResults.push({
-                        method: 'data_validation',
-                        success: validationResult.success,
-                        result: validationResult
-                    });
-                    if (validationResult.success) {
-                        recoveredCount += validationResult.fixedItems || 0;
-                    }
-                } catch (validationError) {
-                    recoveryResults.push({
-                        method: 'data_validation',
-                        success: false,
-                        error: validationError.message
-                    });
-                }
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        fields.forEach(field => {
+            if (!['metadata', 'revisions', 'token_count'].includes(field)) {
+                compare(field, before?.[field], after?.[field]);
             }
+        });
 
-            // Check if any recovery succeeded
-            const successfulRecovery = recoveryResults.find(result => result.success);
+        const metadataFields = new Set([...Object.keys(before?.metadata || {}), ...Object.keys(after?.metadata || {})]);
+        metadataFields.forEach(field => compare(`metadata.${field}`, before?.metadata?.[field], after?.metadata?.[field]));
 
-            return {
-                success: successfulRecovery !== undefined,
-                recoveredCount: recoveredCount,
-                recoveryResults: recoveryResults,
-                message: successfulRecovery ?
-                    `Data recovery successful - recovered ${recoveredCount} items` :
-                    'All data recovery methods failed'
-            };
+        return diff;
+    }
 
-        } catch (recoveryError) {
-            console.error(`[${this.extensionName}] Error during data recovery:`, recoveryError);
-            return {
-                success: false,
-                error: recoveryError.message,
-                message: 'Data recovery process failed'
-            };
+    /**
+     * Emit a library change event on SillyTavern's eventSource
+     * Listeners run asynchronously and cannot fail the operation that emitted the event
+     * @param {string} eventType - One of PROMPT_SAVER_EVENTS
+     * @param {Object} payload - Event data
+     * @returns {boolean} True if the event was emitted
+     */
+    emitLibraryEvent(eventType, payload = {}) {
+        if (typeof eventSource === 'undefined' || typeof eventSource.emit !== 'function') {
+            return false;
+        }
+
+        const event = {
+            type: eventType,
+            timestamp: new Date().toISOString(),
+            ...payload
+        };
+
+        try {
+            Promise.resolve(eventSource.emit(eventType, event)).catch(error => {
+                console.error(`[${this.extensionName}] Error in ${eventType} listener:`, error);
+            });
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error emitting ${eventType}:`, error);
+            return false;
         }
+        return true;
     }
 
     /**
-     * Restore data from backup
-     * @returns {Promise<Object>} Restore result
+     * Emit a change event for a single prompt with a before/after diff
+     * @param {string} eventType - One of PROMPT_SAVER_EVENTS
+     * @param {string} promptId - ID of the changed prompt
+     * @param {Object|null} before - Event copy of the prompt before the change
+     * @param {Object|null} after - Prompt after the change
+     * @param {Object} extra - Additional event data
+     * @returns {boolean} True if the event was emitted
      */
-    async restoreFromBackup() {
+    emitPromptChange(eventType, promptId, before, after, extra = {}) {
+        const afterCopy = this.clonePromptForEvent(after);
+        return this.emitLibraryEvent(eventType, {
+            promptId: promptId,
+            before: before,
+            after: afterCopy,
+            diff: this.diffPromptData(before, afterCopy),
+            ...extra
+        });
+    }
+
+    /**
+     * Load a specific prompt by ID
+     * @param {string} promptId - The ID of the prompt to load
+     * @param {Object} options - Load options
+     * @param {boolean} options.includeTrashed - Also return the prompt if it is in the trash
+     * @returns {Promise<Object|null>} The prompt data or null if not found
+     */
+    async loadPrompt(promptId, options = {}) {
         try {
-            console.log(`[${this.extensionName}] Attempting to restore from backup`);
+            const promptData = getPromptStorage().getPromptMap()[promptId];
+            
+            if (!promptData || (promptData.trash && !options.includeTrashed)) {
+                return null;
+            }
 
-            // In a real implementation, this would restore from actual backup files
-            // For testing, we'll simulate a successful restore
-            return {
-                success: true,
-                restoredItems: 0,
-                message: 'Backup restore completed (simulated)'
-            };
+            // Validate loaded data
+            const validation = this.validatePromptData(promptData);
+            if (!validation.isValid) {
+                console.warn(`[${this.extensionName}] Loaded prompt data is invalid:`, validation.errors);
+                // Try to repair the data
+                const repairedData = this.repairPromptData(promptData);
+                if (repairedData) {
+                    // Save the repaired data
+                    await getPromptStorage().writePrompt(repairedData);
+                    return repairedData;
+                }
+                return null;
+            }
+
+            return promptData;
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error restoring from backup:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Backup restore failed'
-            };
+            console.error(`[${this.extensionName}] Error loading prompt ${promptId}:`, error);
+            return null;
         }
     }
 
     /**
-     * Validate and fix existing data
-     * @returns {Promise<Object>} Validation result
+     * Find a prompt by ID, or by name if no prompt has that ID
+     * Names are matched ignoring case; if several prompts share a name, the most recently used one wins
+     * @param {string} reference - Prompt ID or name
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includeTrashed - Also match prompts in the trash
+     * @returns {Promise<Object|null>} The prompt data or null if not found
      */
-    async validateAndFixData() {
-        try {
-            console.log(`[${this.extensionName}] Validating and fixing data`);
+    async resolvePromptReference(reference, options = {}) {
+        const promptData = this.findPromptByReference(reference, options);
+        return promptData ? await this.loadPrompt(promptData.id, options) : null;
+    }
 
-            const prompts = await this.getPrompts();
-            let fixedItems = 0;
+    /**
+     * Synchronous lookup behind resolvePromptReference(), for callers that can't wait (macros)
+     * Returns the stored record without validating or repairing it
+     * @param {string} reference - Prompt ID or name
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includeTrashed - Also match prompts in the trash
+     * @returns {Object|null} The stored prompt or null if not found
+     */
+    findPromptByReference(reference, options = {}) {
+        if (typeof reference !== 'string' || !reference.trim()) {
+            return null;
+        }
 
-            // Validate each prompt and fix issues
-            for (const [id, prompt] of Object.entries(prompts)) {
-                let needsUpdate = false;
+        const prompts = getPromptStorage().getPromptMap();
+        const isVisible = prompt => prompt && (options.includeTrashed || !prompt.trash);
+        const byId = prompts[reference.trim()];
+        if (isVisible(byId)) {
+            return byId;
+        }
 
-                // Fix missing metadata
-                if (!prompt.metadata) {
-                    prompt.metadata = this.generateDefaultMetadata();
-                    needsUpdate = true;
-                    fixedItems++;
-                }
+        const name = reference.trim().toLowerCase();
+        const lastActivity = prompt => new Date(prompt.metadata?.last_used || prompt.metadata?.created_at || 0).getTime();
+        const matches = Object.values(prompts)
+            .filter(isVisible)
+            .filter(prompt => (prompt.name || '').trim().toLowerCase() === name)
+            .sort((a, b) => lastActivity(b) - lastActivity(a));
 
-                // Fix missing required fields
-                if (!prompt.id) {
-                    prompt.id = id;
-                    needsUpdate = true;
-                    fixedItems++;
-                }
+        return matches[0] || null;
+    }
 
-                if (!prompt.name) {
-                    prompt.name = `Recovered Prompt ${id.slice(-8)}`;
-                    needsUpdate = true;
-                    fixedItems++;
+    /**
+     * Replace {{savedprompt::name}} references with the current content of the named library prompts
+     * References inside the inserted prompts are expanded too; a reference back to a prompt that is
+     * already being expanded is a cycle and is replaced with nothing, as are unknown names and
+     * references beyond savedPromptMacroLimits (nesting depth, total inserted length).
+     * Template placeholders in inserted prompts get their default values.
+     * @param {string} text - Text that may contain references
+     * @param {Object} options - Expansion options
+     * @param {Function} options.substitute - Applied to each inserted block, e.g. SillyTavern's substituteParams
+     * @returns {Object} Expanded text, IDs of the inserted prompts and errors ({ reference, message })
+     */
+    expandSavedPromptMacros(text, options = {}) {
+        const errors = [];
+        const expandedIds = new Set();
+        const pattern = /\{\{savedprompt::([^{}]+?)\}\}/gi;
+        const { depth: maxDepth, outputLength: maxOutputLength } = this.savedPromptMacroLimits;
+        let insertedLength = 0;
+        let lengthExceeded = false;
+        // A reference repeated across the nesting fails the same way each time, report it once
+        const addError = (reference, message) => {
+            if (!errors.some(error => error.reference === reference && error.message === message)) {
+                errors.push({ reference: reference, message: message });
+            }
+        };
+
+        const expand = (source, stack) => String(source || '').replace(pattern, (macro, reference) => {
+            if (lengthExceeded) {
+                return '';
+            }
+            if (stack.length >= maxDepth) {
+                addError(reference.trim(), `References nested deeper than ${maxDepth} levels`);
+                return '';
+            }
+
+            const promptData = this.findPromptByReference(reference.trim());
+            if (!promptData) {
+                addError(reference.trim(), `No saved prompt named "${reference.trim()}"`);
+                return '';
+            }
+            if (stack.includes(promptData.id)) {
+                const names = [...stack, promptData.id].map(id => getPromptStorage().getPromptMap()[id]?.name || id);
+                addError(reference.trim(), `Reference cycle: ${names.join(' → ')}`);
+                return '';
+            }
+
+            // Each prompt's own text is counted once, so the total bounds what expansion adds
+            const rendered = this.renderTemplate(promptData.content);
+            insertedLength += rendered.length;
+            if (insertedLength > maxOutputLength) {
+                lengthExceeded = true;
+                addError(reference.trim(), `Expanded text longer than ${maxOutputLength} characters`);
+                return '';
+            }
+
+            expandedIds.add(promptData.id);
+            const content = expand(rendered, [...stack, promptData.id]);
+            return stack.length === 0 && typeof options.substitute === 'function' ? options.substitute(content) : content;
+        });
+
+        return {
+            text: expand(text, []),
+            expandedIds: [...expandedIds],
+            errors: errors
+        };
+    }
+
+    /**
+     * Get all prompts with optional filtering
+     * @param {Object} filters - Optional filters to apply
+     * @returns {Promise<Object>} Object containing all prompts keyed by ID
+     */
+    async getPrompts(filters = {}) {
+        try {
+            const storage = getPromptStorage();
+            let prompts = { ...storage.getPromptMap() };
+
+            // Validate and repair prompts
+            const validPrompts = {};
+            for (const [id, promptData] of Object.entries(prompts)) {
+                // Trashed prompts are only reachable through getTrashedPrompts
+                if (promptData && promptData.trash) {
+                    continue;
                 }
 
-                // Update if needed
-                if (needsUpdate) {
-                    await this.savePrompt(prompt);
+                const validation = this.validatePromptData(promptData);
+                if (validation.isValid) {
+                    validPrompts[id] = promptData;
+                } else {
+                    console.warn(`[${this.extensionName}] Invalid prompt data found for ${id}:`, validation.errors);
+                    const repairedData = this.repairPromptData(promptData);
+                    if (repairedData) {
+                        validPrompts[id] = repairedData;
+                        // Update storage with repaired data
+                        await storage.writePrompt(repairedData);
+                    } else {
+                        console.error(`[${this.extensionName}] Could not repair prompt ${id}, removing from storage`);
+                        await storage.removePrompt(id);
+                    }
                 }
             }
 
+            // Apply filters if provided
+            if (Object.keys(filters).length > 0) {
+                return this.applyFilters(validPrompts, filters);
+            }
+
+            return validPrompts;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting prompts:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Delete a prompt by ID
+     * By default the prompt is moved to the trash and can be restored until it is purged
+     * @param {string} promptId - The ID of the prompt to delete
+     * @param {Object} options - Delete options
+     * @param {string} options.reason - Why the prompt was deleted (default 'manual')
+     * @param {boolean} options.permanent - Remove the prompt for good, also works on trashed prompts
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async deletePrompt(promptId, options = {}) {
+        try {
+            const storage = getPromptStorage();
+            const promptData = storage.getPromptMap()[promptId];
+            if (!promptData || (promptData.trash && !options.permanent)) {
+                return {
+                    success: false,
+                    error: 'Prompt not found',
+                    message: 'Prompt does not exist'
+                };
+            }
+
+            const previousData = this.clonePromptForEvent(promptData);
+            let trashedData = null;
+            if (options.permanent) {
+                await storage.removePrompt(promptId);
+            } else {
+                trashedData = {
+                    ...promptData,
+                    trash: {
+                        deleted_at: new Date().toISOString(),
+                        reason: options.reason || 'manual'
+                    }
+                };
+                await storage.writePrompt(trashedData);
+            }
+            getSearchIndex().removeDocument(promptId);
+
+            console.log(`[${this.extensionName}] Prompt ${options.permanent ? 'deleted permanently' : 'moved to trash'}:`, promptId);
+
+            this.emitPromptChange(PROMPT_SAVER_EVENTS.DELETED, promptId, previousData, trashedData, {
+                permanent: options.permanent === true
+            });
+
             return {
                 success: true,
-                fixedItems: fixedItems,
-                message: `Data validation completed - fixed ${fixedItems} items`
+                permanent: options.permanent === true,
+                message: options.permanent ? 'Prompt deleted permanently' : 'Prompt moved to trash'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error validating data:`, error);
+            console.error(`[${this.extensionName}] Error deleting prompt ${promptId}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Data validation failed'
+                message: 'Failed to delete prompt'
             };
         }
     }
 
     /**
-     * Create backup before performing operations
-     * @param {string} operation - The operation being performed
-     * @returns {Promise<Object>} Backup result
+     * Delete several prompts at once, backing up the library first
+     * @param {Array<string>} promptIds - IDs of the prompts to delete
+     * @param {Object} options - Delete options
+     * @param {string} options.backupReason - Reason recorded on the backup (default 'before_bulk_delete')
+     * @param {boolean} options.createBackup - Back up the library first (default true)
+     * @param {string} options.reason - Deletion reason recorded in the trash (default 'bulk_delete')
+     * @param {boolean} options.permanent - Skip the trash
+     * @returns {Promise<Object>} Result object with deleted count and names
      */
-    async createBackupBeforeOperation(operation) {
+    async deletePrompts(promptIds, options = {}) {
         try {
-            console.log(`[${this.extensionName}] Creating backup before operation: ${operation}`);
+            if (!Array.isArray(promptIds)) {
+                throw new Error('promptIds must be an array');
+            }
 
-            // Get current data
-            const prompts = await this.getPrompts();
+            if (promptIds.length === 0) {
+                return {
+                    success: true,
+                    deletedCount: 0,
+                    deletedPrompts: [],
+                    message: 'No prompts to delete'
+                };
+            }
 
-            // Create backup with timestamp
-            const timestamp = new Date().toISOString();
-            const backupData = {
-                timestamp: timestamp,
-                operation: operation,
-                prompts: prompts,
-                metadata: {
-                    version: '1.0.0',
-                    totalPrompts: Object.keys(prompts).length
+            if (options.createBackup !== false) {
+                const backupResult = await this.createAutomaticBackup(options.backupReason || 'before_bulk_delete');
+                if (!backupResult.success) {
+                    console.warn(`[${this.extensionName}] Continuing bulk delete without backup: ${backupResult.error}`);
                 }
-            };
+            }
+
+            let deletedCount = 0;
+            const deletedPrompts = [];
+            const prompts = await this.getPrompts();
+
+            for (const promptId of promptIds) {
+                const deleteResult = await this.deletePrompt(promptId, {
+                    reason: options.reason || 'bulk_delete',
+                    permanent: options.permanent
+                });
+                if (deleteResult.success) {
+                    deletedCount++;
+                    deletedPrompts.push(prompts[promptId]?.name || promptId);
+                }
+            }
 
-            // In a real implementation, this would save to a backup location
-            // For testing, we'll simulate successful backup creation
             return {
-                success: true,
-                backupId: `backup_${Date.now()}`,
-                backupData: backupData,
-                message: 'Backup created successfully'
+                success: deletedCount > 0,
+                deletedCount: deletedCount,
+                deletedPrompts: deletedPrompts,
+                message: `Deleted ${deletedCount} prompts`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error creating backup:`, error);
+            console.error(`[${this.extensionName}] Error deleting prompts:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to create backup'
+                message: 'Failed to delete prompts'
             };
         }
     }
 
     /**
-     * Validate data integrity
-     * @param {Object} options - Validation options
-     * @returns {Promise<Object>} Validation result
+     * Get all prompts currently in the trash
+     * @returns {Promise<Array>} Trashed prompts, most recently deleted first
      */
-    async validateDataIntegrity(options = {}) {
+    async getTrashedPrompts() {
         try {
-            console.log(`[${this.extensionName}] Validating data integrity`);
+            return Object.values(getPromptStorage().getPromptMap())
+                .filter(promptData => promptData && promptData.trash)
+                .sort((a, b) => new Date(b.trash.deleted_at) - new Date(a.trash.deleted_at));
 
-            const prompts = await this.getPrompts();
-            const validationResults = {
-                totalPrompts: Object.keys(prompts).length,
-                validPrompts: 0,
-                invalidPrompts: 0,
-                issues: []
-            };
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting trashed prompts:`, error);
+            return [];
+        }
+    }
 
-            // Validate each prompt
-            for (const [id, prompt] of Object.entries(prompts)) {
-                const validation = this.validatePromptData(prompt);
+    /**
+     * Move a prompt out of the trash back into the library
+     * @param {string} promptId - The ID of the trashed prompt
+     * @returns {Promise<Object>} Result object with success status and restored prompt data
+     */
+    async restoreFromTrash(promptId) {
+        try {
+            const storage = getPromptStorage();
+            const promptData = storage.getPromptMap()[promptId];
+            if (!promptData || !promptData.trash) {
+                return {
+                    success: false,
+                    error: 'Prompt not found in trash',
+                    message: 'Prompt is not in the trash'
+                };
+            }
 
-                if (validation.isValid) {
-                    validationResults.validPrompts++;
-                } else {
-                    validationResults.invalidPrompts++;
-                    validationResults.issues.push({
-                        promptId: id,
-                        promptName: prompt.name || 'Unknown',
-                        issues: validation.issues
-                    });
-                }
+            const currentPrompts = await this.getPrompts();
+            const maxPrompts = extensionSettings.settings?.max_prompts || 1000;
+            if (Object.keys(currentPrompts).length >= maxPrompts) {
+                throw new Error(`Storage limit reached. Maximum ${maxPrompts} prompts allowed.`);
             }
 
-            // Check overall integrity
-            const integrityScore = validationResults.totalPrompts > 0 ?
-                (validationResults.validPrompts / validationResults.totalPrompts) * 100 : 100;
+            const { trash, ...restoredPrompt } = promptData;
+            await storage.writePrompt(restoredPrompt);
+            getSearchIndex().addDocument(restoredPrompt);
+
+            console.log(`[${this.extensionName}] Prompt restored from trash:`, promptId);
+
+            this.emitPromptChange(PROMPT_SAVER_EVENTS.RESTORED, promptId, this.clonePromptForEvent(promptData), restoredPrompt);
 
             return {
                 success: true,
-                integrityScore: integrityScore,
-                validationResults: validationResults,
-                isHealthy: integrityScore >= 90,
-                message: `Data integrity validation completed - ${integrityScore.toFixed(1)}% healthy`
+                promptData: restoredPrompt,
+                message: 'Prompt restored from trash'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error validating data integrity:`, error);
+            console.error(`[${this.extensionName}] Error restoring prompt ${promptId} from trash:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to validate data integrity'
+                message: 'Failed to restore prompt from trash'
             };
         }
     }
 
     /**
-     * Import prompts from JSON data
-     * @param {Object|string} importData - The data to import (JSON object or string)
-     * @param {Object} options - Import options
-     * @returns {Promise<Object>} Import result
+     * Permanently delete every prompt in the trash
+     * @returns {Promise<Object>} Result object with the number of purged prompts
      */
-    async importPrompts(importData, options = {}) {
+    async emptyTrash() {
         try {
-            console.log(`[${this.extensionName}] Starting prompt import`);
-
-            // Parse import data if it's a string
-            let parsedData;
-            if (typeof importData === 'string') {
-                try {
-                    parsedData = JSON.parse(importData);
-                } catch (parseError) {
-                    throw new Error('Invalid JSON format in import data');
-                }
-            } else if (typeof importData === 'object' && importData !== null) {
-                parsedData = importData;
-            } else {
-                throw new Error('Invalid import data format - must be JSON string or object');
-            }
-
-            // Validate import data structure
-            if (!parsedData.version || !parsedData.exported_at || !parsedData.prompts) {
-                throw new Error('Invalid import data structure - missing required fields (version, exported_at, prompts)');
-            }
-
-            // Check version compatibility
-            if (parsedData.version !== '1.0.0') {
-                console.warn(`[${this.extensionName}] Import data version ${parsedData.version} may not be fully compatible`);
+            const trashedPrompts = await this.getTrashedPrompts();
+            for (const promptData of trashedPrompts) {
+                await this.deletePrompt(promptData.id, { permanent: true });
             }
 
-            // Create backup before import if requested
-            if (options.createBackup !== false) {
-                await this.createAutomaticBackup('before_import');
-            }
-
-            // Process import options
-            const importOptions = {
-                overwriteExisting: options.overwriteExisting || false,
-                mergeMetadata: options.mergeMetadata !== false,
-                validatePrompts: options.validatePrompts !== false,
-                ...options
+            return {
+                success: true,
+                purgedCount: trashedPrompts.length,
+                message: `Permanently deleted ${trashedPrompts.length} prompts`
             };
 
-            // Import prompts
-            const importResults = {
-                imported: 0,
-                skipped: 0,
-                errors: 0,
-                details: []
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error emptying trash:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to empty trash'
             };
+        }
+    }
 
-            for (const [promptId, promptData] of Object.entries(parsedData.prompts)) {
-                try {
-                    // Validate prompt data if requested
-                    if (importOptions.validatePrompts) {
-                        const validation = this.validatePromptData(promptData);
-                        if (!validation.isValid) {
-                            importResults.errors++;
-                            importResults.details.push({
-                                id: promptId,
-                                name: promptData.name || 'Unknown',
-                                status: 'error',
-                                reason: `Validation failed: ${validation.issues.join(', ')}`
-                            });
-                            continue;
-                        }
-                    }
-
-                    // Check if prompt already exists
-                    const existingPrompts = await this.getPrompts();
-                    const existingPrompt = existingPrompts[promptId];
-
-                    if (existingPrompt && !importOptions.overwriteExisting) {
-                        importResults.skipped++;
-                        importResults.details.push({
-                            id: promptId,
-                            name: promptData.name || 'Unknown',
-                            status: 'skipped',
-                            reason: 'Prompt already exists and overwrite is disabled'
-                        });
-                        continue;
-                    }
-
-                    // Merge metadata if requested and prompt exists
-                    let finalPromptData = { ...promptData };
-                    if (existingPrompt && importOptions.mergeMetadata) {
-                        finalPromptData.metadata = {
-                            ...promptData.metadata,
-                            ...existingPrompt.metadata,
-                            imported_at: new Date().toISOString(),
-                            import_source: parsedData.exported_at
-                        };
-                    } else {
-                        // Add import metadata
-                        finalPromptData.metadata = {
-                            ...promptData.metadata,
-                            imported_at: new Date().toISOString(),
-                            import_source: parsedData.exported_at
-                        };
-                    }
+    /**
+     * Permanently delete trashed prompts older than settings.trash_retention_days
+     * A retention of 0 days keeps trashed prompts until the trash is emptied
+     * @returns {Promise<Object>} Result object with the number of purged prompts
+     */
+    async purgeExpiredTrash() {
+        try {
+            const retentionDays = extensionSettings.settings?.trash_retention_days ?? 30;
+            if (!(retentionDays > 0)) {
+                return {
+                    success: true,
+                    purgedCount: 0,
+                    message: 'Automatic trash purge is disabled'
+                };
+            }
 
-                    // Save the prompt
-                    const saveResult = await this.savePrompt(finalPromptData);
-                    if (saveResult.success) {
-                        importResults.imported++;
-                        importResults.details.push({
-                            id: promptId,
-                            name: promptData.name || 'Unknown',
-                            status: 'imported',
-                            reason: existingPrompt ? 'Overwritten' : 'New prompt'
-                        });
-                    } else {
-                        importResults.errors++;
-                        importResults.details.push({
-                            id: promptId,
-                            name: promptData.name || 'Unknown',
-                            status: 'error',
-                            reason: saveResult.error || 'Save failed'
-                        });
-                    }
+            const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+            const expiredPrompts = (await this.getTrashedPrompts())
+                .filter(promptData => new Date(promptData.trash.deleted_at).getTime() < cutoff);
 
-                } catch (promptError) {
-                    importResults.errors++;
-                    importResults.details.push({
-                        id: promptId,
-                        name: promptData.name || 'Unknown',
-                        status: 'error',
-                        reason: promptError.message
-                    });
-                }
+            for (const promptData of expiredPrompts) {
+                await this.deletePrompt(promptData.id, { permanent: true });
             }
 
-            const totalProcessed = importResults.imported + importResults.skipped + importResults.errors;
-            const success = totalProcessed > 0 && importResults.errors === 0;
-
-            console.log(`[${this.extensionName}] Import completed: ${importResults.imported} imported, ${importResults.skipped} skipped, ${importResults.errors} errors`);
+            if (expiredPrompts.length > 0) {
+                console.log(`[${this.extensionName}] Purged ${expiredPrompts.length} prompts from trash`);
+            }
 
             return {
-                success: success,
-                imported: importResults.imported,
-                skipped: importResults.skipped,
-                errors: importResults.errors,
-                totalProcessed: totalProcessed,
-                details: importResults.details,
-                message: `Import completed: ${importResults.imported} imported, ${importResults.skipped} skipped, ${importResults.errors} errors`
+                success: true,
+                purgedCount: expiredPrompts.length,
+                message: `Purged ${expiredPrompts.length} expired prompts from trash`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error importing prompts:`, error);
+            console.error(`[${this.extensionName}] Error purging trash:`, error);
             return {
                 success: false,
                 error: error.message,
-                imported: 0,
-                skipped: 0,
-                errors: 0,
-                message: 'Import failed: ' + error.message
+                message: 'Failed to purge trash'
             };
         }
     }
 
     /**
-     * Create automatic backup of current prompts
-     * @param {string} reason - Reason for creating backup
-     * @param {Object} options - Backup options
-     * @returns {Promise<Object>} Backup result
+     * Update prompt metadata
+     * @param {string} promptId - The ID of the prompt to update
+     * @param {Object} metadata - Metadata updates to apply
+     * @param {Object} options - Update options
+     * @param {boolean} options.silent - Don't emit a change event (the caller emits its own)
+     * @returns {Promise<Object>} Result object with success status
      */
-    async createAutomaticBackup(reason = 'automatic', options = {}) {
+    async updatePromptMetadata(promptId, metadata, options = {}) {
         try {
-            console.log(`[${this.extensionName}] Creating automatic backup: ${reason}`);
+            const promptData = await this.loadPrompt(promptId);
+            if (!promptData) {
+                return {
+                    success: false,
+                    error: 'Prompt not found',
+                    message: 'Prompt does not exist'
+                };
+            }
+            const previousData = this.clonePromptForEvent(promptData);
 
-            // Get current prompts
-            const prompts = await this.getPrompts();
-            const timestamp = new Date().toISOString();
+            // Update metadata
+            promptData.metadata = { ...promptData.metadata, ...metadata };
 
-            // Create backup data structure
-            const backupData = {
-                version: '1.0.0',
-                backup_type: 'automatic',
-                created_at: timestamp,
-                reason: reason,
-                prompts: prompts,
-                metadata: {
-                    total_prompts: Object.keys(prompts).length,
-                    backup_size: JSON.stringify(prompts).length,
-                    created_by: 'prompt-saver-extension'
-                }
-            };
-
-            // Generate backup ID
-            const backupId = `backup_${Date.now()}_${reason.replace(/[^a-z0-9]/gi, '_')}`;
+            // Validate updated data
+            const validation = this.validatePromptData(promptData);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    error: `Validation failed: ${validation.errors.join(', ')}`,
+                    message: 'Invalid metadata update'
+                };
+            }
 
-            // In a real implementation, this would save to a backup storage location
-            // For now, we'll store it in localStorage with a special prefix (if available)
-            const backupKey = `${this.storageKey}_backup_${backupId}`;
+            // Save updated prompt
+            await getPromptStorage().writePrompt(promptData);
+            getSearchIndex().addDocument(promptData);
 
-            if (typeof localStorage !== 'undefined') {
-                try {
-                    localStorage.setItem(backupKey, JSON.stringify(backupData));
-                } catch (storageError) {
-                    // If localStorage is full, try to clean up old backups
-                    await this.cleanupOldBackups();
-                    localStorage.setItem(backupKey, JSON.stringify(backupData));
-                }
+            console.log(`[${this.extensionName}] Prompt metadata updated:`, promptId);
 
-                // Keep track of backups
-                const backupIndex = this.getBackupIndex();
-                backupIndex[backupId] = {
-                    id: backupId,
-                    created_at: timestamp,
-                    reason: reason,
-                    total_prompts: Object.keys(prompts).length,
-                    size: JSON.stringify(backupData).length
-                };
-                this.saveBackupIndex(backupIndex);
-            } else {
-                console.log(`[${this.extensionName}] localStorage not available, backup simulated in test environment`);
+            if (!options.silent) {
+                const favoriteChanged = 'favorite' in metadata && previousData.metadata?.favorite !== promptData.metadata.favorite;
+                this.emitPromptChange(
+                    favoriteChanged ? PROMPT_SAVER_EVENTS.FAVORITED : PROMPT_SAVER_EVENTS.UPDATED,
+                    promptId,
+                    previousData,
+                    promptData
+                );
             }
 
-            console.log(`[${this.extensionName}] Automatic backup created: ${backupId}`);
-
             return {
                 success: true,
-                backupId: backupId,
-                backupData: backupData,
-                size: JSON.stringify(backupData).length,
-                message: `Automatic backup created successfully: ${backupId}`
+                promptData: promptData,
+                previousData: previousData,
+                message: 'Prompt metadata updated successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error creating automatic backup:`, error);
+            console.error(`[${this.extensionName}] Error updating prompt metadata ${promptId}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to create automatic backup: ' + error.message
+                message: 'Failed to update prompt metadata'
             };
         }
     }
 
     /**
-     * Get backup index from storage
-     * @returns {Object} Backup index
+     * Create a revision entry from the tracked fields of a prompt
+     * @param {Object} promptData - The prompt version to capture
+     * @param {string} reason - Why this version is being replaced
+     * @returns {Object} Revision entry
      */
-    getBackupIndex() {
-        try {
-            if (typeof localStorage === 'undefined') {
-                return {}; // Return empty index in test environment
-            }
-            const indexKey = `${this.storageKey}_backup_index`;
-            const indexData = localStorage.getItem(indexKey);
-            return indexData ? JSON.parse(indexData) : {};
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error getting backup index:`, error);
-            return {};
+    createRevisionEntry(promptData, reason) {
+        const revision = {
+            id: 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            created_at: new Date().toISOString(),
+            reason: reason
+        };
+
+        this.revisionFields.forEach(field => {
+            revision[field] = promptData[field];
+        });
+
+        return revision;
+    }
+
+    /**
+     * Check whether any revision-tracked field differs between two prompt versions
+     * @param {Object} previousData - The stored prompt version
+     * @param {Object} nextData - The incoming prompt version
+     * @returns {boolean} True if a revision should be recorded
+     */
+    hasRevisionableChanges(previousData, nextData) {
+        return this.revisionFields.some(field => previousData[field] !== nextData[field]);
+    }
+
+    /**
+     * Build the bounded revision list for a prompt that is about to be replaced
+     * @param {Object} previousData - The stored prompt version
+     * @param {Object} nextData - The incoming prompt version
+     * @param {string} reason - Why the stored version is being replaced
+     * @returns {Array} Revision list, oldest first
+     */
+    buildRevisionHistory(previousData, nextData, reason) {
+        const revisions = Array.isArray(previousData.revisions) ? [...previousData.revisions] : [];
+
+        if (this.hasRevisionableChanges(previousData, nextData)) {
+            revisions.push(this.createRevisionEntry(previousData, reason));
         }
+
+        const maxRevisions = extensionSettings.settings?.max_revisions || 20;
+        return revisions.slice(-maxRevisions);
     }
 
     /**
-     * Save backup index to storage
-     * @param {Object} backupIndex - Backup index to save
+     * Get the revision history of a prompt
+     * @param {string} promptId - The ID of the prompt
+     * @returns {Promise<Array>} Revisions, newest first
      */
-    saveBackupIndex(backupIndex) {
+    async getPromptRevisions(promptId) {
         try {
-            if (typeof localStorage === 'undefined') {
-                return; // Skip saving in test environment
+            const promptData = await this.loadPrompt(promptId);
+            if (!promptData || !Array.isArray(promptData.revisions)) {
+                return [];
             }
-            const indexKey = `${this.storageKey}_backup_index`;
-            localStorage.setItem(indexKey, JSON.stringify(backupIndex));
+
+            return [...promptData.revisions].reverse();
+
         } catch (error) {
-            console.error(`[${this.extensionName}] Error saving backup index:`, error);
+            console.error(`[${this.extensionName}] Error getting revisions for prompt ${promptId}:`, error);
+            return [];
         }
     }
 
     /**
-     * Clean up old backups to free storage space
-     * @returns {Promise<Object>} Cleanup result
+     * Roll a prompt back to an earlier revision
+     * The current version is kept in the history so the rollback can itself be undone
+     * @param {string} promptId - The ID of the prompt to roll back
+     * @param {string} revisionId - The ID of the revision to restore
+     * @returns {Promise<Object>} Result object with success status and restored prompt data
      */
-    async cleanupOldBackups() {
+    async rollbackPrompt(promptId, revisionId) {
         try {
-            console.log(`[${this.extensionName}] Cleaning up old backups`);
-
-            if (typeof localStorage === 'undefined') {
+            const promptData = await this.loadPrompt(promptId);
+            if (!promptData) {
                 return {
-                    success: true,
-                    deletedCount: 0,
-                    message: 'Cleanup skipped in test environment'
+                    success: false,
+                    error: 'Prompt not found',
+                    message: 'Prompt does not exist'
                 };
             }
 
-            const backupIndex = this.getBackupIndex();
-            const backupEntries = Object.values(backupIndex);
-
-            // Sort by creation date (oldest first)
-            backupEntries.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-
-            // Keep only the 5 most recent backups
-            const maxBackups = 5;
-            let deletedCount = 0;
-
-            if (backupEntries.length > maxBackups) {
-                const backupsToDelete = backupEntries.slice(0, backupEntries.length - maxBackups);
+            const revision = (promptData.revisions || []).find(rev => rev.id === revisionId);
+            if (!revision) {
+                return {
+                    success: false,
+                    error: 'Revision not found',
+                    message: 'Revision does not exist'
+                };
+            }
 
-                for (const backup of backupsToDelete) {
-                    try {
-                        const backupKey = `${this.storageKey}_backup_${backup.id}`;
-                        localStorage.removeItem(backupKey);
-                        delete backupIndex[backup.id];
-                        deletedCount++;
-                    } catch (deleteError) {
-                        console.warn(`[${this.extensionName}] Failed to delete backup ${backup.id}:`, deleteError);
-                    }
+            const restoredData = { ...promptData };
+            this.revisionFields.forEach(field => {
+                if (revision[field] !== undefined) {
+                    restoredData[field] = revision[field];
                 }
+            });
 
-                // Update backup index
-                this.saveBackupIndex(backupIndex);
+            const saveResult = await this.savePrompt(restoredData, { revisionReason: 'before_rollback' });
+            if (!saveResult.success) {
+                throw new Error(saveResult.error);
             }
 
+            console.log(`[${this.extensionName}] Prompt ${promptId} rolled back to revision ${revisionId}`);
+
             return {
                 success: true,
-                deletedCount: deletedCount,
-                message: `Cleaned up ${deletedCount} old backups`
+                promptData: saveResult.promptData,
+                message: 'Prompt rolled back successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error cleaning up old backups:`, error);
+            console.error(`[${this.extensionName}] Error rolling back prompt ${promptId}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to clean up old backups'
+                message: 'Failed to roll back prompt'
             };
         }
     }
 
     /**
-     * Enable prompt caching for improved performance
-     * @param {Object} options - Caching options
-     * @returns {Object} Caching result
+     * Normalize prompt content for duplicate detection
+     * Line endings, runs of spaces and surrounding whitespace do not count as differences
+     * @param {string} content - Prompt content
+     * @returns {string} Normalized content
      */
-    enablePromptCaching(options = {}) {
+    normalizeContent(content) {
+        return String(content || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ ?\n ?/g, '\n')
+            .trim();
+    }
+
+    /**
+     * Compute a 64-bit hash of the normalized prompt content
+     * @param {string} content - Prompt content
+     * @returns {string} Hex-encoded content hash
+     */
+    computeContentHash(content) {
+        const text = this.normalizeContent(content);
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Find a stored prompt whose normalized content is identical
+     * @param {string} content - Prompt content to look for
+     * @returns {Promise<Object|null>} The matching prompt or null
+     */
+    async findPromptByContent(content) {
+        const contentHash = this.computeContentHash(content);
+        const normalizedContent = this.normalizeContent(content);
+        const prompts = await this.getPrompts();
+
+        return Object.values(prompts).find(prompt =>
+            (prompt.content_hash || this.computeContentHash(prompt.content)) === contentHash &&
+            this.normalizeContent(prompt.content) === normalizedContent
+        ) || null;
+    }
+
+    /**
+     * Resolve an incoming prompt against an existing prompt with identical content
+     * @param {Object} existingPrompt - The stored prompt with the same content
+     * @param {Object} incomingPrompt - The prompt that was about to be saved
+     * @param {string} mode - 'skip' leaves the stored prompt alone, 'merge' adds the incoming
+     *                        tags and source preset, 'update' also takes over name, role and injection settings
+     * @returns {Promise<Object>} Result object with the action taken and resulting prompt data
+     */
+    async resolveDuplicatePrompt(existingPrompt, incomingPrompt, mode = 'skip') {
         try {
-            console.log(`[${this.extensionName}] Enabling prompt caching`);
+            if (mode === 'skip') {
+                return {
+                    success: true,
+                    action: 'skipped',
+                    promptData: existingPrompt,
+                    message: 'Identical prompt already in library'
+                };
+            }
 
-            const config = {
-                maxCacheSize: options.maxCacheSize || 100,
-                ttl: options.ttl || 300000, // 5 minutes
-                enableMemoryCache: options.enableMemoryCache !== false,
-                enableFilterCache: options.enableFilterCache !== false,
-                ...options
-            };
+            const existingMetadata = existingPrompt.metadata || {};
+            const incomingMetadata = incomingPrompt.metadata || {};
+            const sourcePresets = [
+                existingMetadata.source_preset,
+                ...(existingMetadata.source_presets || []),
+                incomingMetadata.source_preset
+            ].filter(Boolean);
 
-            // Initialize cache storage
-            this.promptCache = {
-                data: new Map(),
-                filters: new Map(),
-                metadata: new Map(),
-                config: config,
-                stats: {
-                    hits: 0,
-                    misses: 0,
-                    evictions: 0
+            const updatedPrompt = {
+                ...existingPrompt,
+                metadata: {
+                    ...existingMetadata,
+                    tags: [...new Set([...(existingMetadata.tags || []), ...(incomingMetadata.tags || [])])],
+                    source_presets: [...new Set(sourcePresets)]
                 }
             };
 
+            if (mode === 'update') {
+                this.revisionFields.forEach(field => {
+                    if (field !== 'content' && incomingPrompt[field] !== undefined) {
+                        updatedPrompt[field] = incomingPrompt[field];
+                    }
+                });
+            }
+
+            const saveResult = await this.savePrompt(updatedPrompt);
+            if (!saveResult.success) {
+                throw new Error(saveResult.error);
+            }
+
             return {
                 success: true,
-                config: config,
-                message: 'Prompt caching enabled successfully'
+                action: mode === 'update' ? 'updated' : 'merged',
+                promptData: saveResult.promptData,
+                message: `Identical prompt ${mode === 'update' ? 'updated' : 'merged'}`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error enabling prompt caching:`, error);
+            console.error(`[${this.extensionName}] Error resolving duplicate prompt:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to enable prompt caching'
+                message: 'Failed to resolve duplicate prompt'
             };
         }
     }
 
     /**
-     * Cache filter results for faster subsequent searches
-     * @param {string} filterKey - Unique key for the filter
-     * @param {Array} results - Filter results to cache
-     * @param {Object} metadata - Additional metadata
-     * @returns {Object} Cache result
+     * Build the set of word bigrams used for similarity comparison
+     * @param {string} content - Prompt content
+     * @returns {Set<string>} Word shingles
      */
-    cacheFilterResults(filterKey, results, metadata = {}) {
+    getContentShingles(content) {
+        const words = this.normalizeContent(content).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+        if (words.length < 2) {
+            return new Set(words);
+        }
+
+        const shingles = new Set();
+        for (let i = 0; i < words.length - 1; i++) {
+            shingles.add(`${words[i]} ${words[i + 1]}`);
+        }
+        return shingles;
+    }
+
+    /**
+     * Calculate the Jaccard similarity of two shingle sets
+     * @param {Set<string>} shinglesA - First shingle set
+     * @param {Set<string>} shinglesB - Second shingle set
+     * @returns {number} Similarity between 0 and 1
+     */
+    calculateSimilarity(shinglesA, shinglesB) {
+        if (shinglesA.size === 0 && shinglesB.size === 0) {
+            return 1;
+        }
+
+        const [smaller, larger] = shinglesA.size <= shinglesB.size ? [shinglesA, shinglesB] : [shinglesB, shinglesA];
+        let intersection = 0;
+        smaller.forEach(shingle => {
+            if (larger.has(shingle)) {
+                intersection++;
+            }
+        });
+
+        return intersection / (shinglesA.size + shinglesB.size - intersection);
+    }
+
+    /**
+     * Calculate the Levenshtein edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Minimum number of single-character insertions, deletions and substitutions
+     */
+    calculateEditDistance(a, b) {
+        if (a === b) {
+            return 0;
+        }
+        if (a.length === 0 || b.length === 0) {
+            return Math.max(a.length, b.length);
+        }
+
+        let previousRow = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(
+                    previousRow[j] + 1,
+                    currentRow[j - 1] + 1,
+                    previousRow[j - 1] + substitutionCost
+                );
+            }
+            previousRow = currentRow;
+        }
+
+        return previousRow[b.length];
+    }
+
+    /**
+     * Group prompts whose text similarity is above a threshold
+     * Prompts are linked pairwise and linked prompts form a cluster
+     * @param {Object} options - Search options
+     * @param {number} options.threshold - Minimum similarity between 0 and 1 (default settings.similarity_threshold)
+     * @returns {Promise<Object>} Result object with clusters, largest first
+     */
+    async findSimilarPrompts(options = {}) {
         try {
-            if (!this.promptCache) {
-                return { success: false, message: 'Caching not enabled' };
+            const threshold = options.threshold ?? extensionSettings.settings?.similarity_threshold ?? 0.8;
+            if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+                throw new Error('Similarity threshold must be a number between 0 and 1');
             }
 
-            const cacheEntry = {
-                results: results,
-                metadata: metadata,
-                timestamp: Date.now(),
-                accessCount: 0
+            const prompts = Object.values(await this.getPrompts());
+            const shingles = prompts.map(prompt => this.getContentShingles(prompt.content));
+
+            // Union-find over prompt indexes
+            const parent = prompts.map((_, index) => index);
+            const findRoot = (index) => {
+                while (parent[index] !== index) {
+                    parent[index] = parent[parent[index]];
+                    index = parent[index];
+                }
+                return index;
             };
 
-            // Check cache size and evict if necessary
-            if (this.promptCache.filters.size >= this.promptCache.config.maxCacheSize) {
-                this.evictOldestCacheEntry('filters');
+            const pairSimilarity = new Map();
+            for (let i = 0; i < prompts.length; i++) {
+                for (let j = i + 1; j < prompts.length; j++) {
+                    // Jaccard can never exceed the ratio of the set sizes
+                    const sizeRatio = Math.min(shingles[i].size, shingles[j].size) / Math.max(shingles[i].size, shingles[j].size, 1);
+                    if (sizeRatio < threshold) {
+                        continue;
+                    }
+
+                    const similarity = this.calculateSimilarity(shingles[i], shingles[j]);
+                    if (similarity >= threshold) {
+                        parent[findRoot(j)] = findRoot(i);
+                        pairSimilarity.set(`${i}:${j}`, similarity);
+                    }
+                }
             }
 
-            this.promptCache.filters.set(filterKey, cacheEntry);
+            const groups = new Map();
+            prompts.forEach((_, index) => {
+                const root = findRoot(index);
+                if (!groups.has(root)) {
+                    groups.set(root, []);
+                }
+                groups.get(root).push(index);
+            });
 
-            console.log(`[${this.extensionName}] Cached filter results for key: ${filterKey}`);
+            const clusters = [];
+            groups.forEach(indexes => {
+                if (indexes.length < 2) {
+                    return;
+                }
+
+                const similarities = [];
+                pairSimilarity.forEach((similarity, key) => {
+                    const [i] = key.split(':').map(Number);
+                    if (indexes.includes(i)) {
+                        similarities.push(similarity);
+                    }
+                });
+
+                clusters.push({
+                    promptIds: indexes.map(index => prompts[index].id),
+                    prompts: indexes.map(index => prompts[index]),
+                    minSimilarity: Math.min(...similarities),
+                    maxSimilarity: Math.max(...similarities)
+                });
+            });
+
+            clusters.sort((a, b) => b.prompts.length - a.prompts.length || b.maxSimilarity - a.maxSimilarity);
 
             return {
                 success: true,
-                filterKey: filterKey,
-                resultCount: results.length,
-                message: 'Filter results cached successfully'
+                clusters: clusters,
+                threshold: threshold,
+                message: `Found ${clusters.length} groups of similar prompts`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error caching filter results:`, error);
+            console.error(`[${this.extensionName}] Error finding similar prompts:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to cache filter results'
+                clusters: [],
+                message: 'Failed to find similar prompts'
             };
         }
     }
 
     /**
-     * Clear cache to free memory
-     * @param {string} cacheType - Type of cache to clear ('all', 'data', 'filters')
-     * @returns {Object} Clear result
+     * Collapse several prompts into one canonical prompt
+     * The canonical prompt keeps its own text and gains the combined tags, source presets
+     * and usage counts of the others, which are then deleted
+     * @param {string} canonicalId - ID of the prompt to keep
+     * @param {Array<string>} otherIds - IDs of the prompts to merge into it
+     * @returns {Promise<Object>} Result object with the merged prompt data
      */
-    clearCache(cacheType = 'all') {
+    async mergePrompts(canonicalId, otherIds) {
         try {
-            if (!this.promptCache) {
-                return { success: false, message: 'Caching not enabled' };
+            if (!Array.isArray(otherIds) || otherIds.length === 0) {
+                throw new Error('At least one prompt to merge is required');
             }
 
-            let clearedCount = 0;
+            const canonicalPrompt = await this.loadPrompt(canonicalId);
+            if (!canonicalPrompt) {
+                throw new Error(`Prompt not found: ${canonicalId}`);
+            }
 
-            switch (cacheType) {
-                case 'data':
-                    clearedCount = this.promptCache.data.size;
-                    this.promptCache.data.clear();
-                    break;
-                case 'filters':
-                    clearedCount = this.promptCache.filters.size;
-                    this.promptCache.filters.clear();
-                    break;
-                case 'all':
-                default:
-                    clearedCount = this.promptCache.data.size + this.promptCache.filters.size;
-                    this.promptCache.data.clear();
-                    this.promptCache.filters.clear();
-                    this.promptCache.metadata.clear();
-                    // Reset stats
-                    this.promptCache.stats = {
-                        hits: 0,
-                        misses: 0,
-                        evictions: 0
-                    };
-                    break;
+            const mergedIds = otherIds.filter(id => id !== canonicalId);
+            const otherPrompts = [];
+            for (const promptId of mergedIds) {
+                const promptData = await this.loadPrompt(promptId);
+                if (!promptData) {
+                    throw new Error(`Prompt not found: ${promptId}`);
+                }
+                otherPrompts.push(promptData);
             }
 
-            console.log(`[${this.extensionName}] Cleared ${cacheType} cache: ${clearedCount} entries`);
+            const allPrompts = [canonicalPrompt, ...otherPrompts];
+            const lastUsedDates = allPrompts.map(p => p.metadata.last_used).filter(Boolean).sort();
+            const createdDates = allPrompts.map(p => p.metadata.created_at).filter(Boolean).sort();
+            const sourcePresets = allPrompts.flatMap(p => [p.metadata.source_preset, ...(p.metadata.source_presets || [])]).filter(Boolean);
+
+            const mergedPrompt = {
+                ...canonicalPrompt,
+                metadata: {
+                    ...canonicalPrompt.metadata,
+                    created_at: createdDates[0] || canonicalPrompt.metadata.created_at,
+                    last_used: lastUsedDates[lastUsedDates.length - 1] || null,
+                    favorite: allPrompts.some(p => p.metadata.favorite),
+                    usage_count: allPrompts.reduce((sum, p) => sum + (p.metadata.usage_count || 0), 0),
+                    tags: [...new Set(allPrompts.flatMap(p => p.metadata.tags || []))],
+                    source_presets: [...new Set(sourcePresets)]
+                }
+            };
+
+            await this.createAutomaticBackup('before_merge');
+
+            const saveResult = await this.savePrompt(mergedPrompt);
+            if (!saveResult.success) {
+                throw new Error(saveResult.error);
+            }
+
+            const deleteResult = await this.deletePrompts(mergedIds, { createBackup: false, reason: 'merged' });
+
+            console.log(`[${this.extensionName}] Merged ${deleteResult.deletedCount} prompts into ${canonicalId}`);
 
             return {
                 success: true,
-                cacheType: cacheType,
-                clearedCount: clearedCount,
-                message: `Cache cleared: ${clearedCount} entries`
+                promptData: saveResult.promptData,
+                mergedCount: deleteResult.deletedCount,
+                message: `Merged ${deleteResult.deletedCount} prompts into "${canonicalPrompt.name}"`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error clearing cache:`, error);
+            console.error(`[${this.extensionName}] Error merging prompts into ${canonicalId}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to clear cache'
+                message: 'Failed to merge prompts'
             };
         }
     }
 
     /**
-     * Evict oldest cache entry to make room for new ones
-     * @param {string} cacheType - Type of cache to evict from
+     * Find the fill-in variables of a templated prompt, e.g. {{ps:tone|default=dark}}
+     * @param {string} content - Prompt content
+     * @returns {Array<Object>} Variables in order of first use, each with name and defaultValue
      */
-    evictOldestCacheEntry(cacheType) {
-        try {
-            const cache = this.promptCache[cacheType];
-            if (!cache || cache.size === 0) return;
+    parseTemplateVariables(content) {
+        const variables = [];
+        const seen = new Set();
+        const pattern = new RegExp(this.templatePattern.source, 'g');
+        let match;
+
+        while ((match = pattern.exec(String(content || ''))) !== null) {
+            const name = match[1];
+            if (!seen.has(name)) {
+                seen.add(name);
+                variables.push({ name: name, defaultValue: match[2] !== undefined ? match[2] : '' });
+            }
+        }
 
-            let oldestKey = null;
-            let oldestTimestamp = Date.now();
+        return variables;
+    }
 
-            for (const [key, entry] of cache.entries()) {
-                if (entry.timestamp < oldestTimestamp) {
-                    oldestTimestamp = entry.timestamp;
-                    oldestKey = key;
-                }
-            }
+    /**
+     * Check whether a prompt contains fill-in variables
+     * @param {string} content - Prompt content
+     * @returns {boolean} True if the content is a template
+     */
+    isTemplate(content) {
+        return this.parseTemplateVariables(content).length > 0;
+    }
 
-            if (oldestKey) {
-                cache.delete(oldestKey);
-                this.promptCache.stats.evictions++;
-                console.log(`[${this.extensionName}] Evicted cache entry: ${oldestKey}`);
+    /**
+     * Substitute template variables; variables without a value use their default
+     * @param {string} content - Template content
+     * @param {Object} values - Variable values keyed by name
+     * @returns {string} Resolved content
+     */
+    renderTemplate(content, values = {}) {
+        const pattern = new RegExp(this.templatePattern.source, 'g');
+        return String(content || '').replace(pattern, (placeholder, name, defaultValue) => {
+            const value = values[name];
+            if (value !== undefined && value !== null && value !== '') {
+                return String(value);
             }
+            return defaultValue !== undefined ? defaultValue : '';
+        });
+    }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error evicting cache entry:`, error);
+    /**
+     * Get the token count of a prompt from its cache, or an estimate if the cache is stale
+     * The cache is stale when the content or the active tokenizer changed since it was counted
+     * @param {Object} promptData - The prompt data
+     * @returns {Object} Count and whether it is an estimate
+     */
+    getCachedTokenCount(promptData) {
+        const cache = promptData.token_count;
+        if (cache && cache.content_hash === promptData.content_hash && cache.tokenizer === getTokenCounter().getTokenizerId()) {
+            return { count: cache.count, estimated: cache.tokenizer === 'estimate' };
         }
+
+        return { count: getTokenCounter().estimateTokens(promptData.content), estimated: true };
     }
 
     /**
-     * Get cached filter results
-     * @param {string} filterKey - Filter key to lookup
-     * @returns {Object|null} Cached results or null if not found
+     * Count a prompt's tokens with the active tokenizer and cache the count on the prompt
+     * @param {string} promptId - The ID of the prompt
+     * @returns {Promise<Object>} Result object with the token count
      */
-    getCachedFilterResults(filterKey) {
+    async getPromptTokenCount(promptId) {
         try {
-            if (!this.promptCache || !this.promptCache.filters.has(filterKey)) {
-                this.promptCache && this.promptCache.stats.misses++;
-                return null;
+            const promptData = await this.loadPrompt(promptId, { includeTrashed: true });
+            if (!promptData) {
+                return {
+                    success: false,
+                    error: 'Prompt not found',
+                    message: 'Prompt does not exist'
+                };
             }
 
-            const entry = this.promptCache.filters.get(filterKey);
-
-            // Check if entry has expired
-            const age = Date.now() - entry.timestamp;
-            if (age > this.promptCache.config.ttl) {
-                this.promptCache.filters.delete(filterKey);
-                this.promptCache.stats.misses++;
-                return null;
+            const tokenizerId = getTokenCounter().getTokenizerId();
+            const cache = promptData.token_count;
+            if (cache && cache.content_hash === promptData.content_hash && cache.tokenizer === tokenizerId) {
+                return {
+                    success: true,
+                    count: cache.count,
+                    estimated: cache.tokenizer === 'estimate',
+                    message: 'Token count loaded from cache'
+                };
             }
 
-            // Update access count and return results
-            entry.accessCount++;
-            this.promptCache.stats.hits++;
+            const result = await getTokenCounter().countTokens(promptData.content);
 
-            return entry.results;
+            // Written straight to storage: a cache refresh is not an edit and must not add a revision
+            await getPromptStorage().writePrompt({
+                ...promptData,
+                token_count: {
+                    count: result.count,
+                    tokenizer: result.tokenizer,
+                    content_hash: promptData.content_hash
+                }
+            });
+
+            return {
+                success: true,
+                count: result.count,
+                estimated: result.estimated,
+                message: 'Token count updated'
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error getting cached filter results:`, error);
-            return null;
+            console.error(`[${this.extensionName}] Error counting tokens for prompt ${promptId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to count tokens'
+            };
         }
     }
-}
-
-/**
- * PresetIntegrator class handles integration with SillyTavern's completion preset system
- * Provides methods to extract current preset data, update preset prompts, and generate HTML
- */
-class PresetIntegrator {
-    constructor() {
-        this.extensionName = extensionName;
-    }
 
     /**
-     * Get the current completion preset data including prompts array
-     * @returns {Object|null} Current preset data or null if not available
+     * Refresh stale token counts for a set of prompts
+     * Prompts are counted in batches; each batch is stored with a single replaceAll and the
+     * event loop is released between batches, so this can run in the background
+     * @param {Object} prompts - Prompts keyed by ID, updated in place
+     * @param {Object} options - Recount options
+     * @param {number} options.batchSize - Prompts counted per batch
+     * @param {Function} options.onBatch - Called with the IDs of the prompts stored by each batch
+     * @returns {Promise<number>} Number of prompts that were recounted
      */
-    getCurrentPreset() {
-        try {
-            // Try to get current preset from SillyTavern's global function
-            if (typeof getCurrentCompletionPreset === 'function') {
-                const preset = getCurrentCompletionPreset();
-                if (preset && preset.prompts) {
-                    console.log(`[${this.extensionName}] Current preset retrieved:`, preset.name);
-                    return preset;
+    async updateTokenCounts(prompts, options = {}) {
+        const tokenizerId = getTokenCounter().getTokenizerId();
+        const batchSize = options.batchSize || 25;
+        const stalePrompts = Object.values(prompts).filter(promptData => {
+            const cache = promptData.token_count;
+            return !cache || cache.content_hash !== promptData.content_hash || cache.tokenizer !== tokenizerId;
+        });
+        let updatedCount = 0;
+
+        for (let start = 0; start < stalePrompts.length; start += batchSize) {
+            const counts = {};
+            for (const promptData of stalePrompts.slice(start, start + batchSize)) {
+                try {
+                    const result = await getTokenCounter().countTokens(promptData.content);
+                    counts[promptData.id] = {
+                        count: result.count,
+                        tokenizer: result.tokenizer,
+                        content_hash: promptData.content_hash
+                    };
+                } catch (error) {
+                    console.warn(`[${this.extensionName}] Failed to count tokens for prompt ${promptData.id}:`, error);
                 }
             }
 
-            // Fallback: try to access preset data from global variables
-            if (window.completion_preset && window.completion_preset.prompts) {
-                console.log(`[${this.extensionName}] Current preset retrieved from global:`, window.completion_preset.name);
-                return window.completion_preset;
-            }
+            // Written straight to storage: a cache refresh is not an edit and must not add a revision.
+            // Prompts deleted or edited while the batch was counted are skipped
+            const storage = getPromptStorage();
+            const storedPrompts = storage.getPromptMap();
+            const updates = {};
+            Object.entries(counts).forEach(([id, tokenCount]) => {
+                const storedPrompt = storedPrompts[id];
+                if (storedPrompt && storedPrompt.content_hash === tokenCount.content_hash) {
+                    updates[id] = { ...storedPrompt, token_count: tokenCount };
+                }
+            });
 
-            // Another fallback: check if preset data is available in settings
-            if (window.settings && window.settings.completion_preset) {
-                const presetName = window.settings.completion_preset;
-                if (window.completion_presets && window.completion_presets[presetName]) {
-                    const preset = window.completion_presets[presetName];
-                    console.log(`[${this.extensionName}] Current preset retrieved from settings:`, presetName);
-                    return preset;
+            const updatedIds = Object.keys(updates);
+            if (updatedIds.length > 0) {
+                await storage.replaceAll({ ...storedPrompts, ...updates });
+                updatedIds.forEach(id => {
+                    prompts[id] = updates[id];
+                });
+                updatedCount += updatedIds.length;
+
+                if (typeof options.onBatch === 'function') {
+                    options.onBatch(updatedIds);
                 }
             }
 
-            console.warn(`[${this.extensionName}] No current preset found`);
-            return null;
-
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error getting current preset:`, error);
-            return null;
+            // Let the browser render and handle input before the next batch
+            await new Promise(resolve => setTimeout(resolve, 0));
         }
+
+        return updatedCount;
     }
 
     /**
-     * Update the preset prompts array and prompt_order
-     * @param {Array} newPrompts - Array of prompt objects to set
-     * @param {string} presetName - Optional preset name, uses current if not provided
-     * @returns {Object} Result object with success status
+     * Normalize a folder path such as " NSFW / Jailbreaks/ " to "NSFW/Jailbreaks"
+     * @param {string} folderPath - Folder path, segments separated by "/"
+     * @returns {string} Normalized path, empty string for the library root
      */
-    updatePresetPrompts(newPrompts, presetName = null) {
-        try {
-            if (!Array.isArray(newPrompts)) {
-                throw new Error('newPrompts must be an array');
-            }
+    normalizeFolderPath(folderPath) {
+        return String(folderPath || '')
+            .split('/')
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0)
+            .join('/');
+    }
 
-            // Get current preset if no preset name provided
-            let targetPreset;
-            if (presetName) {
-                if (window.completion_presets && window.completion_presets[presetName]) {
-                    targetPreset = window.completion_presets[presetName];
-                } else {
-                    throw new Error(`Preset '${presetName}' not found`);
-                }
-            } else {
-                targetPreset = this.getCurrentPreset();
-                if (!targetPreset) {
-                    throw new Error('No current preset available');
-                }
+    /**
+     * Check whether a prompt folder is the given folder or one of its subfolders
+     * @param {string} promptFolder - Folder of the prompt
+     * @param {string} folderPath - Selected folder
+     * @returns {boolean} True if the prompt is inside the folder
+     */
+    isInFolder(promptFolder, folderPath) {
+        const folder = promptFolder || '';
+        return folder === folderPath || folder.startsWith(folderPath + '/');
+    }
+
+    /**
+     * Get every folder path, including parents of nested folders
+     * @returns {Promise<Array<string>>} Sorted folder paths
+     */
+    async getFolders() {
+        const prompts = await this.getPrompts();
+        const folders = new Set();
+
+        const addWithParents = (folderPath) => {
+            const segments = this.normalizeFolderPath(folderPath).split('/').filter(Boolean);
+            for (let i = 1; i <= segments.length; i++) {
+                folders.add(segments.slice(0, i).join('/'));
             }
+        };
 
-            // Validate prompt structure
-            const validatedPrompts = newPrompts.map((prompt, index) => {
-                if (!prompt.identifier) {
-                    throw new Error(`Prompt at index ${index} missing identifier`);
-                }
-                if (!prompt.name) {
-                    throw new Error(`Prompt at index ${index} missing name`);
-                }
-                if (prompt.content === undefined || prompt.content === null) {
-                    throw new Error(`Prompt at index ${index} missing content`);
-                }
+        (extensionSettings.folders || []).forEach(addWithParents);
+        Object.values(prompts).forEach(prompt => addWithParents(prompt.metadata.folder));
 
-                // Ensure all required fields are present with defaults
-                return {
-                    identifier: prompt.identifier,
-                    name: prompt.name,
-                    content: prompt.content,
-                    role: prompt.role || 'user',
-                    system_prompt: prompt.system_prompt || false,
-                    marker: prompt.marker || false,
-                    injection_position: prompt.injection_position || 0,
-                    injection_depth: prompt.injection_depth || 4,
-                    injection_order: prompt.injection_order || 100,
-                    forbid_overrides: prompt.forbid_overrides || false,
-                    enabled: prompt.enabled !== undefined ? prompt.enabled : true,
-                    ...prompt // Include any additional properties
-                };
-            });
+        return [...folders].sort((a, b) => a.localeCompare(b));
+    }
 
-            // Update the preset
-            targetPreset.prompts = validatedPrompts;
-            targetPreset.prompt_order = validatedPrompts.map(p => p.identifier);
+    /**
+     * Build the folder hierarchy with prompt counts
+     * @returns {Promise<Array>} Top-level folder nodes with nested children
+     */
+    async getFolderTree() {
+        const folders = await this.getFolders();
+        const prompts = Object.values(await this.getPrompts());
+        const nodes = {};
+        const roots = [];
+
+        folders.forEach(folderPath => {
+            const segments = folderPath.split('/');
+            const node = {
+                name: segments[segments.length - 1],
+                path: folderPath,
+                promptCount: prompts.filter(prompt => (prompt.metadata.folder || '') === folderPath).length,
+                totalCount: prompts.filter(prompt => this.isInFolder(prompt.metadata.folder, folderPath)).length,
+                children: []
+            };
+            nodes[folderPath] = node;
 
-            // Save the updated preset
-            if (typeof updateCompletionPreset === 'function') {
-                updateCompletionPreset(targetPreset);
-            } else if (window.completion_presets) {
-                window.completion_presets[targetPreset.name] = targetPreset;
+            const parentPath = segments.slice(0, -1).join('/');
+            if (parentPath && nodes[parentPath]) {
+                nodes[parentPath].children.push(node);
+            } else {
+                roots.push(node);
             }
+        });
 
-            // Trigger preset update event
-            if (window.eventSource && typeof window.eventSource.emit === 'function') {
-                window.eventSource.emit('preset_updated', { preset: targetPreset });
+        return roots;
+    }
+
+    /**
+     * Create an empty folder
+     * @param {string} folderPath - Path of the folder to create
+     * @returns {Promise<Object>} Result object with the normalized folder path
+     */
+    async createFolder(folderPath) {
+        try {
+            const normalizedPath = this.normalizeFolderPath(folderPath);
+            if (!normalizedPath) {
+                throw new Error('Folder name is required');
             }
 
-            console.log(`[${this.extensionName}] Preset prompts updated successfully:`, targetPreset.name);
+            const folders = new Set(extensionSettings.folders || []);
+            folders.add(normalizedPath);
+            extensionSettings.folders = [...folders];
+            saveSettingsDebounced();
 
             return {
                 success: true,
-                preset: targetPreset,
-                message: 'Preset prompts updated successfully'
+                folderPath: normalizedPath,
+                message: `Folder "${normalizedPath}" created`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error updating preset prompts:`, error);
+            console.error(`[${this.extensionName}] Error creating folder:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to update preset prompts'
+                message: 'Failed to create folder'
             };
         }
     }
 
     /**
-     * Generate proper HTML structure for prompt manager UI
-     * @param {Object} promptData - The prompt data to generate HTML for
-     * @returns {string} HTML string for the prompt manager UI
+     * Rename or move a folder together with its subfolders and prompts
+     * @param {string} oldPath - Current folder path
+     * @param {string} newPath - New folder path
+     * @returns {Promise<Object>} Result object with the number of moved prompts
      */
-    generatePromptHTML(promptData) {
+    async renameFolder(oldPath, newPath) {
         try {
-            if (!promptData || !promptData.identifier) {
-                throw new Error('Invalid prompt data provided');
+            const fromPath = this.normalizeFolderPath(oldPath);
+            const toPath = this.normalizeFolderPath(newPath);
+            if (!fromPath || !toPath) {
+                throw new Error('Folder name is required');
+            }
+            if (this.isInFolder(toPath, fromPath) && toPath !== fromPath) {
+                throw new Error('A folder cannot be moved into its own subfolder');
             }
 
-            // Generate unique IDs for the prompt elements
-            const promptId = `completion_prompt_manager_prompt_${promptData.identifier}`;
-            const toggleId = `completion_prompt_manager_prompt_${promptData.identifier}_enabled`;
-            const editId = `completion_prompt_manager_prompt_${promptData.identifier}_edit`;
-            const deleteId = `completion_prompt_manager_prompt_${promptData.identifier}_delete`;
+            const replacePrefix = (folderPath) => toPath + folderPath.slice(fromPath.length);
 
-            // Calculate token count (simplified estimation)
-            const tokenCount = this.estimateTokenCount(promptData.content);
+            const prompts = await this.getPrompts();
+            let movedCount = 0;
+            for (const prompt of Object.values(prompts)) {
+                if (this.isInFolder(prompt.metadata.folder, fromPath)) {
+                    const result = await this.updatePromptMetadata(prompt.id, { folder: replacePrefix(prompt.metadata.folder) });
+                    if (result.success) {
+                        movedCount++;
+                    }
+                }
+            }
 
-            // Generate role badge
-            const roleBadge = this.generateRoleBadge(promptData.role);
+            extensionSettings.folders = [...new Set((extensionSettings.folders || []).map(folderPath =>
+                this.isInFolder(folderPath, fromPath) ? replacePrefix(folderPath) : folderPath
+            ))];
+            saveSettingsDebounced();
 
-            // Generate system prompt indicator
-            const systemPromptIndicator = promptData.system_prompt ? 
-                '<span class="system-prompt-indicator" title="System Prompt">🔧</span>' : '';
+            return {
+                success: true,
+                folderPath: toPath,
+                movedCount: movedCount,
+                message: `Folder "${fromPath}" renamed to "${toPath}"`
+            };
 
-            // Generate marker indicator
-            const markerIndicator = promptData.marker ? 
-                '<span class="marker-indicator" title="Marker Prompt">📍</span>' : '';
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error renaming folder ${oldPath}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to rename folder'
+            };
+        }
+    }
 
-            // Generate injection settings display
-            const injectionInfo = `Pos: ${promptData.injection_position}, Depth: ${promptData.injection_depth}, Order: ${promptData.injection_order}`;
+    /**
+     * Delete a folder; its prompts and subfolders move up to the parent folder
+     * @param {string} folderPath - Path of the folder to delete
+     * @returns {Promise<Object>} Result object with the number of moved prompts
+     */
+    async deleteFolder(folderPath) {
+        try {
+            const normalizedPath = this.normalizeFolderPath(folderPath);
+            if (!normalizedPath) {
+                throw new Error('The library root cannot be deleted');
+            }
 
-            const html = `
-                <li class="completion_prompt_manager_prompt" data-identifier="${promptData.identifier}" id="${promptId}">
-                    <div class="completion_prompt_manager_prompt_header">
-                        <div class="drag_handle">⋮⋮</div>
-                        <div class="completion_prompt_manager_prompt_controls">
-                            <input type="checkbox" id="${toggleId}" ${promptData.enabled ? 'checked' : ''} 
-                                   title="Enable/disable this prompt">
-                            <label for="${toggleId}" class="completion_prompt_manager_prompt_toggle"></label>
-                        </div>
-                        <div class="completion_prompt_manager_prompt_name">
-                            <span class="prompt-name">${this.escapeHtml(promptData.name)}</span>
-                            ${roleBadge}
-                            ${systemPromptIndicator}
-                            ${markerIndicator}
-                        </div>
-                        <div class="completion_prompt_manager_prompt_tokens">
-                            <span class="token-count" title="Estimated token count">${tokenCount} tokens</span>
-                        </div>
-                        <div class="completion_prompt_manager_prompt_actions">
-                            <button class="menu_button" id="${editId}" title="Edit prompt">✏️</button>
-                            <button class="menu_button" id="${deleteId}" title="Delete prompt">🗑️</button>
-                        </div>
-                    </div>
-                    <div class="completion_prompt_manager_prompt_content">
-                        <div class="prompt-content-preview">
-                            ${this.escapeHtml(this.truncateText(promptData.content, 200))}
-                        </div>
-                        <div class="prompt-injection-info" title="Injection Settings">
-                            <small>${injectionInfo}</small>
-                        </div>
-                    </div>
-                    <div class="completion_prompt_manager_prompt_metadata" style="display: none;">
-                        ${JSON.stringify(promptData)}
-                    </div>
-                </li>
-            `;
+            const parentPath = normalizedPath.split('/').slice(0, -1).join('/');
+            const moveUp = (path) => this.normalizeFolderPath(parentPath + path.slice(normalizedPath.length));
 
-            return html.trim();
+            const prompts = await this.getPrompts();
+            let movedCount = 0;
+            for (const prompt of Object.values(prompts)) {
+                if (this.isInFolder(prompt.metadata.folder, normalizedPath)) {
+                    const result = await this.updatePromptMetadata(prompt.id, { folder: moveUp(prompt.metadata.folder) });
+                    if (result.success) {
+                        movedCount++;
+                    }
+                }
+            }
+
+            extensionSettings.folders = [...new Set((extensionSettings.folders || [])
+                .filter(path => path !== normalizedPath)
+                .map(path => this.isInFolder(path, normalizedPath) ? moveUp(path) : path)
+                .filter(Boolean))];
+            saveSettingsDebounced();
+
+            return {
+                success: true,
+                movedCount: movedCount,
+                message: `Folder "${normalizedPath}" deleted`
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error generating prompt HTML:`, error);
-            return `<li class="completion_prompt_manager_prompt error">Error generating prompt HTML: ${error.message}</li>`;
+            console.error(`[${this.extensionName}] Error deleting folder ${folderPath}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete folder'
+            };
         }
     }
 
     /**
-     * Generate a role badge for the prompt
-     * @param {string} role - The prompt role
-     * @returns {string} HTML for the role badge
+     * Move prompts into a folder
+     * @param {Array<string>} promptIds - IDs of the prompts to move
+     * @param {string} folderPath - Target folder, empty string for the library root
+     * @returns {Promise<Object>} Result object with the number of moved prompts
      */
-    generateRoleBadge(role) {
-        const roleConfig = {
-            'user': { class: 'role-user', icon: '👤', title: 'User Prompt' },
-            'assistant': { class: 'role-assistant', icon: '🤖', title: 'Assistant Prompt' },
-            'system': { class: 'role-system', icon: '⚙️', title: 'System Prompt' }
-        };
+    async movePromptsToFolder(promptIds, folderPath) {
+        try {
+            if (!Array.isArray(promptIds)) {
+                throw new Error('promptIds must be an array');
+            }
 
-        const config = roleConfig[role] || { class: 'role-unknown', icon: '❓', title: 'Unknown Role' };
-        
-        return `<span class="role-badge ${config.class}" title="${config.title}">${config.icon}</span>`;
+            const normalizedPath = this.normalizeFolderPath(folderPath);
+            let movedCount = 0;
+            for (const promptId of promptIds) {
+                const result = await this.updatePromptMetadata(promptId, { folder: normalizedPath });
+                if (result.success) {
+                    movedCount++;
+                }
+            }
+
+            return {
+                success: movedCount > 0,
+                folderPath: normalizedPath,
+                movedCount: movedCount,
+                message: `Moved ${movedCount} prompts to ${normalizedPath || 'the library root'}`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error moving prompts to folder ${folderPath}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to move prompts'
+            };
+        }
     }
 
     /**
-     * Estimate token count for prompt content
-     * @param {string} content - The prompt content
-     * @returns {number} Estimated token count
+     * Get every tag in the library with its usage count and color
+     * @returns {Promise<Array>} Tag entries sorted by name
      */
-    estimateTokenCount(content) {
-        if (!content || typeof content !== 'string') {
-            return 0;
-        }
+    async getTagStats() {
+        const prompts = await this.getPrompts();
+        const tagColors = extensionSettings.tag_colors || {};
+        const counts = {};
+
+        Object.keys(tagColors).forEach(tag => {
+            counts[tag] = 0;
+        });
+        Object.values(prompts).forEach(prompt => {
+            (prompt.metadata.tags || []).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
 
-        // Simple estimation: roughly 4 characters per token
-        // This is a rough approximation and may not be accurate for all tokenizers
-        return Math.ceil(content.length / 4);
+        return Object.entries(counts)
+            .map(([tag, count]) => ({ tag: tag, count: count, color: tagColors[tag] || null }))
+            .sort((a, b) => a.tag.localeCompare(b.tag));
     }
 
     /**
-     * Truncate text to specified length with ellipsis
-     * @param {string} text - Text to truncate
-     * @param {number} maxLength - Maximum length
-     * @returns {string} Truncated text
+     * Rewrite the tags of every prompt, trashed ones included, in a single storage write
+     * Nothing is written if any updated prompt fails validation
+     * @param {Function} transform - Receives a tag array and returns the new tag array
+     * @returns {Promise<Array<string>>} IDs of the prompts whose tags changed
      */
-    truncateText(text, maxLength) {
-        if (!text || typeof text !== 'string') {
-            return '';
+    async rewriteTags(transform) {
+        const storage = getPromptStorage();
+        const allPrompts = storage.getPromptMap();
+        const updatedPrompts = { ...allPrompts };
+        const changedIds = [];
+
+        for (const [promptId, promptData] of Object.entries(allPrompts)) {
+            const currentTags = promptData.metadata?.tags || [];
+            const newTags = [...new Set(transform(currentTags))];
+            if (newTags.length === currentTags.length && newTags.every((tag, index) => tag === currentTags[index])) {
+                continue;
+            }
+
+            const updatedPrompt = {
+                ...promptData,
+                metadata: { ...promptData.metadata, tags: newTags }
+            };
+            const validation = this.validatePromptData(updatedPrompt);
+            if (!validation.isValid) {
+                throw new Error(`Prompt ${promptId}: ${validation.errors.join(', ')}`);
+            }
+
+            updatedPrompts[promptId] = updatedPrompt;
+            changedIds.push(promptId);
         }
 
-        if (text.length <= maxLength) {
-            return text;
+        if (changedIds.length > 0) {
+            await storage.replaceAll(updatedPrompts);
+            changedIds.forEach(promptId => {
+                this.emitPromptChange(PROMPT_SAVER_EVENTS.UPDATED, promptId, this.clonePromptForEvent(allPrompts[promptId]), updatedPrompts[promptId]);
+            });
         }
 
-        return text.substring(0, maxLength - 3) + '...';
+        return changedIds;
     }
 
     /**
-     * Escape HTML characters to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Rename a tag on every prompt
+     * @param {string} oldTag - Tag to rename
+     * @param {string} newTag - New tag name; an existing tag name merges the two
+     * @returns {Promise<Object>} Result object with the number of updated prompts
      */
-    escapeHtml(text) {
-        if (!text || typeof text !== 'string') {
-            return '';
+    async renameTag(oldTag, newTag) {
+        const result = await this.mergeTags([oldTag], newTag);
+        if (result.success) {
+            result.message = `Tag "${oldTag}" renamed to "${result.tag}" on ${result.updatedCount} prompts`;
         }
-
-        // Use manual escaping for Node.js compatibility
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
+        return result;
     }
 
     /**
-     * Refresh the prompt manager UI to reflect current preset state
-     * @returns {Object} Result object with success status
+     * Merge several tags into one on every prompt
+     * @param {Array<string>} sourceTags - Tags to replace
+     * @param {string} targetTag - Tag that replaces them
+     * @returns {Promise<Object>} Result object with the number of updated prompts
      */
-    refreshPromptManagerUI() {
+    async mergeTags(sourceTags, targetTag) {
         try {
-            const currentPreset = this.getCurrentPreset();
-            if (!currentPreset || !currentPreset.prompts) {
-                console.warn(`[${this.extensionName}] No current preset to refresh UI`);
-                return {
-                    success: false,
-                    message: 'No current preset available'
-                };
+            if (!Array.isArray(sourceTags) || sourceTags.length === 0) {
+                throw new Error('At least one tag is required');
             }
 
-            // Find the prompt manager list container
-            const promptList = document.querySelector('#completion_prompt_manager_list');
-            if (!promptList) {
-                console.warn(`[${this.extensionName}] Prompt manager list not found`);
-                return {
-                    success: false,
-                    message: 'Prompt manager UI not found'
-                };
+            const target = String(targetTag || '').trim();
+            if (!target) {
+                throw new Error('Tag name is required');
+            }
+            if (target.length > 50) {
+                throw new Error('Tags must be 50 characters or less');
             }
 
-            // Clear existing prompts (but keep the toolbar)
-            const existingPrompts = promptList.querySelectorAll('.completion_prompt_manager_prompt');
-            existingPrompts.forEach(prompt => prompt.remove());
-
-            // Generate HTML for each prompt
-            const promptsHTML = currentPreset.prompts.map(prompt => this.generatePromptHTML(prompt)).join('');
+            const sources = new Set(sourceTags.filter(tag => tag !== target));
+            const changedIds = await this.rewriteTags(tags =>
+                tags.map(tag => sources.has(tag) ? target : tag)
+            );
 
-            // Add prompts to the UI
-            const toolbar = promptList.querySelector('.prompt-saver-toolbar');
-            if (toolbar) {
-                toolbar.insertAdjacentHTML('afterend', promptsHTML);
-            } else {
-                promptList.innerHTML = promptsHTML;
-            }
+            // Carry a color over to the target tag unless it already has one
+            const tagColors = { ...(extensionSettings.tag_colors || {}) };
+            sources.forEach(tag => {
+                if (tagColors[tag] && !tagColors[target]) {
+                    tagColors[target] = tagColors[tag];
+                }
+                delete tagColors[tag];
+            });
+            extensionSettings.tag_colors = tagColors;
+            saveSettingsDebounced();
 
-            console.log(`[${this.extensionName}] Prompt manager UI refreshed with ${currentPreset.prompts.length} prompts`);
+            console.log(`[${this.extensionName}] Merged tags ${[...sources].join(', ')} into ${target}`);
 
             return {
                 success: true,
-                message: 'Prompt manager UI refreshed successfully'
+                tag: target,
+                updatedCount: changedIds.length,
+                updatedIds: changedIds,
+                message: `Merged ${sources.size} tags into "${target}" on ${changedIds.length} prompts`
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error refreshing prompt manager UI:`, error);
+            console.error(`[${this.extensionName}] Error merging tags:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to refresh prompt manager UI'
+                message: 'Failed to merge tags'
             };
         }
     }
 
     /**
-     * Add a single prompt to the current preset
-     * @param {Object} promptData - The prompt data to add
-     * @returns {Object} Result object with success status
+     * Remove a tag from every prompt
+     * @param {string} tag - Tag to delete
+     * @returns {Promise<Object>} Result object with the number of updated prompts
      */
-    addPromptToCurrentPreset(promptData) {
+    async deleteTag(tag) {
         try {
-            const currentPreset = this.getCurrentPreset();
-            if (!currentPreset) {
-                throw new Error('No current preset available');
-            }
-
-            // Ensure the prompt has a unique identifier
-            if (!promptData.identifier) {
-                promptData.identifier = `prompt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            }
+            const changedIds = await this.rewriteTags(tags => tags.filter(existingTag => existingTag !== tag));
 
-            // Check if identifier already exists
-            const existingPrompt = currentPreset.prompts.find(p => p.identifier === promptData.identifier);
-            if (existingPrompt) {
-                throw new Error(`Prompt with identifier '${promptData.identifier}' already exists`);
+            if (extensionSettings.tag_colors && extensionSettings.tag_colors[tag]) {
+                delete extensionSettings.tag_colors[tag];
             }
+            saveSettingsDebounced();
 
-            // Add the prompt to the current preset
-            const updatedPrompts = [...currentPreset.prompts, promptData];
-            
-            return this.updatePresetPrompts(updatedPrompts);
+            return {
+                success: true,
+                updatedCount: changedIds.length,
+                updatedIds: changedIds,
+                message: `Tag "${tag}" removed from ${changedIds.length} prompts`
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error adding prompt to preset:`, error);
+            console.error(`[${this.extensionName}] Error deleting tag ${tag}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to add prompt to preset'
+                message: 'Failed to delete tag'
             };
         }
     }
 
     /**
-     * Remove a prompt from the current preset by identifier
-     * @param {string} identifier - The identifier of the prompt to remove
+     * Assign a display color to a tag
+     * @param {string} tag - Tag to color
+     * @param {string|null} color - Hex color such as "#aa3355", null to clear it
      * @returns {Object} Result object with success status
      */
-    removePromptFromCurrentPreset(identifier) {
+    setTagColor(tag, color) {
         try {
-            const currentPreset = this.getCurrentPreset();
-            if (!currentPreset) {
-                throw new Error('No current preset available');
+            if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+                throw new Error('Color must be a hex value such as #aa3355');
             }
 
-            // Filter out the prompt with the specified identifier
-            const updatedPrompts = currentPreset.prompts.filter(p => p.identifier !== identifier);
-            
-            if (updatedPrompts.length === currentPreset.prompts.length) {
-                throw new Error(`Prompt with identifier '${identifier}' not found`);
+            const tagColors = { ...(extensionSettings.tag_colors || {}) };
+            if (color) {
+                tagColors[tag] = color;
+            } else {
+                delete tagColors[tag];
             }
+            extensionSettings.tag_colors = tagColors;
+            saveSettingsDebounced();
 
-            return this.updatePresetPrompts(updatedPrompts);
+            return {
+                success: true,
+                message: color ? `Color set for tag "${tag}"` : `Color cleared for tag "${tag}"`
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error removing prompt from preset:`, error);
+            console.error(`[${this.extensionName}] Error setting color for tag ${tag}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to remove prompt from preset'
+                message: 'Failed to set tag color'
             };
         }
     }
 
     /**
-     * Get all available completion presets
-     * @returns {Array} Array of preset names
+     * Validate a preset snapshot
+     * @param {Object} snapshotData - The snapshot to validate
+     * @returns {Object} Validation result with isValid boolean and errors array
      */
-    getAvailablePresets() {
-        try {
-            if (typeof getCompletionPresets === 'function') {
-                return getCompletionPresets();
-            }
+    validateSnapshotData(snapshotData) {
+        const errors = [];
 
-            if (window.completion_presets) {
-                return Object.keys(window.completion_presets);
-            }
+        if (!snapshotData || typeof snapshotData !== 'object') {
+            errors.push('Snapshot data must be an object');
+            return { isValid: false, errors: errors };
+        }
 
-            return [];
+        if (!snapshotData.id || typeof snapshotData.id !== 'string') {
+            errors.push('id is required and must be a string');
+        }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error getting available presets:`, error);
-            return [];
+        if (!snapshotData.name || typeof snapshotData.name !== 'string' || snapshotData.name.trim().length === 0) {
+            errors.push('name is required and must be a non-empty string');
         }
-    }
 
-    /**
-     * Switch to a different completion preset
-     * @param {string} presetName - Name of the preset to switch to
-     * @returns {Object} Result object with success status
+        if (!Array.isArray(snapshotData.prompts)) {
+            errors.push('prompts must be an array');
+        } else {
+            snapshotData.prompts.forEach((prompt, index) => {
+                if (!prompt || !prompt.identifier) {
+                    errors.push(`prompts[${index}] is missing an identifier`);
+                }
+                if (prompt && typeof prompt.enabled !== 'boolean') {
+                    errors.push(`prompts[${index}].enabled must be a boolean`);
+                }
+            });
+        }
+
+        if (!snapshotData.metadata || typeof snapshotData.metadata !== 'object') {
+            errors.push('metadata is required and must be an object');
+        } else if (snapshotData.metadata.tags && !Array.isArray(snapshotData.metadata.tags)) {
+            errors.push('metadata.tags must be an array of strings');
+        }
+
+        return { isValid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Save a preset snapshot built from an ordered prompt list
+     * @param {Object} snapshotInfo - Snapshot name, source preset and ordered prompts with enabled flags
+     * @returns {Promise<Object>} Result object with success status and snapshot data
      */
-    switchToPreset(presetName) {
+    async saveSnapshot(snapshotInfo) {
         try {
-            if (typeof setCompletionPreset === 'function') {
-                const success = setCompletionPreset(presetName);
-                if (success) {
-                    console.log(`[${this.extensionName}] Switched to preset:`, presetName);
-                    return {
-                        success: true,
-                        message: `Switched to preset '${presetName}'`
-                    };
-                } else {
-                    throw new Error(`Failed to switch to preset '${presetName}'`);
+            const now = new Date().toISOString();
+            const snapshotData = {
+                id: snapshotInfo.id || 'snapshot_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                name: snapshotInfo.name || `Snapshot of ${snapshotInfo.source_preset || 'preset'}`,
+                source_preset: snapshotInfo.source_preset || null,
+                prompts: snapshotInfo.prompts,
+                metadata: {
+                    created_at: now,
+                    last_used: null,
+                    favorite: false,
+                    usage_count: 0,
+                    tags: [],
+                    ...snapshotInfo.metadata
                 }
+            };
+
+            const validation = this.validateSnapshotData(snapshotData);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    error: `Validation failed: ${validation.errors.join(', ')}`,
+                    message: 'Invalid snapshot data'
+                };
             }
 
-            throw new Error('setCompletionPreset function not available');
+            await getPromptStorage().writeSnapshot(snapshotData);
+
+            console.log(`[${this.extensionName}] Preset snapshot saved:`, snapshotData.id);
+
+            return {
+                success: true,
+                snapshotData: snapshotData,
+                message: `Snapshot "${snapshotData.name}" saved with ${snapshotData.prompts.length} prompts`
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error switching preset:`, error);
+            console.error(`[${this.extensionName}] Error saving preset snapshot:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to switch preset'
+                message: 'Failed to save preset snapshot'
             };
         }
     }
 
     /**
-     * Handle integration failure with graceful fallbacks
-     * @param {Error} error - The integration error
-     * @param {Object} context - Additional context about the failure
-     * @returns {Promise<Object>} Result object with fallback options
+     * Get preset snapshots, optionally filtered by name search
+     * @param {Object} filters - Optional filters (search)
+     * @returns {Promise<Object>} Snapshots keyed by ID
      */
-    async handleIntegrationFailure(error, context = {}) {
-        try {
-            console.warn(`[${this.extensionName}] Integration failure:`, error);
-
-            const fallbackResults = [];
-
-            // Fallback 1: Try to get preset data differently
-            try {
-                const fallbackPreset = await this.getFallbackPresetData();
-                fallbackResults.push({
-                    method: 'fallback_preset_data',
-                    success: fallbackPreset.success,
-                    result: fallbackPreset
-                });
-            } catch (fallbackError) {
-                fallbackResults.push({
-                    method: 'fallback_preset_data',
-                    success: false,
-                    error: fallbackError.message
-                });
-            }
-
-            // Fallback 2: Try basic preset operations
-            try {
-                const basicResult = await this.performBasicPresetOperations(context);
-                fallbackResults.push({
-                    method: 'basic_operations',
-                    success: basicResult.success,
-                    result: basicResult
-                });
-            } catch (fallbackError) {
-                fallbackResults.push({
-                    method: 'basic_operations',
-                    success: false,
-                    error: fallbackError.message
-                });
-            }
+    async getSnapshots(filters = {}) {
+        const snapshots = { ...getPromptStorage().getSnapshotMap() };
+        if (!filters.search) {
+            return snapshots;
+        }
 
-            // Check if any fallback succeeded
-            const successfulFallback = fallbackResults.find(result => result.success);
+        const searchTerm = filters.search.toLowerCase();
+        return Object.fromEntries(
+            Object.entries(snapshots).filter(([id, snapshot]) =>
+                snapshot.name.toLowerCase().includes(searchTerm) ||
+                (snapshot.source_preset || '').toLowerCase().includes(searchTerm)
+            )
+        );
+    }
 
-            if (successfulFallback) {
-                return {
-                    success: true,
-                    fallbackUsed: successfulFallback.method,
-                    fallbackResults: fallbackResults,
-                    message: `Integration recovered using ${successfulFallback.method}`
-                };
-            } else {
-                return {
-                    success: false,
-                    fallbackResults: fallbackResults,
-                    error: error.message,
-                    message: 'All integration fallbacks failed'
-                };
-            }
+    /**
+     * Load a preset snapshot by ID
+     * @param {string} snapshotId - The ID of the snapshot
+     * @returns {Promise<Object|null>} Snapshot data or null if not found
+     */
+    async loadSnapshot(snapshotId) {
+        return getPromptStorage().getSnapshotMap()[snapshotId] || null;
+    }
 
-        } catch (handlingError) {
-            console.error(`[${this.extensionName}] Error handling integration failure:`, handlingError);
+    /**
+     * Record that a snapshot was restored
+     * @param {string} snapshotId - The ID of the snapshot
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async markSnapshotUsed(snapshotId) {
+        const snapshotData = await this.loadSnapshot(snapshotId);
+        if (!snapshotData) {
             return {
                 success: false,
-                error: handlingError.message,
-                message: 'Failed to handle integration failure'
+                error: 'Snapshot not found',
+                message: 'Snapshot does not exist'
             };
         }
+
+        const updatedSnapshot = {
+            ...snapshotData,
+            metadata: {
+                ...snapshotData.metadata,
+                last_used: new Date().toISOString(),
+                usage_count: (snapshotData.metadata.usage_count || 0) + 1
+            }
+        };
+        await getPromptStorage().writeSnapshot(updatedSnapshot);
+
+        return {
+            success: true,
+            snapshotData: updatedSnapshot,
+            message: 'Snapshot usage recorded'
+        };
     }
 
     /**
-     * Get fallback preset data when normal methods fail
-     * @returns {Promise<Object>} Fallback preset data
+     * Permanently delete a preset snapshot
+     * @param {string} snapshotId - The ID of the snapshot to delete
+     * @returns {Promise<Object>} Result object with success status
      */
-    async getFallbackPresetData() {
+    async deleteSnapshot(snapshotId) {
         try {
-            console.log(`[${this.extensionName}] Getting fallback preset data`);
+            if (!(await this.loadSnapshot(snapshotId))) {
+                return {
+                    success: false,
+                    error: 'Snapshot not found',
+                    message: 'Snapshot does not exist'
+                };
+            }
 
-            // Create a minimal preset structure
-            const fallbackPreset = {
-                name: 'Fallback Preset',
-                prompts: [],
-                prompt_order: [],
-                fallback: true
-            };
+            await getPromptStorage().removeSnapshot(snapshotId);
 
             return {
                 success: true,
-                preset: fallbackPreset,
-                message: 'Fallback preset data created'
+                message: 'Snapshot deleted'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error getting fallback preset data:`, error);
+            console.error(`[${this.extensionName}] Error deleting snapshot ${snapshotId}:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to get fallback preset data'
+                message: 'Failed to delete snapshot'
             };
         }
     }
 
     /**
-     * Perform basic preset operations as fallback
-     * @param {Object} context - Operation context
-     * @returns {Promise<Object>} Basic operations result
+     * Search the library
+     * @param {string} query - Search text, or a regular expression in 'regex' mode
+     * @param {string} mode - 'ranked' (inverted index), 'fuzzy' (typo-tolerant) or 'regex' (pattern over content)
+     * @returns {Array<Object>} Matches with id and score, best first
      */
-    async performBasicPresetOperations(context) {
-        try {
-            console.log(`[${this.extensionName}] Performing basic preset operations`);
+    searchPrompts(query, mode = 'ranked') {
+        const index = getSearchIndex();
+        index.sync(getPromptStorage().getPromptMap());
+
+        switch (mode) {
+            case 'fuzzy':
+                return this.fuzzySearchPrompts(query);
+            case 'regex':
+                return this.regexSearchPrompts(query);
+            default:
+                return index.search(query);
+        }
+    }
 
-            // Simulate basic operations
-            const operations = [];
+    /**
+     * Get relevance scores for a query, cached per search mode and query until the library changes
+     * Smart collection counts and the library view search with different queries, so one cached
+     * result would be evicted on every refresh
+     * @param {string} query - Search text
+     * @param {string} mode - Search mode, see searchPrompts()
+     * @returns {Map<string, number>} Scores keyed by prompt ID; prompts that don't match are absent
+     */
+    getSearchScores(query, mode = 'ranked') {
+        const index = getSearchIndex();
+        index.sync(getPromptStorage().getPromptMap());
+        // Write paths update the index themselves, so compare versions rather than trusting sync()
+        if (this.searchScoreCacheVersion !== index.version) {
+            this.searchScoreCache.clear();
+            this.searchScoreCacheVersion = index.version;
+        }
 
-            if (context.operation === 'save') {
-                operations.push('save_operation_simulated');
+        const cacheKey = `${mode}:${query}`;
+        let scores = this.searchScoreCache.get(cacheKey);
+        if (!scores) {
+            scores = new Map(this.searchPrompts(query, mode).map(result => [result.id, result.score]));
+            if (this.searchScoreCache.size >= this.searchScoreCacheSize) {
+                // Maps keep insertion order, so the first key is the oldest entry
+                this.searchScoreCache.delete(this.searchScoreCache.keys().next().value);
             }
+            this.searchScoreCache.set(cacheKey, scores);
+        }
+        return scores;
+    }
 
-            if (context.operation === 'load') {
-                operations.push('load_operation_simulated');
+    /**
+     * Find indexed terms within typo distance of a query term
+     * Short terms allow fewer typos; terms that start with the query term count as half a typo
+     * @param {string} queryTerm - Term from the search query
+     * @returns {Map<string, number>} Edit distance keyed by matching index term
+     */
+    expandFuzzyTerm(queryTerm) {
+        const index = getSearchIndex();
+        if (!this.fuzzyTermCache || this.fuzzyTermCache.version !== index.version) {
+            this.fuzzyTermCache = { version: index.version, terms: new Map() };
+        }
+        if (this.fuzzyTermCache.terms.has(queryTerm)) {
+            return this.fuzzyTermCache.terms.get(queryTerm);
+        }
+
+        const maxDistance = queryTerm.length <= 2 ? 0 : queryTerm.length <= 4 ? 1 : 2;
+        const matches = new Map();
+        index.postings.forEach((posting, term) => {
+            if (term === queryTerm) {
+                matches.set(term, 0);
+            } else if (term.startsWith(queryTerm)) {
+                matches.set(term, 0.5);
+            } else if (maxDistance > 0 && Math.abs(term.length - queryTerm.length) <= maxDistance) {
+                const distance = this.calculateEditDistance(queryTerm, term);
+                if (distance <= maxDistance) {
+                    matches.set(term, distance);
+                }
             }
+        });
 
-            return {
-                success: true,
-                operations: operations,
-                message: 'Basic preset operations completed'
-            };
+        this.fuzzyTermCache.terms.set(queryTerm, matches);
+        return matches;
+    }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error performing basic operations:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Basic preset operations failed'
-            };
+    /**
+     * Typo-tolerant search; every query term has to match a prompt within its allowed edit distance
+     * @param {string} query - Search text
+     * @returns {Array<Object>} Matches with id, score and total edit distance, closest first
+     */
+    fuzzySearchPrompts(query) {
+        const index = getSearchIndex();
+        const queryTerms = [...new Set(index.tokenize(query))];
+        if (queryTerms.length === 0) {
+            return [];
         }
-    }
-}
 
-/**
- * PromptLibraryUI class manages the prompt browser modal and user interactions
- * Provides the main interface for displaying and interacting with saved prompts
- */
-class PromptLibraryUI {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
-        this.extensionName = extensionName;
-        this.currentFilters = {
-            search: '',
-            role: 'all',
-            favorite: null,
-            tags: [],
-            sort: 'latest_used'
-        };
-        this.modalElement = null;
-        this.filters = this.currentFilters; // Initialize filters property for test compatibility
+        let results = null;
+        for (const queryTerm of queryTerms) {
+            const termResults = new Map();
+
+            this.expandFuzzyTerm(queryTerm).forEach((distance, term) => {
+                index.postings.get(term).forEach((frequencies, promptId) => {
+                    // Matches in the name or tags weigh more than matches in the content
+                    const boost = Math.max(...Object.keys(frequencies)
+                        .filter(field => frequencies[field] > 0)
+                        .map(field => index.fieldBoosts[field]));
+                    const best = termResults.get(promptId);
+                    if (!best || distance < best.distance || (distance === best.distance && boost > best.boost)) {
+                        termResults.set(promptId, { distance: distance, boost: boost });
+                    }
+                });
+            });
+
+            if (results === null) {
+                results = termResults;
+            } else {
+                const combined = new Map();
+                results.forEach((match, promptId) => {
+                    if (termResults.has(promptId)) {
+                        const termMatch = termResults.get(promptId);
+                        combined.set(promptId, { distance: match.distance + termMatch.distance, boost: match.boost + termMatch.boost });
+                    }
+                });
+                results = combined;
+            }
+
+            if (results.size === 0) {
+                break;
+            }
+        }
+
+        // Rank by edit distance first, field boosts break ties
+        return [...results.entries()]
+            .map(([id, match]) => ({ id: id, distance: match.distance, score: match.boost / (1 + match.distance * queryTerms.length) }))
+            .sort((a, b) => a.distance - b.distance || b.score - a.score);
     }
 
     /**
-     * Display the main prompt library interface in a modal dialog
-     * @returns {Promise<Object>} Result object with success status and modal element
+     * Compile a search pattern, accepting either a bare pattern or /pattern/flags
+     * Bare patterns are case-insensitive
+     * @param {string} pattern - Pattern text
+     * @returns {Object} Result object with the global regular expression or the syntax error
      */
-    async showPromptBrowser() {
+    compileSearchPattern(pattern) {
         try {
-            console.log(`[${this.extensionName}] Opening prompt browser`);
-
-            // Create modal element
-            this.modalElement = this.createModalElement();
-            
-            // Load and render prompts
-            const prompts = await this.dataManager.getPrompts(this.currentFilters);
-            const promptListResult = this.renderPromptList(prompts);
-            
-            if (!promptListResult.success) {
-                throw new Error(promptListResult.error);
+            if (pattern.length > this.regexSearchLimits.patternLength) {
+                throw new Error(`Pattern is longer than ${this.regexSearchLimits.patternLength} characters`);
             }
-
-            // Build modal content
-            this.modalElement.innerHTML = this.buildModalHTML(promptListResult.html);
-            
-            // Apply styling
-            this.applyModalStyling(this.modalElement);
-            
-            // Setup event handlers
-            const eventResult = this.setupEventHandlers(this.modalElement);
-            if (!eventResult.success) {
-                throw new Error(eventResult.error);
+            if (this.slowSearchPatterns.has(pattern)) {
+                throw new Error(this.slowSearchPatterns.get(pattern));
             }
 
-            // Apply accessibility features
-            this.applyAccessibilityFeatures(this.modalElement);
-            
-            // Add to DOM
-            document.body.appendChild(this.modalElement);
-            
-            console.log(`[${this.extensionName}] Prompt browser opened successfully`);
-            
+            const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+            const source = literal ? literal[1] : pattern;
+            const flags = literal ? literal[2] : 'i';
+            const regex = new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+
             return {
                 success: true,
-                modalElement: this.modalElement,
-                message: 'Prompt browser opened successfully'
+                regex: regex,
+                message: 'Pattern compiled successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error opening prompt browser:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to open prompt browser'
+                message: 'Invalid regular expression'
             };
         }
     }
 
     /**
-     * Create the base modal element
-     * @returns {HTMLElement} Modal element
+     * Check that a search pattern runs over the library in time before it is used on the main thread
+     * The pattern is run in a Web Worker that is terminated after the timeout; patterns that time out
+     * are remembered and refused by compileSearchPattern(). Where workers are unavailable, patterns with
+     * nested repetition, the usual cause of catastrophic backtracking, are refused instead
+     * @param {string} pattern - Pattern text, see compileSearchPattern()
+     * @returns {Promise<Object>} Result object like compileSearchPattern(), with tooSlow set when refused for speed
      */
-    createModalElement() {
-        const modal = document.createElement('div');
-        modal.className = 'prompt-library-modal';
-        modal.id = 'prompt-library-modal';
-        return modal;
-    }
+    async checkSearchPatternSpeed(pattern) {
+        const compiled = this.compileSearchPattern(pattern);
+        if (!compiled.success) {
+            return { ...compiled, tooSlow: this.slowSearchPatterns.has(pattern) };
+        }
 
-    /**
-     * Build the complete modal HTML structure
-     * @param {string} promptListHTML - HTML for the prompt list
-     * @returns {string} Complete modal HTML
-     */
-    buildModalHTML(promptListHTML) {
-        return `
-            <div class="prompt-library-overlay">
-                <div class="prompt-library-container">
-                    <div class="prompt-library-header">
-                        <h2>📚 Prompt Library</h2>
-                        <button class="prompt-library-close" title="Close">✕</button>
-                    </div>
-                    <div class="prompt-library-content">
-                        <div class="prompt-library-sidebar">
-                            <div class="prompt-library-filters">
-                                <h3>Filters</h3>
-                                <div class="filter-group">
-                                    <label for="prompt-search">Search:</label>
-                                    <input type="text" id="prompt-search" class="prompt-search-input" placeholder="Search prompts...">
-                                </div>
-                                <div class="filter-group">
-                                    <label for="role-filter">Role:</label>
-                                    <select id="role-filter" class="role-filter-select">
-                                        <option value="all">All Roles</option>
-                                        <option value="user">👤 User</option>
-                                        <option value="system">⚙️ System</option>
-                                        <option value="assistant">🤖 Assistant</option>
-                                    </select>
-                                </div>
-                                <div class="filter-group">
-                                    <label for="favorite-filter">Favorites:</label>
-                                    <select id="favorite-filter" class="favorite-filter-select">
-                                        <option value="all">All Prompts</option>
-                                        <option value="favorites">⭐ Favorites Only</option>
-                                        <option value="non-favorites">☆ Non-Favorites</option>
-                                    </select>
-                                </div>
-                                <div class="filter-group">
-                                    <label for="sort-filter">Sort By:</label>
-                                    <select id="sort-filter" class="sort-filter-select">
-                                        <option value="latest_used">Latest Used</option>
-                                        <option value="oldest_used">Oldest Used</option>
-                                        <option value="name">Name A-Z</option>
-                                        <option value="created">Creation Date</option>
-                                    </select>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="prompt-library-main">
-                            <div class="prompt-library-list">
-                                ${promptListHTML}
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
+        const refuse = (reason) => {
+            const error = `Pattern too slow: ${reason}. Avoid nested repetition such as (a+)+ or (.*x)*`;
+            this.slowSearchPatterns.set(pattern, error);
+            return {
+                success: false,
+                tooSlow: true,
+                error: error,
+                message: 'Pattern too slow'
+            };
+        };
 
-    /**
-     * Render the list of prompts as HTML cards
-     * @param {Object} prompts - Object containing prompts keyed by ID
-     * @returns {Object} Result object with success status and HTML
-     */
-    renderPromptList(prompts) {
+        let worker = null;
         try {
-            if (!prompts || typeof prompts !== 'object') {
-                throw new Error('Invalid prompts data provided');
+            if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined') {
+                // Same loop as findPatternRanges()
+                const workerSource = `self.onmessage = (event) => {
+                    const regex = new RegExp(event.data.source, event.data.flags);
+                    for (const text of event.data.texts) {
+                        regex.lastIndex = 0;
+                        let count = 0;
+                        let match;
+                        while (count < 1000 && (match = regex.exec(text)) !== null) {
+                            if (match[0].length === 0) {
+                                regex.lastIndex++;
+                            }
+                            count++;
+                        }
+                    }
+                    self.postMessage('done');
+                };`;
+                const workerUrl = URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' }));
+                worker = new Worker(workerUrl);
+                URL.revokeObjectURL(workerUrl);
             }
+        } catch (error) {
+            // Blocked by a content security policy, for example
+            worker = null;
+        }
 
-            const promptArray = Object.values(prompts);
-            
-            if (promptArray.length === 0) {
-                return {
-                    success: true,
-                    html: this.renderEmptyState(),
-                    message: 'No prompts to display'
-                };
-            }
+        // Without a worker the pattern can't be timed, so it is judged by its shape
+        const checkStatically = () => {
+            const nestedRepetition = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,?\d*\})/;
+            return nestedRepetition.test(compiled.regex.source) ? refuse('a repeated group that repeats itself can freeze the page') : compiled;
+        };
 
-            // Sort prompts based on current filter
-            const sortedPrompts = this.sortPrompts(promptArray, this.currentFilters.sort);
-            
-            // Generate HTML for each prompt card
-            const promptCards = sortedPrompts.map(prompt => this.renderPromptCard(prompt)).join('');
-            
-            const html = `
-                <div class="prompt-cards-container">
-                    ${promptCards}
-                </div>
-            `;
+        if (!worker) {
+            return checkStatically();
+        }
 
-            console.log(`[${this.extensionName}] Rendered ${sortedPrompts.length} prompt cards`);
+        const texts = Object.values(getPromptStorage().getPromptMap())
+            .filter(prompt => !prompt.trash)
+            .map(prompt => prompt.content || '');
 
-            return {
-                success: true,
-                html: html,
-                message: `Rendered ${sortedPrompts.length} prompts`
+        const outcome = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve('timeout'), this.regexSearchLimits.timeoutMs);
+            worker.onmessage = () => {
+                clearTimeout(timer);
+                resolve('finished');
             };
-
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error rendering prompt list:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Failed to render prompt list'
+            // A worker blocked at runtime (by a content security policy, for example) fails here, not in the constructor
+            worker.onerror = () => {
+                clearTimeout(timer);
+                resolve('failed');
             };
+            worker.postMessage({ source: compiled.regex.source, flags: compiled.regex.flags, texts: texts });
+        });
+        worker.terminate();
+
+        if (outcome === 'failed') {
+            return checkStatically();
         }
+        return outcome === 'finished' ? compiled : refuse(`it took over ${this.regexSearchLimits.timeoutMs / 1000}s on your library`);
     }
 
     /**
-     * Render a single prompt card
-     * @param {Object} prompt - Prompt data
-     * @returns {string} HTML for the prompt card
+     * Find where a regular expression matches a text
+     * @param {RegExp} regex - Global regular expression from compileSearchPattern()
+     * @param {string} text - Text to search
+     * @param {number} limit - Stop after this many matches
+     * @returns {Array<Array<number>>} Sorted [start, end] ranges of matches
      */
-    renderPromptCard(prompt) {
-        const roleBadge = this.generateRoleBadge(prompt.role);
-        const favoriteIcon = prompt.metadata.favorite ? '⭐' : '☆';
-        const contentPreview = this.truncateText(prompt.content, 150);
-        const createdDate = new Date(prompt.metadata.created_at).toISOString().split('T')[0]; // YYYY-MM-DD format
-        const lastUsed = prompt.metadata.last_used ? 
-            new Date(prompt.metadata.last_used).toISOString().split('T')[0] : 'Never';
-
-        return `
-            <div class="prompt-card" data-prompt-id="${prompt.id}">
-                <div class="prompt-card-header">
-                    <div class="prompt-card-name">${this.escapeHtml(prompt.name)}</div>
-                    <div class="prompt-card-badges">
-                        ${roleBadge}
-                        <span class="favorite-star ${prompt.metadata.favorite ? 'favorited' : ''}">${favoriteIcon}</span>
-                    </div>
-                </div>
-                <div class="prompt-card-content">
-                    <div class="prompt-content-preview">${this.escapeHtml(contentPreview)}</div>
-                </div>
-                <div class="prompt-card-metadata">
-                    <div class="metadata-item">
-                        <span class="metadata-label">Created:</span>
-                        <span class="metadata-value">${createdDate}</span>
-                    </div>
-                    <div class="metadata-item">
-                        <span class="metadata-label">Last Used:</span>
-                        <span class="metadata-value">${lastUsed}</span>
-                    </div>
-                    <div class="metadata-item">
-                        <span class="metadata-label">Usage Count:</span>
-                        <span class="metadata-value usage_count">${prompt.metadata.usage_count || 0}</span>
-                    </div>
-                    <div class="metadata-item">
-                        <span class="metadata-label">Source:</span>
-                        <span class="metadata-value">${this.escapeHtml(prompt.metadata.source_preset || 'Unknown')}</span>
-                    </div>
-                    ${prompt.metadata.tags && prompt.metadata.tags.length > 0 ? `
-                        <div class="metadata-item">
-                            <span class="metadata-label">Tags:</span>
-                            <span class="metadata-value">${prompt.metadata.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join(' ')}</span>
-                        </div>
-                    ` : ''}
-                </div>
-                <div class="prompt-card-actions">
-                    <button class="apply-prompt-btn" data-prompt-id="${prompt.id}" title="Apply this prompt">
-                        📝 Apply
-                    </button>
-                    <button class="favorite-prompt-btn" data-prompt-id="${prompt.id}" title="Toggle favorite">
-                        ${favoriteIcon} Favorite
-                    </button>
-                    <button class="edit-prompt-btn" data-prompt-id="${prompt.id}" title="Edit prompt">
-                        ✏️ Edit
-                    </button>
-                    <button class="delete-prompt-btn" data-prompt-id="${prompt.id}" title="Delete prompt">
-                        🗑️ Delete
-                    </button>
-                </div>
-            </div>
-        `;
+    findPatternRanges(regex, text, limit = 1000) {
+        const ranges = [];
+        regex.lastIndex = 0;
+        let match;
+        while (ranges.length < limit && (match = regex.exec(text || '')) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        return ranges;
     }
 
     /**
-     * Generate role badge HTML
-     * @param {string} role - The role (user, system, assistant)
-     * @returns {string} HTML for role badge
+     * Match a regular expression against prompt content
+     * @param {string} pattern - Pattern text, see compileSearchPattern()
+     * @returns {Array<Object>} Matches with id and number of matches as score, most matches first; empty for invalid patterns
      */
-    generateRoleBadge(role) {
-        const roleConfig = {
-            user: { icon: '👤', label: 'User', class: 'role-user' },
-            system: { icon: '⚙️', label: 'System', class: 'role-system' },
-            assistant: { icon: '🤖', label: 'Assistant', class: 'role-assistant' }
-        };
+    regexSearchPrompts(pattern) {
+        const compiled = this.compileSearchPattern(pattern);
+        if (!compiled.success) {
+            return [];
+        }
 
-        const config = roleConfig[role] || roleConfig.user;
-        return `<span class="role-badge ${config.class}" title="${config.label}">${config.icon} ${config.label}</span>`;
+        // Patterns are checked with checkSearchPatternSpeed() first; this only stops slow ones on prompts added since
+        const deadline = Date.now() + this.regexSearchLimits.timeoutMs;
+        const results = [];
+        for (const prompt of Object.values(getPromptStorage().getPromptMap())) {
+            if (Date.now() > deadline) {
+                console.warn(`[${this.extensionName}] Search pattern too slow, stopped: ${pattern}`);
+                this.slowSearchPatterns.set(pattern, `Pattern too slow: it took over ${this.regexSearchLimits.timeoutMs / 1000}s on your library`);
+                return [];
+            }
+            if (!prompt.trash) {
+                results.push({ id: prompt.id, score: this.findPatternRanges(compiled.regex, prompt.content).length });
+            }
+        }
+
+        return results
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
     }
 
     /**
-     * Render empty state when no prompts are available
-     * @returns {string} HTML for empty state
+     * Parse a numeric comparison such as ">5", "<=200", "10..50" or "3"
+     * @param {string} value - Comparison text
+     * @returns {Object|null} Inclusive range with min and max (either may be null), or null if invalid
      */
-    renderEmptyState() {
-        return `
-            <div class="no-prompts empty-state">
-                <div class="empty-state-icon">📭</div>
-                <div class="empty-state-title">No Prompts Found</div>
-                <div class="empty-state-message">
-                    You haven't saved any prompts yet. Use the "Save Current Prompt" button to get started!
-                </div>
-            </div>
-        `;
+    parseQueryComparison(value) {
+        const range = /^(\d+)\.\.(\d+)$/.exec(value);
+        if (range) {
+            return { min: parseInt(range[1], 10), max: parseInt(range[2], 10) };
+        }
+
+        const comparison = /^(>=|<=|>|<|=)?(\d+)$/.exec(value);
+        if (!comparison) {
+            return null;
+        }
+
+        const number = parseInt(comparison[2], 10);
+        switch (comparison[1]) {
+            case '>': return { min: number + 1, max: null };
+            case '>=': return { min: number, max: null };
+            case '<': return { min: null, max: Math.max(number - 1, 0) };
+            case '<=': return { min: null, max: number };
+            default: return { min: number, max: number };
+        }
     }
 
     /**
-     * Sort prompts based on the specified criteria
-     * @param {Array} prompts - Array of prompt objects
-     * @param {string} sortBy - Sort criteria
-     * @returns {Array} Sorted prompts array
+     * Parse a library search query into filter values
+     * Supports field:value terms (tag, role, fav, used, tokens, age, preset, folder), "exact phrases",
+     * and a leading - to exclude a term; anything else is free text for the search index
+     * @param {string} query - Query text, e.g. tag:nsfw role:system used:>5 -tag:old "exact phrase"
+     * @returns {Object} Result object with the parsed filters and any errors for invalid terms
      */
-    sortPrompts(prompts, sortBy) {
-        const sortedPrompts = [...prompts];
+    parseSearchQuery(query) {
+        const filters = {};
+        const errors = [];
+        const words = [];
+        const addTo = (key, value) => {
+            filters[key] = [...(filters[key] || []), value];
+        };
 
-        switch (sortBy) {
-            case 'latest_used':
-                return sortedPrompts.sort((a, b) => {
-                    const aUsed = a.metadata.last_used || a.metadata.created_at;
-                    const bUsed = b.metadata.last_used || b.metadata.created_at;
-                    return new Date(bUsed) - new Date(aUsed);
-                });
+        const termPattern = /(-)?(?:([a-z]+):)?("[^"]*"?|[^\s"]+)?/gi;
+        for (const match of String(query || '').matchAll(termPattern)) {
+            const [term, negated, fieldName, rawValue] = match;
+            if (!term || term === '-') {
+                continue;
+            }
 
-            case 'oldest_used':
-                return sortedPrompts.sort((a, b) => {
-                    const aUsed = a.metadata.last_used || a.metadata.created_at;
-                    const bUsed = b.metadata.last_used || b.metadata.created_at;
-                    return new Date(aUsed) - new Date(bUsed);
-                });
+            const isQuoted = rawValue && rawValue.startsWith('"');
+            const value = isQuoted ? rawValue.replace(/^"|"$/g, '') : (rawValue || '');
 
-            case 'name':
-                return sortedPrompts.sort((a, b) => a.name.localeCompare(b.name));
+            if (!fieldName) {
+                if (!value.trim()) {
+                    continue;
+                }
+                if (negated) {
+                    addTo('excludeTerms', value);
+                } else if (isQuoted) {
+                    addTo('phrases', value);
+                } else {
+                    words.push(value);
+                }
+                continue;
+            }
 
-            case 'created':
-                return sortedPrompts.sort((a, b) => 
-                    new Date(b.metadata.created_at) - new Date(a.metadata.created_at)
-                );
+            const field = this.queryFieldAliases[fieldName.toLowerCase()];
+            if (!field) {
+                errors.push({ term: term, message: `Unknown field "${fieldName}"` });
+                continue;
+            }
 
-            default:
-                return sortedPrompts;
-        }
-    }
+            // A field that is still being typed has no value yet
+            if (!value.trim()) {
+                continue;
+            }
 
-    /**
-     * Truncate text to specified length with ellipsis
-     * @param {string} text - Text to truncate
-     * @param {number} maxLength - Maximum length
-     * @returns {string} Truncated text
-     */
-    truncateText(text, maxLength) {
-        if (!text || typeof text !== 'string') {
-            return '';
-        }
+            switch (field) {
+                case 'tag':
+                    // Every tag: term must match, unlike the sidebar tag filter where any selected tag does
+                    addTo(negated ? 'excludeTags' : 'allTags', value);
+                    break;
 
-        if (text.length <= maxLength) {
+                case 'role': {
+                    const role = value.toLowerCase();
+                    if (!['system', 'user', 'assistant'].includes(role)) {
+                        errors.push({ term: term, message: `Role must be system, user or assistant` });
+                    } else if (negated) {
+                        addTo('excludeRoles', role);
+                    } else {
+                        filters.role = role;
+                    }
+                    break;
+                }
+
+                case 'fav': {
+                    const favoriteValues = { yes: true, true: true, y: true, 1: true, no: false, false: false, n: false, 0: false };
+                    const favorite = favoriteValues[value.toLowerCase()];
+                    if (favorite === undefined) {
+                        errors.push({ term: term, message: 'fav must be yes or no' });
+                    } else {
+                        filters.favorite = negated ? !favorite : favorite;
+                    }
+                    break;
+                }
+
+                case 'used':
+                case 'tokens':
+                case 'age': {
+                    const range = this.parseQueryComparison(value);
+                    if (!range) {
+                        errors.push({ term: term, message: `${field} needs a number, e.g. ${field}:>5 or ${field}:2..10` });
+                    } else if (negated) {
+                        errors.push({ term: term, message: `${field} cannot be excluded, use < or > instead` });
+                    } else if (field === 'used') {
+                        filters.minUsage = range.min;
+                        filters.maxUsage = range.max;
+                    } else if (field === 'age') {
+                        filters.minAgeDays = range.min;
+                        filters.maxAgeDays = range.max;
+                    } else {
+                        filters.minTokens = range.min;
+                        filters.maxTokens = range.max;
+                    }
+                    break;
+                }
+
+                case 'preset':
+                    if (negated) {
+                        addTo('excludePresets', value);
+                    } else {
+                        filters.preset = value;
+                    }
+                    break;
+
+                case 'folder': {
+                    const folderPath = this.normalizeFolderPath(value);
+                    if (negated) {
+                        addTo('excludeFolders', folderPath);
+                    } else {
+                        filters.folder = folderPath;
+                    }
+                    break;
+                }
+            }
+        }
+
+        filters.search = words.join(' ');
+
+        return {
+            success: errors.length === 0,
+            filters: filters,
+            errors: errors,
+            message: errors.length === 0 ? 'Query parsed successfully' : errors.map(error => `${error.term}: ${error.message}`).join('; ')
+        };
+    }
+
+    /**
+     * Check a prompt against the filters that only the search query sets
+     * (phrases, required tags, exclusions, preset, usage count and age)
+     * @param {Object} prompt - Prompt data
+     * @param {Object} filters - Filter values
+     * @returns {boolean} True if the prompt passes every query filter
+     */
+    matchesQueryFilters(prompt, filters) {
+        const text = `${prompt.name}\n${prompt.content}`.toLowerCase();
+        const tags = (prompt.metadata.tags || []).map(tag => tag.toLowerCase());
+        const presets = [prompt.metadata.source_preset, ...(prompt.metadata.source_presets || [])]
+            .filter(Boolean)
+            .map(preset => preset.toLowerCase());
+        const usageCount = prompt.metadata.usage_count || 0;
+
+        if ((filters.phrases || []).some(phrase => !text.includes(phrase.toLowerCase()))) {
+            return false;
+        }
+        if ((filters.excludeTerms || []).some(term => text.includes(term.toLowerCase()) || tags.includes(term.toLowerCase()))) {
+            return false;
+        }
+        if ((filters.allTags || []).some(tag => !tags.includes(tag.toLowerCase()))) {
+            return false;
+        }
+        if ((filters.excludeTags || []).some(tag => tags.includes(tag.toLowerCase()))) {
+            return false;
+        }
+        if ((filters.excludeRoles || []).includes(prompt.role)) {
+            return false;
+        }
+        if (filters.preset && !presets.some(preset => preset.includes(filters.preset.toLowerCase()))) {
+            return false;
+        }
+        if ((filters.excludePresets || []).some(excluded => presets.some(preset => preset.includes(excluded.toLowerCase())))) {
+            return false;
+        }
+        if ((filters.excludeFolders || []).some(folder => this.isInFolder(prompt.metadata.folder, folder))) {
+            return false;
+        }
+        if (typeof filters.minUsage === 'number' && usageCount < filters.minUsage) {
+            return false;
+        }
+        if (typeof filters.maxUsage === 'number' && usageCount > filters.maxUsage) {
+            return false;
+        }
+
+        // Age in whole days since the prompt was created, so smart collections stay current
+        if (typeof filters.minAgeDays === 'number' || typeof filters.maxAgeDays === 'number') {
+            const ageDays = Math.floor((Date.now() - new Date(prompt.metadata.created_at).getTime()) / (24 * 60 * 60 * 1000));
+            if ((typeof filters.minAgeDays === 'number' && ageDays < filters.minAgeDays) ||
+                (typeof filters.maxAgeDays === 'number' && ageDays > filters.maxAgeDays)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate a smart collection
+     * @param {Object} collection - Collection to validate
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validateSmartCollection(collection) {
+        const errors = [];
+
+        if (!collection || typeof collection !== 'object') {
+            return { isValid: false, errors: ['Collection must be an object'] };
+        }
+        if (!collection.id || typeof collection.id !== 'string') {
+            errors.push('id is required and must be a string');
+        }
+        if (!collection.name || typeof collection.name !== 'string' || !collection.name.trim()) {
+            errors.push('name is required and must be a non-empty string');
+        } else if (collection.name.length > 100) {
+            errors.push('name must be 100 characters or less');
+        }
+        if (!collection.filters || typeof collection.filters !== 'object' || Array.isArray(collection.filters)) {
+            errors.push('filters is required and must be an object');
+        }
+
+        return { isValid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Check that a smart collection's regex search, if it has one, is safe to run on the main thread
+     * Collections run their search without anyone typing it, so the pattern is timed like a typed one
+     * @param {Object} filters - The collection's filters
+     * @returns {Promise<Object>} Result object like checkSearchPatternSpeed(); succeeds for other search modes
+     */
+    async checkCollectionSearch(filters) {
+        const pattern = filters?.searchMode === 'regex' ? String(filters.search || '').trim() : '';
+        if (!pattern) {
+            return {
+                success: true,
+                message: 'No regex search to check'
+            };
+        }
+        return this.checkSearchPatternSpeed(pattern);
+    }
+
+    /**
+     * Get all smart collections
+     * @returns {Promise<Object>} Collections keyed by ID
+     */
+    async getSmartCollections() {
+        const collections = {};
+        Object.entries(extensionSettings.smart_collections || {}).forEach(([id, collection]) => {
+            collections[id] = this.upgradeCollectionFilters(collection);
+        });
+        return collections;
+    }
+
+    /**
+     * Move the tag: query terms of collections saved before they had their own allTags filter
+     * Those collections kept the terms in tags, which matches any of its tags rather than all of them
+     * @param {Object} collection - Stored smart collection, not modified
+     * @returns {Object} Collection with an allTags filter
+     */
+    upgradeCollectionFilters(collection) {
+        const filters = collection.filters;
+        if (!filters || filters.allTags !== undefined) {
+            return collection;
+        }
+
+        const queryTags = filters.query && filters.searchMode !== 'regex'
+            ? (this.parseSearchQuery(filters.query).filters.allTags || [])
+            : [];
+        const queryTagSet = new Set(queryTags.map(tag => tag.toLowerCase()));
+
+        return {
+            ...collection,
+            filters: {
+                ...filters,
+                tags: (filters.tags || []).filter(tag => !queryTagSet.has(tag.toLowerCase())),
+                allTags: queryTags
+            }
+        };
+    }
+
+    /**
+     * Save a named set of filters and sort order as a smart collection
+     * Its prompts are not stored; they are whatever matches the filters when the collection is opened
+     * @param {Object} collectionInfo - Collection name, filters and optional ID of a collection to update
+     * @returns {Promise<Object>} Result object with success status and collection data
+     */
+    async saveSmartCollection(collectionInfo) {
+        try {
+            const existing = collectionInfo.id ? (extensionSettings.smart_collections || {})[collectionInfo.id] : null;
+            const collection = {
+                id: collectionInfo.id || 'collection_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                name: (collectionInfo.name || '').trim(),
+                // Plain copy, so later filter changes don't leak into the saved collection
+                filters: collectionInfo.filters ? JSON.parse(JSON.stringify(collectionInfo.filters)) : null,
+                created_at: existing?.created_at || collectionInfo.created_at || new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+
+            const validation = this.validateSmartCollection(collection);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    error: `Validation failed: ${validation.errors.join(', ')}`,
+                    message: 'Invalid smart collection'
+                };
+            }
+
+            const searchCheck = await this.checkCollectionSearch(collection.filters);
+            if (!searchCheck.success) {
+                return {
+                    success: false,
+                    tooSlow: searchCheck.tooSlow === true,
+                    error: searchCheck.error,
+                    message: 'Invalid smart collection search'
+                };
+            }
+
+            extensionSettings.smart_collections = {
+                ...(extensionSettings.smart_collections || {}),
+                [collection.id]: collection
+            };
+            saveSettingsDebounced();
+
+            return {
+                success: true,
+                collection: collection,
+                message: `Smart collection "${collection.name}" saved`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error saving smart collection:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to save smart collection'
+            };
+        }
+    }
+
+    /**
+     * Delete a smart collection; its prompts are not affected
+     * @param {string} collectionId - The ID of the collection
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async deleteSmartCollection(collectionId) {
+        const collections = { ...(extensionSettings.smart_collections || {}) };
+        if (!collections[collectionId]) {
+            return {
+                success: false,
+                error: 'Smart collection not found',
+                message: 'Smart collection does not exist'
+            };
+        }
+
+        delete collections[collectionId];
+        extensionSettings.smart_collections = collections;
+        saveSettingsDebounced();
+
+        return {
+            success: true,
+            message: 'Smart collection deleted'
+        };
+    }
+
+    /**
+     * Attempt to repair corrupted prompt data
+     * @param {Object} promptData - The corrupted prompt data
+     * @returns {Object|null} Repaired prompt data or null if unrepairable
+     */
+    repairPromptData(promptData) {
+        try {
+            // Helper function to fix date strings
+            const fixDateString = (dateStr) => {
+                if (!dateStr) return null;
+                if (typeof dateStr !== 'string') return null;
+                
+                // Try to parse the date
+                const date = new Date(dateStr);
+                if (isNaN(date)) return null;
+                
+                // Return as proper ISO string
+                return date.toISOString();
+            };
+
+            const repaired = {
+                id: promptData.id || this.generatePromptId(),
+                name: promptData.name || 'Recovered Prompt',
+                content: promptData.content || '',
+                role: ['user', 'assistant', 'system'].includes(promptData.role) ? promptData.role : 'user',
+                system_prompt: typeof promptData.system_prompt === 'boolean' ? promptData.system_prompt : false,
+                marker: typeof promptData.marker === 'boolean' ? promptData.marker : false,
+                injection_position: typeof promptData.injection_position === 'number' ? promptData.injection_position : 0,
+                injection_depth: typeof promptData.injection_depth === 'number' ? promptData.injection_depth : 4,
+                injection_order: typeof promptData.injection_order === 'number' ? promptData.injection_order : 100,
+                forbid_overrides: typeof promptData.forbid_overrides === 'boolean' ? promptData.forbid_overrides : false,
+                content_hash: this.computeContentHash(promptData.content),
+                revisions: Array.isArray(promptData.revisions) ? promptData.revisions : [],
+                metadata: {
+                    created_at: fixDateString(promptData.metadata?.created_at) || new Date().toISOString(),
+                    last_used: fixDateString(promptData.metadata?.last_used),
+                    favorite: typeof promptData.metadata?.favorite === 'boolean' ? promptData.metadata.favorite : false,
+                    usage_count: typeof promptData.metadata?.usage_count === 'number' ? promptData.metadata.usage_count : 0,
+                    tags: Array.isArray(promptData.metadata?.tags) ? promptData.metadata.tags : [],
+                    source_preset: promptData.metadata?.source_preset || null,
+                    folder: typeof promptData.metadata?.folder === 'string' ? this.normalizeFolderPath(promptData.metadata.folder) : ''
+                }
+            };
+
+            // Keep trashed prompts in the trash
+            if (promptData.trash) {
+                repaired.trash = promptData.trash;
+            }
+
+            // Validate repaired data
+            const validation = this.validatePromptData(repaired);
+            if (validation.isValid) {
+                console.log(`[${this.extensionName}] Successfully repaired prompt data:`, repaired.id);
+                return repaired;
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error repairing prompt data:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply filters to a set of prompts
+     * @param {Object} prompts - Prompts to filter
+     * @param {Object} filters - Filters to apply
+     * @returns {Object} Filtered prompts
+     */
+    applyFilters(prompts, filters) {
+        let filtered = { ...prompts };
+
+        // Search filter, matched against the inverted index
+        if (filters.search && filters.search.trim()) {
+            const scores = this.getSearchScores(filters.search.trim(), filters.searchMode);
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => scores.has(id))
+            );
+        }
+
+        // Role filter
+        if (filters.role && filters.role !== 'all') {
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => prompt.role === filters.role)
+            );
+        }
+
+        // Favorite filter
+        if (filters.favorite !== undefined && filters.favorite !== null) {
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => prompt.metadata.favorite === filters.favorite)
+            );
+        }
+
+        // Tags filter (OR logic - any of the specified tags, ignoring case; tag: query terms use allTags)
+        if (filters.tags && Array.isArray(filters.tags) && filters.tags.length > 0) {
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => {
+                    const promptTags = prompt.metadata.tags.map(tag => tag.toLowerCase());
+                    return filters.tags.some(tag => promptTags.includes(tag.toLowerCase()));
+                })
+            );
+        }
+
+        // Folder filter (includes subfolders)
+        if (filters.folder) {
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => this.isInFolder(prompt.metadata.folder, filters.folder))
+            );
+        }
+
+        // Token count range filter
+        if (typeof filters.minTokens === 'number' || typeof filters.maxTokens === 'number') {
+            filtered = Object.fromEntries(
+                Object.entries(filtered).filter(([id, prompt]) => {
+                    const tokenCount = this.getCachedTokenCount(prompt).count;
+                    return (typeof filters.minTokens !== 'number' || tokenCount >= filters.minTokens) &&
+                        (typeof filters.maxTokens !== 'number' || tokenCount <= filters.maxTokens);
+                })
+            );
+        }
+
+        // Phrases, exclusions, preset and usage from the search query
+        filtered = Object.fromEntries(
+            Object.entries(filtered).filter(([id, prompt]) => this.matchesQueryFilters(prompt, filters))
+        );
+
+        return filtered;
+    }
+
+    /**
+     * Get the default filter state
+     * @returns {Object} Filter values that match every prompt
+     */
+    getDefaultFilters() {
+        return {
+            query: '',
+            search: '',
+            phrases: [],
+            excludeTerms: [],
+            role: 'all',
+            excludeRoles: [],
+            favorite: null,
+            tags: [],
+            allTags: [],
+            excludeTags: [],
+            folder: null,
+            excludeFolders: [],
+            preset: null,
+            excludePresets: [],
+            minTokens: null,
+            maxTokens: null,
+            minUsage: null,
+            maxUsage: null,
+            minAgeDays: null,
+            maxAgeDays: null,
+            searchMode: 'ranked',
+            sort: 'latest_used'
+        };
+    }
+
+    /**
+     * Sort prompts based on the specified criteria
+     * @param {Array} prompts - Array of prompt objects
+     * @param {string} sortBy - Sort criteria
+     * @param {string} searchQuery - Search text used to rank prompts for the 'relevance' sort
+     * @param {string} searchMode - How the search text is matched, see searchPrompts()
+     * @returns {Array} Sorted prompts array
+     */
+    sortPrompts(prompts, sortBy, searchQuery = '', searchMode = 'ranked') {
+        const sortedPrompts = [...prompts];
+
+        switch (sortBy) {
+            case 'latest_used':
+                return sortedPrompts.sort((a, b) => {
+                    const aUsed = a.metadata.last_used || a.metadata.created_at;
+                    const bUsed = b.metadata.last_used || b.metadata.created_at;
+                    return new Date(bUsed) - new Date(aUsed);
+                });
+
+            case 'oldest_used':
+                return sortedPrompts.sort((a, b) => {
+                    const aUsed = a.metadata.last_used || a.metadata.created_at;
+                    const bUsed = b.metadata.last_used || b.metadata.created_at;
+                    return new Date(aUsed) - new Date(bUsed);
+                });
+
+            case 'name':
+                return sortedPrompts.sort((a, b) => a.name.localeCompare(b.name));
+
+            case 'created':
+                return sortedPrompts.sort((a, b) => 
+                    new Date(b.metadata.created_at) - new Date(a.metadata.created_at)
+                );
+
+            case 'tokens_desc':
+                return sortedPrompts.sort((a, b) =>
+                    this.getCachedTokenCount(b).count - this.getCachedTokenCount(a).count
+                );
+
+            case 'tokens_asc':
+                return sortedPrompts.sort((a, b) =>
+                    this.getCachedTokenCount(a).count - this.getCachedTokenCount(b).count
+                );
+
+            case 'relevance': {
+                const query = (searchQuery || '').trim();
+                if (!query) {
+                    return sortedPrompts;
+                }
+                const scores = this.getSearchScores(query, searchMode);
+                return sortedPrompts.sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0));
+            }
+
+            default:
+                return sortedPrompts;
+        }
+    }
+
+    /**
+     * Filter and sort prompts the way the library view lists them
+     * Used for smart collections, so a collection lists the same prompts as the view showing it
+     * @param {Object} prompts - Prompts keyed by ID
+     * @param {Object} filters - Filters and sort order; missing values use getDefaultFilters()
+     * @returns {Array} Matching prompts in sort order
+     */
+    filterAndSortPrompts(prompts, filters) {
+        const fullFilters = { ...this.getDefaultFilters(), ...filters };
+        const filtered = this.applyFilters(prompts, fullFilters);
+        return this.sortPrompts(Object.values(filtered), fullFilters.sort, fullFilters.search, fullFilters.searchMode);
+    }
+
+    /**
+     * Export all prompts to JSON format
+     * @returns {Promise<Object>} Export result with JSON data
+     */
+    async exportPrompts() {
+        try {
+            const prompts = await this.getPrompts();
+            const snapshots = await this.getSnapshots();
+            const smartCollections = await this.getSmartCollections();
+            const exportData = {
+                version: SCHEMA_VERSION,
+                exported_at: new Date().toISOString(),
+                prompt_count: Object.keys(prompts).length,
+                prompts: prompts,
+                snapshots: snapshots,
+                smart_collections: smartCollections
+            };
+
+            return {
+                success: true,
+                data: exportData,
+                message: 'Prompts exported successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error exporting prompts:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to export prompts'
+            };
+        }
+    }
+
+    /**
+     * Get storage statistics
+     * @returns {Promise<Object>} Storage statistics
+     */
+    async getStorageStats() {
+        try {
+            const prompts = await this.getPrompts();
+            const promptCount = Object.keys(prompts).length;
+            const maxPrompts = extensionSettings.settings?.max_prompts || 1000;
+
+            // Calculate approximate storage size
+            const dataSize = JSON.stringify(prompts).length;
+
+            return {
+                prompt_count: promptCount,
+                max_prompts: maxPrompts,
+                storage_used_percent: Math.round((promptCount / maxPrompts) * 100),
+                approximate_size_bytes: dataSize,
+                approximate_size_kb: Math.round(dataSize / 1024)
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting storage stats:`, error);
+            return {
+                prompt_count: 0,
+                max_prompts: 1000,
+                storage_used_percent: 0,
+                approximate_size_bytes: 0,
+                approximate_size_kb: 0
+            };
+        }
+    }
+
+    /**
+     * Compare two prompts and generate diff data
+     * @param {string} prompt1Id - ID of first prompt
+     * @param {string} prompt2Id - ID of second prompt
+     * @returns {Promise<Object>} Comparison result with diff data
+     */
+    async comparePrompts(prompt1Id, prompt2Id) {
+        try {
+            // Load both prompts
+            const prompt1 = await this.loadPrompt(prompt1Id);
+            const prompt2 = await this.loadPrompt(prompt2Id);
+
+            if (!prompt1) {
+                throw new Error(`First prompt not found: ${prompt1Id}`);
+            }
+
+            if (!prompt2) {
+                throw new Error(`Second prompt not found: ${prompt2Id}`);
+            }
+
+            // Generate content differences
+            const differences = this.generateContentDiff(prompt1.content, prompt2.content);
+
+            // Generate metadata comparison
+            const metadataComparison = this.generateMetadataComparison(prompt1.metadata, prompt2.metadata);
+
+            console.log(`[${this.extensionName}] Comparison completed for ${prompt1Id} vs ${prompt2Id}`);
+
+            return {
+                success: true,
+                data: {
+                    prompt1,
+                    prompt2,
+                    differences,
+                    metadata_comparison: metadataComparison
+                },
+                message: 'Prompts compared successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error comparing prompts:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to compare prompts'
+            };
+        }
+    }
+
+    /**
+     * Generate content diff between two text strings
+     * @param {string} content1 - First content string
+     * @param {string} content2 - Second content string
+     * @returns {Array} Array of diff objects
+     */
+    generateContentDiff(content1, content2) {
+        const lines1 = content1.split('\n');
+        const lines2 = content2.split('\n');
+        const differences = [];
+
+        // Simple line-by-line comparison
+        const maxLines = Math.max(lines1.length, lines2.length);
+
+        for (let i = 0; i < maxLines; i++) {
+            const line1 = lines1[i] || '';
+            const line2 = lines2[i] || '';
+
+            if (line1 === line2) {
+                // Lines are identical
+                if (line1) { // Only add non-empty lines
+                    differences.push({
+                        type: 'unchanged',
+                        content: line1,
+                        lineNumber: i + 1
+                    });
+                }
+            } else if (!line1 && line2) {
+                // Line added in second prompt
+                differences.push({
+                    type: 'added',
+                    content: line2,
+                    lineNumber: i + 1
+                });
+            } else if (line1 && !line2) {
+                // Line removed in second prompt
+                differences.push({
+                    type: 'removed',
+                    content: line1,
+                    lineNumber: i + 1
+                });
+            } else {
+                // Line modified
+                differences.push({
+                    type: 'removed',
+                    content: line1,
+                    lineNumber: i + 1
+                });
+                differences.push({
+                    type: 'added',
+                    content: line2,
+                    lineNumber: i + 1
+                });
+            }
+        }
+
+        return differences;
+    }
+
+    /**
+     * Generate metadata comparison
+     * @param {Object} metadata1 - First prompt metadata
+     * @param {Object} metadata2 - Second prompt metadata
+     * @returns {Object} Metadata comparison object
+     */
+    generateMetadataComparison(metadata1, metadata2) {
+        const comparison = {};
+        const allKeys = new Set([...Object.keys(metadata1), ...Object.keys(metadata2)]);
+
+        allKeys.forEach(key => {
+            const value1 = metadata1[key];
+            const value2 = metadata2[key];
+
+            comparison[key] = {
+                value1: value1,
+                value2: value2,
+                different: JSON.stringify(value1) !== JSON.stringify(value2)
+            };
+        });
+
+        return comparison;
+    }
+
+    /**
+     * Handle storage quota exceeded error
+     * @param {Error} error - The storage quota error
+     * @returns {Promise<Object>} Result object with success status and cleanup options
+     */
+    async handleStorageQuotaExceeded(error) {
+        try {
+            console.warn(`[${this.extensionName}] Storage quota exceeded:`, error);
+
+            // Get current storage stats
+            const stats = await this.getStorageStats();
+
+            // Calculate cleanup options
+            const cleanupOptions = await this.calculateCleanupOptions();
+
+            // Perform automatic cleanup if possible
+            if (cleanupOptions.unusedPrompts > 0) {
+                const cleanupResult = await this.performAutomaticCleanup();
+                return {
+                    success: cleanupResult.success,
+                    action: 'automatic_cleanup',
+                    cleanupResult: cleanupResult,
+                    message: cleanupResult.success ?
+                        'Storage cleaned up automatically' :
+                        'Automatic cleanup failed'
+                };
+            }
+
+            return {
+                success: false,
+                action: 'manual_intervention_required',
+                stats: stats,
+                cleanupOptions: cleanupOptions,
+                message: 'Storage quota exceeded - manual cleanup required'
+            };
+
+        } catch (handlingError) {
+            console.error(`[${this.extensionName}] Error handling storage quota:`, handlingError);
+            return {
+                success: false,
+                error: handlingError.message,
+                message: 'Failed to handle storage quota exceeded'
+            };
+        }
+    }
+
+    /**
+     * Calculate cleanup options for storage management
+     * @returns {Promise<Object>} Cleanup options with recommendations
+     */
+    async calculateCleanupOptions() {
+        try {
+            const prompts = await this.getPrompts();
+            const promptList = Object.values(prompts);
+
+            // Calculate recommendations
+            const unusedPrompts = promptList.filter(p => (p.metadata.usage_count || 0) === 0);
+            const oldPrompts = promptList.filter(p => {
+                const age = Date.now() - new Date(p.metadata.created_at).getTime();
+                return age > (90 * 24 * 60 * 60 * 1000); // 90 days
+            });
+
+            return {
+                totalPrompts: promptList.length,
+                unusedPrompts: unusedPrompts.length,
+                oldPrompts: oldPrompts.length,
+                recommendations: {
+                    deleteUnused: unusedPrompts.slice(0, 10).map(p => ({ id: p.id, name: p.name })),
+                    deleteOld: oldPrompts.slice(0, 10).map(p => ({ id: p.id, name: p.name, age: Date.now() - new Date(p.metadata.created_at).getTime() }))
+                }
+            };
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error calculating cleanup options:`, error);
+            return {
+                totalPrompts: 0,
+                unusedPrompts: 0,
+                oldPrompts: 0,
+                recommendations: { deleteUnused: [], deleteOld: [] }
+            };
+        }
+    }
+
+    /**
+     * Perform automatic cleanup of unused prompts
+     * @returns {Promise<Object>} Cleanup result
+     */
+    async performAutomaticCleanup() {
+        try {
+            const prompts = await this.getPrompts();
+            const unusedPrompts = Object.values(prompts).filter(p => (p.metadata.usage_count || 0) === 0);
+
+            // Delete up to 5 unused prompts automatically
+            const deleteResult = await this.deletePrompts(
+                unusedPrompts.slice(0, 5).map(p => p.id),
+                { backupReason: 'before_cleanup', reason: 'automatic_cleanup' }
+            );
+
+            return {
+                success: deleteResult.deletedCount > 0,
+                deletedCount: deleteResult.deletedCount || 0,
+                deletedPrompts: deleteResult.deletedPrompts || [],
+                message: `Automatically deleted ${deleteResult.deletedCount || 0} unused prompts`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error performing automatic cleanup:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to perform automatic cleanup'
+            };
+        }
+    }
+
+    /**
+     * Recover corrupted data
+     * @param {Object} options - Recovery options
+     * @returns {Promise<Object>} Recovery result
+     */
+    async recoverCorruptedData(options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Attempting to recover corrupted data`);
+
+            const recoveryResults = [];
+            let recoveredCount = 0;
+
+            // Recovery 1: Try to restore from backup
+            if (options.tryBackupRestore !== false) {
+                try {
+                    const backupResult = await this.restoreFromBackup();
+                    recoveryResults.push({
+                        method: 'backup_restore',
+                        success: backupResult.success,
+                        result: backupResult
+                    });
+                    if (backupResult.success) {
+                        recoveredCount += backupResult.restoredItems || 0;
+                    }
+                } catch (backupError) {
+                    recoveryResults.push({
+                        method: 'backup_restore',
+                        success: false,
+                        error: backupError.message
+                    });
+                }
+            }
+
+            // Recovery 2: Try to validate and fix existing data
+            if (options.tryDataValidation !== false) {
+                try {
+                    const validationResult = await this.validateAndFixData();
+                    recoveryResults.push({
+                        method: 'data_validation',
+                        success: validationResult.success,
+                        result: validationResult
+                    });
+                    if (validationResult.success) {
+                        recoveredCount += validationResult.fixedItems || 0;
+                    }
+                } catch (validationError) {
+                    recoveryResults.push({
+                        method: 'data_validation',
+                        success: false,
+                        error: validationError.message
+                    });
+                }
+            }
+
+            // Check if any recovery succeeded
+            const successfulRecovery = recoveryResults.find(result => result.success);
+
+            return {
+                success: successfulRecovery !== undefined,
+                recoveredCount: recoveredCount,
+                recoveryResults: recoveryResults,
+                message: successfulRecovery ?
+                    `Data recovery successful - recovered ${recoveredCount} items` :
+                    'All data recovery methods failed'
+            };
+
+        } catch (recoveryError) {
+            console.error(`[${this.extensionName}] Error during data recovery:`, recoveryError);
+            return {
+                success: false,
+                error: recoveryError.message,
+                message: 'Data recovery process failed'
+            };
+        }
+    }
+
+    /**
+     * Restore data from backup
+     * Without promptIds the library is made identical to the backup (full restore);
+     * with promptIds only those prompts are restored and nothing is removed.
+     * @param {string} backupId - The ID of the backup to restore, defaults to the newest backup
+     * @param {Object} options - Restore options
+     * @param {Array<string>} options.promptIds - Restore only these prompts
+     * @param {boolean} options.createBackup - Back up the live library first (default true)
+     * @returns {Promise<Object>} Restore result
+     */
+    async restoreFromBackup(backupId = null, options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Attempting to restore from backup`);
+
+            const targetBackupId = backupId || this.listBackups()[0]?.id;
+            if (!targetBackupId) {
+                throw new Error('No backups available');
+            }
+
+            const previewResult = await this.previewBackupRestore(targetBackupId);
+            if (!previewResult.success) {
+                throw new Error(previewResult.error);
+            }
+
+            const { preview } = previewResult;
+            const selectedIds = Array.isArray(options.promptIds) ? new Set(options.promptIds) : null;
+            const toRestore = [...preview.added, ...preview.changed]
+                .filter(entry => !selectedIds || selectedIds.has(entry.id));
+            const toRemove = selectedIds ? [] : preview.removed;
+            // Snapshots are only restored by a full restore
+            const snapshotsToWrite = selectedIds ? [] : preview.snapshots.written;
+            const snapshotsToRemove = selectedIds ? [] : preview.snapshots.removed;
+
+            if (toRestore.length === 0 && toRemove.length === 0 && snapshotsToWrite.length === 0 && snapshotsToRemove.length === 0) {
+                return {
+                    success: true,
+                    backupId: targetBackupId,
+                    restoredItems: 0,
+                    removedItems: 0,
+                    restoredSnapshots: 0,
+                    message: 'Library already matches the backup'
+                };
+            }
+
+            // Keep the live library recoverable in case the restore was a mistake
+            if (options.createBackup !== false) {
+                await this.createAutomaticBackup('before_restore');
+            }
+
+            let restoredItems = 0;
+            let removedItems = 0;
+            const errors = [];
+
+            for (const entry of toRestore) {
+                const saveResult = await this.savePrompt(entry.backupPrompt, { revisionReason: 'before_restore', restore: true });
+                if (saveResult.success) {
+                    restoredItems++;
+                } else {
+                    errors.push({ id: entry.id, name: entry.name, error: saveResult.error });
+                }
+            }
+
+            for (const entry of toRemove) {
+                const deleteResult = await this.deletePrompt(entry.id, { reason: 'backup_restore' });
+                if (deleteResult.success) {
+                    removedItems++;
+                } else {
+                    errors.push({ id: entry.id, name: entry.name, error: deleteResult.error });
+                }
+            }
+
+            let restoredSnapshots = 0;
+            for (const snapshot of snapshotsToWrite) {
+                const snapshotResult = await this.saveSnapshot(snapshot);
+                if (snapshotResult.success) {
+                    restoredSnapshots++;
+                } else {
+                    errors.push({ id: snapshot.id, name: snapshot.name, error: snapshotResult.error });
+                }
+            }
+            for (const snapshot of snapshotsToRemove) {
+                const snapshotResult = await this.deleteSnapshot(snapshot.id);
+                if (!snapshotResult.success) {
+                    errors.push({ id: snapshot.id, name: snapshot.name, error: snapshotResult.error });
+                }
+            }
+
+            console.log(`[${this.extensionName}] Restored ${restoredItems} prompts and ${restoredSnapshots} snapshots from backup ${targetBackupId}, removed ${removedItems}`);
+
+            return {
+                success: errors.length === 0,
+                backupId: targetBackupId,
+                restoredItems: restoredItems,
+                removedItems: removedItems,
+                restoredSnapshots: restoredSnapshots,
+                errors: errors,
+                message: `Restored ${restoredItems} prompts` +
+                    (removedItems > 0 ? `, removed ${removedItems}` : '') +
+                    (restoredSnapshots > 0 ? `, ${restoredSnapshots} snapshots` : '') +
+                    (errors.length > 0 ? `, ${errors.length} failed` : '')
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error restoring from backup:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Backup restore failed'
+            };
+        }
+    }
+
+    /**
+     * Validate and fix existing data
+     * @returns {Promise<Object>} Validation result
+     */
+    async validateAndFixData() {
+        try {
+            console.log(`[${this.extensionName}] Validating and fixing data`);
+
+            const prompts = await this.getPrompts();
+            let fixedItems = 0;
+
+            // Validate each prompt and fix issues
+            for (const [id, prompt] of Object.entries(prompts)) {
+                let needsUpdate = false;
+
+                // Fix missing metadata
+                if (!prompt.metadata) {
+                    prompt.metadata = this.generateDefaultMetadata();
+                    needsUpdate = true;
+                    fixedItems++;
+                }
+
+                // Fix missing required fields
+                if (!prompt.id) {
+                    prompt.id = id;
+                    needsUpdate = true;
+                    fixedItems++;
+                }
+
+                if (!prompt.name) {
+                    prompt.name = `Recovered Prompt ${id.slice(-8)}`;
+                    needsUpdate = true;
+                    fixedItems++;
+                }
+
+                // Update if needed
+                if (needsUpdate) {
+                    await this.savePrompt(prompt);
+                }
+            }
+
+            return {
+                success: true,
+                fixedItems: fixedItems,
+                message: `Data validation completed - fixed ${fixedItems} items`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error validating data:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Data validation failed'
+            };
+        }
+    }
+
+    /**
+     * Create backup before performing operations
+     * @param {string} operation - The operation being performed
+     * @returns {Promise<Object>} Backup result
+     */
+    async createBackupBeforeOperation(operation) {
+        try {
+            console.log(`[${this.extensionName}] Creating backup before operation: ${operation}`);
+
+            // Get current data
+            const prompts = await this.getPrompts();
+
+            // Create backup with timestamp
+            const timestamp = new Date().toISOString();
+            const backupData = {
+                timestamp: timestamp,
+                operation: operation,
+                prompts: prompts,
+                metadata: {
+                    version: '1.0.0',
+                    totalPrompts: Object.keys(prompts).length
+                }
+            };
+
+            // In a real implementation, this would save to a backup location
+            // For testing, we'll simulate successful backup creation
+            return {
+                success: true,
+                backupId: `backup_${Date.now()}`,
+                backupData: backupData,
+                message: 'Backup created successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error creating backup:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to create backup'
+            };
+        }
+    }
+
+    /**
+     * Validate data integrity
+     * @param {Object} options - Validation options
+     * @returns {Promise<Object>} Validation result
+     */
+    async validateDataIntegrity(options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Validating data integrity`);
+
+            const prompts = await this.getPrompts();
+            const validationResults = {
+                totalPrompts: Object.keys(prompts).length,
+                validPrompts: 0,
+                invalidPrompts: 0,
+                issues: []
+            };
+
+            // Validate each prompt
+            for (const [id, prompt] of Object.entries(prompts)) {
+                const validation = this.validatePromptData(prompt);
+
+                if (validation.isValid) {
+                    validationResults.validPrompts++;
+                } else {
+                    validationResults.invalidPrompts++;
+                    validationResults.issues.push({
+                        promptId: id,
+                        promptName: prompt.name || 'Unknown',
+                        issues: validation.issues
+                    });
+                }
+            }
+
+            // Check overall integrity
+            const integrityScore = validationResults.totalPrompts > 0 ?
+                (validationResults.validPrompts / validationResults.totalPrompts) * 100 : 100;
+
+            return {
+                success: true,
+                integrityScore: integrityScore,
+                validationResults: validationResults,
+                isHealthy: integrityScore >= 90,
+                message: `Data integrity validation completed - ${integrityScore.toFixed(1)}% healthy`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error validating data integrity:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to validate data integrity'
+            };
+        }
+    }
+
+    /**
+     * Import prompts from JSON data
+     * @param {Object|string} importData - The data to import (JSON object or string)
+     * @param {Object} options - Import options
+     * @param {boolean} options.allowNewerSchema - Import data from a newer schema as-is (requires a backup)
+     * @returns {Promise<Object>} Import result
+     */
+    async importPrompts(importData, options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Starting prompt import`);
+
+            // Parse import data if it's a string
+            let parsedData;
+            if (typeof importData === 'string') {
+                try {
+                    parsedData = JSON.parse(importData);
+                } catch (parseError) {
+                    throw new Error('Invalid JSON format in import data');
+                }
+            } else if (typeof importData === 'object' && importData !== null) {
+                parsedData = importData;
+            } else {
+                throw new Error('Invalid import data format - must be JSON string or object');
+            }
+
+            // Validate import data structure
+            if (!parsedData.version || !parsedData.exported_at || !parsedData.prompts) {
+                throw new Error('Invalid import data structure - missing required fields (version, exported_at, prompts)');
+            }
+
+            // Refuse data from a newer, unknown schema unless explicitly allowed with a backup
+            if (this.schemaMigrator.isNewerVersion(parsedData.version)) {
+                if (!options.allowNewerSchema || options.createBackup === false) {
+                    throw new Error(`Import data uses schema ${parsedData.version}, which is newer than the supported ${SCHEMA_VERSION}. Update the extension first.`);
+                }
+                console.warn(`[${this.extensionName}] Importing data from newer schema ${parsedData.version} without migration`);
+            } else if (this.schemaMigrator.compareVersions(parsedData.version, SCHEMA_VERSION) < 0) {
+                // Upgrade older records step by step before validating them
+                const migration = this.schemaMigrator.migratePromptMap(parsedData.prompts, parsedData.version);
+                console.log(`[${this.extensionName}] Migrated ${migration.changedIds.length} imported prompts from schema ${parsedData.version} to ${SCHEMA_VERSION}`);
+                parsedData = { ...parsedData, prompts: migration.prompts };
+            }
+
+            // Create backup before import if requested
+            if (options.createBackup !== false) {
+                await this.createAutomaticBackup('before_import');
+            }
+
+            // Process import options
+            const importOptions = {
+                overwriteExisting: options.overwriteExisting || false,
+                mergeMetadata: options.mergeMetadata !== false,
+                validatePrompts: options.validatePrompts !== false,
+                ...options
+            };
+
+            // Import prompts
+            const importResults = {
+                imported: 0,
+                skipped: 0,
+                errors: 0,
+                details: [],
+                changes: []
+            };
+
+            for (const [promptId, promptData] of Object.entries(parsedData.prompts)) {
+                try {
+                    // Validate prompt data if requested
+                    if (importOptions.validatePrompts) {
+                        const validation = this.validatePromptData(promptData);
+                        if (!validation.isValid) {
+                            importResults.errors++;
+                            importResults.details.push({
+                                id: promptId,
+                                name: promptData.name || 'Unknown',
+                                status: 'error',
+                                reason: `Validation failed: ${validation.issues.join(', ')}`
+                            });
+                            continue;
+                        }
+                    }
+
+                    // Check if prompt already exists
+                    const existingPrompts = await this.getPrompts();
+                    const existingPrompt = existingPrompts[promptId];
+
+                    if (existingPrompt && !importOptions.overwriteExisting) {
+                        importResults.skipped++;
+                        importResults.details.push({
+                            id: promptId,
+                            name: promptData.name || 'Unknown',
+                            status: 'skipped',
+                            reason: 'Prompt already exists and overwrite is disabled'
+                        });
+                        continue;
+                    }
+
+                    // Merge metadata if requested and prompt exists
+                    let finalPromptData = { ...promptData };
+                    if (existingPrompt && importOptions.mergeMetadata) {
+                        finalPromptData.metadata = {
+                            ...promptData.metadata,
+                            ...existingPrompt.metadata,
+                            imported_at: new Date().toISOString(),
+                            import_source: parsedData.exported_at
+                        };
+                    } else {
+                        // Add import metadata
+                        finalPromptData.metadata = {
+                            ...promptData.metadata,
+                            imported_at: new Date().toISOString(),
+                            import_source: parsedData.exported_at
+                        };
+                    }
+
+                    // Save the prompt; the whole import is reported as one event below
+                    const saveResult = await this.savePrompt(finalPromptData, { revisionReason: 'before_import', silent: true });
+                    if (saveResult.success) {
+                        importResults.imported++;
+                        const importedCopy = this.clonePromptForEvent(saveResult.promptData);
+                        importResults.changes.push({
+                            promptId: saveResult.promptData.id,
+                            before: saveResult.previousData,
+                            after: importedCopy,
+                            diff: this.diffPromptData(saveResult.previousData, importedCopy)
+                        });
+                        importResults.details.push({
+                            id: promptId,
+                            name: promptData.name || 'Unknown',
+                            status: 'imported',
+                            reason: existingPrompt ? 'Overwritten' : 'New prompt'
+                        });
+                    } else {
+                        importResults.errors++;
+                        importResults.details.push({
+                            id: promptId,
+                            name: promptData.name || 'Unknown',
+                            status: 'error',
+                            reason: saveResult.error || 'Save failed'
+                        });
+                    }
+
+                } catch (promptError) {
+                    importResults.errors++;
+                    importResults.details.push({
+                        id: promptId,
+                        name: promptData.name || 'Unknown',
+                        status: 'error',
+                        reason: promptError.message
+                    });
+                }
+            }
+
+            // Import preset snapshots; existing ones are only replaced when overwriting
+            let snapshotsImported = 0;
+            for (const snapshotData of Object.values(parsedData.snapshots || {})) {
+                if (!(await this.loadSnapshot(snapshotData.id)) || importOptions.overwriteExisting) {
+                    const snapshotResult = await this.saveSnapshot(snapshotData);
+                    if (snapshotResult.success) {
+                        snapshotsImported++;
+                    }
+                }
+            }
+
+            // Import smart collections the same way
+            let collectionsImported = 0;
+            const existingCollections = await this.getSmartCollections();
+            for (const collection of Object.values(parsedData.smart_collections || {})) {
+                if (!existingCollections[collection.id] || importOptions.overwriteExisting) {
+                    const collectionResult = await this.saveSmartCollection(collection);
+                    if (collectionResult.success) {
+                        collectionsImported++;
+                    } else {
+                        console.warn(`[${this.extensionName}] Smart collection "${collection.name}" not imported: ${collectionResult.error}`);
+                    }
+                }
+            }
+
+            const totalProcessed = importResults.imported + importResults.skipped + importResults.errors;
+            const success = totalProcessed > 0 && importResults.errors === 0;
+
+            console.log(`[${this.extensionName}] Import completed: ${importResults.imported} imported, ${importResults.skipped} skipped, ${importResults.errors} errors`);
+
+            if (importResults.imported > 0 || snapshotsImported > 0 || collectionsImported > 0) {
+                this.emitLibraryEvent(PROMPT_SAVER_EVENTS.IMPORTED, {
+                    promptIds: importResults.changes.map(change => change.promptId),
+                    changes: importResults.changes,
+                    imported: importResults.imported,
+                    skipped: importResults.skipped,
+                    errors: importResults.errors,
+                    snapshotsImported: snapshotsImported,
+                    collectionsImported: collectionsImported
+                });
+            }
+
+            return {
+                success: success,
+                imported: importResults.imported,
+                skipped: importResults.skipped,
+                errors: importResults.errors,
+                totalProcessed: totalProcessed,
+                snapshotsImported: snapshotsImported,
+                collectionsImported: collectionsImported,
+                details: importResults.details,
+                message: `Import completed: ${importResults.imported} imported, ${importResults.skipped} skipped, ${importResults.errors} errors`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error importing prompts:`, error);
+            return {
+                success: false,
+                error: error.message,
+                imported: 0,
+                skipped: 0,
+                errors: 0,
+                message: 'Import failed: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Create automatic backup of current prompts
+     * Revision histories and cached token counts are left out unless asked for: they can make up most of
+     * a prompt's size, and restoring a prompt keeps the live revision history anyway
+     * @param {string} reason - Reason for creating backup
+     * @param {Object} options - Backup options
+     * @param {boolean} options.pinned - Exempt this backup from the retention tiers
+     * @param {boolean} options.rawPrompts - Back up the stored records exactly as they are, trashed ones included,
+     *                                       instead of the validated and repaired prompts from getPrompts()
+     * @param {boolean} options.includeRevisions - Keep each prompt's revision history and token count
+     * @returns {Promise<Object>} Backup result
+     */
+    async createAutomaticBackup(reason = 'automatic', options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Creating automatic backup: ${reason}`);
+
+            // Get current prompts and preset snapshots
+            const sourcePrompts = options.rawPrompts ?
+                JSON.parse(JSON.stringify(getPromptStorage().getPromptMap())) :
+                await this.getPrompts();
+            const prompts = {};
+            for (const [id, promptData] of Object.entries(sourcePrompts)) {
+                if (options.includeRevisions) {
+                    prompts[id] = promptData;
+                } else {
+                    const { revisions, token_count, ...record } = promptData;
+                    prompts[id] = record;
+                }
+            }
+            const snapshots = await this.getSnapshots();
+            const timestamp = new Date().toISOString();
+
+            // Create backup data structure, stamped with the schema the stored prompts are actually in
+            // (before a migration this is older than SCHEMA_VERSION, so restoring migrates them again)
+            const backupData = {
+                version: extensionSettings?.metadata?.version || '1.0.0',
+                backup_type: 'automatic',
+                created_at: timestamp,
+                reason: reason,
+                prompts: prompts,
+                snapshots: snapshots,
+                metadata: {
+                    total_prompts: Object.keys(prompts).length,
+                    total_snapshots: Object.keys(snapshots).length,
+                    backup_size: JSON.stringify(prompts).length,
+                    created_by: 'prompt-saver-extension'
+                }
+            };
+
+            // Generate backup ID
+            const backupId = `backup_${Date.now()}_${reason.replace(/[^a-z0-9]/gi, '_')}`;
+
+            // In a real implementation, this would save to a backup storage location
+            // For now, we'll store it in localStorage with a special prefix (if available)
+            const backupKey = `${this.storageKey}_backup_${backupId}`;
+
+            if (typeof localStorage !== 'undefined') {
+                const stored = await this.storeBackupData(backupKey, JSON.stringify(backupData));
+                if (!stored) {
+                    // Report instead of throwing: the operation that asked for the backup decides whether to go on
+                    const quotaMessage = 'Not enough browser storage for a library backup. Export the library or delete old backups.';
+                    console.warn(`[${this.extensionName}] Backup ${backupId} not stored: localStorage is full`);
+                    if (typeof toastr !== 'undefined') {
+                        toastr.warning(quotaMessage, 'Backup skipped');
+                    }
+                    return {
+                        success: false,
+                        quotaExceeded: true,
+                        error: 'localStorage quota exceeded',
+                        message: quotaMessage
+                    };
+                }
+
+                // Keep track of backups
+                const backupIndex = this.getBackupIndex();
+                backupIndex[backupId] = {
+                    id: backupId,
+                    created_at: timestamp,
+                    reason: reason,
+                    pinned: options.pinned === true || this.pinnedBackupReasons.includes(reason),
+                    version: backupData.version,
+                    total_prompts: Object.keys(prompts).length,
+                    size: JSON.stringify(backupData).length
+                };
+                this.saveBackupIndex(backupIndex);
+
+                // Apply the retention policy
+                await this.cleanupOldBackups();
+            } else {
+                console.log(`[${this.extensionName}] localStorage not available, backup simulated in test environment`);
+            }
+
+            console.log(`[${this.extensionName}] Automatic backup created: ${backupId}`);
+
+            return {
+                success: true,
+                backupId: backupId,
+                backupData: backupData,
+                written: typeof localStorage !== 'undefined',
+                size: JSON.stringify(backupData).length,
+                message: `Automatic backup created successfully: ${backupId}`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error creating automatic backup:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to create automatic backup: ' + error.message
+            };
+        }
+    }
+
+    /**
+     * Write backup data to localStorage, making room when it is full
+     * Room is made by applying the retention policy, then by removing the oldest unpinned backups;
+     * pinned backups are left alone
+     * @param {string} backupKey - localStorage key for the backup
+     * @param {string} serializedData - Backup data as JSON
+     * @returns {Promise<boolean>} True if the backup was stored
+     */
+    async storeBackupData(backupKey, serializedData) {
+        const tryStore = () => {
+            try {
+                localStorage.setItem(backupKey, serializedData);
+                return true;
+            } catch (storageError) {
+                return false;
+            }
+        };
+
+        if (tryStore()) {
+            return true;
+        }
+
+        await this.cleanupOldBackups();
+        if (tryStore()) {
+            return true;
+        }
+
+        const removable = this.listBackups().filter(backup => !this.isBackupPinned(backup)).reverse();
+        for (const backup of removable) {
+            this.deleteBackup(backup.id);
+            if (tryStore()) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get backup index from storage
+     * @returns {Object} Backup index
+     */
+    getBackupIndex() {
+        try {
+            if (typeof localStorage === 'undefined') {
+                return {}; // Return empty index in test environment
+            }
+            const indexKey = `${this.storageKey}_backup_index`;
+            const indexData = localStorage.getItem(indexKey);
+            return indexData ? JSON.parse(indexData) : {};
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting backup index:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Save backup index to storage
+     * @param {Object} backupIndex - Backup index to save
+     */
+    saveBackupIndex(backupIndex) {
+        try {
+            if (typeof localStorage === 'undefined') {
+                return; // Skip saving in test environment
+            }
+            const indexKey = `${this.storageKey}_backup_index`;
+            localStorage.setItem(indexKey, JSON.stringify(backupIndex));
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error saving backup index:`, error);
+        }
+    }
+
+    /**
+     * Move backups written by earlier versions under the "undefined" key prefix (storageKey was not set)
+     * to the current prefix so the backup browser lists them
+     * @returns {Object} Result object with the number of moved backups
+     */
+    migrateLegacyBackups() {
+        try {
+            if (typeof localStorage === 'undefined') {
+                return { success: true, movedCount: 0, message: 'No localStorage available' };
+            }
+
+            const legacyPrefix = 'undefined_backup_';
+            const legacyIndexKey = `${legacyPrefix}index`;
+            const legacyIndex = JSON.parse(localStorage.getItem(legacyIndexKey) || '{}');
+            const legacyKeys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(legacyPrefix) && key !== legacyIndexKey) {
+                    legacyKeys.push(key);
+                }
+            }
+
+            if (legacyKeys.length === 0) {
+                localStorage.removeItem(legacyIndexKey);
+                return { success: true, movedCount: 0, message: 'No legacy backups found' };
+            }
+
+            const backupIndex = this.getBackupIndex();
+            let movedCount = 0;
+            for (const legacyKey of legacyKeys) {
+                try {
+                    const backupId = legacyKey.slice(legacyPrefix.length);
+                    const rawData = localStorage.getItem(legacyKey);
+                    const backupData = JSON.parse(rawData);
+
+                    localStorage.setItem(`${this.storageKey}_backup_${backupId}`, rawData);
+                    backupIndex[backupId] = {
+                        id: backupId,
+                        created_at: backupData.created_at,
+                        reason: backupData.reason || 'automatic',
+                        total_prompts: Object.keys(backupData.prompts || {}).length,
+                        size: rawData.length,
+                        ...(legacyIndex[backupId] || {})
+                    };
+                    localStorage.removeItem(legacyKey);
+                    movedCount++;
+                } catch (moveError) {
+                    console.warn(`[${this.extensionName}] Could not move legacy backup ${legacyKey}:`, moveError);
+                }
+            }
+
+            this.saveBackupIndex(backupIndex);
+            if (movedCount === legacyKeys.length) {
+                localStorage.removeItem(legacyIndexKey);
+            }
+
+            console.log(`[${this.extensionName}] Moved ${movedCount} legacy backups to the current key prefix`);
+
+            return {
+                success: true,
+                movedCount: movedCount,
+                message: `Moved ${movedCount} legacy backups`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error moving legacy backups:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to move legacy backups'
+            };
+        }
+    }
+
+    /**
+     * List stored backups from the backup index
+     * @returns {Array} Backup index entries, newest first
+     */
+    listBackups() {
+        const backupIndex = this.getBackupIndex();
+        return Object.values(backupIndex)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    /**
+     * Load the full data of a stored backup
+     * @param {string} backupId - The ID of the backup to load
+     * @returns {Object} Result object with success status and backup data
+     */
+    loadBackup(backupId) {
+        try {
+            if (typeof localStorage === 'undefined') {
+                throw new Error('localStorage is not available');
+            }
+
+            const backupKey = `${this.storageKey}_backup_${backupId}`;
+            const rawData = localStorage.getItem(backupKey);
+            if (!rawData) {
+                throw new Error(`Backup not found: ${backupId}`);
+            }
+
+            let backupData = JSON.parse(rawData);
+            if (!backupData.prompts || typeof backupData.prompts !== 'object') {
+                throw new Error('Backup data has no prompts');
+            }
+
+            // Bring backups from older schemas up to date, refuse unknown newer ones
+            const backupVersion = backupData.version || '1.0.0';
+            if (this.schemaMigrator.isNewerVersion(backupVersion)) {
+                throw new Error(`Backup uses schema ${backupVersion}, which is newer than the supported ${SCHEMA_VERSION}`);
+            }
+            if (this.schemaMigrator.compareVersions(backupVersion, SCHEMA_VERSION) < 0) {
+                backupData = { ...backupData, prompts: this.schemaMigrator.migratePromptMap(backupData.prompts, backupVersion).prompts };
+            }
+
+            return {
+                success: true,
+                backupData: backupData,
+                message: 'Backup loaded successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error loading backup ${backupId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to load backup'
+            };
+        }
+    }
+
+    /**
+     * Check whether two versions of a prompt differ in content or metadata
+     * @param {Object} livePrompt - The prompt currently in the library
+     * @param {Object} backupPrompt - The prompt stored in the backup
+     * @returns {boolean} True if the versions differ
+     */
+    isPromptVersionChanged(livePrompt, backupPrompt) {
+        return this.hasRevisionableChanges(livePrompt, backupPrompt) ||
+            JSON.stringify(livePrompt.metadata || {}) !== JSON.stringify(backupPrompt.metadata || {});
+    }
+
+    /**
+     * Compare a backup against the live library
+     * @param {string} backupId - The ID of the backup to compare
+     * @returns {Promise<Object>} Result object with added, changed, removed and unchanged prompts
+     */
+    async previewBackupRestore(backupId) {
+        try {
+            const loadResult = this.loadBackup(backupId);
+            if (!loadResult.success) {
+                throw new Error(loadResult.error);
+            }
+
+            const backupPrompts = loadResult.backupData.prompts;
+            const livePrompts = await this.getPrompts();
+
+            const preview = {
+                added: [],
+                changed: [],
+                removed: [],
+                unchanged: 0
+            };
+
+            // Prompts that would be recreated or overwritten by the backup
+            for (const [id, backupPrompt] of Object.entries(backupPrompts)) {
+                const livePrompt = livePrompts[id];
+                if (!livePrompt) {
+                    preview.added.push({ id: id, name: backupPrompt.name, backupPrompt: backupPrompt });
+                } else if (this.isPromptVersionChanged(livePrompt, backupPrompt)) {
+                    preview.changed.push({ id: id, name: backupPrompt.name, backupPrompt: backupPrompt, livePrompt: livePrompt });
+                } else {
+                    preview.unchanged++;
+                }
+            }
+
+            // Prompts that a full restore would remove
+            for (const [id, livePrompt] of Object.entries(livePrompts)) {
+                if (!backupPrompts[id]) {
+                    preview.removed.push({ id: id, name: livePrompt.name, livePrompt: livePrompt });
+                }
+            }
+
+            // Preset snapshots a full restore would write or remove; backups from before snapshots were backed up have none
+            preview.snapshots = { written: [], removed: [] };
+            const backupSnapshots = loadResult.backupData.snapshots;
+            if (backupSnapshots && typeof backupSnapshots === 'object') {
+                const liveSnapshots = await this.getSnapshots();
+                Object.values(backupSnapshots).forEach(snapshot => {
+                    if (JSON.stringify(liveSnapshots[snapshot.id]) !== JSON.stringify(snapshot)) {
+                        preview.snapshots.written.push(snapshot);
+                    }
+                });
+                Object.values(liveSnapshots).forEach(snapshot => {
+                    if (!backupSnapshots[snapshot.id]) {
+                        preview.snapshots.removed.push(snapshot);
+                    }
+                });
+            }
+
+            return {
+                success: true,
+                backup: loadResult.backupData,
+                preview: preview,
+                message: `Backup differs in ${preview.added.length + preview.changed.length + preview.removed.length} prompts` +
+                    ` and ${preview.snapshots.written.length + preview.snapshots.removed.length} snapshots`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error previewing backup ${backupId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to preview backup'
+            };
+        }
+    }
+
+    /**
+     * Get the grandfather-father-son retention policy from settings
+     * @returns {Object} Number of backups to keep per tier
+     */
+    getRetentionPolicy() {
+        const configured = extensionSettings.settings?.backup_retention || {};
+        const policy = {};
+
+        for (const [tier, defaultCount] of Object.entries(this.defaultRetentionPolicy)) {
+            const count = parseInt(configured[tier], 10);
+            policy[tier] = count >= 0 ? count : defaultCount;
+        }
+
+        return policy;
+    }
+
+    /**
+     * Check whether a backup is pinned and exempt from the retention tiers
+     * The pinned flag in the index wins over the reason, so the user can unpin any backup
+     * @param {Object} backup - Backup index entry
+     * @returns {boolean} True if the backup is pinned
+     */
+    isBackupPinned(backup) {
+        return typeof backup.pinned === 'boolean' ? backup.pinned : this.pinnedBackupReasons.includes(backup.reason);
+    }
+
+    /**
+     * Pin or unpin a backup
+     * An unpinned backup falls under the retention tiers and may be removed by the next cleanup
+     * @param {string} backupId - The ID of the backup
+     * @param {boolean} pinned - Whether the backup should be pinned
+     * @returns {Object} Result object with success status
+     */
+    setBackupPinned(backupId, pinned) {
+        const backupIndex = this.getBackupIndex();
+        if (!backupIndex[backupId]) {
+            return {
+                success: false,
+                error: 'Backup not found',
+                message: 'Backup does not exist'
+            };
+        }
+
+        backupIndex[backupId].pinned = pinned === true;
+        this.saveBackupIndex(backupIndex);
+
+        return {
+            success: true,
+            pinned: pinned === true,
+            message: pinned ? 'Backup pinned' : 'Backup unpinned'
+        };
+    }
+
+    /**
+     * Get the retention period a backup falls into for a tier
+     * @param {string} dateString - Backup creation date
+     * @param {string} tier - Retention tier (hourly, daily, weekly, monthly)
+     * @returns {string} Period key, equal for backups in the same period
+     */
+    getBackupPeriodKey(dateString, tier) {
+        const date = new Date(dateString);
+        const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+        switch (tier) {
+            case 'hourly':
+                return `${day} ${date.getHours()}`;
+            case 'daily':
+                return day;
+            case 'weekly': {
+                // Weeks start on Monday
+                const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+                return `${monday.getFullYear()}-${monday.getMonth() + 1}-${monday.getDate()}`;
+            }
+            case 'monthly':
+                return `${date.getFullYear()}-${date.getMonth() + 1}`;
+            default:
+                return dateString;
+        }
+    }
+
+    /**
+     * Sort backups into retention tiers
+     * Each tier keeps the newest backup of its most recent periods; a backup kept by
+     * several tiers is counted in the finest one. Unkept backups are expired.
+     * @returns {Object} Backup index entries grouped by pinned, each tier and expired
+     */
+    classifyBackups() {
+        const policy = this.getRetentionPolicy();
+        const tiers = {
+            pinned: [],
+            hourly: [],
+            daily: [],
+            weekly: [],
+            monthly: [],
+            expired: []
+        };
+
+        const backups = this.listBackups();
+        const unpinned = [];
+        backups.forEach(backup => {
+            if (this.isBackupPinned(backup)) {
+                tiers.pinned.push(backup);
+            } else {
+                unpinned.push(backup);
+            }
+        });
+
+        const keptBy = new Map();
+        for (const tier of Object.keys(this.defaultRetentionPolicy)) {
+            const periods = new Set();
+            for (const backup of unpinned) {
+                const periodKey = this.getBackupPeriodKey(backup.created_at, tier);
+                if (periods.has(periodKey)) {
+                    continue;
+                }
+                if (periods.size >= policy[tier]) {
+                    break;
+                }
+                periods.add(periodKey);
+                if (!keptBy.has(backup.id)) {
+                    keptBy.set(backup.id, tier);
+                }
+            }
+        }
+
+        unpinned.forEach(backup => {
+            tiers[keptBy.get(backup.id) || 'expired'].push(backup);
+        });
+
+        return tiers;
+    }
+
+    /**
+     * Get how much localStorage each retention tier uses
+     * @returns {Object} Count and size per tier, plus a total; pinnedOverWarning when pinned backups
+     *                   are above pinnedBackupWarningSize
+     */
+    getBackupTierUsage() {
+        const tiers = this.classifyBackups();
+        const usage = {};
+        let totalSize = 0;
+        let totalCount = 0;
+
+        for (const [tier, backups] of Object.entries(tiers)) {
+            const size = backups.reduce((sum, backup) => sum + (backup.size || 0), 0);
+            usage[tier] = { count: backups.length, size: size };
+            totalSize += size;
+            totalCount += backups.length;
+        }
+
+        usage.total = { count: totalCount, size: totalSize };
+        usage.pinnedOverWarning = usage.pinned.size > this.pinnedBackupWarningSize;
+        return usage;
+    }
+
+    /**
+     * Delete a single backup
+     * @param {string} backupId - The ID of the backup to delete
+     * @returns {Object} Result object with success status
+     */
+    deleteBackup(backupId) {
+        try {
+            const backupIndex = this.getBackupIndex();
+            if (!backupIndex[backupId]) {
+                return {
+                    success: false,
+                    error: 'Backup not found',
+                    message: 'Backup does not exist'
+                };
+            }
+
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(`${this.storageKey}_backup_${backupId}`);
+            }
+            delete backupIndex[backupId];
+            this.saveBackupIndex(backupIndex);
+
+            return {
+                success: true,
+                message: 'Backup deleted successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error deleting backup ${backupId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to delete backup'
+            };
+        }
+    }
+
+    /**
+     * Clean up old backups according to the retention policy
+     * Pinned backups are never removed
+     * @returns {Promise<Object>} Cleanup result
+     */
+    async cleanupOldBackups() {
+        try {
+            console.log(`[${this.extensionName}] Cleaning up old backups`);
+
+            if (typeof localStorage === 'undefined') {
+                return {
+                    success: true,
+                    deletedCount: 0,
+                    message: 'Cleanup skipped in test environment'
+                };
+            }
+
+            const backupIndex = this.getBackupIndex();
+            const expiredBackups = this.classifyBackups().expired;
+            let deletedCount = 0;
+
+            for (const backup of expiredBackups) {
+                try {
+                    const backupKey = `${this.storageKey}_backup_${backup.id}`;
+                    localStorage.removeItem(backupKey);
+                    delete backupIndex[backup.id];
+                    deletedCount++;
+                } catch (deleteError) {
+                    console.warn(`[${this.extensionName}] Failed to delete backup ${backup.id}:`, deleteError);
+                }
+            }
+
+            if (deletedCount > 0) {
+                this.saveBackupIndex(backupIndex);
+            }
+
+            return {
+                success: true,
+                deletedCount: deletedCount,
+                message: `Cleaned up ${deletedCount} old backups`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error cleaning up old backups:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to clean up old backups'
+            };
+        }
+    }
+
+    /**
+     * Enable prompt caching for improved performance
+     * @param {Object} options - Caching options
+     * @returns {Object} Caching result
+     */
+    enablePromptCaching(options = {}) {
+        try {
+            console.log(`[${this.extensionName}] Enabling prompt caching`);
+
+            const config = {
+                maxCacheSize: options.maxCacheSize || 100,
+                ttl: options.ttl || 300000, // 5 minutes
+                enableMemoryCache: options.enableMemoryCache !== false,
+                enableFilterCache: options.enableFilterCache !== false,
+                ...options
+            };
+
+            // Initialize cache storage
+            this.promptCache = {
+                data: new Map(),
+                filters: new Map(),
+                metadata: new Map(),
+                config: config,
+                stats: {
+                    hits: 0,
+                    misses: 0,
+                    evictions: 0
+                }
+            };
+
+            return {
+                success: true,
+                config: config,
+                message: 'Prompt caching enabled successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error enabling prompt caching:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to enable prompt caching'
+            };
+        }
+    }
+
+    /**
+     * Cache filter results for faster subsequent searches
+     * @param {string} filterKey - Unique key for the filter
+     * @param {Array} results - Filter results to cache
+     * @param {Object} metadata - Additional metadata
+     * @returns {Object} Cache result
+     */
+    cacheFilterResults(filterKey, results, metadata = {}) {
+        try {
+            if (!this.promptCache) {
+                return { success: false, message: 'Caching not enabled' };
+            }
+
+            const cacheEntry = {
+                results: results,
+                metadata: metadata,
+                timestamp: Date.now(),
+                accessCount: 0
+            };
+
+            // Check cache size and evict if necessary
+            if (this.promptCache.filters.size >= this.promptCache.config.maxCacheSize) {
+                this.evictOldestCacheEntry('filters');
+            }
+
+            this.promptCache.filters.set(filterKey, cacheEntry);
+
+            console.log(`[${this.extensionName}] Cached filter results for key: ${filterKey}`);
+
+            return {
+                success: true,
+                filterKey: filterKey,
+                resultCount: results.length,
+                message: 'Filter results cached successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error caching filter results:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to cache filter results'
+            };
+        }
+    }
+
+    /**
+     * Clear cache to free memory
+     * @param {string} cacheType - Type of cache to clear ('all', 'data', 'filters')
+     * @returns {Object} Clear result
+     */
+    clearCache(cacheType = 'all') {
+        try {
+            if (!this.promptCache) {
+                return { success: false, message: 'Caching not enabled' };
+            }
+
+            let clearedCount = 0;
+
+            switch (cacheType) {
+                case 'data':
+                    clearedCount = this.promptCache.data.size;
+                    this.promptCache.data.clear();
+                    break;
+                case 'filters':
+                    clearedCount = this.promptCache.filters.size;
+                    this.promptCache.filters.clear();
+                    break;
+                case 'all':
+                default:
+                    clearedCount = this.promptCache.data.size + this.promptCache.filters.size;
+                    this.promptCache.data.clear();
+                    this.promptCache.filters.clear();
+                    this.promptCache.metadata.clear();
+                    // Reset stats
+                    this.promptCache.stats = {
+                        hits: 0,
+                        misses: 0,
+                        evictions: 0
+                    };
+                    break;
+            }
+
+            console.log(`[${this.extensionName}] Cleared ${cacheType} cache: ${clearedCount} entries`);
+
+            return {
+                success: true,
+                cacheType: cacheType,
+                clearedCount: clearedCount,
+                message: `Cache cleared: ${clearedCount} entries`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error clearing cache:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to clear cache'
+            };
+        }
+    }
+
+    /**
+     * Evict oldest cache entry to make room for new ones
+     * @param {string} cacheType - Type of cache to evict from
+     */
+    evictOldestCacheEntry(cacheType) {
+        try {
+            const cache = this.promptCache[cacheType];
+            if (!cache || cache.size === 0) return;
+
+            let oldestKey = null;
+            let oldestTimestamp = Date.now();
+
+            for (const [key, entry] of cache.entries()) {
+                if (entry.timestamp < oldestTimestamp) {
+                    oldestTimestamp = entry.timestamp;
+                    oldestKey = key;
+                }
+            }
+
+            if (oldestKey) {
+                cache.delete(oldestKey);
+                this.promptCache.stats.evictions++;
+                console.log(`[${this.extensionName}] Evicted cache entry: ${oldestKey}`);
+            }
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error evicting cache entry:`, error);
+        }
+    }
+
+    /**
+     * Get cached filter results
+     * @param {string} filterKey - Filter key to lookup
+     * @returns {Object|null} Cached results or null if not found
+     */
+    getCachedFilterResults(filterKey) {
+        try {
+            if (!this.promptCache || !this.promptCache.filters.has(filterKey)) {
+                this.promptCache && this.promptCache.stats.misses++;
+                return null;
+            }
+
+            const entry = this.promptCache.filters.get(filterKey);
+
+            // Check if entry has expired
+            const age = Date.now() - entry.timestamp;
+            if (age > this.promptCache.config.ttl) {
+                this.promptCache.filters.delete(filterKey);
+                this.promptCache.stats.misses++;
+                return null;
+            }
+
+            // Update access count and return results
+            entry.accessCount++;
+            this.promptCache.stats.hits++;
+
+            return entry.results;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting cached filter results:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * BackupScheduler creates automatic backups every settings.backup_interval hours
+ * while settings.auto_backup is enabled, and catches up on missed backups at startup.
+ */
+class BackupScheduler {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.extensionName = extensionName;
+        this.timerId = null;
+        this.runningBackup = null;
+        this.retryAfter = 0;
+        this.retryDelay = 15 * 60 * 1000;
+        // Re-check at least hourly so a sleeping machine does not postpone backups by a whole interval
+        this.maxTimerDelay = 60 * 60 * 1000;
+    }
+
+    /**
+     * Check whether scheduled backups are enabled
+     * @returns {boolean} True if automatic backups should run
+     */
+    isEnabled() {
+        return extensionSettings.settings?.auto_backup !== false;
+    }
+
+    /**
+     * Get the configured backup interval
+     * @returns {number} Interval in milliseconds
+     */
+    getIntervalMs() {
+        const hours = Number(extensionSettings.settings?.backup_interval);
+        return (hours > 0 ? hours : 24) * 60 * 60 * 1000;
+    }
+
+    /**
+     * Get the time the next scheduled backup is due
+     * @returns {number} Timestamp in milliseconds
+     */
+    getNextBackupTime() {
+        const lastBackup = new Date(extensionSettings.metadata?.last_backup || 0).getTime();
+        const dueTime = isNaN(lastBackup) ? 0 : lastBackup + this.getIntervalMs();
+        return Math.max(dueTime, this.retryAfter);
+    }
+
+    /**
+     * Start the scheduler, running a catch-up backup if one is overdue
+     * @returns {Promise<Object>} Result object with success status and next backup time
+     */
+    async start() {
+        try {
+            this.stop();
+
+            if (!this.isEnabled()) {
+                console.log(`[${this.extensionName}] Scheduled backups are disabled`);
+                return {
+                    success: true,
+                    scheduled: false,
+                    message: 'Scheduled backups are disabled'
+                };
+            }
+
+            await this.checkAndRun();
+
+            return {
+                success: true,
+                scheduled: true,
+                nextBackup: new Date(this.getNextBackupTime()).toISOString(),
+                message: 'Backup scheduler started'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error starting backup scheduler:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to start backup scheduler'
+            };
+        }
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * Run a backup if one is due, then schedule the next check
+     * @returns {Promise<void>}
+     */
+    async checkAndRun() {
+        try {
+            // A restart (e.g. a settings change) while a backup is being written must not start a second one
+            if (!this.runningBackup && Date.now() >= this.getNextBackupTime()) {
+                await this.runScheduledBackup();
+            }
+        } finally {
+            this.scheduleNextCheck();
+        }
+    }
+
+    /**
+     * Schedule the next due check
+     */
+    scheduleNextCheck() {
+        this.stop();
+
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(this.getNextBackupTime() - Date.now(), 1000), this.maxTimerDelay);
+        this.timerId = setTimeout(() => this.checkAndRun(), delay);
+    }
+
+    /**
+     * Create a scheduled backup
+     * Only a backup that was actually written counts as the last backup; one-off safety backups don't
+     * @returns {Promise<Object>} Backup result
+     */
+    async runScheduledBackup() {
+        if (this.runningBackup) {
+            return this.runningBackup;
+        }
+
+        this.runningBackup = (async () => {
+            const result = await this.dataManager.createAutomaticBackup('scheduled');
+
+            if (result.success && result.written) {
+                this.retryAfter = 0;
+                if (!extensionSettings.metadata) {
+                    extensionSettings.metadata = {};
+                }
+                extensionSettings.metadata.last_backup = result.backupData.created_at;
+                saveSettingsDebounced();
+            } else {
+                this.retryAfter = Date.now() + this.retryDelay;
+                console.warn(`[${this.extensionName}] Scheduled backup not stored, retrying later: ${result.error || result.message}`);
+            }
+
+            return result;
+        })();
+
+        try {
+            return await this.runningBackup;
+        } finally {
+            this.runningBackup = null;
+        }
+    }
+}
+
+/**
+ * Get SillyTavern's extension context, if the host exposes it
+ * @returns {Object|null} SillyTavern context or null outside SillyTavern
+ */
+function getSillyTavernContext() {
+    if (typeof SillyTavern !== 'undefined' && typeof SillyTavern.getContext === 'function') {
+        return SillyTavern.getContext();
+    }
+    return null;
+}
+
+/**
+ * TokenCounter counts prompt tokens with the tokenizer SillyTavern uses for the active API.
+ * Tokenizer providers are pluggable; when none is available a character based estimate is used.
+ */
+class TokenCounter {
+    constructor() {
+        this.extensionName = extensionName;
+        this.providers = [];
+
+        this.registerProvider({
+            name: 'sillytavern',
+            isAvailable: () => {
+                const context = getSillyTavernContext();
+                return !!context && (typeof context.getTokenCountAsync === 'function' || typeof context.getTokenCount === 'function');
+            },
+            getTokenizerId: () => {
+                const context = getSillyTavernContext();
+                const model = typeof context.getTokenizerModel === 'function' ? context.getTokenizerModel() : '';
+                return `${context.mainApi || 'unknown'}:${model || 'default'}`;
+            },
+            countTokens: async (text) => {
+                const context = getSillyTavernContext();
+                return typeof context.getTokenCountAsync === 'function' ?
+                    await context.getTokenCountAsync(text) :
+                    context.getTokenCount(text);
+            }
+        });
+    }
+
+    /**
+     * Register a tokenizer provider; later registrations take precedence
+     * @param {Object} provider - Provider with name, isAvailable(), getTokenizerId() and async countTokens(text)
+     * @returns {Object} Result object with success status
+     */
+    registerProvider(provider) {
+        if (!provider || !provider.name || typeof provider.isAvailable !== 'function' ||
+            typeof provider.getTokenizerId !== 'function' || typeof provider.countTokens !== 'function') {
+            return {
+                success: false,
+                error: 'Provider must have name, isAvailable, getTokenizerId and countTokens',
+                message: 'Invalid tokenizer provider'
+            };
+        }
+
+        this.providers = [provider, ...this.providers.filter(existing => existing.name !== provider.name)];
+
+        return {
+            success: true,
+            message: `Tokenizer provider "${provider.name}" registered`
+        };
+    }
+
+    /**
+     * Get the first provider that can count tokens right now
+     * @returns {Object|null} Active provider or null if only estimates are available
+     */
+    getActiveProvider() {
+        return this.providers.find(provider => {
+            try {
+                return provider.isAvailable();
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Get an identifier for the tokenizer counts are currently made with
+     * @returns {string} Tokenizer identifier, 'estimate' when no provider is available
+     */
+    getTokenizerId() {
+        const provider = this.getActiveProvider();
+        return provider ? `${provider.name}:${provider.getTokenizerId()}` : 'estimate';
+    }
+
+    /**
+     * Estimate a token count without a tokenizer
+     * CJK characters are usually one token or more each, other text averages about 4 characters per token
+     * @param {string} text - Text to estimate
+     * @returns {number} Estimated token count
+     */
+    estimateTokens(text) {
+        if (!text || typeof text !== 'string') {
+            return 0;
+        }
+
+        const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+        return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+    }
+
+    /**
+     * Count the tokens of a text with the active tokenizer
+     * @param {string} text - Text to count
+     * @returns {Promise<Object>} Count, tokenizer identifier and whether the count is an estimate
+     */
+    async countTokens(text) {
+        const provider = this.getActiveProvider();
+        if (provider) {
+            try {
+                const count = await provider.countTokens(text || '');
+                if (typeof count === 'number' && count >= 0) {
+                    return {
+                        count: count,
+                        tokenizer: `${provider.name}:${provider.getTokenizerId()}`,
+                        estimated: false
+                    };
+                }
+            } catch (error) {
+                console.warn(`[${this.extensionName}] Tokenizer "${provider.name}" failed, using estimate:`, error);
+            }
+        }
+
+        return {
+            count: this.estimateTokens(text),
+            tokenizer: 'estimate',
+            estimated: true
+        };
+    }
+}
+
+/**
+ * Get the shared token counter
+ * @returns {TokenCounter} Token counter instance
+ */
+function getTokenCounter() {
+    if (!tokenCounter) {
+        tokenCounter = new TokenCounter();
+    }
+    return tokenCounter;
+}
+
+/**
+ * PresetIntegrator class handles integration with SillyTavern's completion preset system
+ * Provides methods to extract current preset data, update preset prompts, and generate HTML
+ */
+class PresetIntegrator {
+    constructor() {
+        this.extensionName = extensionName;
+    }
+
+    /**
+     * Get the current completion preset data including prompts array
+     * @returns {Object|null} Current preset data or null if not available
+     */
+    getCurrentPreset() {
+        try {
+            // Try to get current preset from SillyTavern's global function
+            if (typeof getCurrentCompletionPreset === 'function') {
+                const preset = getCurrentCompletionPreset();
+                if (preset && preset.prompts) {
+                    console.log(`[${this.extensionName}] Current preset retrieved:`, preset.name);
+                    return preset;
+                }
+            }
+
+            // Fallback: try to access preset data from global variables
+            if (window.completion_preset && window.completion_preset.prompts) {
+                console.log(`[${this.extensionName}] Current preset retrieved from global:`, window.completion_preset.name);
+                return window.completion_preset;
+            }
+
+            // Another fallback: check if preset data is available in settings
+            if (window.settings && window.settings.completion_preset) {
+                const presetName = window.settings.completion_preset;
+                if (window.completion_presets && window.completion_presets[presetName]) {
+                    const preset = window.completion_presets[presetName];
+                    console.log(`[${this.extensionName}] Current preset retrieved from settings:`, presetName);
+                    return preset;
+                }
+            }
+
+            console.warn(`[${this.extensionName}] No current preset found`);
+            return null;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting current preset:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Update the preset prompts array and prompt_order
+     * @param {Array} newPrompts - Array of prompt objects to set
+     * @param {string} presetName - Optional preset name, uses current if not provided
+     * @param {Object} options - Update options
+     * @param {boolean} options.replaceOrder - Take the order and enabled states of the active order list from newPrompts
+     * @returns {Object} Result object with success status
+     */
+    updatePresetPrompts(newPrompts, presetName = null, options = {}) {
+        try {
+            if (!Array.isArray(newPrompts)) {
+                throw new Error('newPrompts must be an array');
+            }
+
+            // Get current preset if no preset name provided
+            let targetPreset;
+            if (presetName) {
+                if (window.completion_presets && window.completion_presets[presetName]) {
+                    targetPreset = window.completion_presets[presetName];
+                } else {
+                    throw new Error(`Preset '${presetName}' not found`);
+                }
+            } else {
+                targetPreset = this.getCurrentPreset();
+                if (!targetPreset) {
+                    throw new Error('No current preset available');
+                }
+            }
+
+            // Validate prompt structure
+            const validatedPrompts = newPrompts.map((prompt, index) => {
+                if (!prompt.identifier) {
+                    throw new Error(`Prompt at index ${index} missing identifier`);
+                }
+                if (!prompt.name) {
+                    throw new Error(`Prompt at index ${index} missing name`);
+                }
+                if (prompt.content === undefined || prompt.content === null) {
+                    throw new Error(`Prompt at index ${index} missing content`);
+                }
+
+                // Ensure all required fields are present with defaults
+                return {
+                    identifier: prompt.identifier,
+                    name: prompt.name,
+                    content: prompt.content,
+                    role: prompt.role || 'user',
+                    system_prompt: prompt.system_prompt || false,
+                    marker: prompt.marker || false,
+                    injection_position: prompt.injection_position || 0,
+                    injection_depth: prompt.injection_depth || 4,
+                    injection_order: prompt.injection_order || 100,
+                    forbid_overrides: prompt.forbid_overrides || false,
+                    enabled: prompt.enabled !== undefined ? prompt.enabled : true,
+                    ...prompt // Include any additional properties
+                };
+            });
+
+            // Update the preset
+            targetPreset.prompt_order = this.buildPromptOrder(targetPreset, validatedPrompts, options.replaceOrder === true);
+            targetPreset.prompts = validatedPrompts;
+
+            // Save the updated preset
+            if (typeof updateCompletionPreset === 'function') {
+                updateCompletionPreset(targetPreset);
+            } else if (window.completion_presets) {
+                window.completion_presets[targetPreset.name] = targetPreset;
+            }
+
+            // Trigger preset update event
+            if (window.eventSource && typeof window.eventSource.emit === 'function') {
+                window.eventSource.emit('preset_updated', { preset: targetPreset });
+            }
+
+            console.log(`[${this.extensionName}] Preset prompts updated successfully:`, targetPreset.name);
+
+            return {
+                success: true,
+                preset: targetPreset,
+                message: 'Preset prompts updated successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error updating preset prompts:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to update preset prompts'
+            };
+        }
+    }
+
+    /**
+     * Generate proper HTML structure for prompt manager UI
+     * @param {Object} promptData - The prompt data to generate HTML for
+     * @returns {string} HTML string for the prompt manager UI
+     */
+    generatePromptHTML(promptData) {
+        try {
+            if (!promptData || !promptData.identifier) {
+                throw new Error('Invalid prompt data provided');
+            }
+
+            // Generate unique IDs for the prompt elements
+            const promptId = `completion_prompt_manager_prompt_${promptData.identifier}`;
+            const toggleId = `completion_prompt_manager_prompt_${promptData.identifier}_enabled`;
+            const editId = `completion_prompt_manager_prompt_${promptData.identifier}_edit`;
+            const deleteId = `completion_prompt_manager_prompt_${promptData.identifier}_delete`;
+
+            // Calculate token count (simplified estimation)
+            const tokenCount = this.estimateTokenCount(promptData.content);
+
+            // Generate role badge
+            const roleBadge = this.generateRoleBadge(promptData.role);
+
+            // Generate system prompt indicator
+            const systemPromptIndicator = promptData.system_prompt ? 
+                '<span class="system-prompt-indicator" title="System Prompt">🔧</span>' : '';
+
+            // Generate marker indicator
+            const markerIndicator = promptData.marker ? 
+                '<span class="marker-indicator" title="Marker Prompt">📍</span>' : '';
+
+            // Generate injection settings display
+            const injectionInfo = `Pos: ${promptData.injection_position}, Depth: ${promptData.injection_depth}, Order: ${promptData.injection_order}`;
+
+            const html = `
+                <li class="completion_prompt_manager_prompt" data-identifier="${promptData.identifier}" id="${promptId}">
+                    <div class="completion_prompt_manager_prompt_header">
+                        <div class="drag_handle">⋮⋮</div>
+                        <div class="completion_prompt_manager_prompt_controls">
+                            <input type="checkbox" id="${toggleId}" ${promptData.enabled ? 'checked' : ''} 
+                                   title="Enable/disable this prompt">
+                            <label for="${toggleId}" class="completion_prompt_manager_prompt_toggle"></label>
+                        </div>
+                        <div class="completion_prompt_manager_prompt_name">
+                            <span class="prompt-name">${this.escapeHtml(promptData.name)}</span>
+                            ${roleBadge}
+                            ${systemPromptIndicator}
+                            ${markerIndicator}
+                        </div>
+                        <div class="completion_prompt_manager_prompt_tokens">
+                            <span class="token-count" title="Estimated token count">${tokenCount} tokens</span>
+                        </div>
+                        <div class="completion_prompt_manager_prompt_actions">
+                            <button class="menu_button" id="${editId}" title="Edit prompt">✏️</button>
+                            <button class="menu_button" id="${deleteId}" title="Delete prompt">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="completion_prompt_manager_prompt_content">
+                        <div class="prompt-content-preview">
+                            ${this.escapeHtml(this.truncateText(promptData.content, 200))}
+                        </div>
+                        <div class="prompt-injection-info" title="Injection Settings">
+                            <small>${injectionInfo}</small>
+                        </div>
+                    </div>
+                    <div class="completion_prompt_manager_prompt_metadata" style="display: none;">
+                        ${JSON.stringify(promptData)}
+                    </div>
+                </li>
+            `;
+
+            return html.trim();
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error generating prompt HTML:`, error);
+            return `<li class="completion_prompt_manager_prompt error">Error generating prompt HTML: ${error.message}</li>`;
+        }
+    }
+
+    /**
+     * Generate a role badge for the prompt
+     * @param {string} role - The prompt role
+     * @returns {string} HTML for the role badge
+     */
+    generateRoleBadge(role) {
+        const roleConfig = {
+            'user': { class: 'role-user', icon: '👤', title: 'User Prompt' },
+            'assistant': { class: 'role-assistant', icon: '🤖', title: 'Assistant Prompt' },
+            'system': { class: 'role-system', icon: '⚙️', title: 'System Prompt' }
+        };
+
+        const config = roleConfig[role] || { class: 'role-unknown', icon: '❓', title: 'Unknown Role' };
+        
+        return `<span class="role-badge ${config.class}" title="${config.title}">${config.icon}</span>`;
+    }
+
+    /**
+     * Estimate token count for prompt content
+     * Synchronous; use countTokens for the active tokenizer's exact count
+     * @param {string} content - The prompt content
+     * @returns {number} Estimated token count
+     */
+    estimateTokenCount(content) {
+        return getTokenCounter().estimateTokens(content);
+    }
+
+    /**
+     * Count tokens for prompt content with the tokenizer of the active API
+     * @param {string} content - The prompt content
+     * @returns {Promise<number>} Token count, estimated if no tokenizer is available
+     */
+    async countTokens(content) {
+        const result = await getTokenCounter().countTokens(content);
+        return result.count;
+    }
+
+    /**
+     * Truncate text to specified length with ellipsis
+     * @param {string} text - Text to truncate
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated text
+     */
+    truncateText(text, maxLength) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        if (text.length <= maxLength) {
+            return text;
+        }
+
+        return text.substring(0, maxLength - 3) + '...';
+    }
+
+    /**
+     * Escape HTML characters to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        // Use manual escaping for Node.js compatibility
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Refresh the prompt manager UI to reflect current preset state
+     * @returns {Object} Result object with success status
+     */
+    refreshPromptManagerUI() {
+        try {
+            const currentPreset = this.getCurrentPreset();
+            if (!currentPreset || !currentPreset.prompts) {
+                console.warn(`[${this.extensionName}] No current preset to refresh UI`);
+                return {
+                    success: false,
+                    message: 'No current preset available'
+                };
+            }
+
+            // Find the prompt manager list container
+            const promptList = document.querySelector('#completion_prompt_manager_list');
+            if (!promptList) {
+                console.warn(`[${this.extensionName}] Prompt manager list not found`);
+                return {
+                    success: false,
+                    message: 'Prompt manager UI not found'
+                };
+            }
+
+            // Clear existing prompts (but keep the toolbar)
+            const existingPrompts = promptList.querySelectorAll('.completion_prompt_manager_prompt');
+            existingPrompts.forEach(prompt => prompt.remove());
+
+            // Generate HTML for each prompt
+            const promptsHTML = currentPreset.prompts.map(prompt => this.generatePromptHTML(prompt)).join('');
+
+            // Add prompts to the UI
+            const toolbar = promptList.querySelector('.prompt-saver-toolbar');
+            if (toolbar) {
+                toolbar.insertAdjacentHTML('afterend', promptsHTML);
+            } else {
+                promptList.innerHTML = promptsHTML;
+            }
+
+            console.log(`[${this.extensionName}] Prompt manager UI refreshed with ${currentPreset.prompts.length} prompts`);
+
+            return {
+                success: true,
+                message: 'Prompt manager UI refreshed successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error refreshing prompt manager UI:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to refresh prompt manager UI'
+            };
+        }
+    }
+
+    /**
+     * Add a single prompt to the current preset
+     * @param {Object} promptData - The prompt data to add
+     * @returns {Object} Result object with success status
+     */
+    addPromptToCurrentPreset(promptData) {
+        try {
+            const currentPreset = this.getCurrentPreset();
+            if (!currentPreset) {
+                throw new Error('No current preset available');
+            }
+
+            // Ensure the prompt has a unique identifier
+            if (!promptData.identifier) {
+                promptData.identifier = `prompt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            }
+
+            // Check if identifier already exists
+            const existingPrompt = currentPreset.prompts.find(p => p.identifier === promptData.identifier);
+            if (existingPrompt) {
+                throw new Error(`Prompt with identifier '${promptData.identifier}' already exists`);
+            }
+
+            // Add the prompt to the current preset
+            const updatedPrompts = [...currentPreset.prompts, promptData];
+            
+            return this.updatePresetPrompts(updatedPrompts);
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error adding prompt to preset:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to add prompt to preset'
+            };
+        }
+    }
+
+    /**
+     * Remove a prompt from the current preset by identifier
+     * @param {string} identifier - The identifier of the prompt to remove
+     * @returns {Object} Result object with success status
+     */
+    removePromptFromCurrentPreset(identifier) {
+        try {
+            const currentPreset = this.getCurrentPreset();
+            if (!currentPreset) {
+                throw new Error('No current preset available');
+            }
+
+            // Filter out the prompt with the specified identifier
+            const updatedPrompts = currentPreset.prompts.filter(p => p.identifier !== identifier);
+            
+            if (updatedPrompts.length === currentPreset.prompts.length) {
+                throw new Error(`Prompt with identifier '${identifier}' not found`);
+            }
+
+            return this.updatePresetPrompts(updatedPrompts);
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error removing prompt from preset:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to remove prompt from preset'
+            };
+        }
+    }
+
+    /**
+     * Find the per-character prompt_order list SillyTavern uses for the active character
+     * Falls back to the global list (character_id 100001) when the character has none
+     * @param {Object} preset - Completion preset
+     * @returns {Object|null} Order list ({character_id, order}) or null for plain identifier lists
+     */
+    getActiveOrderList(preset) {
+        const promptOrder = Array.isArray(preset?.prompt_order) ? preset.prompt_order : [];
+        if (promptOrder.length === 0 || typeof promptOrder[0] === 'string') {
+            return null;
+        }
+
+        const characterId = getSillyTavernContext()?.characterId;
+        const characterList = characterId !== undefined && characterId !== null
+            ? promptOrder.find(entry => String(entry.character_id) === String(characterId))
+            : null;
+
+        // 100001 is the order list SillyTavern uses when no character is selected
+        return characterList || promptOrder.find(entry => entry.character_id === 100001) || null;
+    }
+
+    /**
+     * Build the prompt_order of a preset for a new prompt list
+     * Only the active order list is rewritten; other characters' lists keep their order and
+     * enabled states and just lose entries for prompts that no longer exist
+     * @param {Object} preset - Completion preset being updated
+     * @param {Array} prompts - New prompts of the preset
+     * @param {boolean} replaceOrder - Take order and enabled states from prompts instead of the existing list
+     * @returns {Array} New prompt_order
+     */
+    buildPromptOrder(preset, prompts, replaceOrder = false) {
+        const promptOrder = Array.isArray(preset?.prompt_order) ? preset.prompt_order : [];
+        if (promptOrder.length === 0 || typeof promptOrder[0] === 'string') {
+            return prompts.map(prompt => prompt.identifier);
+        }
+
+        const identifiers = new Set(prompts.map(prompt => prompt.identifier));
+        const toOrderEntry = prompt => ({ identifier: prompt.identifier, enabled: prompt.enabled !== false });
+        const activeList = this.getActiveOrderList(preset);
+
+        let activeOrder;
+        if (replaceOrder || !activeList) {
+            activeOrder = prompts.map(toOrderEntry);
+        } else {
+            // Keep the existing order, append prompts that are new to the preset
+            activeOrder = (activeList.order || []).filter(entry => identifiers.has(entry.identifier));
+            const listed = new Set(activeOrder.map(entry => entry.identifier));
+            prompts.filter(prompt => !listed.has(prompt.identifier)).forEach(prompt => activeOrder.push(toOrderEntry(prompt)));
+        }
+
+        const newOrder = promptOrder.map(entry => entry === activeList
+            ? { ...entry, order: activeOrder }
+            : { ...entry, order: (entry.order || []).filter(orderEntry => identifiers.has(orderEntry.identifier)) });
+        if (!activeList) {
+            newOrder.push({ character_id: 100001, order: activeOrder });
+        }
+
+        return newOrder;
+    }
+
+    /**
+     * Get the prompts of a preset in prompt_order order with their enabled states
+     * Understands both a plain identifier list and SillyTavern's per-character order lists
+     * @param {Object} preset - Completion preset
+     * @returns {Array} Copies of the preset prompts, each with an enabled flag
+     */
+    getOrderedPresetPrompts(preset) {
+        const prompts = Array.isArray(preset?.prompts) ? preset.prompts : [];
+        const promptsByIdentifier = new Map(prompts.map(prompt => [prompt.identifier, prompt]));
+        const promptOrder = Array.isArray(preset?.prompt_order) ? preset.prompt_order : [];
+
+        let orderEntries = [];
+        if (promptOrder.length > 0 && typeof promptOrder[0] === 'string') {
+            orderEntries = promptOrder.map(identifier => ({
+                identifier: identifier,
+                enabled: promptsByIdentifier.get(identifier)?.enabled !== false
+            }));
+        } else if (promptOrder.length > 0) {
+            const orderList = this.getActiveOrderList(preset) || promptOrder[0];
+            orderEntries = (orderList?.order || []).map(entry => ({
+                identifier: entry.identifier,
+                enabled: entry.enabled !== false
+            }));
+        }
+
+        const orderedPrompts = [];
+        const seen = new Set();
+        orderEntries.forEach(entry => {
+            const prompt = promptsByIdentifier.get(entry.identifier);
+            if (prompt && !seen.has(entry.identifier)) {
+                orderedPrompts.push({ ...JSON.parse(JSON.stringify(prompt)), enabled: entry.enabled });
+                seen.add(entry.identifier);
+            }
+        });
+
+        // Prompts missing from the order list are kept at the end; they are inactive in the preset
+        prompts.forEach(prompt => {
+            if (!seen.has(prompt.identifier)) {
+                orderedPrompts.push({
+                    ...JSON.parse(JSON.stringify(prompt)),
+                    enabled: orderEntries.length === 0 ? prompt.enabled !== false : false
+                });
+            }
+        });
+
+        return orderedPrompts;
+    }
+
+    /**
+     * Replace the prompts of the current preset with the contents of a snapshot
+     * The snapshot's order and enabled states go into the active order list
+     * @param {Object} snapshotData - Preset snapshot from the library
+     * @returns {Object} Result object with success status
+     */
+    applyPresetSnapshot(snapshotData) {
+        try {
+            if (!snapshotData || !Array.isArray(snapshotData.prompts)) {
+                throw new Error('Invalid snapshot data provided');
+            }
+
+            const restoredPrompts = snapshotData.prompts.map(prompt => JSON.parse(JSON.stringify(prompt)));
+            const updateResult = this.updatePresetPrompts(restoredPrompts, null, { replaceOrder: true });
+            if (!updateResult.success) {
+                throw new Error(updateResult.error);
+            }
+
+            this.refreshPromptManagerUI();
+
+            console.log(`[${this.extensionName}] Snapshot ${snapshotData.id} applied to preset:`, updateResult.preset.name);
+
+            return {
+                success: true,
+                preset: updateResult.preset,
+                message: `Snapshot "${snapshotData.name}" restored into the current preset`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error applying preset snapshot:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to apply preset snapshot'
+            };
+        }
+    }
+
+    /**
+     * Get the max context size configured in SillyTavern for the active API
+     * @returns {number|null} Max context in tokens, null if unknown
+     */
+    getMaxContext() {
+        const context = getSillyTavernContext();
+        const maxContext = context?.maxContext ?? window.max_context;
+        return typeof maxContext === 'number' && maxContext > 0 ? maxContext : null;
+    }
+
+    /**
+     * Get all available completion presets
+     * @returns {Array} Array of preset names
+     */
+    getAvailablePresets() {
+        try {
+            if (typeof getCompletionPresets === 'function') {
+                return getCompletionPresets();
+            }
+
+            if (window.completion_presets) {
+                return Object.keys(window.completion_presets);
+            }
+
+            return [];
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting available presets:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Switch to a different completion preset
+     * @param {string} presetName - Name of the preset to switch to
+     * @returns {Object} Result object with success status
+     */
+    switchToPreset(presetName) {
+        try {
+            if (typeof setCompletionPreset === 'function') {
+                const success = setCompletionPreset(presetName);
+                if (success) {
+                    console.log(`[${this.extensionName}] Switched to preset:`, presetName);
+                    return {
+                        success: true,
+                        message: `Switched to preset '${presetName}'`
+                    };
+                } else {
+                    throw new Error(`Failed to switch to preset '${presetName}'`);
+                }
+            }
+
+            throw new Error('setCompletionPreset function not available');
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error switching preset:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to switch preset'
+            };
+        }
+    }
+
+    /**
+     * Handle integration failure with graceful fallbacks
+     * @param {Error} error - The integration error
+     * @param {Object} context - Additional context about the failure
+     * @returns {Promise<Object>} Result object with fallback options
+     */
+    async handleIntegrationFailure(error, context = {}) {
+        try {
+            console.warn(`[${this.extensionName}] Integration failure:`, error);
+
+            const fallbackResults = [];
+
+            // Fallback 1: Try to get preset data differently
+            try {
+                const fallbackPreset = await this.getFallbackPresetData();
+                fallbackResults.push({
+                    method: 'fallback_preset_data',
+                    success: fallbackPreset.success,
+                    result: fallbackPreset
+                });
+            } catch (fallbackError) {
+                fallbackResults.push({
+                    method: 'fallback_preset_data',
+                    success: false,
+                    error: fallbackError.message
+                });
+            }
+
+            // Fallback 2: Try basic preset operations
+            try {
+                const basicResult = await this.performBasicPresetOperations(context);
+                fallbackResults.push({
+                    method: 'basic_operations',
+                    success: basicResult.success,
+                    result: basicResult
+                });
+            } catch (fallbackError) {
+                fallbackResults.push({
+                    method: 'basic_operations',
+                    success: false,
+                    error: fallbackError.message
+                });
+            }
+
+            // Check if any fallback succeeded
+            const successfulFallback = fallbackResults.find(result => result.success);
+
+            if (successfulFallback) {
+                return {
+                    success: true,
+                    fallbackUsed: successfulFallback.method,
+                    fallbackResults: fallbackResults,
+                    message: `Integration recovered using ${successfulFallback.method}`
+                };
+            } else {
+                return {
+                    success: false,
+                    fallbackResults: fallbackResults,
+                    error: error.message,
+                    message: 'All integration fallbacks failed'
+                };
+            }
+
+        } catch (handlingError) {
+            console.error(`[${this.extensionName}] Error handling integration failure:`, handlingError);
+            return {
+                success: false,
+                error: handlingError.message,
+                message: 'Failed to handle integration failure'
+            };
+        }
+    }
+
+    /**
+     * Get fallback preset data when normal methods fail
+     * @returns {Promise<Object>} Fallback preset data
+     */
+    async getFallbackPresetData() {
+        try {
+            console.log(`[${this.extensionName}] Getting fallback preset data`);
+
+            // Create a minimal preset structure
+            const fallbackPreset = {
+                name: 'Fallback Preset',
+                prompts: [],
+                prompt_order: [],
+                fallback: true
+            };
+
+            return {
+                success: true,
+                preset: fallbackPreset,
+                message: 'Fallback preset data created'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting fallback preset data:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to get fallback preset data'
+            };
+        }
+    }
+
+    /**
+     * Perform basic preset operations as fallback
+     * @param {Object} context - Operation context
+     * @returns {Promise<Object>} Basic operations result
+     */
+    async performBasicPresetOperations(context) {
+        try {
+            console.log(`[${this.extensionName}] Performing basic preset operations`);
+
+            // Simulate basic operations
+            const operations = [];
+
+            if (context.operation === 'save') {
+                operations.push('save_operation_simulated');
+            }
+
+            if (context.operation === 'load') {
+                operations.push('load_operation_simulated');
+            }
+
+            return {
+                success: true,
+                operations: operations,
+                message: 'Basic preset operations completed'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error performing basic operations:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Basic preset operations failed'
+            };
+        }
+    }
+}
+
+/**
+ * PromptLibraryUI class manages the prompt browser modal and user interactions
+ * Provides the main interface for displaying and interacting with saved prompts
+ */
+class PromptLibraryUI {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.extensionName = extensionName;
+        this.currentFilters = this.getDefaultFilters();
+        this.modalElement = null;
+        this.filters = this.currentFilters; // Initialize filters property for test compatibility
+        this.macroPreviewEnabled = false;
+        // Library change event listener while the modal is open
+        this.libraryEventHandler = null;
+        this.libraryRefreshTimer = null;
+        // Background token recount, see scheduleTokenRecount()
+        this.tokenRecountPromise = null;
+        this.tokenRecountPending = false;
+        // Incremented for every search box query, so a regex still being checked can't apply a stale query
+        this.searchQuerySequence = 0;
+        // Ways of matching the search box text, see PromptDataManager.searchPrompts()
+        this.searchModes = {
+            ranked: { label: '🔍 Ranked', placeholder: 'Search prompts...' },
+            fuzzy: { label: '〰️ Fuzzy', placeholder: 'Search prompts, typos allowed...' },
+            regex: { label: '.* Regex', placeholder: 'Regular expression, e.g. /\\bcolou?r\\b/i' }
+        };
+        // Search query fields offered by autocompletion
+        this.queryFieldHints = {
+            tag: 'Has tag',
+            role: 'system, user or assistant',
+            fav: 'Favorite: yes or no',
+            used: 'Usage count, e.g. used:>5',
+            tokens: 'Token count, e.g. tokens:<500',
+            age: 'Days since created, e.g. age:>60',
+            preset: 'Saved from preset',
+            folder: 'In folder or subfolder'
+        };
+        // SillyTavern macros recognized by the preview; anything else is flagged as a likely typo
+        this.knownMacros = [
+            'char', 'user', 'persona', 'description', 'personality', 'scenario', 'mesExamples', 'mesExamplesRaw',
+            'charPrompt', 'charJailbreak', 'charInstruction', 'charDepthPrompt', 'charVersion', 'char_version',
+            'group', 'groupNotMuted', 'charIfNotGroup', 'model', 'input', 'original', 'lastMessage', 'lastMessageId',
+            'lastUserMessage', 'lastCharMessage', 'firstIncludedMessageId', 'currentSwipeId', 'lastSwipeId',
+            'lastGenerationType', 'systemPrompt', 'defaultSystemPrompt', 'instructSystemPrompt', 'exampleSeparator',
+            'chatSeparator', 'chatStart', 'maxPrompt', 'worldInfo', 'summary', 'authorsNote', 'charAuthorsNote',
+            'defaultAuthorsNote', 'time', 'date', 'weekday', 'isotime', 'isodate', 'time_UTC', 'datetimeformat',
+            'idle_duration', 'timeDiff', 'random', 'pick', 'roll', 'reverse', 'newline', 'trim', 'noop', 'banned',
+            'bias', '//', 'getvar', 'getglobalvar', 'setvar', 'addvar', 'incvar', 'decvar', 'setglobalvar',
+            'addglobalvar', 'incglobalvar', 'decglobalvar', 'savedprompt'
+        ];
+        this.sideEffectMacros = ['setvar', 'addvar', 'incvar', 'decvar', 'setglobalvar', 'addglobalvar', 'incglobalvar', 'decglobalvar'];
+    }
+
+    /**
+     * Display the main prompt library interface in a modal dialog
+     * @returns {Promise<Object>} Result object with success status and modal element
+     */
+    async showPromptBrowser() {
+        try {
+            console.log(`[${this.extensionName}] Opening prompt browser`);
+
+            // Create modal element
+            this.modalElement = this.createModalElement();
+            
+            // Load and render prompts with cached or estimated token counts; stale counts are refreshed in the background
+            const prompts = await this.dataManager.getPrompts(this.currentFilters);
+            const promptListResult = this.renderPromptList(prompts);
+            
+            if (!promptListResult.success) {
+                throw new Error(promptListResult.error);
+            }
+
+            // Build modal content
+            this.modalElement.innerHTML = this.buildModalHTML(promptListResult.html);
+            
+            // Apply styling
+            this.applyModalStyling(this.modalElement);
+            
+            // Setup event handlers
+            const eventResult = this.setupEventHandlers(this.modalElement);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
+            }
+
+            // Render folder sidebar, smart collections and preset snapshots
+            await this.refreshFolderTree();
+            await this.refreshCollectionList();
+            await this.refreshSnapshotList();
+
+            // Apply accessibility features
+            this.applyAccessibilityFeatures(this.modalElement);
+            
+            // Add to DOM
+            document.body.appendChild(this.modalElement);
+
+            // Keep the list in sync with changes made elsewhere (toolbar, other extensions)
+            this.subscribeToLibraryEvents();
+
+            // Count tokens of new or changed prompts without holding up the modal
+            this.scheduleTokenRecount();
+            
+            console.log(`[${this.extensionName}] Prompt browser opened successfully`);
+            
+            return {
+                success: true,
+                modalElement: this.modalElement,
+                message: 'Prompt browser opened successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error opening prompt browser:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open prompt browser'
+            };
+        }
+    }
+
+    /**
+     * Create the base modal element
+     * @returns {HTMLElement} Modal element
+     */
+    createModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-library-modal';
+        modal.id = 'prompt-library-modal';
+        return modal;
+    }
+
+    /**
+     * Build the complete modal HTML structure
+     * @param {string} promptListHTML - HTML for the prompt list
+     * @returns {string} Complete modal HTML
+     */
+    buildModalHTML(promptListHTML) {
+        return `
+            <div class="prompt-library-overlay">
+                <div class="prompt-library-container">
+                    <div class="prompt-library-header">
+                        <h2>📚 Prompt Library</h2>
+                        <div class="prompt-library-header-actions">
+                            <button class="prompt-library-search-mode-btn" title="Switch between ranked, fuzzy and regex search">${this.searchModes[this.currentFilters.searchMode || 'ranked'].label}</button>
+                            <button class="prompt-library-macro-preview-btn" title="Show prompts with {{char}}, {{user}} and other macros filled in">👁️ Preview Macros</button>
+                            <button class="prompt-library-budget-btn" title="Token budget of the current preset">📊 Budget</button>
+                            <button class="prompt-library-similar-btn" title="Find and merge similar prompts">🧬 Similar</button>
+                            <button class="prompt-library-tags-btn" title="Rename, merge and color tags">🏷️ Tags</button>
+                            <button class="prompt-library-trash-btn" title="Restore or purge deleted prompts">🗑️ Trash</button>
+                            <button class="prompt-library-backups-btn" title="Browse and restore backups">🗄️ Backups</button>
+                            <button class="prompt-library-close" title="Close">✕</button>
+                        </div>
+                    </div>
+                    <div class="prompt-library-content">
+                        <div class="prompt-library-sidebar">
+                            <div class="prompt-library-folders">
+                                <h3>Folders <button class="prompt-folder-create-btn" title="Create folder">➕</button></h3>
+                                <div class="prompt-folder-tree"></div>
+                            </div>
+                            <div class="prompt-library-collections">
+                                <h3>Smart Collections <button class="prompt-collection-save-btn" title="Save the current filters and sort as a smart collection">💾</button></h3>
+                                <div class="prompt-collection-list"></div>
+                            </div>
+                            <div class="prompt-library-filters">
+                                <h3>Filters</h3>
+                                <div class="filter-group">
+                                    <label for="prompt-search">Search:</label>
+                                    <input type="text" id="prompt-search" class="prompt-search-input" placeholder="Search prompts..." autocomplete="off" title="Filter with tag: role: fav: used: tokens: age: preset: folder:, &quot;exact phrases&quot; and -exclusions">
+                                    <div class="search-suggestions" style="display: none;"></div>
+                                    <div class="search-query-errors"></div>
+                                </div>
+                                <div class="filter-group">
+                                    <label for="role-filter">Role:</label>
+                                    <select id="role-filter" class="role-filter-select">
+                                        <option value="all">All Roles</option>
+                                        <option value="user">👤 User</option>
+                                        <option value="system">⚙️ System</option>
+                                        <option value="assistant">🤖 Assistant</option>
+                                    </select>
+                                </div>
+                                <div class="filter-group">
+                                    <label for="favorite-filter">Favorites:</label>
+                                    <select id="favorite-filter" class="favorite-filter-select">
+                                        <option value="all">All Prompts</option>
+                                        <option value="favorites">⭐ Favorites Only</option>
+                                        <option value="non-favorites">☆ Non-Favorites</option>
+                                    </select>
+                                </div>
+                                <div class="filter-group">
+                                    <label for="sort-filter">Sort By:</label>
+                                    <select id="sort-filter" class="sort-filter-select">
+                                        <option value="latest_used">Latest Used</option>
+                                        <option value="oldest_used">Oldest Used</option>
+                                        <option value="name">Name A-Z</option>
+                                        <option value="created">Creation Date</option>
+                                        <option value="tokens_desc">Most Tokens</option>
+                                        <option value="tokens_asc">Fewest Tokens</option>
+                                        <option value="relevance">Best Match</option>
+                                    </select>
+                                </div>
+                                <div class="filter-group">
+                                    <label for="token-min-filter">Tokens:</label>
+                                    <input type="number" id="token-min-filter" class="token-min-input" min="0" placeholder="Min">
+                                    <input type="number" id="token-max-filter" class="token-max-input" min="0" placeholder="Max">
+                                </div>
+                            </div>
+                        </div>
+                        <div class="prompt-library-main">
+                            <div class="prompt-library-snapshots"></div>
+                            <div class="prompt-library-list">
+                                ${promptListHTML}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the list of prompts as HTML cards
+     * @param {Object} prompts - Object containing prompts keyed by ID
+     * @returns {Object} Result object with success status and HTML
+     */
+    renderPromptList(prompts) {
+        try {
+            if (!prompts || typeof prompts !== 'object') {
+                throw new Error('Invalid prompts data provided');
+            }
+
+            const promptArray = Object.values(prompts);
+            
+            if (promptArray.length === 0) {
+                return {
+                    success: true,
+                    html: this.renderEmptyState(),
+                    message: 'No prompts to display'
+                };
+            }
+
+            // Sort prompts based on current filter
+            const sortedPrompts = this.sortPrompts(promptArray, this.currentFilters.sort);
+            
+            // Generate HTML for each prompt card
+            const promptCards = sortedPrompts.map(prompt => this.renderPromptCard(prompt)).join('');
+            
+            const html = `
+                <div class="prompt-cards-container">
+                    ${promptCards}
+                </div>
+            `;
+
+            console.log(`[${this.extensionName}] Rendered ${sortedPrompts.length} prompt cards`);
+
+            return {
+                success: true,
+                html: html,
+                message: `Rendered ${sortedPrompts.length} prompts`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error rendering prompt list:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to render prompt list'
+            };
+        }
+    }
+
+    /**
+     * Render a single prompt card
+     * @param {Object} prompt - Prompt data
+     * @returns {string} HTML for the prompt card
+     */
+    renderPromptCard(prompt) {
+        const roleBadge = this.generateRoleBadge(prompt.role);
+        const favoriteIcon = prompt.metadata.favorite ? '⭐' : '☆';
+        const contentPreview = this.truncateText(prompt.content, 150);
+        const createdDate = new Date(prompt.metadata.created_at).toISOString().split('T')[0]; // YYYY-MM-DD format
+        const lastUsed = prompt.metadata.last_used ? 
+            new Date(prompt.metadata.last_used).toISOString().split('T')[0] : 'Never';
+        const tokenCount = this.dataManager.getCachedTokenCount(prompt);
+        const searching = [this.currentFilters.search || '', ...(this.currentFilters.phrases || [])].join(' ').trim() !== '';
+
+        // Search matches take precedence over the macro preview
+        let contentHTML;
+        if (searching) {
+            contentHTML = this.renderSearchSnippet(prompt.content, this.getSearchMatchRanges(prompt.content, 'content'));
+        } else if (this.macroPreviewEnabled) {
+            contentHTML = this.renderMacroPreview(contentPreview);
+        } else {
+            contentHTML = this.escapeHtml(contentPreview);
+        }
+        const nameHTML = searching ?
+            this.renderHighlightedText(prompt.name, this.getSearchMatchRanges(prompt.name, 'name')) :
+            this.escapeHtml(prompt.name);
+
+        return `
+            <div class="prompt-card" data-prompt-id="${prompt.id}">
+                <div class="prompt-card-header">
+                    <div class="prompt-card-name">${nameHTML}</div>
+                    <div class="prompt-card-badges">
+                        ${roleBadge}
+                        ${this.dataManager.isTemplate(prompt.content) ? '<span class="template-badge" title="Asks for variable values when applied">🧩 Template</span>' : ''}
+                        <span class="favorite-star ${prompt.metadata.favorite ? 'favorited' : ''}">${favoriteIcon}</span>
+                    </div>
+                </div>
+                <div class="prompt-card-content">
+                    <div class="prompt-content-preview">${contentHTML}</div>
+                </div>
+                <div class="prompt-card-metadata">
+                    <div class="metadata-item">
+                        <span class="metadata-label">Created:</span>
+                        <span class="metadata-value">${createdDate}</span>
+                    </div>
+                    <div class="metadata-item">
+                        <span class="metadata-label">Last Used:</span>
+                        <span class="metadata-value">${lastUsed}</span>
+                    </div>
+                    <div class="metadata-item">
+                        <span class="metadata-label">Tokens:</span>
+                        <span class="metadata-value token-count" title="${tokenCount.estimated ? 'Estimated' : 'Counted with the active tokenizer'}">${tokenCount.estimated ? '~' : ''}${tokenCount.count}</span>
+                    </div>
+                    <div class="metadata-item">
+                        <span class="metadata-label">Usage Count:</span>
+                        <span class="metadata-value usage_count">${prompt.metadata.usage_count || 0}</span>
+                    </div>
+                    <div class="metadata-item">
+                        <span class="metadata-label">Source:</span>
+                        <span class="metadata-value">${this.escapeHtml(prompt.metadata.source_preset || 'Unknown')}</span>
+                    </div>
+                    ${prompt.metadata.folder ? `
+                        <div class="metadata-item">
+                            <span class="metadata-label">Folder:</span>
+                            <span class="metadata-value">📁 ${this.escapeHtml(prompt.metadata.folder)}</span>
+                        </div>
+                    ` : ''}
+                    ${prompt.metadata.tags && prompt.metadata.tags.length > 0 ? `
+                        <div class="metadata-item">
+                            <span class="metadata-label">Tags:</span>
+                            <span class="metadata-value">${prompt.metadata.tags.map(tag => this.renderTagBadge(tag)).join(' ')}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="prompt-card-actions">
+                    <button class="apply-prompt-btn" data-prompt-id="${prompt.id}" title="Apply this prompt">
+                        📝 Apply
+                    </button>
+                    <button class="favorite-prompt-btn" data-prompt-id="${prompt.id}" title="Toggle favorite">
+                        ${favoriteIcon} Favorite
+                    </button>
+                    <button class="edit-prompt-btn" data-prompt-id="${prompt.id}" title="Edit prompt">
+                        ✏️ Edit
+                    </button>
+                    <button class="history-prompt-btn" data-prompt-id="${prompt.id}" title="Show revision history">
+                        🕘 History
+                    </button>
+                    <button class="move-prompt-btn" data-prompt-id="${prompt.id}" title="Move to folder">
+                        📁 Move
+                    </button>
+                    <button class="budget-prompt-btn" data-prompt-id="${prompt.id}" title="Check the token budget with this prompt applied">
+                        📊 Budget
+                    </button>
+                    <button class="delete-prompt-btn" data-prompt-id="${prompt.id}" title="Delete prompt">
+                        🗑️ Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate role badge HTML
+     * @param {string} role - The role (user, system, assistant)
+     * @returns {string} HTML for role badge
+     */
+    generateRoleBadge(role) {
+        const roleConfig = {
+            user: { icon: '👤', label: 'User', class: 'role-user' },
+            system: { icon: '⚙️', label: 'System', class: 'role-system' },
+            assistant: { icon: '🤖', label: 'Assistant', class: 'role-assistant' }
+        };
+
+        const config = roleConfig[role] || roleConfig.user;
+        return `<span class="role-badge ${config.class}" title="${config.label}">${config.icon} ${config.label}</span>`;
+    }
+
+    /**
+     * Render empty state when no prompts are available
+     * @returns {string} HTML for empty state
+     */
+    renderEmptyState() {
+        return `
+            <div class="no-prompts empty-state">
+                <div class="empty-state-icon">📭</div>
+                <div class="empty-state-title">No Prompts Found</div>
+                <div class="empty-state-message">
+                    You haven't saved any prompts yet. Use the "Save Current Prompt" button to get started!
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Sort prompts based on the specified criteria
+     * @param {Array} prompts - Array of prompt objects
+     * @param {string} sortBy - Sort criteria
+     * @returns {Array} Sorted prompts array
+     */
+    sortPrompts(prompts, sortBy) {
+        return this.dataManager.sortPrompts(prompts, sortBy, this.currentFilters.search, this.currentFilters.searchMode);
+    }
+
+    /**
+     * Truncate text to specified length with ellipsis
+     * @param {string} text - Text to truncate
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated text
+     */
+    truncateText(text, maxLength) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        if (text.length <= maxLength) {
             return text;
         }
 
-        return text.substring(0, maxLength - 3) + '...';
+        return text.substring(0, maxLength - 3) + '...';
+    }
+
+    /**
+     * Escape HTML characters to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        // Use manual escaping for Node.js compatibility
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+
+
+    /**
+     * Apply modal styling for SillyTavern theme integration
+     * @param {HTMLElement} modalElement - Modal element to style
+     */
+    applyModalStyling(modalElement) {
+        modalElement.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+    }
+
+    /**
+     * Setup event handlers for modal interactions
+     * @param {HTMLElement} modalElement - Modal element
+     * @returns {Object} Result object with success status
+     */
+    setupEventHandlers(modalElement) {
+        try {
+            // Close button handler
+            const closeBtn = modalElement.querySelector('.prompt-library-close');
+            if (closeBtn) {
+                closeBtn.onclick = () => this.closeModal();
+            }
+
+            // Search mode toggle handler
+            const searchModeBtn = modalElement.querySelector('.prompt-library-search-mode-btn');
+            if (searchModeBtn) {
+                searchModeBtn.onclick = () => this.cycleSearchMode();
+            }
+
+            // Macro preview toggle handler
+            const macroPreviewBtn = modalElement.querySelector('.prompt-library-macro-preview-btn');
+            if (macroPreviewBtn) {
+                macroPreviewBtn.onclick = () => this.toggleMacroPreview();
+            }
+
+            // Token budget button handler
+            const budgetBtn = modalElement.querySelector('.prompt-library-budget-btn');
+            if (budgetBtn) {
+                budgetBtn.onclick = () => this.showTokenBudget();
+            }
+
+            // Similar prompts button handler
+            const similarBtn = modalElement.querySelector('.prompt-library-similar-btn');
+            if (similarBtn) {
+                similarBtn.onclick = () => this.showSimilarPrompts();
+            }
+
+            // Tag manager button handler
+            const tagsBtn = modalElement.querySelector('.prompt-library-tags-btn');
+            if (tagsBtn) {
+                tagsBtn.onclick = () => this.showTagManager();
+            }
+
+            // Trash button handler
+            const trashBtn = modalElement.querySelector('.prompt-library-trash-btn');
+            if (trashBtn) {
+                trashBtn.onclick = () => this.showTrash();
+            }
+
+            // Backup browser button handler
+            const backupsBtn = modalElement.querySelector('.prompt-library-backups-btn');
+            if (backupsBtn) {
+                backupsBtn.onclick = () => this.showBackupBrowser();
+            }
+
+            // Create folder button handler
+            const createFolderBtn = modalElement.querySelector('.prompt-folder-create-btn');
+            if (createFolderBtn) {
+                createFolderBtn.onclick = () => this.handleCreateFolder();
+            }
+
+            // Save smart collection button handler
+            const saveCollectionBtn = modalElement.querySelector('.prompt-collection-save-btn');
+            if (saveCollectionBtn) {
+                saveCollectionBtn.onclick = () => this.handleSaveCollection();
+            }
+
+            // Sidebar filter handlers
+            this.setupFilterEventHandlers(modalElement);
+
+            // Apply prompt button handlers
+            const applyBtns = modalElement.querySelectorAll('.apply-prompt-btn');
+            applyBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.handleApplyPrompt(promptId);
+                };
+            });
+
+            // Favorite button handlers
+            const favoriteBtns = modalElement.querySelectorAll('.favorite-prompt-btn');
+            favoriteBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.handleToggleFavorite(promptId);
+                };
+            });
+
+            // Edit button handlers
+            const editBtns = modalElement.querySelectorAll('.edit-prompt-btn');
+            editBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.handleEditPrompt(promptId);
+                };
+            });
+
+            // History button handlers
+            const historyBtns = modalElement.querySelectorAll('.history-prompt-btn');
+            historyBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.showRevisionHistory(promptId);
+                };
+            });
+
+            // Move to folder button handlers
+            const moveBtns = modalElement.querySelectorAll('.move-prompt-btn');
+            moveBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.handleMovePrompt(promptId);
+                };
+            });
+
+            // Token budget button handlers
+            const budgetBtns = modalElement.querySelectorAll('.budget-prompt-btn');
+            budgetBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.showTokenBudget(promptId);
+                };
+            });
+
+            // Delete button handlers
+            const deleteBtns = modalElement.querySelectorAll('.delete-prompt-btn');
+            deleteBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    const promptId = e.target.getAttribute('data-prompt-id');
+                    this.handleDeletePrompt(promptId);
+                };
+            });
+
+            return {
+                success: true,
+                message: 'Event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup event handlers'
+            };
+        }
+    }
+
+    /**
+     * Setup handlers for the sidebar filter controls
+     * @param {HTMLElement} modalElement - Modal element containing the filter controls
+     */
+    setupFilterEventHandlers(modalElement) {
+        const applyFilterChange = async (newFilters) => {
+            this.updateFilterState(newFilters);
+            await this.refreshPromptList();
+        };
+
+        this.syncFilterControls(modalElement);
+
+        const searchInput = modalElement.querySelector('.prompt-search-input');
+        if (searchInput) {
+            searchInput.value = this.currentFilters.query || '';
+            const debouncedSearch = this.createDebouncedSearch(query => this.handleSearchQuery(modalElement, query));
+            searchInput.oninput = (e) => debouncedSearch(e.target.value);
+            this.setupSearchAutocomplete(modalElement, searchInput, query => this.handleSearchQuery(modalElement, query));
+        }
+
+        const roleSelect = modalElement.querySelector('.role-filter-select');
+        if (roleSelect) {
+            roleSelect.onchange = (e) => applyFilterChange({ role: e.target.value });
+        }
+
+        const favoriteSelect = modalElement.querySelector('.favorite-filter-select');
+        if (favoriteSelect) {
+            const favoriteValues = { all: null, favorites: true, 'non-favorites': false };
+            favoriteSelect.onchange = (e) => applyFilterChange({ favorite: favoriteValues[e.target.value] ?? null });
+        }
+
+        const sortSelect = modalElement.querySelector('.sort-filter-select');
+        if (sortSelect) {
+            sortSelect.onchange = (e) => applyFilterChange({ sort: e.target.value });
+        }
+
+        const parseTokenLimit = (value) => {
+            const limit = parseInt(value, 10);
+            return Number.isNaN(limit) || limit < 0 ? null : limit;
+        };
+
+        const tokenMinInput = modalElement.querySelector('.token-min-input');
+        if (tokenMinInput) {
+            tokenMinInput.onchange = (e) => applyFilterChange({ minTokens: parseTokenLimit(e.target.value) });
+        }
+
+        const tokenMaxInput = modalElement.querySelector('.token-max-input');
+        if (tokenMaxInput) {
+            tokenMaxInput.onchange = (e) => applyFilterChange({ maxTokens: parseTokenLimit(e.target.value) });
+        }
+    }
+
+    /**
+     * Show the current filter state in the sidebar controls
+     * @param {HTMLElement} modalElement - Modal element containing the filter controls
+     */
+    syncFilterControls(modalElement) {
+        const searchMode = this.searchModes[this.currentFilters.searchMode] || this.searchModes.ranked;
+        const searchModeBtn = modalElement.querySelector('.prompt-library-search-mode-btn');
+        if (searchModeBtn) {
+            searchModeBtn.textContent = searchMode.label;
+            searchModeBtn.classList[this.currentFilters.searchMode && this.currentFilters.searchMode !== 'ranked' ? 'add' : 'remove']('active');
+        }
+
+        const searchInput = modalElement.querySelector('.prompt-search-input');
+        if (searchInput) {
+            searchInput.placeholder = searchMode.placeholder;
+        }
+
+        const roleSelect = modalElement.querySelector('.role-filter-select');
+        if (roleSelect) {
+            roleSelect.value = this.currentFilters.role || 'all';
+        }
+
+        const favoriteSelect = modalElement.querySelector('.favorite-filter-select');
+        if (favoriteSelect) {
+            const favoriteValues = { all: null, favorites: true, 'non-favorites': false };
+            favoriteSelect.value = Object.keys(favoriteValues).find(key => favoriteValues[key] === this.currentFilters.favorite) || 'all';
+        }
+
+        const sortSelect = modalElement.querySelector('.sort-filter-select');
+        if (sortSelect) {
+            sortSelect.value = this.currentFilters.sort || 'latest_used';
+        }
+
+        const tokenMinInput = modalElement.querySelector('.token-min-input');
+        if (tokenMinInput) {
+            tokenMinInput.value = this.currentFilters.minTokens ?? '';
+        }
+
+        const tokenMaxInput = modalElement.querySelector('.token-max-input');
+        if (tokenMaxInput) {
+            tokenMaxInput.value = this.currentFilters.maxTokens ?? '';
+        }
+    }
+
+    /**
+     * Apply a search box query: field terms become filters, the rest is ranked text search
+     * @param {HTMLElement} modalElement - Modal element containing the filter controls
+     * @param {string} query - Query text from the search box
+     * @returns {Promise<Object>} Result object with success status and any query errors
+     */
+    async handleSearchQuery(modalElement, query) {
+        const querySequence = this.searchQuerySequence + 1;
+        this.searchQuerySequence = querySequence;
+
+        let parsed;
+        if (this.currentFilters.searchMode === 'regex') {
+            // The whole box is the pattern, field terms are not parsed; slow patterns are refused before they run
+            const compiled = query.trim() ?
+                await this.dataManager.checkSearchPatternSpeed(query.trim()) :
+                this.dataManager.compileSearchPattern('');
+            if (querySequence !== this.searchQuerySequence) {
+                // The query was changed while the pattern was being checked
+                return {
+                    success: false,
+                    superseded: true,
+                    errors: [],
+                    message: 'Search query superseded'
+                };
+            }
+            parsed = {
+                success: compiled.success,
+                filters: { search: query.trim() },
+                errors: compiled.success ? [] : [{ term: query.trim(), message: compiled.error }],
+                message: compiled.message
+            };
+        } else {
+            parsed = this.dataManager.parseSearchQuery(query);
+        }
+        const defaults = this.getDefaultFilters();
+        const newFilters = { query: query };
+
+        // Filters set by the previous query go back to their defaults unless the new query sets them again
+        (this.queryFilterKeys || []).forEach(key => {
+            newFilters[key] = defaults[key];
+        });
+        Object.assign(newFilters, parsed.filters);
+        this.queryFilterKeys = Object.keys(parsed.filters);
+
+        // Rank by relevance while there is text to search for, then go back to the previous sort
+        const searching = parsed.filters.search !== '';
+        const wasSearching = (this.currentFilters.search || '').trim() !== '';
+        if (searching && !wasSearching && this.currentFilters.sort !== 'relevance') {
+            this.sortBeforeSearch = this.currentFilters.sort;
+            newFilters.sort = 'relevance';
+        } else if (!searching && wasSearching && this.sortBeforeSearch) {
+            newFilters.sort = this.sortBeforeSearch;
+            this.sortBeforeSearch = null;
+        }
+
+        this.updateFilterState(newFilters);
+        this.syncFilterControls(modalElement);
+
+        const errorContainer = modalElement.querySelector('.search-query-errors');
+        if (errorContainer) {
+            errorContainer.innerHTML = parsed.errors
+                .map(error => `<div class="search-query-error">⚠️ <code>${this.escapeHtml(error.term)}</code> ${this.escapeHtml(error.message)}</div>`)
+                .join('');
+        }
+
+        await this.refreshPromptList();
+
+        return {
+            success: parsed.success,
+            errors: parsed.errors,
+            message: parsed.message
+        };
+    }
+
+    /**
+     * Get autocompletion suggestions for the query term at the cursor
+     * @param {string} query - Query text
+     * @param {number} cursorPosition - Cursor position in the query
+     * @returns {Promise<Object>} Start and end of the term being completed and the suggestions for it
+     */
+    async getQueryCompletions(query, cursorPosition = query.length) {
+        const beforeCursor = query.substring(0, cursorPosition);
+        const termMatch = /(-?)(?:([a-z]+):)?("[^"]*|[^\s"]*)$/i.exec(beforeCursor);
+        const [term, negation, fieldName, rawValue] = termMatch;
+        const start = cursorPosition - term.length;
+        const empty = { start: start, end: cursorPosition, suggestions: [] };
+
+        // Completing a field name
+        if (!fieldName) {
+            const prefix = rawValue.toLowerCase();
+            if (!prefix || prefix.startsWith('"')) {
+                return empty;
+            }
+            return {
+                ...empty,
+                suggestions: Object.entries(this.queryFieldHints)
+                    .filter(([field]) => field.startsWith(prefix))
+                    .map(([field, hint]) => ({ value: `${negation}${field}:`, label: `${field}:`, detail: hint, complete: false }))
+            };
+        }
+
+        const field = this.dataManager.queryFieldAliases[fieldName.toLowerCase()];
+        let values = [];
+        switch (field) {
+            case 'tag':
+                values = (await this.dataManager.getTagStats()).map(stat => ({ value: stat.tag, detail: `${stat.count}` }));
+                break;
+            case 'role':
+                values = ['system', 'user', 'assistant'].map(role => ({ value: role }));
+                break;
+            case 'fav':
+                values = [{ value: 'yes' }, { value: 'no' }];
+                break;
+            case 'preset': {
+                const prompts = await this.dataManager.getPrompts();
+                const presets = new Set(Object.values(prompts)
+                    .flatMap(prompt => [prompt.metadata.source_preset, ...(prompt.metadata.source_presets || [])])
+                    .filter(Boolean));
+                values = [...presets].sort().map(preset => ({ value: preset }));
+                break;
+            }
+            case 'folder':
+                values = (await this.dataManager.getFolders()).map(folder => ({ value: folder }));
+                break;
+            default:
+                return empty;
+        }
+
+        const prefix = rawValue.replace(/^"/, '').toLowerCase();
+        return {
+            ...empty,
+            suggestions: values
+                .filter(item => item.value.toLowerCase().startsWith(prefix) && item.value.toLowerCase() !== prefix)
+                .slice(0, 8)
+                .map(item => ({
+                    value: `${negation}${fieldName}:${/\s/.test(item.value) ? `"${item.value}"` : item.value}`,
+                    label: item.value,
+                    detail: item.detail || '',
+                    complete: true
+                }))
+        };
+    }
+
+    /**
+     * Setup the autocompletion dropdown for the search box
+     * @param {HTMLElement} modalElement - Modal element containing the search box
+     * @param {HTMLElement} searchInput - The search input
+     * @param {Function} onQueryChange - Called with the query after a suggestion is accepted
+     */
+    setupSearchAutocomplete(modalElement, searchInput, onQueryChange) {
+        const suggestionList = modalElement.querySelector('.search-suggestions');
+        if (!suggestionList) {
+            return;
+        }
+
+        let completion = { suggestions: [] };
+        let activeIndex = 0;
+
+        const hideSuggestions = () => {
+            completion = { suggestions: [] };
+            suggestionList.style.display = 'none';
+        };
+
+        const renderSuggestions = () => {
+            if (completion.suggestions.length === 0) {
+                hideSuggestions();
+                return;
+            }
+            suggestionList.innerHTML = completion.suggestions.map((suggestion, index) => `
+                <div class="search-suggestion ${index === activeIndex ? 'active' : ''}" data-index="${index}">
+                    <span class="search-suggestion-label">${this.escapeHtml(suggestion.label)}</span>
+                    <span class="search-suggestion-detail">${this.escapeHtml(suggestion.detail)}</span>
+                </div>
+            `).join('');
+            suggestionList.style.display = 'block';
+            suggestionList.querySelectorAll('.search-suggestion').forEach(item => {
+                // mousedown fires before the input loses focus
+                item.onmousedown = (e) => {
+                    e.preventDefault();
+                    acceptSuggestion(parseInt(item.getAttribute('data-index'), 10));
+                };
+            });
+        };
+
+        const updateSuggestions = async () => {
+            const query = searchInput.value;
+            const cursorPosition = searchInput.selectionStart ?? query.length;
+            completion = await this.getQueryCompletions(query, cursorPosition);
+            activeIndex = 0;
+            renderSuggestions();
+        };
+
+        const acceptSuggestion = (index) => {
+            const suggestion = completion.suggestions[index];
+            if (!suggestion) {
+                return;
+            }
+            const query = searchInput.value;
+            const insertText = suggestion.complete ? `${suggestion.value} ` : suggestion.value;
+            searchInput.value = query.substring(0, completion.start) + insertText + query.substring(completion.end);
+            const cursorPosition = completion.start + insertText.length;
+            if (typeof searchInput.setSelectionRange === 'function') {
+                searchInput.setSelectionRange(cursorPosition, cursorPosition);
+            }
+
+            onQueryChange(searchInput.value);
+            if (suggestion.complete) {
+                hideSuggestions();
+            } else {
+                // Go straight on to the values for the chosen field
+                updateSuggestions();
+            }
+        };
+
+        searchInput.addEventListener('input', updateSuggestions);
+        searchInput.addEventListener('focus', updateSuggestions);
+        searchInput.addEventListener('blur', hideSuggestions);
+        searchInput.addEventListener('keydown', (e) => {
+            if (completion.suggestions.length === 0) {
+                return;
+            }
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + step + completion.suggestions.length) % completion.suggestions.length;
+                renderSuggestions();
+            } else if (e.key === 'Tab' || e.key === 'Enter') {
+                e.preventDefault();
+                acceptSuggestion(activeIndex);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                hideSuggestions();
+            }
+        });
+    }
+
+    /**
+     * Apply accessibility features to the modal
+     * @param {HTMLElement} modalElement - Modal element
+     */
+    applyAccessibilityFeatures(modalElement) {
+        // Handle both real DOM and mock DOM environments
+        if (typeof modalElement.setAttribute === 'function') {
+            modalElement.setAttribute('role', 'dialog');
+            modalElement.setAttribute('aria-modal', 'true');
+            modalElement.setAttribute('aria-labelledby', 'prompt-library-title');
+        } else {
+            // Mock environment - just set properties
+            modalElement.role = 'dialog';
+            modalElement['aria-modal'] = 'true';
+            modalElement['aria-labelledby'] = 'prompt-library-title';
+        }
+        
+        // Focus management would be implemented here in a real browser environment
+        console.log(`[${this.extensionName}] Accessibility features applied`);
+    }
+
+    /**
+     * Close the modal dialog
+     */
+    closeModal() {
+        this.unsubscribeFromLibraryEvents();
+        this.tokenRecountPending = false;
+        if (this.modalElement && this.modalElement.parentNode) {
+            this.modalElement.parentNode.removeChild(this.modalElement);
+            this.modalElement = null;
+        }
+    }
+
+    /**
+     * Refresh stale token counts in the background while the modal is open
+     * Cards show cached or estimated counts until their batch is counted. Only one recount runs
+     * at a time; a request made while one is running starts another one afterwards
+     * @returns {Promise<void>} Settles when the recount is finished
+     */
+    scheduleTokenRecount() {
+        if (this.tokenRecountPromise) {
+            this.tokenRecountPending = true;
+            return this.tokenRecountPromise;
+        }
+
+        this.tokenRecountPromise = (async () => {
+            let updatedCount = 0;
+            try {
+                updatedCount = await this.dataManager.updateTokenCounts(await this.dataManager.getPrompts(), {
+                    onBatch: updatedIds => this.updateTokenCountBadges(updatedIds)
+                });
+            } catch (error) {
+                console.warn(`[${this.extensionName}] Background token count failed:`, error);
+            } finally {
+                this.tokenRecountPromise = null;
+            }
+
+            if (!this.modalElement) {
+                return;
+            }
+
+            if (this.tokenRecountPending) {
+                this.tokenRecountPending = false;
+                this.scheduleTokenRecount();
+            } else if (updatedCount > 0 && this.isTokenDependentView()) {
+                // Sorting and token filters used estimates for the prompts that were just counted
+                await this.refreshPromptList();
+            }
+        })();
+
+        return this.tokenRecountPromise;
+    }
+
+    /**
+     * Show fresh token counts on the cards of the given prompts
+     * @param {Array<string>} promptIds - IDs of prompts whose counts were updated
+     */
+    updateTokenCountBadges(promptIds) {
+        if (!this.modalElement) {
+            return;
+        }
+
+        const updatedIds = new Set(promptIds);
+        const storedPrompts = getPromptStorage().getPromptMap();
+        this.modalElement.querySelectorAll('.prompt-card').forEach(card => {
+            const promptId = card.getAttribute('data-prompt-id');
+            const badge = card.querySelector('.token-count');
+            if (!updatedIds.has(promptId) || !badge || !storedPrompts[promptId]) {
+                return;
+            }
+
+            const tokenCount = this.dataManager.getCachedTokenCount(storedPrompts[promptId]);
+            badge.textContent = `${tokenCount.estimated ? '~' : ''}${tokenCount.count}`;
+            badge.title = tokenCount.estimated ? 'Estimated' : 'Counted with the active tokenizer';
+        });
+    }
+
+    /**
+     * Check whether the current sort or filters depend on token counts
+     * @returns {boolean} True if the list has to be redrawn when counts change
+     */
+    isTokenDependentView() {
+        const filters = this.currentFilters;
+        return ['tokens_asc', 'tokens_desc'].includes(filters.sort) ||
+            (filters.minTokens !== null && filters.minTokens !== undefined) ||
+            (filters.maxTokens !== null && filters.maxTokens !== undefined);
+    }
+
+    /**
+     * Refresh the open modal whenever the library changes
+     * Bursts of events (bulk operations, imports) are coalesced into one refresh
+     */
+    subscribeToLibraryEvents() {
+        if (this.libraryEventHandler || typeof eventSource === 'undefined' || typeof eventSource.on !== 'function') {
+            return;
+        }
+
+        this.libraryEventHandler = () => {
+            clearTimeout(this.libraryRefreshTimer);
+            this.libraryRefreshTimer = setTimeout(() => {
+                if (this.modalElement) {
+                    this.refreshPromptList();
+                }
+            }, 100);
+        };
+        Object.values(PROMPT_SAVER_EVENTS).forEach(eventType => eventSource.on(eventType, this.libraryEventHandler));
+    }
+
+    /**
+     * Stop refreshing the modal from library events
+     */
+    unsubscribeFromLibraryEvents() {
+        clearTimeout(this.libraryRefreshTimer);
+        if (!this.libraryEventHandler) {
+            return;
+        }
+
+        if (typeof eventSource !== 'undefined' && typeof eventSource.removeListener === 'function') {
+            Object.values(PROMPT_SAVER_EVENTS).forEach(eventType => eventSource.removeListener(eventType, this.libraryEventHandler));
+        }
+        this.libraryEventHandler = null;
+    }
+
+    /**
+     * Handle apply prompt action
+     * Asks for template variable values and confirms token budget warnings before applying
+     * @param {string} promptId - ID of prompt to apply
+     */
+    async handleApplyPrompt(promptId) {
+        console.log(`[${this.extensionName}] Apply prompt requested: ${promptId}`);
+
+        if (!promptSaverManager) {
+            this.showSaveError('Prompt saver is not initialized');
+            return;
+        }
+
+        const promptData = await this.dataManager.loadPrompt(promptId);
+        if (!promptData) {
+            this.showSaveError('Prompt not found');
+            return;
+        }
+
+        let variables;
+        if (this.dataManager.isTemplate(promptData.content)) {
+            variables = await this.showTemplateForm(promptData);
+            if (variables === null) {
+                return;
+            }
+        }
+
+        let result = await promptSaverManager.applyPrompt(promptId, { variables: variables });
+        if (result.budgetExceeded) {
+            if (!confirm(`${result.budgetWarnings.join('\n')}\n\nApply "${promptData.name}" anyway?`)) {
+                return;
+            }
+            result = await promptSaverManager.applyPrompt(promptId, { variables: variables, force: true });
+        }
+
+        if (result.success) {
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error || result.message);
+        }
+    }
+
+    /**
+     * Handle toggle favorite action
+     * @param {string} promptId - ID of prompt to toggle
+     */
+    async handleToggleFavorite(promptId) {
+        console.log(`[${this.extensionName}] Toggle favorite requested: ${promptId}`);
+
+        if (promptSaverManager && typeof promptSaverManager.toggleFavorite === 'function') {
+            const result = await promptSaverManager.toggleFavorite(promptId);
+            if (result.success) {
+                // Refresh the prompt list to show updated favorite status
+                await this.refreshPromptList();
+                console.log(`[${this.extensionName}] Favorite toggled successfully: ${result.message}`);
+            } else {
+                console.error(`[${this.extensionName}] Failed to toggle favorite: ${result.error}`);
+            }
+        } else {
+            console.error(`[${this.extensionName}] PromptSaverManager not available`);
+        }
+    }
+
+    /**
+     * Show only favorited prompts
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showFavoritesOnly() {
+        try {
+            console.log(`[${this.extensionName}] Showing favorites only`);
+
+            // Update filters to show only favorites
+            this.currentFilters.favorite = true;
+
+            // Refresh the prompt list with the new filter
+            await this.refreshPromptList();
+
+            return {
+                success: true,
+                message: 'Showing favorites only'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error showing favorites only:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to show favorites only'
+            };
+        }
+    }
+
+    /**
+     * Render favorite icon for a prompt
+     * @param {Object} promptData - The prompt data
+     * @returns {string} HTML for the favorite icon
+     */
+    renderFavoriteIcon(promptData) {
+        try {
+            const isFavorite = promptData.metadata && promptData.metadata.favorite;
+            const iconClass = isFavorite ? 'favorited' : 'not-favorited';
+            const icon = isFavorite ? '⭐' : '☆';
+            const title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+
+            return `<span class="favorite-star favorite-icon ${iconClass}" data-prompt-id="${promptData.id}" title="${title}">${icon}</span>`;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error rendering favorite icon:`, error);
+            return '<span class="favorite-star favorite-icon error">❓</span>';
+        }
+    }
+
+    /**
+     * Refresh the prompt list in the current modal
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async refreshPromptList() {
+        try {
+            if (!this.modalElement) {
+                return {
+                    success: false,
+                    message: 'No modal element to refresh'
+                };
+            }
+
+            // Get updated prompts with current filters
+            const prompts = await this.dataManager.getPrompts(this.currentFilters);
+            const promptListResult = this.renderPromptList(prompts);
+
+            if (!promptListResult.success) {
+                throw new Error(promptListResult.error);
+            }
+
+            // Update the prompt list container
+            const promptListContainer = this.modalElement.querySelector('.prompt-library-list');
+            if (promptListContainer) {
+                promptListContainer.innerHTML = promptListResult.html;
+
+                // Re-setup event handlers for the new content
+                this.setupPromptCardEventHandlers(this.modalElement);
+            }
+
+            // Folder and collection counts, selection and snapshot matches may have changed
+            await this.refreshFolderTree();
+            await this.refreshCollectionList();
+            await this.refreshSnapshotList();
+
+            this.scheduleTokenRecount();
+
+            return {
+                success: true,
+                message: 'Prompt list refreshed successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error refreshing prompt list:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to refresh prompt list'
+            };
+        }
+    }
+
+    /**
+     * Render preset snapshot cards
+     * @param {Array} snapshots - Preset snapshots to show
+     * @returns {string} HTML for the snapshot section
+     */
+    renderSnapshotList(snapshots) {
+        if (snapshots.length === 0) {
+            return '';
+        }
+
+        const snapshotCards = snapshots.map(snapshot => {
+            const enabledCount = snapshot.prompts.filter(prompt => prompt.enabled).length;
+            const promptItems = snapshot.prompts.map(prompt => `
+                <li class="snapshot-prompt-item ${prompt.enabled ? 'enabled' : 'disabled'}">
+                    ${prompt.enabled ? '✅' : '⬜'} ${this.escapeHtml(prompt.name || prompt.identifier)}${prompt.marker ? ' <span class="snapshot-marker">(marker)</span>' : ''}
+                </li>
+            `).join('');
+
+            return `
+                <div class="snapshot-card" data-snapshot-id="${snapshot.id}">
+                    <div class="snapshot-card-header">
+                        <span class="snapshot-name">📸 ${this.escapeHtml(snapshot.name)}</span>
+                        <span class="snapshot-summary">${snapshot.prompts.length} prompts, ${enabledCount} enabled</span>
+                    </div>
+                    <div class="snapshot-card-details">
+                        <span>Source: ${this.escapeHtml(snapshot.source_preset || 'Unknown')}</span>
+                        <span>Created: ${new Date(snapshot.metadata.created_at).toLocaleString()}</span>
+                    </div>
+                    <details class="snapshot-prompts">
+                        <summary>Prompt order</summary>
+                        <ol>${promptItems}</ol>
+                    </details>
+                    <div class="snapshot-card-actions">
+                        <button class="apply-snapshot-btn" data-snapshot-id="${snapshot.id}" title="Replace the current preset's prompts with this snapshot">
+                            ↩️ Restore into Preset
+                        </button>
+                        <button class="delete-snapshot-btn" data-snapshot-id="${snapshot.id}" title="Delete snapshot">
+                            🗑️ Delete
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <h3>Preset Snapshots</h3>
+            <div class="snapshot-cards-container">
+                ${snapshotCards}
+            </div>
+        `;
+    }
+
+    /**
+     * Reload the preset snapshot section in the current modal
+     * Snapshots are not filed in folders, so they are hidden while a folder is selected
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async refreshSnapshotList() {
+        try {
+            const container = this.modalElement?.querySelector('.prompt-library-snapshots');
+            if (!container) {
+                return {
+                    success: false,
+                    message: 'No snapshot list to refresh'
+                };
+            }
+
+            let snapshots = [];
+            if (!this.currentFilters.folder) {
+                const snapshotMap = await this.dataManager.getSnapshots({ search: this.currentFilters.search });
+                snapshots = Object.values(snapshotMap)
+                    .sort((a, b) => new Date(b.metadata.created_at) - new Date(a.metadata.created_at));
+            }
+
+            container.innerHTML = this.renderSnapshotList(snapshots);
+            this.setupSnapshotEventHandlers(container);
+
+            return {
+                success: true,
+                snapshotCount: snapshots.length,
+                message: 'Snapshot list refreshed successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error refreshing snapshot list:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to refresh snapshot list'
+            };
+        }
+    }
+
+    /**
+     * Setup event handlers for preset snapshot cards
+     * @param {HTMLElement} container - Snapshot section container
+     */
+    setupSnapshotEventHandlers(container) {
+        container.querySelectorAll('.apply-snapshot-btn').forEach(button => {
+            button.onclick = async (e) => {
+                e.preventDefault();
+                const snapshotId = button.getAttribute('data-snapshot-id');
+                if (!promptSaverManager || !confirm('Replace all prompts in the current preset with this snapshot?')) {
+                    return;
+                }
+
+                const result = await promptSaverManager.applySnapshot(snapshotId);
+                if (result.success) {
+                    this.showSaveSuccess(result.message);
+                } else {
+                    this.showSaveError(`Failed to restore snapshot: ${result.error}`);
+                }
+            };
+        });
+
+        container.querySelectorAll('.delete-snapshot-btn').forEach(button => {
+            button.onclick = async (e) => {
+                e.preventDefault();
+                const snapshotId = button.getAttribute('data-snapshot-id');
+                if (!confirm('Delete this preset snapshot permanently?')) {
+                    return;
+                }
+
+                const result = await this.dataManager.deleteSnapshot(snapshotId);
+                if (result.success) {
+                    await this.refreshSnapshotList();
+                } else {
+                    this.showSaveError(`Failed to delete snapshot: ${result.error}`);
+                }
+            };
+        });
+    }
+
+    /**
+     * Ask for the values of a templated prompt's variables
+     * @param {Object} promptData - The templated prompt
+     * @returns {Promise<Object|null>} Values keyed by variable name, or null if cancelled
+     */
+    showTemplateForm(promptData) {
+        return new Promise(resolve => {
+            try {
+                const variables = this.dataManager.parseTemplateVariables(promptData.content);
+
+                // Create template modal
+                const templateModal = this.createTemplateModalElement();
+                templateModal.innerHTML = this.createTemplateModalHTML(promptData, variables);
+
+                // Apply styling
+                this.applyModalStyling(templateModal);
+
+                // Setup event handlers
+                const eventResult = this.setupTemplateEventHandlers(templateModal, promptData, resolve);
+                if (!eventResult.success) {
+                    throw new Error(eventResult.error);
+                }
+
+                // Add to DOM
+                document.body.appendChild(templateModal);
+
+            } catch (error) {
+                console.error(`[${this.extensionName}] Error opening template form:`, error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Create template form modal element
+     * @returns {HTMLElement} Template modal element
+     */
+    createTemplateModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-template-modal';
+        modal.id = 'prompt-template-modal';
+        return modal;
+    }
+
+    /**
+     * Create template form modal HTML
+     * @param {Object} promptData - The templated prompt
+     * @param {Array} variables - Variables from parseTemplateVariables()
+     * @returns {string} HTML for the template form
+     */
+    createTemplateModalHTML(promptData, variables) {
+        const fields = variables.map(variable => `
+            <div class="form-group">
+                <label for="template-var-${this.escapeHtml(variable.name)}">${this.escapeHtml(variable.name)}:</label>
+                <input type="text" id="template-var-${this.escapeHtml(variable.name)}" class="template-variable-input"
+                       data-variable="${this.escapeHtml(variable.name)}" value="${this.escapeHtml(variable.defaultValue)}"
+                       placeholder="${this.escapeHtml(variable.defaultValue)}">
+            </div>
+        `).join('');
+
+        return `
+            <div class="template-modal-overlay">
+                <div class="template-modal-container">
+                    <div class="template-modal-header">
+                        <h2>🧩 Fill in "${this.escapeHtml(promptData.name)}"</h2>
+                        <button class="template-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="template-modal-content">
+                        <form class="template-variables-form">
+                            ${fields}
+                        </form>
+                        <h4>Preview</h4>
+                        <div class="template-preview prompt-content-preview">${this.escapeHtml(this.dataManager.renderTemplate(promptData.content))}</div>
+                    </div>
+                    <div class="template-modal-actions">
+                        <button class="apply-template-btn">📝 Apply</button>
+                        <button class="cancel-template-btn">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup template form event handlers
+     * @param {HTMLElement} templateModal - The template modal element
+     * @param {Object} promptData - The templated prompt
+     * @param {Function} resolve - Receives the entered values, or null when cancelled
+     * @returns {Object} Result object with success status
+     */
+    setupTemplateEventHandlers(templateModal, promptData, resolve) {
+        try {
+            const collectValues = () => {
+                const values = {};
+                templateModal.querySelectorAll('.template-variable-input').forEach(input => {
+                    values[input.getAttribute('data-variable')] = input.value;
+                });
+                return values;
+            };
+
+            const closeWith = (values) => {
+                if (templateModal.parentNode) {
+                    templateModal.parentNode.removeChild(templateModal);
+                }
+                resolve(values);
+            };
+
+            const closeHandler = () => closeWith(null);
+
+            const closeBtn = templateModal.querySelector('.template-modal-close');
+            const cancelBtn = templateModal.querySelector('.cancel-template-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (cancelBtn) cancelBtn.onclick = closeHandler;
+
+            // Live preview of the resolved prompt
+            const preview = templateModal.querySelector('.template-preview');
+            templateModal.querySelectorAll('.template-variable-input').forEach(input => {
+                input.oninput = () => {
+                    if (preview) {
+                        preview.textContent = this.dataManager.renderTemplate(promptData.content, collectValues());
+                    }
+                };
+            });
+
+            const applyBtn = templateModal.querySelector('.apply-template-btn');
+            if (applyBtn) {
+                applyBtn.onclick = (e) => {
+                    e.preventDefault();
+                    closeWith(collectValues());
+                };
+            }
+
+            const form = templateModal.querySelector('.template-variables-form');
+            if (form) {
+                form.onsubmit = (e) => {
+                    e.preventDefault();
+                    closeWith(collectValues());
+                };
+            }
+
+            // Overlay click handler (close on outside click)
+            const overlay = templateModal.querySelector('.template-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        closeHandler();
+                    }
+                };
+            }
+
+            return {
+                success: true,
+                closeHandler: closeHandler,
+                message: 'Template event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up template event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup template event handlers'
+            };
+        }
+    }
+
+    /**
+     * Collect what is needed to resolve SillyTavern macros for the current character and persona
+     * @returns {Object} substituteParams function (if SillyTavern provides one) and fallback values
+     */
+    getMacroContext() {
+        const context = getSillyTavernContext();
+        const character = context?.characters?.[context.characterId];
+
+        let substitute = null;
+        if (typeof context?.substituteParams === 'function') {
+            substitute = context.substituteParams;
+        } else if (typeof substituteParams === 'function') {
+            substitute = substituteParams;
+        }
+
+        return {
+            substituteParams: substitute,
+            values: {
+                char: context?.name2 ?? window.name2,
+                user: context?.name1 ?? window.name1,
+                persona: context?.powerUserSettings?.persona_description,
+                description: character?.description,
+                personality: character?.personality,
+                scenario: character?.scenario,
+                newline: '\n'
+            }
+        };
+    }
+
+    /**
+     * Split content into plain text and macro segments and resolve each macro
+     * @param {string} content - Prompt content
+     * @param {Object} macroContext - Context from getMacroContext()
+     * @returns {Array<Object>} Segments; macro segments carry status (resolved, unresolved, unknown, template, side_effect)
+     */
+    analyzeMacros(content, macroContext = this.getMacroContext()) {
+        const segments = [];
+        const text = String(content || '');
+        const pattern = /\{\{([^{}]*)\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                segments.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+            }
+            lastIndex = pattern.lastIndex;
+
+            const original = match[0];
+            const inner = match[1].trim();
+            const name = inner.startsWith('//') ? '//' : inner.split(/::|:|\s/)[0];
+            const lowerName = name.toLowerCase();
+            const segment = { type: 'macro', text: original, name: name };
+
+            if (lowerName === 'ps') {
+                segment.status = 'template';
+            } else if (lowerName === 'savedprompt') {
+                const expansion = this.dataManager.expandSavedPromptMacros(original, {
+                    substitute: macroContext.substituteParams
+                });
+                segment.status = expansion.errors.length > 0 ? 'unknown' : 'resolved';
+                segment.hint = expansion.errors.map(error => error.message).join('; ');
+                segment.value = expansion.text;
+            } else if (this.sideEffectMacros.includes(lowerName)) {
+                segment.status = 'side_effect';
+            } else if (!this.knownMacros.some(macro => macro.toLowerCase() === lowerName)) {
+                segment.status = 'unknown';
+
+                // Suggest the closest known macro; short names only tolerate a single typo
+                const maxDistance = lowerName.length <= 4 ? 1 : 2;
+                const closest = this.knownMacros
+                    .map(macro => ({ macro: macro, distance: this.dataManager.calculateEditDistance(macro.toLowerCase(), lowerName) }))
+                    .filter(candidate => candidate.distance <= maxDistance)
+                    .sort((a, b) => a.distance - b.distance)[0];
+                segment.suggestion = closest ? closest.macro : null;
+            } else {
+                let value;
+                if (macroContext.substituteParams) {
+                    try {
+                        const substituted = macroContext.substituteParams(original);
+                        value = substituted !== original ? substituted : undefined;
+                    } catch (error) {
+                        value = undefined;
+                    }
+                } else if (inner.toLowerCase() === lowerName) {
+                    value = macroContext.values[lowerName];
+                }
+
+                segment.status = value !== undefined && value !== null ? 'resolved' : 'unresolved';
+                segment.value = value;
+            }
+
+            segments.push(segment);
+        }
+
+        if (lastIndex < text.length) {
+            segments.push({ type: 'text', text: text.slice(lastIndex) });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Render content with macros substituted and problem macros highlighted
+     * @param {string} content - Prompt content
+     * @returns {string} HTML for the macro preview
+     */
+    renderMacroPreview(content) {
+        return this.analyzeMacros(content).map(segment => {
+            if (segment.type === 'text') {
+                return this.escapeHtml(segment.text);
+            }
+
+            const original = this.escapeHtml(segment.text);
+            switch (segment.status) {
+                case 'resolved':
+                    return `<span class="macro-resolved" title="${original}">${this.escapeHtml(segment.value)}</span>`;
+                case 'unknown': {
+                    const hint = segment.hint ||
+                        (segment.suggestion ? `Unknown macro, did you mean {{${segment.suggestion}}}?` : 'Unknown macro');
+                    return `<span class="macro-unknown" title="${this.escapeHtml(hint)}">${original}</span>`;
+                }
+                case 'template':
+                    return `<span class="macro-template" title="Filled in when the prompt is applied">${original}</span>`;
+                case 'side_effect':
+                    return `<span class="macro-side-effect" title="Changes variables, not evaluated in preview">${original}</span>`;
+                default:
+                    return `<span class="macro-unresolved" title="Resolved at generation time">${original}</span>`;
+            }
+        }).join('');
+    }
+
+    /**
+     * Toggle macro preview mode for prompt cards
+     * @returns {Promise<Object>} Result object with the new preview state
+     */
+    async toggleMacroPreview() {
+        this.macroPreviewEnabled = !this.macroPreviewEnabled;
+
+        const toggleBtn = this.modalElement?.querySelector('.prompt-library-macro-preview-btn');
+        if (toggleBtn) {
+            toggleBtn.classList[this.macroPreviewEnabled ? 'add' : 'remove']('active');
+        }
+
+        await this.refreshPromptList();
+
+        return {
+            success: true,
+            enabled: this.macroPreviewEnabled,
+            message: this.macroPreviewEnabled ? 'Macro preview enabled' : 'Macro preview disabled'
+        };
+    }
+
+    /**
+     * Switch to the next search mode: ranked, fuzzy, then regex
+     * @returns {Promise<Object>} Result object with the new search mode
+     */
+    async cycleSearchMode() {
+        const modes = Object.keys(this.searchModes);
+        const currentIndex = modes.indexOf(this.currentFilters.searchMode || 'ranked');
+        return this.setSearchMode(modes[(currentIndex + 1) % modes.length]);
+    }
+
+    /**
+     * Set how the search box text is matched
+     * @param {string} mode - 'ranked', 'fuzzy' or 'regex'
+     * @returns {Promise<Object>} Result object with the new search mode
+     */
+    async setSearchMode(mode) {
+        if (!this.searchModes[mode]) {
+            return {
+                success: false,
+                error: `Unknown search mode: ${mode}`,
+                message: 'Invalid search mode'
+            };
+        }
+
+        this.updateFilterState({ searchMode: mode });
+
+        // Regex mode reads the whole box as a pattern, so the query is parsed again
+        if (this.modalElement) {
+            await this.handleSearchQuery(this.modalElement, this.currentFilters.query || '');
+        }
+
+        return {
+            success: true,
+            mode: mode,
+            message: `Search mode set to ${mode}`
+        };
+    }
+
+    /**
+     * Show the token budget of the current preset, optionally with a library prompt added
+     * @param {string|null} promptId - Optional ID of the prompt that would be applied
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showTokenBudget(promptId = null) {
+        try {
+            if (!promptSaverManager) {
+                throw new Error('PromptSaverManager not available');
+            }
+
+            let candidate = null;
+            if (promptId) {
+                const promptData = await this.dataManager.loadPrompt(promptId);
+                if (!promptData) {
+                    throw new Error('Prompt not found');
+                }
+                candidate = {
+                    name: promptData.name,
+                    role: promptData.role,
+                    content: this.dataManager.renderTemplate(promptData.content)
+                };
+            }
+
+            const budget = await promptSaverManager.calculateTokenBudget(candidate);
+            if (!budget.success) {
+                throw new Error(budget.error);
+            }
+
+            // Create budget modal
+            const budgetModal = this.createBudgetModalElement();
+            budgetModal.innerHTML = this.createBudgetModalHTML(budget);
+
+            // Apply styling
+            this.applyModalStyling(budgetModal);
+
+            // Setup event handlers
+            const eventResult = this.setupBudgetEventHandlers(budgetModal);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
+            }
+
+            // Add to DOM
+            document.body.appendChild(budgetModal);
+
+            return {
+                success: true,
+                modalElement: budgetModal,
+                budget: budget,
+                message: 'Token budget opened successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error opening token budget:`, error);
+            this.showSaveError(`Failed to calculate token budget: ${error.message}`);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open token budget'
+            };
+        }
+    }
+
+    /**
+     * Create token budget modal element
+     * @returns {HTMLElement} Budget modal element
+     */
+    createBudgetModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-budget-modal';
+        modal.id = 'prompt-budget-modal';
+        return modal;
+    }
+
+    /**
+     * Create token budget modal HTML
+     * @param {Object} budget - Result of calculateTokenBudget()
+     * @returns {string} HTML for the budget modal
+     */
+    createBudgetModalHTML(budget) {
+        const percentOf = (tokens) => budget.maxContext ? Math.min(100, (tokens / budget.maxContext) * 100).toFixed(1) : 0;
+        const prefix = budget.estimated ? '~' : '';
+
+        const itemRows = budget.items.map(item => `
+            <tr class="${item.candidate ? 'budget-candidate' : ''}">
+                <td>${this.escapeHtml(item.name)}${item.candidate ? ' <em>(to apply)</em>' : ''}</td>
+                <td>${this.generateRoleBadge(item.role)}</td>
+                <td>${prefix}${item.tokens}</td>
+            </tr>
+        `).join('');
+
+        const bar = budget.maxContext ? `
+            <div class="budget-bar" title="${budget.totalTokens} of ${budget.maxContext} tokens">
+                <div class="budget-bar-system" style="width: ${percentOf(budget.systemTokens)}%"></div>
+                <div class="budget-bar-other" style="width: ${percentOf(budget.totalTokens - budget.systemTokens)}%"></div>
+                <div class="budget-bar-limit" style="left: ${(budget.systemShare * 100).toFixed(1)}%" title="System share limit"></div>
+            </div>
+        ` : '<div class="budget-no-context">Max context is unknown for the active API, totals are shown without limits.</div>';
+
+        return `
+            <div class="budget-modal-overlay">
+                <div class="budget-modal-container">
+                    <div class="budget-modal-header">
+                        <h2>📊 Token Budget</h2>
+                        <button class="budget-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="budget-modal-content">
+                        ${bar}
+                        <div class="budget-summary">
+                            <div>Preset prompts: ${prefix}${budget.presetTokens} tokens</div>
+                            ${budget.candidateTokens > 0 ? `<div>Prompt to apply: ${prefix}${budget.candidateTokens} tokens</div>` : ''}
+                            <div>System prompts: ${prefix}${budget.systemTokens}${budget.systemLimit ? ` / ${budget.systemLimit}` : ''} tokens</div>
+                            <div>Total: ${prefix}${budget.totalTokens}${budget.maxContext ? ` / ${budget.maxContext}` : ''} tokens</div>
+                            ${budget.maxContext ? `<div>Left for chat history: ${prefix}${budget.remainingTokens} tokens</div>` : ''}
+                        </div>
+                        ${budget.warnings.map(warning => `<div class="budget-warning">⚠️ ${this.escapeHtml(warning)}</div>`).join('')}
+                        <table class="budget-items">
+                            <thead><tr><th>Prompt</th><th>Role</th><th>Tokens</th></tr></thead>
+                            <tbody>${itemRows}</tbody>
+                        </table>
+                    </div>
+                    <div class="budget-modal-actions">
+                        <button class="close-budget-btn">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup token budget event handlers
+     * @param {HTMLElement} budgetModal - The budget modal element
+     * @returns {Object} Result object with success status
+     */
+    setupBudgetEventHandlers(budgetModal) {
+        try {
+            const closeHandler = () => {
+                if (budgetModal.parentNode) {
+                    budgetModal.parentNode.removeChild(budgetModal);
+                }
+            };
+
+            const closeBtn = budgetModal.querySelector('.budget-modal-close');
+            const closeActionBtn = budgetModal.querySelector('.close-budget-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
+
+            // Overlay click handler (close on outside click)
+            const overlay = budgetModal.querySelector('.budget-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        closeHandler();
+                    }
+                };
+            }
+
+            return {
+                success: true,
+                closeHandler: closeHandler,
+                message: 'Budget event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up budget event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup budget event handlers'
+            };
+        }
+    }
+
+    /**
+     * Render text with the given ranges wrapped in highlight marks
+     * @param {string} text - Text to render
+     * @param {Array<Array<number>>} ranges - Sorted [start, end] ranges to highlight
+     * @returns {string} Escaped HTML with highlighted matches
+     */
+    renderHighlightedText(text, ranges) {
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start < position) {
+                return;
+            }
+            html += this.escapeHtml(text.substring(position, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(text.substring(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(text.substring(position));
+    }
+
+    /**
+     * Get the ranges of a prompt field that match the current search, for highlighting
+     * @param {string} text - Prompt name or content
+     * @param {string} field - 'name' or 'content'; regex mode only matches content
+     * @returns {Array<Array<number>>} Sorted [start, end] ranges of matches
+     */
+    getSearchMatchRanges(text, field = 'content') {
+        const search = (this.currentFilters.search || '').trim();
+        const phrases = this.currentFilters.phrases || [];
+        const mode = this.currentFilters.searchMode || 'ranked';
+
+        if (mode === 'regex') {
+            const compiled = this.dataManager.compileSearchPattern(search);
+            return search && field === 'content' && compiled.success ?
+                this.dataManager.findPatternRanges(compiled.regex, text) : [];
+        }
+
+        let terms = [search];
+        if (mode === 'fuzzy') {
+            // Highlight the misspelled words that matched; prefix matches are covered by the term itself
+            terms = getSearchIndex().tokenize(search).flatMap(queryTerm => [
+                queryTerm,
+                ...[...this.dataManager.expandFuzzyTerm(queryTerm).keys()].filter(term => !term.startsWith(queryTerm))
+            ]);
+        }
+
+        return getSearchIndex().findMatchRanges(text, [...terms, ...phrases].join(' '));
+    }
+
+    /**
+     * Render a content snippet around the first search match, with matches highlighted
+     * @param {string} content - Prompt content
+     * @param {Array<Array<number>>} ranges - Sorted [start, end] ranges of matches in the content
+     * @param {number} maxLength - Maximum snippet length
+     * @returns {string} Escaped HTML for the snippet
+     */
+    renderSearchSnippet(content, ranges, maxLength = 150) {
+        if (ranges.length === 0) {
+            return this.escapeHtml(this.truncateText(content, maxLength));
+        }
+
+        // Show some context before the first match
+        const start = Math.max(0, Math.min(ranges[0][0] - 40, content.length - maxLength));
+        const end = Math.min(content.length, start + maxLength);
+        const windowRanges = ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+            .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]);
+
+        return `${start > 0 ? '...' : ''}${this.renderHighlightedText(content.substring(start, end), windowRanges)}${end < content.length ? '...' : ''}`;
+    }
+
+    /**
+     * Summarize a filter state for display
+     * @param {Object} filters - Filter values
+     * @returns {string} Short description of the active filters
+     */
+    describeFilters(filters) {
+        const parts = [];
+        if (filters.query) {
+            parts.push(filters.searchMode && filters.searchMode !== 'ranked' ? `${filters.searchMode}: ${filters.query}` : filters.query);
+        }
+        if (filters.role && filters.role !== 'all' && !/\brole:/i.test(filters.query || '')) {
+            parts.push(`role:${filters.role}`);
+        }
+        if (filters.favorite !== null && filters.favorite !== undefined && !/\bfav(orite)?:/i.test(filters.query || '')) {
+            parts.push(`fav:${filters.favorite ? 'yes' : 'no'}`);
+        }
+        if (filters.folder && !/\bfolder:/i.test(filters.query || '')) {
+            parts.push(`folder:${filters.folder}`);
+        }
+        if ((typeof filters.minTokens === 'number' || typeof filters.maxTokens === 'number') && !/\btokens:/i.test(filters.query || '')) {
+            parts.push(`tokens:${filters.minTokens ?? 0}..${filters.maxTokens ?? '∞'}`);
+        }
+        parts.push(`sorted by ${filters.sort || 'latest_used'}`);
+        return parts.join(' ');
+    }
+
+    /**
+     * Check whether the current filters are the ones saved in a smart collection
+     * @param {Object} collection - Smart collection
+     * @returns {boolean} True if every saved filter matches the current state
+     */
+    isCollectionActive(collection) {
+        return Object.entries(collection.filters).every(([key, value]) =>
+            JSON.stringify(this.currentFilters[key] ?? null) === JSON.stringify(value ?? null)
+        );
+    }
+
+    /**
+     * Render the smart collection sidebar list with live prompt counts
+     * @param {Array<Object>} collections - Collections with their current prompt count
+     * @returns {string} HTML for the collection list
+     */
+    renderCollectionList(collections) {
+        if (collections.length === 0) {
+            return '<div class="collection-list-empty">Save the current filters with 💾 to create a smart collection.</div>';
+        }
+
+        return `
+            <ul class="collection-list">
+                ${collections.map(({ collection, count, error }) => `
+                    <li class="collection-list-item ${this.isCollectionActive(collection) ? 'selected' : ''}" data-collection-id="${collection.id}">
+                        <span class="collection-list-label" title="${this.escapeHtml(this.describeFilters(collection.filters))}">🔖 ${this.escapeHtml(collection.name)}</span>
+                        ${count === null ?
+                            `<span class="collection-list-count collection-list-error" title="${this.escapeHtml(error)}">⚠️</span>` :
+                            `<span class="collection-list-count">${count}</span>`}
+                        <button class="collection-apply-btn" data-collection-id="${collection.id}" title="Apply all prompts in this collection">▶️</button>
+                        <button class="collection-delete-btn" data-collection-id="${collection.id}" title="Delete collection">✕</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Reload the smart collection sidebar in the current modal
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async refreshCollectionList() {
+        try {
+            const container = this.modalElement?.querySelector('.prompt-collection-list');
+            if (!container) {
+                return {
+                    success: false,
+                    message: 'No collection list to refresh'
+                };
+            }
+
+            // Counts are recomputed every time, so collections follow library changes
+            const prompts = await this.dataManager.getPrompts();
+            const collections = [];
+            const sortedCollections = Object.values(await this.dataManager.getSmartCollections())
+                .sort((a, b) => a.name.localeCompare(b.name));
+            // One at a time, since each regex check runs its own worker
+            for (const collection of sortedCollections) {
+                const searchCheck = await this.dataManager.checkCollectionSearch(collection.filters);
+                if (!searchCheck.success) {
+                    collections.push({ collection: collection, count: null, error: searchCheck.error });
+                    continue;
+                }
+                const filtered = this.dataManager.applyFilters(prompts, { ...this.getDefaultFilters(), ...collection.filters });
+                collections.push({ collection: collection, count: Object.keys(filtered).length });
+            }
+
+            container.innerHTML = this.renderCollectionList(collections);
+            this.setupCollectionEventHandlers(container);
+
+            return {
+                success: true,
+                message: 'Smart collections refreshed successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error refreshing smart collections:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to refresh smart collections'
+            };
+        }
+    }
+
+    /**
+     * Setup event handlers for the smart collection list
+     * @param {HTMLElement} container - Collection list container
+     */
+    setupCollectionEventHandlers(container) {
+        container.querySelectorAll('.collection-list-label').forEach(label => {
+            const item = label.closest('[data-collection-id]');
+            if (item) {
+                label.onclick = () => this.handleSelectCollection(item.getAttribute('data-collection-id'));
+            }
+        });
+
+        container.querySelectorAll('.collection-apply-btn').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.handleApplyCollection(btn.getAttribute('data-collection-id'));
+            };
+        });
+
+        container.querySelectorAll('.collection-delete-btn').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.handleDeleteCollection(btn.getAttribute('data-collection-id'));
+            };
+        });
+    }
+
+    /**
+     * Ask for a name and save the current filters and sort as a smart collection
+     */
+    async handleSaveCollection() {
+        const name = prompt(`Name for this smart collection (${this.describeFilters(this.currentFilters)}):`);
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        const result = await this.dataManager.saveSmartCollection({ name: name, filters: this.getFilterState() });
+        if (result.success) {
+            await this.refreshCollectionList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error);
+        }
+    }
+
+    /**
+     * Show the prompts of a smart collection by loading its filters
+     * @param {string} collectionId - ID of the collection
+     */
+    async handleSelectCollection(collectionId) {
+        const collection = (await this.dataManager.getSmartCollections())[collectionId];
+        if (!collection || !this.modalElement) {
+            return;
+        }
+
+        this.currentFilters = { ...this.getDefaultFilters(), ...collection.filters };
+        this.filters = this.currentFilters;
+        this.queryFilterKeys = [];
+        this.sortBeforeSearch = null;
+
+        const searchInput = this.modalElement.querySelector('.prompt-search-input');
+        if (searchInput) {
+            searchInput.value = this.currentFilters.query || '';
+        }
+
+        // Parsing the saved query again keeps later edits of the search box consistent
+        await this.handleSearchQuery(this.modalElement, this.currentFilters.query || '');
+    }
+
+    /**
+     * Apply every prompt in a smart collection after confirmation
+     * Templated prompts ask for their variables first; cancelling one cancels the whole collection
+     * @param {string} collectionId - ID of the collection
+     */
+    async handleApplyCollection(collectionId) {
+        if (!promptSaverManager) {
+            this.showSaveError('Prompt saver is not initialized');
+            return;
+        }
+
+        const collectionResult = await promptSaverManager.getCollectionPrompts(collectionId);
+        if (!collectionResult.success) {
+            this.showSaveError(collectionResult.error);
+            return;
+        }
+        const { collection, prompts } = collectionResult;
+        if (!confirm(`Apply all ${prompts.length} prompts from "${collection.name}" to the current preset?`)) {
+            return;
+        }
+
+        const variables = {};
+        for (const promptData of prompts.filter(prompt => this.dataManager.isTemplate(prompt.content))) {
+            const values = await this.showTemplateForm(promptData);
+            if (values === null) {
+                return;
+            }
+            variables[promptData.id] = values;
+        }
+
+        let result = await promptSaverManager.applyCollection(collectionId, { variables: variables });
+        if (result.budgetExceeded) {
+            if (!confirm(`${result.budgetWarnings.join('\n')}\n\nApply all ${prompts.length} prompts from "${collection.name}" anyway?`)) {
+                return;
+            }
+            result = await promptSaverManager.applyCollection(collectionId, { variables: variables, force: true });
+        }
+        if (result.applied > 0) {
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error || result.message);
+        }
+    }
+
+    /**
+     * Delete a smart collection after confirmation
+     * @param {string} collectionId - ID of the collection
+     */
+    async handleDeleteCollection(collectionId) {
+        const collection = (await this.dataManager.getSmartCollections())[collectionId];
+        if (!collection || !confirm(`Delete smart collection "${collection.name}"? Its prompts are not deleted.`)) {
+            return;
+        }
+
+        const result = await this.dataManager.deleteSmartCollection(collectionId);
+        if (result.success) {
+            await this.refreshCollectionList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error);
+        }
+    }
+
+    /**
+     * Render the folder tree sidebar
+     * @param {Array} folderTree - Folder nodes from getFolderTree()
+     * @returns {string} HTML for the folder tree
+     */
+    renderFolderTree(folderTree) {
+        const selectedFolder = this.currentFilters.folder;
+
+        const renderNode = (node) => `
+            <li class="folder-tree-node">
+                <div class="folder-tree-item ${selectedFolder === node.path ? 'selected' : ''}" data-folder-path="${this.escapeHtml(node.path)}">
+                    <span class="folder-tree-label" title="${this.escapeHtml(node.path)}">📁 ${this.escapeHtml(node.name)}</span>
+                    <span class="folder-tree-count">${node.totalCount}</span>
+                    <button class="folder-rename-btn" data-folder-path="${this.escapeHtml(node.path)}" title="Rename or move folder">✏️</button>
+                    <button class="folder-delete-btn" data-folder-path="${this.escapeHtml(node.path)}" title="Delete folder">✕</button>
+                </div>
+                ${node.children.length > 0 ? `<ul class="folder-tree-children">${node.children.map(renderNode).join('')}</ul>` : ''}
+            </li>
+        `;
+
+        return `
+            <ul class="folder-tree">
+                <li class="folder-tree-node">
+                    <div class="folder-tree-item folder-tree-all ${!selectedFolder ? 'selected' : ''}">
+                        <span class="folder-tree-label">📚 All Prompts</span>
+                    </div>
+                </li>
+                ${folderTree.map(renderNode).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Reload the folder tree sidebar in the current modal
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async refreshFolderTree() {
+        try {
+            const container = this.modalElement?.querySelector('.prompt-folder-tree');
+            if (!container) {
+                return {
+                    success: false,
+                    message: 'No folder tree to refresh'
+                };
+            }
+
+            const folderTree = await this.dataManager.getFolderTree();
+            container.innerHTML = this.renderFolderTree(folderTree);
+            this.setupFolderEventHandlers(container);
+
+            return {
+                success: true,
+                message: 'Folder tree refreshed successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error refreshing folder tree:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to refresh folder tree'
+            };
+        }
+    }
+
+    /**
+     * Setup event handlers for the folder tree
+     * @param {HTMLElement} container - Folder tree container
+     */
+    setupFolderEventHandlers(container) {
+        const allItem = container.querySelector('.folder-tree-all');
+        if (allItem) {
+            allItem.onclick = () => this.handleSelectFolder(null);
+        }
+
+        container.querySelectorAll('.folder-tree-label').forEach(label => {
+            const item = label.closest('[data-folder-path]');
+            if (item) {
+                label.onclick = () => this.handleSelectFolder(item.getAttribute('data-folder-path'));
+            }
+        });
+
+        container.querySelectorAll('.folder-rename-btn').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.handleRenameFolder(btn.getAttribute('data-folder-path'));
+            };
+        });
+
+        container.querySelectorAll('.folder-delete-btn').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.handleDeleteFolder(btn.getAttribute('data-folder-path'));
+            };
+        });
+    }
+
+    /**
+     * Show only prompts in a folder and its subfolders
+     * @param {string|null} folderPath - Folder to select, null for all prompts
+     */
+    async handleSelectFolder(folderPath) {
+        this.currentFilters.folder = folderPath || null;
+        await this.refreshPromptList();
+    }
+
+    /**
+     * Ask for a folder name and create it inside the selected folder
+     */
+    async handleCreateFolder() {
+        const parentPath = this.currentFilters.folder ? `${this.currentFilters.folder}/` : '';
+        const folderPath = prompt('New folder (use "/" for subfolders):', parentPath);
+        if (!folderPath || !folderPath.trim()) {
+            return;
+        }
+
+        const result = await this.dataManager.createFolder(folderPath);
+        if (result.success) {
+            await this.refreshFolderTree();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error);
+        }
+    }
+
+    /**
+     * Ask for a new path and rename or move a folder
+     * @param {string} folderPath - Folder to rename
+     */
+    async handleRenameFolder(folderPath) {
+        const newPath = prompt('Rename folder (use "/" to move it):', folderPath);
+        if (!newPath || !newPath.trim() || newPath.trim() === folderPath) {
+            return;
+        }
+
+        const result = await this.dataManager.renameFolder(folderPath, newPath);
+        if (result.success) {
+            if (this.currentFilters.folder && this.dataManager.isInFolder(this.currentFilters.folder, folderPath)) {
+                this.currentFilters.folder = result.folderPath + this.currentFilters.folder.slice(folderPath.length);
+            }
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error);
+        }
+    }
+
+    /**
+     * Delete a folder after confirmation; its prompts move to the parent folder
+     * @param {string} folderPath - Folder to delete
+     */
+    async handleDeleteFolder(folderPath) {
+        if (!confirm(`Delete folder "${folderPath}"? Prompts and subfolders in it move to the parent folder.`)) {
+            return;
+        }
+
+        const result = await this.dataManager.deleteFolder(folderPath);
+        if (result.success) {
+            if (this.currentFilters.folder && this.dataManager.isInFolder(this.currentFilters.folder, folderPath)) {
+                this.currentFilters.folder = null;
+            }
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error);
+        }
+    }
+
+    /**
+     * Ask for a target folder and move a prompt into it
+     * @param {string} promptId - ID of prompt to move
+     */
+    async handleMovePrompt(promptId) {
+        const promptData = await this.dataManager.loadPrompt(promptId);
+        if (!promptData) {
+            this.showSaveError('Prompt not found');
+            return;
+        }
+
+        const folderPath = prompt('Move to folder (leave empty for the library root):', promptData.metadata.folder || '');
+        if (folderPath === null) {
+            return;
+        }
+
+        const result = await this.dataManager.movePromptsToFolder([promptId], folderPath);
+        if (result.success) {
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+        } else {
+            this.showSaveError(result.error || result.message);
+        }
+    }
+
+    /**
+     * Show manual prompt creation form
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showManualPromptForm() {
+        try {
+            console.log(`[${this.extensionName}] Opening manual prompt form`);
+
+            // Create modal element for the form
+            const formModal = this.createFormModalElement();
+
+            // Generate form HTML
+            const formHTML = this.createManualPromptFormHTML();
+
+            // Build modal content
+            formModal.innerHTML = this.buildFormModalHTML(formHTML);
+
+            // Apply styling
+            this.applyModalStyling(formModal);
+
+            // Setup form event handlers
+            const eventResult = this.setupFormEventHandlers(formModal);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
+            }
+
+            // Add to DOM
+            document.body.appendChild(formModal);
+
+            console.log(`[${this.extensionName}] Manual prompt form opened successfully`);
+
+            return {
+                success: true,
+                modalElement: formModal,
+                message: 'Manual prompt form opened successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error opening manual prompt form:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open manual prompt form'
+            };
+        }
+    }
+
+    /**
+     * Create manual prompt form HTML
+     * @returns {string} HTML for the manual prompt form
+     */
+    createManualPromptFormHTML() {
+        return `
+            <form id="manual-prompt-form" class="manual-prompt-form">
+                <div class="form-tabs">
+                    <button type="button" class="tab-button active" data-tab="content">Content</button>
+                    <button type="button" class="tab-button" data-tab="settings">Settings</button>
+                    <button type="button" class="tab-button" data-tab="metadata">Metadata</button>
+                </div>
+
+                <div class="tab-content active" data-tab="content">
+                    <div class="form-group">
+                        <label for="prompt-name">Prompt Name *</label>
+                        <input type="text" id="prompt-name" name="name" required
+                               placeholder="Enter a descriptive name for your prompt">
+                        <div class="error-message" id="name-error"></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="prompt-content">Prompt Content *</label>
+                        <textarea id="prompt-content" name="content" required rows="8"
+                                  placeholder="Enter your prompt content here..."></textarea>
+                        <div class="error-message" id="content-error"></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="prompt-role">Role *</label>
+                        <select id="prompt-role" name="role" required>
+                            <option value="">Select a role</option>
+                            <option value="user">👤 User</option>
+                            <option value="assistant">🤖 Assistant</option>
+                            <option value="system">⚙️ System</option>
+                        </select>
+                        <div class="error-message" id="role-error"></div>
+                    </div>
+                </div>
+
+                <div class="tab-content" data-tab="settings">
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="system-prompt" name="system_prompt">
+                            System Prompt
+                        </label>
+                        <small>Mark this as a system prompt</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="marker-prompt" name="marker">
+                            Marker Prompt
+                        </label>
+                        <small>Use as a marker prompt</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="injection-position">Injection Position</label>
+                        <input type="number" id="injection-position" name="injection_position"
+                               value="0" min="0" max="100">
+                        <small>Position where the prompt will be injected</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="injection-depth">Injection Depth</label>
+                        <input type="number" id="injection-depth" name="injection_depth"
+                               value="4" min="1" max="20">
+                        <small>How deep to inject the prompt</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="injection-order">Injection Order</label>
+                        <input type="number" id="injection-order" name="injection_order"
+                               value="100" min="0" max="1000">
+                        <small>Order of injection relative to other prompts</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="forbid-overrides" name="forbid_overrides">
+                            Forbid Overrides
+                        </label>
+                        <small>Prevent this prompt from being overridden</small>
+                    </div>
+                </div>
+
+                <div class="tab-content" data-tab="metadata">
+                    <div class="form-group">
+                        <label for="prompt-tags">Tags</label>
+                        <input type="text" id="prompt-tags" name="tags"
+                               placeholder="Enter tags separated by commas">
+                        <small>Add tags to help organize your prompts</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="prompt-description">Description</label>
+                        <textarea id="prompt-description" name="description" rows="3"
+                                  placeholder="Optional description for this prompt"></textarea>
+                    </div>
+
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="mark-favorite" name="favorite">
+                            Mark as Favorite
+                        </label>
+                        <small>Add this prompt to your favorites</small>
+                    </div>
+                </div>
+
+                <div class="form-actions">
+                    <button type="button" class="cancel-btn">Cancel</button>
+                    <button type="submit" class="save-btn">Save Prompt</button>
+                </div>
+
+                <div class="form-errors" id="form-errors"></div>
+            </form>
+        `;
+    }
+
+    /**
+     * Create form modal element
+     * @returns {HTMLElement} Form modal element
+     */
+    createFormModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'manual-prompt-form-modal';
+        modal.id = 'manual-prompt-form-modal';
+        return modal;
+    }
+
+    /**
+     * Build form modal HTML structure
+     * @param {string} formHTML - HTML for the form
+     * @returns {string} Complete modal HTML
+     */
+    buildFormModalHTML(formHTML) {
+        return `
+            <div class="form-modal-overlay">
+                <div class="form-modal-container">
+                    <div class="form-modal-header">
+                        <h2>➕ Add Manual Prompt</h2>
+                        <button class="form-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="form-modal-content">
+                        ${formHTML}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup form event handlers
+     * @param {HTMLElement} formModal - The form modal element
+     * @returns {Object} Result object with success status
+     */
+    setupFormEventHandlers(formModal) {
+        try {
+            // Close button handler
+            const closeBtn = formModal.querySelector('.form-modal-close');
+            if (closeBtn) {
+                closeBtn.onclick = () => {
+                    document.body.removeChild(formModal);
+                };
+            }
+
+            // Cancel button handler
+            const cancelBtn = formModal.querySelector('.cancel-btn');
+            if (cancelBtn) {
+                cancelBtn.onclick = () => {
+                    document.body.removeChild(formModal);
+                };
+            }
+
+            // Tab switching handlers
+            const tabButtons = formModal.querySelectorAll('.tab-button');
+            const tabContents = formModal.querySelectorAll('.tab-content');
+
+            tabButtons.forEach(button => {
+                button.onclick = () => {
+                    const targetTab = button.getAttribute('data-tab');
+
+                    // Update active tab button
+                    tabButtons.forEach(btn => btn.classList.remove('active'));
+                    button.classList.add('active');
+
+                    // Update active tab content
+                    tabContents.forEach(content => {
+                        content.classList.remove('active');
+                        if (content.getAttribute('data-tab') === targetTab) {
+                            content.classList.add('active');
+                        }
+                    });
+                };
+            });
+
+            // Form submission handler
+            const form = formModal.querySelector('#manual-prompt-form');
+            if (form) {
+                form.onsubmit = async (e) => {
+                    e.preventDefault();
+                    await this.handleManualPromptSubmission(formModal);
+                };
+            }
+
+            // Overlay click handler (close on outside click)
+            const overlay = formModal.querySelector('.form-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        document.body.removeChild(formModal);
+                    }
+                };
+            }
+
+            return {
+                success: true,
+                message: 'Form event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up form event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup form event handlers'
+            };
+        }
+    }
+
+    /**
+     * Validate manual prompt form data
+     * @param {Object} formData - Form data to validate
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validateManualPromptForm(formData) {
+        const errors = [];
+        const result = { isValid: true, errors };
+
+        // Required field validation
+        if (!formData.name || typeof formData.name !== 'string' || formData.name.trim().length === 0) {
+            errors.push('Prompt name is required');
+        } else if (formData.name.trim().length > 100) {
+            errors.push('Prompt name must be 100 characters or less');
+        }
+
+        if (!formData.content || typeof formData.content !== 'string' || formData.content.trim().length === 0) {
+            errors.push('Prompt content is required');
+        } else if (formData.content.trim().length > 10000) {
+            errors.push('Prompt content must be 10,000 characters or less');
+        }
+
+        if (!formData.role || !['user', 'assistant', 'system'].includes(formData.role)) {
+            errors.push('Valid role is required (user, assistant, or system)');
+        }
+
+        // Optional field validation
+        if (formData.injection_position !== undefined) {
+            const pos = Number(formData.injection_position);
+            if (isNaN(pos) || pos < 0 || pos > 100) {
+                errors.push('Injection position must be a number between 0 and 100');
+            }
+        }
+
+        if (formData.injection_depth !== undefined) {
+            const depth = Number(formData.injection_depth);
+            if (isNaN(depth) || depth < 1 || depth > 20) {
+                errors.push('Injection depth must be a number between 1 and 20');
+            }
+        }
+
+        if (formData.injection_order !== undefined) {
+            const order = Number(formData.injection_order);
+            if (isNaN(order) || order < 0 || order > 1000) {
+                errors.push('Injection order must be a number between 0 and 1000');
+            }
+        }
+
+        // Tags validation
+        if (formData.tags && typeof formData.tags === 'string') {
+            const tags = formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+            if (tags.some(tag => tag.length > 50)) {
+                errors.push('Individual tags must be 50 characters or less');
+            }
+            if (tags.length > 10) {
+                errors.push('Maximum 10 tags allowed');
+            }
+        }
+
+        result.isValid = errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Handle manual prompt form submission
+     * @param {HTMLElement} formModal - The form modal element
+     * @returns {Promise<void>}
+     */
+    async handleManualPromptSubmission(formModal) {
+        try {
+            // Clear previous errors
+            this.clearFormErrors(formModal);
+
+            // Collect form data
+            const formData = this.collectFormData(formModal);
+
+            // Validate form data
+            const validation = this.validateManualPromptForm(formData);
+            if (!validation.isValid) {
+                this.displayFormErrors(formModal, validation.errors);
+                return;
+            }
+
+            // Create the prompt
+            const createResult = await this.createManualPrompt(formData);
+            if (!createResult.success) {
+                this.displayFormErrors(formModal, [createResult.error]);
+                return;
+            }
+
+            // Success - close form and refresh prompt list if main modal is open
+            document.body.removeChild(formModal);
+
+            if (this.modalElement) {
+                await this.refreshPromptList();
+            }
+
+            console.log(`[${this.extensionName}] Manual prompt created successfully: ${createResult.promptData.name}`);
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error handling form submission:`, error);
+            this.displayFormErrors(formModal, ['An unexpected error occurred while saving the prompt']);
+        }
+    }
+
+    /**
+     * Create manual prompt from form data
+     * @param {Object} formData - Validated form data
+     * @returns {Promise<Object>} Result object with success status and prompt data
+     */
+    async createManualPrompt(formData) {
+        try {
+            // Prepare prompt data
+            const promptData = {
+                name: formData.name.trim(),
+                content: formData.content.trim(),
+                role: formData.role,
+                system_prompt: formData.system_prompt || false,
+                marker: formData.marker || false,
+                injection_position: Number(formData.injection_position) || 0,
+                injection_depth: Number(formData.injection_depth) || 4,
+                injection_order: Number(formData.injection_order) || 100,
+                forbid_overrides: formData.forbid_overrides || false,
+                metadata: {
+                    favorite: formData.favorite || false,
+                    tags: formData.tags ?
+                        formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : [],
+                    description: formData.description || '',
+                    source_preset: 'manual_creation'
+                }
+            };
+
+            // Save the prompt using the data manager
+            const saveResult = await this.dataManager.savePrompt(promptData);
+
+            if (saveResult.success) {
+                return {
+                    success: true,
+                    promptData: saveResult.promptData,
+                    message: 'Manual prompt created successfully'
+                };
+            } else {
+                throw new Error(saveResult.error);
+            }
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error creating manual prompt:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to create manual prompt'
+            };
+        }
+    }
+
+    /**
+     * Collect form data from the manual prompt form
+     * @param {HTMLElement} formModal - The form modal element
+     * @returns {Object} Form data object
+     */
+    collectFormData(formModal) {
+        const form = formModal.querySelector('#manual-prompt-form');
+        const formData = new FormData(form);
+
+        return {
+            name: formData.get('name') || '',
+            content: formData.get('content') || '',
+            role: formData.get('role') || '',
+            system_prompt: formData.has('system_prompt'),
+            marker: formData.has('marker'),
+            injection_position: formData.get('injection_position') || '0',
+            injection_depth: formData.get('injection_depth') || '4',
+            injection_order: formData.get('injection_order') || '100',
+            forbid_overrides: formData.has('forbid_overrides'),
+            tags: formData.get('tags') || '',
+            description: formData.get('description') || '',
+            favorite: formData.has('favorite')
+        };
+    }
+
+    /**
+     * Clear form errors
+     * @param {HTMLElement} formModal - The form modal element
+     */
+    clearFormErrors(formModal) {
+        // Clear individual field errors
+        const errorElements = formModal.querySelectorAll('.error-message');
+        errorElements.forEach(element => {
+            element.textContent = '';
+            element.style.display = 'none';
+        });
+
+        // Clear general form errors
+        const formErrors = formModal.querySelector('#form-errors');
+        if (formErrors) {
+            formErrors.innerHTML = '';
+            formErrors.style.display = 'none';
+        }
+
+        // Remove error styling from form fields
+        const formFields = formModal.querySelectorAll('input, textarea, select');
+        formFields.forEach(field => {
+            field.classList.remove('error');
+        });
+    }
+
+    /**
+     * Display form errors
+     * @param {HTMLElement} formModal - The form modal element
+     * @param {Array} errors - Array of error messages
+     */
+    displayFormErrors(formModal, errors) {
+        if (!errors || errors.length === 0) return;
+
+        const formErrors = formModal.querySelector('#form-errors');
+        if (formErrors) {
+            formErrors.innerHTML = `
+                <div class="error-list">
+                    <h4>Please fix the following errors:</h4>
+                    <ul>
+                        ${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+            formErrors.style.display = 'block';
+        }
+
+        // Highlight specific field errors
+        errors.forEach(error => {
+            if (error.includes('name')) {
+                const nameField = formModal.querySelector('#prompt-name');
+                const nameError = formModal.querySelector('#name-error');
+                if (nameField) nameField.classList.add('error');
+                if (nameError) {
+                    nameError.textContent = error;
+                    nameError.style.display = 'block';
+                }
+            } else if (error.includes('content')) {
+                const contentField = formModal.querySelector('#prompt-content');
+                const contentError = formModal.querySelector('#content-error');
+                if (contentField) contentField.classList.add('error');
+                if (contentError) {
+                    contentError.textContent = error;
+                    contentError.style.display = 'block';
+                }
+            } else if (error.includes('role')) {
+                const roleField = formModal.querySelector('#prompt-role');
+                const roleError = formModal.querySelector('#role-error');
+                if (roleField) roleField.classList.add('error');
+                if (roleError) {
+                    roleError.textContent = error;
+                    roleError.style.display = 'block';
+                }
+            }
+        });
+    }
+
+    /**
+     * Show prompt comparison interface
+     * @param {string} prompt1Id - ID of first prompt to compare
+     * @param {string} prompt2Id - ID of second prompt to compare
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showPromptComparison(prompt1Id, prompt2Id) {
+        try {
+            console.log(`[${this.extensionName}] Opening prompt comparison for ${prompt1Id} vs ${prompt2Id}`);
+
+            // Get comparison data
+            const comparisonResult = await this.dataManager.comparePrompts(prompt1Id, prompt2Id);
+            if (!comparisonResult.success) {
+                throw new Error(comparisonResult.error);
+            }
+
+            // Create comparison modal
+            const comparisonModal = this.createComparisonModalElement();
+
+            // Generate comparison HTML
+            const comparisonHTML = this.createComparisonModalHTML(comparisonResult.data);
+
+            // Build modal content
+            comparisonModal.innerHTML = comparisonHTML;
+
+            // Apply styling
+            this.applyModalStyling(comparisonModal);
+
+            // Setup event handlers
+            const eventResult = this.setupComparisonEventHandlers(comparisonModal);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
+            }
+
+            // Add to DOM
+            document.body.appendChild(comparisonModal);
+
+            console.log(`[${this.extensionName}] Prompt comparison opened successfully`);
+
+            return {
+                success: true,
+                modalElement: comparisonModal,
+                comparisonData: comparisonResult.data,
+                message: 'Prompt comparison opened successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error opening prompt comparison:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open prompt comparison'
+            };
+        }
+    }
+
+    /**
+     * Create comparison modal element
+     * @returns {HTMLElement} Comparison modal element
+     */
+    createComparisonModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-comparison-modal';
+        modal.id = 'prompt-comparison-modal';
+        return modal;
+    }
+
+    /**
+     * Create comparison modal HTML
+     * @param {Object} comparisonData - Comparison data from PromptDataManager
+     * @returns {string} HTML for the comparison modal
+     */
+    createComparisonModalHTML(comparisonData) {
+        const { prompt1, prompt2, differences, metadata_comparison } = comparisonData;
+
+        return `
+            <div class="comparison-modal-overlay">
+                <div class="comparison-modal-container">
+                    <div class="comparison-modal-header">
+                        <h2>🔍 Prompt Comparison</h2>
+                        <button class="comparison-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="comparison-modal-content">
+                        <div class="comparison-header-info">
+                            <div class="prompt-info left">
+                                <h3>${this.escapeHtml(prompt1.name)}</h3>
+                                <div class="prompt-metadata">
+                                    <span class="role-badge ${prompt1.role}">${this.getRoleIcon(prompt1.role)} ${prompt1.role}</span>
+                                    <span class="created-date">Created: ${new Date(prompt1.metadata.created_at).toLocaleDateString()}</span>
+                                    <span class="usage-count">Used: ${prompt1.metadata.usage_count} times</span>
+                                </div>
+                            </div>
+                            <div class="vs-separator">VS</div>
+                            <div class="prompt-info right">
+                                <h3>${this.escapeHtml(prompt2.name)}</h3>
+                                <div class="prompt-metadata">
+                                    <span class="role-badge ${prompt2.role}">${this.getRoleIcon(prompt2.role)} ${prompt2.role}</span>
+                                    <span class="created-date">Created: ${new Date(prompt2.metadata.created_at).toLocaleDateString()}</span>
+                                    <span class="usage-count">Used: ${prompt2.metadata.usage_count} times</span>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div class="comparison-tabs">
+                            <button class="tab-button active" data-tab="content">Content Diff</button>
+                            <button class="tab-button" data-tab="metadata">Metadata Comparison</button>
+                            <button class="tab-button" data-tab="settings">Settings Comparison</button>
+                        </div>
+
+                        <div class="tab-content active" data-tab="content">
+                            <div class="diff-container">
+                                ${this.generateDiffHTML(differences)}
+                            </div>
+                        </div>
+
+                        <div class="tab-content" data-tab="metadata">
+                            <div class="metadata-comparison">
+                                ${this.generateMetadataComparisonHTML(metadata_comparison)}
+                            </div>
+                        </div>
+
+                        <div class="tab-content" data-tab="settings">
+                            <div class="settings-comparison">
+                                ${this.generateSettingsComparisonHTML(prompt1, prompt2)}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="comparison-modal-actions">
+                        <button class="export-comparison-btn">Export Comparison</button>
+                        <button class="close-comparison-btn">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate diff HTML visualization
+     * @param {Array} differences - Array of diff objects
+     * @returns {string} HTML for the diff visualization
+     */
+    generateDiffHTML(differences) {
+        if (!differences || differences.length === 0) {
+            return '<div class="no-differences">No differences found between the prompts.</div>';
+        }
+
+        let diffHTML = '<div class="diff-view">';
+
+        differences.forEach((diff, index) => {
+            const { type, content, lineNumber } = diff;
+            let className = '';
+            let prefix = '';
+
+            switch (type) {
+                case 'added':
+                    className = 'diff-added';
+                    prefix = '+';
+                    break;
+                case 'removed':
+                    className = 'diff-removed';
+                    prefix = '-';
+                    break;
+                case 'modified':
+                    className = 'diff-modified';
+                    prefix = '~';
+                    break;
+                default:
+                    className = 'diff-unchanged';
+                    prefix = ' ';
+            }
+
+            diffHTML += `
+                <div class="diff-line ${className}" data-line="${lineNumber || index + 1}">
+                    <span class="diff-prefix">${prefix}</span>
+                    <span class="diff-content">${this.escapeHtml(content)}</span>
+                </div>
+            `;
+        });
+
+        diffHTML += '</div>';
+        return diffHTML;
+    }
+
+    /**
+     * Generate metadata comparison HTML
+     * @param {Object} metadataComparison - Metadata comparison data
+     * @returns {string} HTML for metadata comparison
+     */
+    generateMetadataComparisonHTML(metadataComparison) {
+        return `
+            <div class="metadata-comparison-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Property</th>
+                            <th>Prompt 1</th>
+                            <th>Prompt 2</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(metadataComparison).map(([key, comparison]) => `
+                            <tr class="${comparison.different ? 'different' : 'same'}">
+                                <td class="property-name">${this.escapeHtml(key)}</td>
+                                <td class="value-1">${this.escapeHtml(String(comparison.value1))}</td>
+                                <td class="value-2">${this.escapeHtml(String(comparison.value2))}</td>
+                                <td class="status">${comparison.different ? '⚠️ Different' : '✅ Same'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate settings comparison HTML
+     * @param {Object} prompt1 - First prompt data
+     * @param {Object} prompt2 - Second prompt data
+     * @returns {string} HTML for settings comparison
+     */
+    generateSettingsComparisonHTML(prompt1, prompt2) {
+        const settings = [
+            { key: 'role', label: 'Role' },
+            { key: 'system_prompt', label: 'System Prompt' },
+            { key: 'marker', label: 'Marker' },
+            { key: 'injection_position', label: 'Injection Position' },
+            { key: 'injection_depth', label: 'Injection Depth' },
+            { key: 'injection_order', label: 'Injection Order' },
+            { key: 'forbid_overrides', label: 'Forbid Overrides' }
+        ];
+
+        return `
+            <div class="settings-comparison-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Setting</th>
+                            <th>Prompt 1</th>
+                            <th>Prompt 2</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${settings.map(setting => {
+                            const value1 = prompt1[setting.key];
+                            const value2 = prompt2[setting.key];
+                            const different = value1 !== value2;
+
+                            return `
+                                <tr class="${different ? 'different' : 'same'}">
+                                    <td class="setting-name">${setting.label}</td>
+                                    <td class="value-1">${this.formatSettingValue(value1)}</td>
+                                    <td class="value-2">${this.formatSettingValue(value2)}</td>
+                                    <td class="status">${different ? '⚠️ Different' : '✅ Same'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
     /**
-     * Escape HTML characters to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Format setting value for display
+     * @param {any} value - Setting value
+     * @returns {string} Formatted value
      */
-    escapeHtml(text) {
-        if (!text || typeof text !== 'string') {
-            return '';
+    formatSettingValue(value) {
+        if (typeof value === 'boolean') {
+            return value ? '✅ Yes' : '❌ No';
         }
-
-        // Use manual escaping for Node.js compatibility
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
+        if (value === null || value === undefined) {
+            return '—';
+        }
+        return this.escapeHtml(String(value));
     }
 
-
-
     /**
-     * Apply modal styling for SillyTavern theme integration
-     * @param {HTMLElement} modalElement - Modal element to style
+     * Get role icon
+     * @param {string} role - Prompt role
+     * @returns {string} Role icon
      */
-    applyModalStyling(modalElement) {
-        modalElement.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            z-index: 10000;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        `;
+    getRoleIcon(role) {
+        const icons = {
+            'user': '👤',
+            'assistant': '🤖',
+            'system': '⚙️'
+        };
+        return icons[role] || '❓';
     }
 
     /**
-     * Setup event handlers for modal interactions
-     * @param {HTMLElement} modalElement - Modal element
+     * Setup comparison event handlers
+     * @param {HTMLElement} comparisonModal - The comparison modal element
      * @returns {Object} Result object with success status
      */
-    setupEventHandlers(modalElement) {
+    setupComparisonEventHandlers(comparisonModal) {
         try {
-            // Close button handler
-            const closeBtn = modalElement.querySelector('.prompt-library-close');
-            if (closeBtn) {
-                closeBtn.onclick = () => this.closeModal();
-            }
+            // Close button handlers
+            const closeBtn = comparisonModal.querySelector('.comparison-modal-close');
+            const closeActionBtn = comparisonModal.querySelector('.close-comparison-btn');
 
-            // Apply prompt button handlers
-            const applyBtns = modalElement.querySelectorAll('.apply-prompt-btn');
-            applyBtns.forEach(btn => {
-                btn.onclick = (e) => {
-                    const promptId = e.target.getAttribute('data-prompt-id');
-                    this.handleApplyPrompt(promptId);
-                };
-            });
+            const closeHandler = () => {
+                document.body.removeChild(comparisonModal);
+            };
 
-            // Favorite button handlers
-            const favoriteBtns = modalElement.querySelectorAll('.favorite-prompt-btn');
-            favoriteBtns.forEach(btn => {
-                btn.onclick = (e) => {
-                    const promptId = e.target.getAttribute('data-prompt-id');
-                    this.handleToggleFavorite(promptId);
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
+
+            // Tab switching handlers
+            const tabButtons = comparisonModal.querySelectorAll('.tab-button');
+            const tabContents = comparisonModal.querySelectorAll('.tab-content');
+
+            tabButtons.forEach(button => {
+                button.onclick = () => {
+                    const targetTab = button.getAttribute('data-tab');
+
+                    // Update active tab button
+                    tabButtons.forEach(btn => btn.classList.remove('active'));
+                    button.classList.add('active');
+
+                    // Update active tab content
+                    tabContents.forEach(content => {
+                        content.classList.remove('active');
+                        if (content.getAttribute('data-tab') === targetTab) {
+                            content.classList.add('active');
+                        }
+                    });
                 };
             });
 
-            // Edit button handlers
-            const editBtns = modalElement.querySelectorAll('.edit-prompt-btn');
-            editBtns.forEach(btn => {
-                btn.onclick = (e) => {
-                    const promptId = e.target.getAttribute('data-prompt-id');
-                    this.handleEditPrompt(promptId);
+            // Export comparison handler
+            const exportBtn = comparisonModal.querySelector('.export-comparison-btn');
+            if (exportBtn) {
+                exportBtn.onclick = () => {
+                    this.exportComparison(comparisonModal);
                 };
-            });
+            }
 
-            // Delete button handlers
-            const deleteBtns = modalElement.querySelectorAll('.delete-prompt-btn');
-            deleteBtns.forEach(btn => {
-                btn.onclick = (e) => {
-                    const promptId = e.target.getAttribute('data-prompt-id');
-                    this.handleDeletePrompt(promptId);
+            // Overlay click handler (close on outside click)
+            const overlay = comparisonModal.querySelector('.comparison-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        document.body.removeChild(comparisonModal);
+                    }
                 };
-            });
+            }
 
             return {
                 success: true,
-                message: 'Event handlers setup successfully'
+                message: 'Comparison event handlers setup successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error setting up event handlers:`, error);
+            console.error(`[${this.extensionName}] Error setting up comparison event handlers:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to setup event handlers'
+                message: 'Failed to setup comparison event handlers'
             };
         }
     }
 
     /**
-     * Apply accessibility features to the modal
-     * @param {HTMLElement} modalElement - Modal element
-     */
-    applyAccessibilityFeatures(modalElement) {
-        // Handle both real DOM and mock DOM environments
-        if (typeof modalElement.setAttribute === 'function') {
-            modalElement.setAttribute('role', 'dialog');
-            modalElement.setAttribute('aria-modal', 'true');
-            modalElement.setAttribute('aria-labelledby', 'prompt-library-title');
-        } else {
-            // Mock environment - just set properties
-            modalElement.role = 'dialog';
-            modalElement['aria-modal'] = 'true';
-            modalElement['aria-labelledby'] = 'prompt-library-title';
-        }
-        
-        // Focus management would be implemented here in a real browser environment
-        console.log(`[${this.extensionName}] Accessibility features applied`);
-    }
-
-    /**
-     * Close the modal dialog
-     */
-    closeModal() {
-        if (this.modalElement && this.modalElement.parentNode) {
-            this.modalElement.parentNode.removeChild(this.modalElement);
-            this.modalElement = null;
-        }
-    }
-
-    /**
-     * Handle apply prompt action
-     * @param {string} promptId - ID of prompt to apply
+     * Export comparison data
+     * @param {HTMLElement} comparisonModal - The comparison modal element
      */
-    handleApplyPrompt(promptId) {
-        console.log(`[${this.extensionName}] Apply prompt requested: ${promptId}`);
-        // This will be implemented in Task 8
-    }
+    exportComparison(comparisonModal) {
+        try {
+            const comparisonHTML = comparisonModal.innerHTML;
+            const blob = new Blob([comparisonHTML], { type: 'text/html' });
+            const url = URL.createObjectURL(blob);
 
-    /**
-     * Handle toggle favorite action
-     * @param {string} promptId - ID of prompt to toggle
-     */
-    async handleToggleFavorite(promptId) {
-        console.log(`[${this.extensionName}] Toggle favorite requested: ${promptId}`);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `prompt-comparison-${Date.now()}.html`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
 
-        if (promptSaverManager && typeof promptSaverManager.toggleFavorite === 'function') {
-            const result = await promptSaverManager.toggleFavorite(promptId);
-            if (result.success) {
-                // Refresh the prompt list to show updated favorite status
-                await this.refreshPromptList();
-                console.log(`[${this.extensionName}] Favorite toggled successfully: ${result.message}`);
-            } else {
-                console.error(`[${this.extensionName}] Failed to toggle favorite: ${result.error}`);
-            }
-        } else {
-            console.error(`[${this.extensionName}] PromptSaverManager not available`);
+            console.log(`[${this.extensionName}] Comparison exported successfully`);
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error exporting comparison:`, error);
         }
     }
 
     /**
-     * Show only favorited prompts
+     * Show the revision history of a prompt with rollback actions
+     * @param {string} promptId - ID of the prompt
      * @returns {Promise<Object>} Result object with success status
      */
-    async showFavoritesOnly() {
+    async showRevisionHistory(promptId) {
         try {
-            console.log(`[${this.extensionName}] Showing favorites only`);
+            console.log(`[${this.extensionName}] Opening revision history for ${promptId}`);
 
-            // Update filters to show only favorites
-            this.currentFilters.favorite = true;
+            const promptData = await this.dataManager.loadPrompt(promptId);
+            if (!promptData) {
+                throw new Error(`Prompt not found: ${promptId}`);
+            }
 
-            // Refresh the prompt list with the new filter
-            await this.refreshPromptList();
+            const revisions = await this.dataManager.getPromptRevisions(promptId);
+
+            // Create history modal
+            const historyModal = this.createHistoryModalElement();
+            historyModal.innerHTML = this.createHistoryModalHTML(promptData, revisions);
+
+            // Apply styling
+            this.applyModalStyling(historyModal);
+
+            // Setup event handlers
+            const eventResult = this.setupHistoryEventHandlers(historyModal, promptId);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
+            }
+
+            // Add to DOM
+            document.body.appendChild(historyModal);
 
             return {
                 success: true,
-                message: 'Showing favorites only'
+                modalElement: historyModal,
+                revisions: revisions,
+                message: 'Revision history opened successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error showing favorites only:`, error);
+            console.error(`[${this.extensionName}] Error opening revision history:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to show favorites only'
+                message: 'Failed to open revision history'
             };
         }
     }
 
     /**
-     * Render favorite icon for a prompt
-     * @param {Object} promptData - The prompt data
-     * @returns {string} HTML for the favorite icon
+     * Create revision history modal element
+     * @returns {HTMLElement} History modal element
      */
-    renderFavoriteIcon(promptData) {
-        try {
-            const isFavorite = promptData.metadata && promptData.metadata.favorite;
-            const iconClass = isFavorite ? 'favorited' : 'not-favorited';
-            const icon = isFavorite ? '⭐' : '☆';
-            const title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    createHistoryModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-history-modal';
+        modal.id = 'prompt-history-modal';
+        return modal;
+    }
 
-            return `<span class="favorite-star favorite-icon ${iconClass}" data-prompt-id="${promptData.id}" title="${title}">${icon}</span>`;
+    /**
+     * Create revision history modal HTML
+     * @param {Object} promptData - Current prompt data
+     * @param {Array} revisions - Revisions, newest first
+     * @returns {string} HTML for the history modal
+     */
+    createHistoryModalHTML(promptData, revisions) {
+        const revisionItems = revisions.length === 0 ?
+            '<div class="no-revisions">No earlier revisions of this prompt have been saved yet.</div>' :
+            revisions.map(revision => {
+                const differences = this.dataManager.generateContentDiff(revision.content || '', promptData.content);
+
+                return `
+                    <div class="revision-item" data-revision-id="${revision.id}">
+                        <div class="revision-header">
+                            <span class="revision-date">${new Date(revision.created_at).toLocaleString()}</span>
+                            <span class="revision-reason">${this.escapeHtml(this.formatRevisionReason(revision.reason))}</span>
+                            ${this.generateRoleBadge(revision.role)}
+                        </div>
+                        <div class="revision-name">${this.escapeHtml(revision.name)}</div>
+                        <div class="prompt-content-preview">${this.escapeHtml(this.truncateText(revision.content, 150))}</div>
+                        <details class="revision-diff">
+                            <summary>Changes compared to current version</summary>
+                            <div class="diff-container">${this.generateDiffHTML(differences)}</div>
+                        </details>
+                        <div class="revision-actions">
+                            <button class="rollback-revision-btn" data-revision-id="${revision.id}" title="Restore this revision">
+                                ↩️ Restore
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        return `
+            <div class="history-modal-overlay">
+                <div class="history-modal-container">
+                    <div class="history-modal-header">
+                        <h2>🕘 Revision History: ${this.escapeHtml(promptData.name)}</h2>
+                        <button class="history-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="history-modal-content">
+                        <div class="revision-list">
+                            ${revisionItems}
+                        </div>
+                    </div>
+                    <div class="history-modal-actions">
+                        <button class="close-history-btn">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error rendering favorite icon:`, error);
-            return '<span class="favorite-star favorite-icon error">❓</span>';
-        }
+    /**
+     * Format a revision reason for display
+     * @param {string} reason - Revision reason key
+     * @returns {string} Human readable reason
+     */
+    formatRevisionReason(reason) {
+        const labels = {
+            before_save: 'Replaced by save',
+            before_edit: 'Replaced by edit',
+            before_import: 'Replaced by import',
+            before_restore: 'Replaced by backup restore',
+            before_rollback: 'Replaced by rollback'
+        };
+        return labels[reason] || reason || 'Unknown';
     }
 
     /**
-     * Refresh the prompt list in the current modal
-     * @returns {Promise<Object>} Result object with success status
+     * Setup revision history event handlers
+     * @param {HTMLElement} historyModal - The history modal element
+     * @param {string} promptId - ID of the prompt whose history is shown
+     * @returns {Object} Result object with success status
      */
-    async refreshPromptList() {
+    setupHistoryEventHandlers(historyModal, promptId) {
         try {
-            if (!this.modalElement) {
-                return {
-                    success: false,
-                    message: 'No modal element to refresh'
-                };
-            }
-
-            // Get updated prompts with current filters
-            const prompts = await this.dataManager.getPrompts(this.currentFilters);
-            const promptListResult = this.renderPromptList(prompts);
+            const closeHandler = () => {
+                if (historyModal.parentNode) {
+                    historyModal.parentNode.removeChild(historyModal);
+                }
+            };
 
-            if (!promptListResult.success) {
-                throw new Error(promptListResult.error);
-            }
+            const closeBtn = historyModal.querySelector('.history-modal-close');
+            const closeActionBtn = historyModal.querySelector('.close-history-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
 
-            // Update the prompt list container
-            const promptListContainer = this.modalElement.querySelector('.prompt-library-list');
-            if (promptListContainer) {
-                promptListContainer.innerHTML = promptListResult.html;
+            // Rollback handlers
+            const rollbackButtons = historyModal.querySelectorAll('.rollback-revision-btn');
+            rollbackButtons.forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const revisionId = button.getAttribute('data-revision-id');
+                    if (revisionId && confirm('Restore this revision? The current version will be kept in the history.')) {
+                        await this.handleRollbackPrompt(promptId, revisionId, historyModal);
+                    }
+                };
+            });
 
-                // Re-setup event handlers for the new content
-                this.setupPromptCardEventHandlers(this.modalElement);
+            // Overlay click handler (close on outside click)
+            const overlay = historyModal.querySelector('.history-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        closeHandler();
+                    }
+                };
             }
 
             return {
                 success: true,
-                message: 'Prompt list refreshed successfully'
+                message: 'History event handlers setup successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error refreshing prompt list:`, error);
+            console.error(`[${this.extensionName}] Error setting up history event handlers:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to refresh prompt list'
+                message: 'Failed to setup history event handlers'
             };
         }
     }
 
     /**
-     * Show manual prompt creation form
+     * Handle rollback of a prompt to an earlier revision
+     * @param {string} promptId - ID of the prompt
+     * @param {string} revisionId - ID of the revision to restore
+     * @param {HTMLElement} historyModal - The open history modal, closed on success
+     * @returns {Promise<Object>} Rollback result
+     */
+    async handleRollbackPrompt(promptId, revisionId, historyModal = null) {
+        const result = await this.dataManager.rollbackPrompt(promptId, revisionId);
+
+        if (result.success) {
+            if (historyModal && historyModal.parentNode) {
+                historyModal.parentNode.removeChild(historyModal);
+            }
+            await this.refreshPromptList();
+            this.showSaveSuccess('Prompt restored to the selected revision');
+        } else {
+            console.error(`[${this.extensionName}] Failed to roll back prompt: ${result.error}`);
+            this.showSaveError(`Failed to restore revision: ${result.error}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Show the backup browser with restore actions
      * @returns {Promise<Object>} Result object with success status
      */
-    async showManualPromptForm() {
+    async showBackupBrowser() {
         try {
-            console.log(`[${this.extensionName}] Opening manual prompt form`);
-
-            // Create modal element for the form
-            const formModal = this.createFormModalElement();
+            console.log(`[${this.extensionName}] Opening backup browser`);
 
-            // Generate form HTML
-            const formHTML = this.createManualPromptFormHTML();
+            const backups = this.dataManager.listBackups();
 
-            // Build modal content
-            formModal.innerHTML = this.buildFormModalHTML(formHTML);
+            // Create backup modal
+            const backupModal = this.createBackupModalElement();
+            backupModal.innerHTML = this.createBackupModalHTML(backups);
 
             // Apply styling
-            this.applyModalStyling(formModal);
+            this.applyModalStyling(backupModal);
 
-            // Setup form event handlers
-            const eventResult = this.setupFormEventHandlers(formModal);
+            // Setup event handlers
+            const eventResult = this.setupBackupEventHandlers(backupModal);
             if (!eventResult.success) {
                 throw new Error(eventResult.error);
             }
 
             // Add to DOM
-            document.body.appendChild(formModal);
-
-            console.log(`[${this.extensionName}] Manual prompt form opened successfully`);
+            document.body.appendChild(backupModal);
 
             return {
                 success: true,
-                modalElement: formModal,
-                message: 'Manual prompt form opened successfully'
+                modalElement: backupModal,
+                backups: backups,
+                message: 'Backup browser opened successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error opening manual prompt form:`, error);
+            console.error(`[${this.extensionName}] Error opening backup browser:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to open manual prompt form'
+                message: 'Failed to open backup browser'
             };
         }
     }
 
     /**
-     * Create manual prompt form HTML
-     * @returns {string} HTML for the manual prompt form
+     * Create backup browser modal element
+     * @returns {HTMLElement} Backup modal element
      */
-    createManualPromptFormHTML() {
-        return `
-            <form id="manual-prompt-form" class="manual-prompt-form">
-                <div class="form-tabs">
-                    <button type="button" class="tab-button active" data-tab="content">Content</button>
-                    <button type="button" class="tab-button" data-tab="settings">Settings</button>
-                    <button type="button" class="tab-button" data-tab="metadata">Metadata</button>
-                </div>
-
-                <div class="tab-content active" data-tab="content">
-                    <div class="form-group">
-                        <label for="prompt-name">Prompt Name *</label>
-                        <input type="text" id="prompt-name" name="name" required
-                               placeholder="Enter a descriptive name for your prompt">
-                        <div class="error-message" id="name-error"></div>
-                    </div>
-
-                    <div class="form-group">
-                        <label for="prompt-content">Prompt Content *</label>
-                        <textarea id="prompt-content" name="content" required rows="8"
-                                  placeholder="Enter your prompt content here..."></textarea>
-                        <div class="error-message" id="content-error"></div>
-                    </div>
-
-                    <div class="form-group">
-                        <label for="prompt-role">Role *</label>
-                        <select id="prompt-role" name="role" required>
-                            <option value="">Select a role</option>
-                            <option value="user">👤 User</option>
-                            <option value="assistant">🤖 Assistant</option>
-                            <option value="system">⚙️ System</option>
-                        </select>
-                        <div class="error-message" id="role-error"></div>
-                    </div>
-                </div>
-
-                <div class="tab-content" data-tab="settings">
-                    <div class="form-group">
-                        <label>
-                            <input type="checkbox" id="system-prompt" name="system_prompt">
-                            System Prompt
-                        </label>
-                        <small>Mark this as a system prompt</small>
-                    </div>
-
-                    <div class="form-group">
-                        <label>
-                            <input type="checkbox" id="marker-prompt" name="marker">
-                            Marker Prompt
-                        </label>
-                        <small>Use as a marker prompt</small>
-                    </div>
-
-                    <div class="form-group">
-                        <label for="injection-position">Injection Position</label>
-                        <input type="number" id="injection-position" name="injection_position"
-                               value="0" min="0" max="100">
-                        <small>Position where the prompt will be injected</small>
-                    </div>
+    createBackupModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-backup-modal';
+        modal.id = 'prompt-backup-modal';
+        return modal;
+    }
 
-                    <div class="form-group">
-                        <label for="injection-depth">Injection Depth</label>
-                        <input type="number" id="injection-depth" name="injection_depth"
-                               value="4" min="1" max="20">
-                        <small>How deep to inject the prompt</small>
+    /**
+     * Create backup browser modal HTML
+     * @param {Array} backups - Backup index entries, newest first
+     * @returns {string} HTML for the backup modal
+     */
+    createBackupModalHTML(backups) {
+        const backupItems = backups.length === 0 ?
+            '<div class="no-backups">No backups have been created yet.</div>' :
+            backups.map(backup => `
+                <div class="backup-item" data-backup-id="${backup.id}">
+                    <div class="backup-header">
+                        <span class="backup-date">${new Date(backup.created_at).toLocaleString()}</span>
+                        <span class="backup-reason">${this.escapeHtml(this.formatBackupReason(backup.reason))}</span>
+                        ${this.dataManager.isBackupPinned(backup) ? '<span class="backup-pinned" title="Pinned backups are never pruned">📌 Pinned</span>' : ''}
                     </div>
-
-                    <div class="form-group">
-                        <label for="injection-order">Injection Order</label>
-                        <input type="number" id="injection-order" name="injection_order"
-                               value="100" min="0" max="1000">
-                        <small>Order of injection relative to other prompts</small>
+                    <div class="backup-details">
+                        <span class="backup-prompt-count">${backup.total_prompts || 0} prompts</span>
+                        <span class="backup-size">${this.formatByteSize(backup.size || 0)}</span>
                     </div>
-
-                    <div class="form-group">
-                        <label>
-                            <input type="checkbox" id="forbid-overrides" name="forbid_overrides">
-                            Forbid Overrides
-                        </label>
-                        <small>Prevent this prompt from being overridden</small>
+                    <div class="backup-actions">
+                        <button class="preview-backup-btn" data-backup-id="${backup.id}" title="Compare this backup with the library">
+                            🔍 Preview
+                        </button>
+                        <button class="pin-backup-btn" data-backup-id="${backup.id}" title="${this.dataManager.isBackupPinned(backup) ? 'Let the retention tiers prune this backup' : 'Keep this backup until you delete it'}">
+                            ${this.dataManager.isBackupPinned(backup) ? 'Unpin' : '📌 Pin'}
+                        </button>
+                        <button class="delete-backup-btn" data-backup-id="${backup.id}" title="Delete this backup">
+                            🗑️ Delete
+                        </button>
                     </div>
                 </div>
+            `).join('');
 
-                <div class="tab-content" data-tab="metadata">
-                    <div class="form-group">
-                        <label for="prompt-tags">Tags</label>
-                        <input type="text" id="prompt-tags" name="tags"
-                               placeholder="Enter tags separated by commas">
-                        <small>Add tags to help organize your prompts</small>
+        return `
+            <div class="backup-modal-overlay">
+                <div class="backup-modal-container">
+                    <div class="backup-modal-header">
+                        <h2>🗄️ Backups</h2>
+                        <button class="backup-modal-close" title="Close">✕</button>
                     </div>
-
-                    <div class="form-group">
-                        <label for="prompt-description">Description</label>
-                        <textarea id="prompt-description" name="description" rows="3"
-                                  placeholder="Optional description for this prompt"></textarea>
+                    <div class="backup-modal-content">
+                        <div class="backup-list">
+                            ${backupItems}
+                        </div>
+                        <div class="backup-preview">
+                            <div class="backup-preview-placeholder">Select a backup to see how it differs from the current library.</div>
+                        </div>
                     </div>
-
-                    <div class="form-group">
-                        <label>
-                            <input type="checkbox" id="mark-favorite" name="favorite">
-                            Mark as Favorite
-                        </label>
-                        <small>Add this prompt to your favorites</small>
+                    <div class="backup-modal-actions">
+                        <button class="close-backup-btn">Close</button>
                     </div>
                 </div>
-
-                <div class="form-actions">
-                    <button type="button" class="cancel-btn">Cancel</button>
-                    <button type="submit" class="save-btn">Save Prompt</button>
-                </div>
-
-                <div class="form-errors" id="form-errors"></div>
-            </form>
+            </div>
         `;
     }
 
     /**
-     * Create form modal element
-     * @returns {HTMLElement} Form modal element
+     * Create HTML for the differences between a backup and the live library
+     * @param {string} backupId - The ID of the previewed backup
+     * @param {Object} preview - Preview from PromptDataManager.previewBackupRestore
+     * @returns {string} HTML for the preview panel
      */
-    createFormModalElement() {
-        const modal = document.createElement('div');
-        modal.className = 'manual-prompt-form-modal';
-        modal.id = 'manual-prompt-form-modal';
-        return modal;
-    }
+    createBackupPreviewHTML(backupId, preview) {
+        const renderEntry = (entry, status, selectable) => {
+            const diffHTML = status === 'changed' ?
+                `<details class="backup-entry-diff">
+                    <summary>Show changes</summary>
+                    <div class="diff-container">${this.generateDiffHTML(this.dataManager.generateContentDiff(entry.livePrompt.content, entry.backupPrompt.content))}</div>
+                </details>` : '';
+
+            return `
+                <div class="backup-entry backup-entry-${status}">
+                    <label>
+                        ${selectable ? `<input type="checkbox" class="backup-entry-select" value="${entry.id}" checked>` : ''}
+                        <span class="backup-entry-status">${status}</span>
+                        <span class="backup-entry-name">${this.escapeHtml(entry.name)}</span>
+                    </label>
+                    ${diffHTML}
+                </div>
+            `;
+        };
+
+        const entries = [
+            ...preview.added.map(entry => renderEntry(entry, 'added', true)),
+            ...preview.changed.map(entry => renderEntry(entry, 'changed', true)),
+            ...preview.removed.map(entry => renderEntry(entry, 'removed', false))
+        ].join('');
 
-    /**
-     * Build form modal HTML structure
-     * @param {string} formHTML - HTML for the form
-     * @returns {string} Complete modal HTML
-     */
-    buildFormModalHTML(formHTML) {
         return `
-            <div class="form-modal-overlay">
-                <div class="form-modal-container">
-                    <div class="form-modal-header">
-                        <h2>➕ Add Manual Prompt</h2>
-                        <button class="form-modal-close" title="Close">✕</button>
-                    </div>
-                    <div class="form-modal-content">
-                        ${formHTML}
-                    </div>
-                </div>
+            <div class="backup-preview-summary">
+                ${preview.added.length} missing from library,
+                ${preview.changed.length} changed,
+                ${preview.removed.length} not in backup,
+                ${preview.unchanged} unchanged
+            </div>
+            <div class="backup-preview-entries">
+                ${entries || '<div class="backup-preview-empty">The library already matches this backup.</div>'}
+            </div>
+            <div class="backup-preview-actions">
+                <button class="restore-selected-btn" data-backup-id="${backupId}" ${preview.added.length + preview.changed.length === 0 ? 'disabled' : ''}>
+                    ↩️ Restore Selected
+                </button>
+                <button class="restore-full-btn" data-backup-id="${backupId}" ${entries ? '' : 'disabled'}>
+                    ⚠️ Full Restore
+                </button>
             </div>
         `;
     }
 
     /**
-     * Setup form event handlers
-     * @param {HTMLElement} formModal - The form modal element
-     * @returns {Object} Result object with success status
+     * Format a backup reason for display
+     * @param {string} reason - Backup reason key
+     * @returns {string} Human readable reason
      */
-    setupFormEventHandlers(formModal) {
-        try {
-            // Close button handler
-            const closeBtn = formModal.querySelector('.form-modal-close');
-            if (closeBtn) {
-                closeBtn.onclick = () => {
-                    document.body.removeChild(formModal);
-                };
-            }
-
-            // Cancel button handler
-            const cancelBtn = formModal.querySelector('.cancel-btn');
-            if (cancelBtn) {
-                cancelBtn.onclick = () => {
-                    document.body.removeChild(formModal);
-                };
-            }
+    formatBackupReason(reason) {
+        const labels = {
+            automatic: 'Automatic',
+            scheduled: 'Scheduled',
+            before_import: 'Before import',
+            before_restore: 'Before restore',
+            before_cleanup: 'Before cleanup',
+            before_bulk_delete: 'Before bulk delete',
+            before_merge: 'Before merge',
+            before_migration: 'Before schema migration',
+            before_newer_schema: 'Newer schema found'
+        };
+        return labels[reason] || reason || 'Unknown';
+    }
 
-            // Tab switching handlers
-            const tabButtons = formModal.querySelectorAll('.tab-button');
-            const tabContents = formModal.querySelectorAll('.tab-content');
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatByteSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
 
-            tabButtons.forEach(button => {
-                button.onclick = () => {
-                    const targetTab = button.getAttribute('data-tab');
+    /**
+     * Setup backup browser event handlers
+     * @param {HTMLElement} backupModal - The backup modal element
+     * @returns {Object} Result object with success status
+     */
+    setupBackupEventHandlers(backupModal) {
+        try {
+            const closeHandler = () => {
+                if (backupModal.parentNode) {
+                    backupModal.parentNode.removeChild(backupModal);
+                }
+            };
 
-                    // Update active tab button
-                    tabButtons.forEach(btn => btn.classList.remove('active'));
-                    button.classList.add('active');
+            const closeBtn = backupModal.querySelector('.backup-modal-close');
+            const closeActionBtn = backupModal.querySelector('.close-backup-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
 
-                    // Update active tab content
-                    tabContents.forEach(content => {
-                        content.classList.remove('active');
-                        if (content.getAttribute('data-tab') === targetTab) {
-                            content.classList.add('active');
+            // Preview handlers
+            const previewButtons = backupModal.querySelectorAll('.preview-backup-btn');
+            previewButtons.forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const backupId = button.getAttribute('data-backup-id');
+                    if (backupId) {
+                        await this.handlePreviewBackup(backupModal, backupId);
+                    }
+                };
+            });
+
+            // Delete handlers
+            const deleteButtons = backupModal.querySelectorAll('.delete-backup-btn');
+            deleteButtons.forEach(button => {
+                button.onclick = (e) => {
+                    e.preventDefault();
+                    const backupId = button.getAttribute('data-backup-id');
+                    if (backupId && confirm('Delete this backup permanently?')) {
+                        const result = this.dataManager.deleteBackup(backupId);
+                        if (result.success) {
+                            const backupItem = button.closest('.backup-item');
+                            if (backupItem) {
+                                backupItem.remove();
+                            }
+                        } else {
+                            this.showSaveError(`Failed to delete backup: ${result.error}`);
                         }
-                    });
+                    }
                 };
             });
 
-            // Form submission handler
-            const form = formModal.querySelector('#manual-prompt-form');
-            if (form) {
-                form.onsubmit = async (e) => {
+            // Pin handlers; the list is re-rendered so the pinned badges follow
+            const pinButtons = backupModal.querySelectorAll('.pin-backup-btn');
+            pinButtons.forEach(button => {
+                button.onclick = (e) => {
                     e.preventDefault();
-                    await this.handleManualPromptSubmission(formModal);
+                    const backupId = button.getAttribute('data-backup-id');
+                    const backup = this.dataManager.listBackups().find(entry => entry.id === backupId);
+                    if (!backup) {
+                        return;
+                    }
+                    const result = this.dataManager.setBackupPinned(backupId, !this.dataManager.isBackupPinned(backup));
+                    if (result.success) {
+                        backupModal.innerHTML = this.createBackupModalHTML(this.dataManager.listBackups());
+                        this.setupBackupEventHandlers(backupModal);
+                    } else {
+                        this.showSaveError(`Failed to change backup: ${result.error}`);
+                    }
                 };
-            }
+            });
 
             // Overlay click handler (close on outside click)
-            const overlay = formModal.querySelector('.form-modal-overlay');
+            const overlay = backupModal.querySelector('.backup-modal-overlay');
             if (overlay) {
                 overlay.onclick = (e) => {
                     if (e.target === overlay) {
-                        document.body.removeChild(formModal);
+                        closeHandler();
                     }
                 };
             }
 
             return {
                 success: true,
-                message: 'Form event handlers setup successfully'
+                message: 'Backup event handlers setup successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error setting up form event handlers:`, error);
+            console.error(`[${this.extensionName}] Error setting up backup event handlers:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to setup form event handlers'
+                message: 'Failed to setup backup event handlers'
             };
         }
     }
 
     /**
-     * Validate manual prompt form data
-     * @param {Object} formData - Form data to validate
-     * @returns {Object} Validation result with isValid boolean and errors array
+     * Show the differences between a backup and the live library
+     * @param {HTMLElement} backupModal - The backup modal element
+     * @param {string} backupId - The ID of the backup to preview
+     * @returns {Promise<Object>} Preview result
      */
-    validateManualPromptForm(formData) {
-        const errors = [];
-        const result = { isValid: true, errors };
+    async handlePreviewBackup(backupModal, backupId) {
+        const previewContainer = backupModal.querySelector('.backup-preview');
+        const result = await this.dataManager.previewBackupRestore(backupId);
 
-        // Required field validation
-        if (!formData.name || typeof formData.name !== 'string' || formData.name.trim().length === 0) {
-            errors.push('Prompt name is required');
-        } else if (formData.name.trim().length > 100) {
-            errors.push('Prompt name must be 100 characters or less');
+        if (!result.success) {
+            this.showSaveError(`Failed to preview backup: ${result.error}`);
+            return result;
         }
 
-        if (!formData.content || typeof formData.content !== 'string' || formData.content.trim().length === 0) {
-            errors.push('Prompt content is required');
-        } else if (formData.content.trim().length > 10000) {
-            errors.push('Prompt content must be 10,000 characters or less');
-        }
+        if (previewContainer) {
+            previewContainer.innerHTML = this.createBackupPreviewHTML(backupId, result.preview);
 
-        if (!formData.role || !['user', 'assistant', 'system'].includes(formData.role)) {
-            errors.push('Valid role is required (user, assistant, or system)');
-        }
+            const restoreSelectedBtn = previewContainer.querySelector('.restore-selected-btn');
+            if (restoreSelectedBtn) {
+                restoreSelectedBtn.onclick = async (e) => {
+                    e.preventDefault();
+                    const promptIds = Array.from(previewContainer.querySelectorAll('.backup-entry-select'))
+                        .filter(checkbox => checkbox.checked)
+                        .map(checkbox => checkbox.value);
 
-        // Optional field validation
-        if (formData.injection_position !== undefined) {
-            const pos = Number(formData.injection_position);
-            if (isNaN(pos) || pos < 0 || pos > 100) {
-                errors.push('Injection position must be a number between 0 and 100');
-            }
-        }
+                    if (promptIds.length === 0) {
+                        this.showSaveError('Select at least one prompt to restore');
+                        return;
+                    }
 
-        if (formData.injection_depth !== undefined) {
-            const depth = Number(formData.injection_depth);
-            if (isNaN(depth) || depth < 1 || depth > 20) {
-                errors.push('Injection depth must be a number between 1 and 20');
+                    if (confirm(`Restore ${promptIds.length} prompts from this backup?`)) {
+                        await this.handleRestoreBackup(backupModal, backupId, { promptIds: promptIds });
+                    }
+                };
             }
-        }
 
-        if (formData.injection_order !== undefined) {
-            const order = Number(formData.injection_order);
-            if (isNaN(order) || order < 0 || order > 1000) {
-                errors.push('Injection order must be a number between 0 and 1000');
+            const restoreFullBtn = previewContainer.querySelector('.restore-full-btn');
+            if (restoreFullBtn) {
+                restoreFullBtn.onclick = async (e) => {
+                    e.preventDefault();
+                    if (confirm('Replace the whole library with this backup? Prompts that are not in the backup will be removed. A backup of the current library is created first.')) {
+                        await this.handleRestoreBackup(backupModal, backupId);
+                    }
+                };
             }
         }
 
-        // Tags validation
-        if (formData.tags && typeof formData.tags === 'string') {
-            const tags = formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-            if (tags.some(tag => tag.length > 50)) {
-                errors.push('Individual tags must be 50 characters or less');
-            }
-            if (tags.length > 10) {
-                errors.push('Maximum 10 tags allowed');
+        return result;
+    }
+
+    /**
+     * Restore a backup and refresh the library
+     * @param {HTMLElement} backupModal - The backup modal element
+     * @param {string} backupId - The ID of the backup to restore
+     * @param {Object} options - Restore options passed to PromptDataManager.restoreFromBackup
+     * @returns {Promise<Object>} Restore result
+     */
+    async handleRestoreBackup(backupModal, backupId, options = {}) {
+        const result = await this.dataManager.restoreFromBackup(backupId, options);
+
+        if (result.success) {
+            if (backupModal && backupModal.parentNode) {
+                backupModal.parentNode.removeChild(backupModal);
             }
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+        } else {
+            console.error(`[${this.extensionName}] Failed to restore backup: ${result.error || result.message}`);
+            this.showSaveError(`Failed to restore backup: ${result.error || result.message}`);
         }
 
-        result.isValid = errors.length === 0;
         return result;
     }
 
     /**
-     * Handle manual prompt form submission
-     * @param {HTMLElement} formModal - The form modal element
-     * @returns {Promise<void>}
+     * Show groups of similar prompts with compare and merge actions
+     * @param {number} threshold - Minimum similarity between 0 and 1, defaults to the configured threshold
+     * @returns {Promise<Object>} Result object with success status
      */
-    async handleManualPromptSubmission(formModal) {
+    async showSimilarPrompts(threshold = null) {
         try {
-            // Clear previous errors
-            this.clearFormErrors(formModal);
-
-            // Collect form data
-            const formData = this.collectFormData(formModal);
+            console.log(`[${this.extensionName}] Opening similar prompts view`);
 
-            // Validate form data
-            const validation = this.validateManualPromptForm(formData);
-            if (!validation.isValid) {
-                this.displayFormErrors(formModal, validation.errors);
-                return;
+            const similarResult = await this.dataManager.findSimilarPrompts(threshold !== null ? { threshold } : {});
+            if (!similarResult.success) {
+                throw new Error(similarResult.error);
             }
 
-            // Create the prompt
-            const createResult = await this.createManualPrompt(formData);
-            if (!createResult.success) {
-                this.displayFormErrors(formModal, [createResult.error]);
-                return;
+            // Replace an already open view when the threshold changes
+            const existingModal = document.querySelector('#prompt-similar-modal');
+            if (existingModal && existingModal.parentNode) {
+                existingModal.parentNode.removeChild(existingModal);
             }
 
-            // Success - close form and refresh prompt list if main modal is open
-            document.body.removeChild(formModal);
+            // Create similar prompts modal
+            const similarModal = this.createSimilarModalElement();
+            similarModal.innerHTML = this.createSimilarModalHTML(similarResult.clusters, similarResult.threshold);
 
-            if (this.modalElement) {
-                await this.refreshPromptList();
+            // Apply styling
+            this.applyModalStyling(similarModal);
+
+            // Setup event handlers
+            const eventResult = this.setupSimilarEventHandlers(similarModal);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
             }
 
-            console.log(`[${this.extensionName}] Manual prompt created successfully: ${createResult.promptData.name}`);
+            // Add to DOM
+            document.body.appendChild(similarModal);
+
+            return {
+                success: true,
+                modalElement: similarModal,
+                clusters: similarResult.clusters,
+                message: 'Similar prompts view opened successfully'
+            };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error handling form submission:`, error);
-            this.displayFormErrors(formModal, ['An unexpected error occurred while saving the prompt']);
+            console.error(`[${this.extensionName}] Error opening similar prompts view:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open similar prompts view'
+            };
         }
     }
 
     /**
-     * Create manual prompt from form data
-     * @param {Object} formData - Validated form data
-     * @returns {Promise<Object>} Result object with success status and prompt data
+     * Create similar prompts modal element
+     * @returns {HTMLElement} Similar prompts modal element
      */
-    async createManualPrompt(formData) {
+    createSimilarModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-similar-modal';
+        modal.id = 'prompt-similar-modal';
+        return modal;
+    }
+
+    /**
+     * Create similar prompts modal HTML
+     * @param {Array} clusters - Clusters from PromptDataManager.findSimilarPrompts
+     * @param {number} threshold - Similarity threshold used
+     * @returns {string} HTML for the similar prompts modal
+     */
+    createSimilarModalHTML(clusters, threshold) {
+        const clusterItems = clusters.length === 0 ?
+            '<div class="no-similar-prompts">No similar prompts found at this threshold.</div>' :
+            clusters.map((cluster, clusterIndex) => {
+                const similarityLabel = cluster.minSimilarity === cluster.maxSimilarity ?
+                    `${Math.round(cluster.maxSimilarity * 100)}%` :
+                    `${Math.round(cluster.minSimilarity * 100)}–${Math.round(cluster.maxSimilarity * 100)}%`;
+
+                const members = cluster.prompts.map((prompt, promptIndex) => `
+                    <div class="similar-prompt-item">
+                        <label>
+                            <input type="radio" name="canonical-${clusterIndex}" class="canonical-prompt-radio" value="${prompt.id}" ${promptIndex === 0 ? 'checked' : ''}>
+                            <span class="similar-prompt-name">${this.escapeHtml(prompt.name)}</span>
+                            ${this.generateRoleBadge(prompt.role)}
+                            <span class="similar-prompt-usage">used ${prompt.metadata.usage_count || 0}×</span>
+                        </label>
+                        <div class="prompt-content-preview">${this.escapeHtml(this.truncateText(prompt.content, 120))}</div>
+                        <button class="compare-similar-btn" data-prompt-id="${prompt.id}" title="Compare with the selected canonical prompt">
+                            🔍 Compare
+                        </button>
+                    </div>
+                `).join('');
+
+                return `
+                    <div class="similar-cluster" data-cluster-index="${clusterIndex}" data-prompt-ids="${cluster.promptIds.join(',')}">
+                        <div class="similar-cluster-header">
+                            ${cluster.prompts.length} prompts, ${similarityLabel} similar
+                        </div>
+                        <div class="similar-cluster-members">
+                            ${members}
+                        </div>
+                        <div class="similar-cluster-actions">
+                            <button class="merge-cluster-btn" title="Keep the selected prompt and merge the others into it">
+                                🧬 Merge into selected
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        return `
+            <div class="similar-modal-overlay">
+                <div class="similar-modal-container">
+                    <div class="similar-modal-header">
+                        <h2>🧬 Similar Prompts</h2>
+                        <button class="similar-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="similar-modal-toolbar">
+                        <label for="similarity-threshold">Minimum similarity (%):</label>
+                        <input type="number" id="similarity-threshold" class="similarity-threshold-input" min="10" max="100" step="5" value="${Math.round(threshold * 100)}">
+                    </div>
+                    <div class="similar-modal-content">
+                        ${clusterItems}
+                    </div>
+                    <div class="similar-modal-actions">
+                        <button class="close-similar-btn">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup similar prompts event handlers
+     * @param {HTMLElement} similarModal - The similar prompts modal element
+     * @returns {Object} Result object with success status
+     */
+    setupSimilarEventHandlers(similarModal) {
         try {
-            // Prepare prompt data
-            const promptData = {
-                name: formData.name.trim(),
-                content: formData.content.trim(),
-                role: formData.role,
-                system_prompt: formData.system_prompt || false,
-                marker: formData.marker || false,
-                injection_position: Number(formData.injection_position) || 0,
-                injection_depth: Number(formData.injection_depth) || 4,
-                injection_order: Number(formData.injection_order) || 100,
-                forbid_overrides: formData.forbid_overrides || false,
-                metadata: {
-                    favorite: formData.favorite || false,
-                    tags: formData.tags ?
-                        formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : [],
-                    description: formData.description || '',
-                    source_preset: 'manual_creation'
+            const closeHandler = () => {
+                if (similarModal.parentNode) {
+                    similarModal.parentNode.removeChild(similarModal);
                 }
             };
 
-            // Save the prompt using the data manager
-            const saveResult = await this.dataManager.savePrompt(promptData);
+            const closeBtn = similarModal.querySelector('.similar-modal-close');
+            const closeActionBtn = similarModal.querySelector('.close-similar-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
 
-            if (saveResult.success) {
-                return {
-                    success: true,
-                    promptData: saveResult.promptData,
-                    message: 'Manual prompt created successfully'
+            // Threshold changes re-run the search and remember the new threshold
+            const thresholdInput = similarModal.querySelector('.similarity-threshold-input');
+            if (thresholdInput) {
+                thresholdInput.onchange = async () => {
+                    const percent = Number(thresholdInput.value);
+                    if (percent > 0 && percent <= 100) {
+                        extensionSettings.settings.similarity_threshold = percent / 100;
+                        saveSettingsDebounced();
+                        await this.showSimilarPrompts(percent / 100);
+                    }
                 };
-            } else {
-                throw new Error(saveResult.error);
             }
 
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error creating manual prompt:`, error);
-            return {
-                success: false,
-                error: error.message,
-                message: 'Failed to create manual prompt'
-            };
-        }
-    }
-
-    /**
-     * Collect form data from the manual prompt form
-     * @param {HTMLElement} formModal - The form modal element
-     * @returns {Object} Form data object
-     */
-    collectFormData(formModal) {
-        const form = formModal.querySelector('#manual-prompt-form');
-        const formData = new FormData(form);
+            similarModal.querySelectorAll('.similar-cluster').forEach(clusterElement => {
+                const getCanonicalId = () => {
+                    const selected = clusterElement.querySelector('.canonical-prompt-radio:checked');
+                    return selected ? selected.value : null;
+                };
 
-        return {
-            name: formData.get('name') || '',
-            content: formData.get('content') || '',
-            role: formData.get('role') || '',
-            system_prompt: formData.has('system_prompt'),
-            marker: formData.has('marker'),
-            injection_position: formData.get('injection_position') || '0',
-            injection_depth: formData.get('injection_depth') || '4',
-            injection_order: formData.get('injection_order') || '100',
-            forbid_overrides: formData.has('forbid_overrides'),
-            tags: formData.get('tags') || '',
-            description: formData.get('description') || '',
-            favorite: formData.has('favorite')
-        };
-    }
+                // Compare handlers
+                clusterElement.querySelectorAll('.compare-similar-btn').forEach(button => {
+                    button.onclick = async (e) => {
+                        e.preventDefault();
+                        const promptId = button.getAttribute('data-prompt-id');
+                        const canonicalId = getCanonicalId();
+                        if (promptId && canonicalId && promptId !== canonicalId) {
+                            await this.showPromptComparison(canonicalId, promptId);
+                        }
+                    };
+                });
 
-    /**
-     * Clear form errors
-     * @param {HTMLElement} formModal - The form modal element
-     */
-    clearFormErrors(formModal) {
-        // Clear individual field errors
-        const errorElements = formModal.querySelectorAll('.error-message');
-        errorElements.forEach(element => {
-            element.textContent = '';
-            element.style.display = 'none';
-        });
+                // Merge handler
+                const mergeBtn = clusterElement.querySelector('.merge-cluster-btn');
+                if (mergeBtn) {
+                    mergeBtn.onclick = async (e) => {
+                        e.preventDefault();
+                        const canonicalId = getCanonicalId();
+                        const otherIds = clusterElement.getAttribute('data-prompt-ids').split(',').filter(id => id !== canonicalId);
+                        if (canonicalId && confirm(`Merge ${otherIds.length} prompts into the selected one? The others will be deleted; a backup is created first.`)) {
+                            await this.handleMergePrompts(similarModal, canonicalId, otherIds);
+                        }
+                    };
+                }
+            });
 
-        // Clear general form errors
-        const formErrors = formModal.querySelector('#form-errors');
-        if (formErrors) {
-            formErrors.innerHTML = '';
-            formErrors.style.display = 'none';
-        }
+            // Overlay click handler (close on outside click)
+            const overlay = similarModal.querySelector('.similar-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        closeHandler();
+                    }
+                };
+            }
 
-        // Remove error styling from form fields
-        const formFields = formModal.querySelectorAll('input, textarea, select');
-        formFields.forEach(field => {
-            field.classList.remove('error');
-        });
+            return {
+                success: true,
+                message: 'Similar prompts event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up similar prompts event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup similar prompts event handlers'
+            };
+        }
     }
 
     /**
-     * Display form errors
-     * @param {HTMLElement} formModal - The form modal element
-     * @param {Array} errors - Array of error messages
+     * Merge a cluster of prompts and refresh the views
+     * @param {HTMLElement} similarModal - The similar prompts modal element
+     * @param {string} canonicalId - ID of the prompt to keep
+     * @param {Array<string>} otherIds - IDs of the prompts to merge into it
+     * @returns {Promise<Object>} Merge result
      */
-    displayFormErrors(formModal, errors) {
-        if (!errors || errors.length === 0) return;
+    async handleMergePrompts(similarModal, canonicalId, otherIds) {
+        const result = await this.dataManager.mergePrompts(canonicalId, otherIds);
 
-        const formErrors = formModal.querySelector('#form-errors');
-        if (formErrors) {
-            formErrors.innerHTML = `
-                <div class="error-list">
-                    <h4>Please fix the following errors:</h4>
-                    <ul>
-                        ${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
-                    </ul>
-                </div>
-            `;
-            formErrors.style.display = 'block';
+        if (result.success) {
+            await this.refreshPromptList();
+            this.showSaveSuccess(result.message);
+
+            // Re-open with the remaining clusters
+            const thresholdInput = similarModal.querySelector('.similarity-threshold-input');
+            await this.showSimilarPrompts(thresholdInput ? Number(thresholdInput.value) / 100 : null);
+        } else {
+            console.error(`[${this.extensionName}] Failed to merge prompts: ${result.error}`);
+            this.showSaveError(`Failed to merge prompts: ${result.error}`);
         }
 
-        // Highlight specific field errors
-        errors.forEach(error => {
-            if (error.includes('name')) {
-                const nameField = formModal.querySelector('#prompt-name');
-                const nameError = formModal.querySelector('#name-error');
-                if (nameField) nameField.classList.add('error');
-                if (nameError) {
-                    nameError.textContent = error;
-                    nameError.style.display = 'block';
-                }
-            } else if (error.includes('content')) {
-                const contentField = formModal.querySelector('#prompt-content');
-                const contentError = formModal.querySelector('#content-error');
-                if (contentField) contentField.classList.add('error');
-                if (contentError) {
-                    contentError.textContent = error;
-                    contentError.style.display = 'block';
-                }
-            } else if (error.includes('role')) {
-                const roleField = formModal.querySelector('#prompt-role');
-                const roleError = formModal.querySelector('#role-error');
-                if (roleField) roleField.classList.add('error');
-                if (roleError) {
-                    roleError.textContent = error;
-                    roleError.style.display = 'block';
-                }
-            }
-        });
+        return result;
     }
 
     /**
-     * Show prompt comparison interface
-     * @param {string} prompt1Id - ID of first prompt to compare
-     * @param {string} prompt2Id - ID of second prompt to compare
+     * Show the trash with restore and permanent delete actions
      * @returns {Promise<Object>} Result object with success status
      */
-    async showPromptComparison(prompt1Id, prompt2Id) {
+    async showTrash() {
         try {
-            console.log(`[${this.extensionName}] Opening prompt comparison for ${prompt1Id} vs ${prompt2Id}`);
-
-            // Get comparison data
-            const comparisonResult = await this.dataManager.comparePrompts(prompt1Id, prompt2Id);
-            if (!comparisonResult.success) {
-                throw new Error(comparisonResult.error);
-            }
-
-            // Create comparison modal
-            const comparisonModal = this.createComparisonModalElement();
+            console.log(`[${this.extensionName}] Opening trash`);
 
-            // Generate comparison HTML
-            const comparisonHTML = this.createComparisonModalHTML(comparisonResult.data);
+            // Drop anything past the retention period before listing
+            await this.dataManager.purgeExpiredTrash();
+            const trashedPrompts = await this.dataManager.getTrashedPrompts();
 
-            // Build modal content
-            comparisonModal.innerHTML = comparisonHTML;
+            // Create trash modal
+            const trashModal = this.createTrashModalElement();
+            trashModal.innerHTML = this.createTrashModalHTML(trashedPrompts);
 
             // Apply styling
-            this.applyModalStyling(comparisonModal);
+            this.applyModalStyling(trashModal);
 
             // Setup event handlers
-            const eventResult = this.setupComparisonEventHandlers(comparisonModal);
+            const eventResult = this.setupTrashEventHandlers(trashModal);
             if (!eventResult.success) {
                 throw new Error(eventResult.error);
             }
 
             // Add to DOM
-            document.body.appendChild(comparisonModal);
-
-            console.log(`[${this.extensionName}] Prompt comparison opened successfully`);
+            document.body.appendChild(trashModal);
 
             return {
                 success: true,
-                modalElement: comparisonModal,
-                comparisonData: comparisonResult.data,
-                message: 'Prompt comparison opened successfully'
+                modalElement: trashModal,
+                trashedPrompts: trashedPrompts,
+                message: 'Trash opened successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error opening prompt comparison:`, error);
+            console.error(`[${this.extensionName}] Error opening trash:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to open prompt comparison'
+                message: 'Failed to open trash'
             };
         }
     }
 
     /**
-     * Create comparison modal element
-     * @returns {HTMLElement} Comparison modal element
+     * Create trash modal element
+     * @returns {HTMLElement} Trash modal element
      */
-    createComparisonModalElement() {
+    createTrashModalElement() {
         const modal = document.createElement('div');
-        modal.className = 'prompt-comparison-modal';
-        modal.id = 'prompt-comparison-modal';
+        modal.className = 'prompt-trash-modal';
+        modal.id = 'prompt-trash-modal';
         return modal;
     }
 
     /**
-     * Create comparison modal HTML
-     * @param {Object} comparisonData - Comparison data from PromptDataManager
-     * @returns {string} HTML for the comparison modal
+     * Create trash modal HTML
+     * @param {Array} trashedPrompts - Trashed prompts, most recently deleted first
+     * @returns {string} HTML for the trash modal
      */
-    createComparisonModalHTML(comparisonData) {
-        const { prompt1, prompt2, differences, metadata_comparison } = comparisonData;
-
-        return `
-            <div class="comparison-modal-overlay">
-                <div class="comparison-modal-container">
-                    <div class="comparison-modal-header">
-                        <h2>🔍 Prompt Comparison</h2>
-                        <button class="comparison-modal-close" title="Close">✕</button>
-                    </div>
-                    <div class="comparison-modal-content">
-                        <div class="comparison-header-info">
-                            <div class="prompt-info left">
-                                <h3>${this.escapeHtml(prompt1.name)}</h3>
-                                <div class="prompt-metadata">
-                                    <span class="role-badge ${prompt1.role}">${this.getRoleIcon(prompt1.role)} ${prompt1.role}</span>
-                                    <span class="created-date">Created: ${new Date(prompt1.metadata.created_at).toLocaleDateString()}</span>
-                                    <span class="usage-count">Used: ${prompt1.metadata.usage_count} times</span>
-                                </div>
-                            </div>
-                            <div class="vs-separator">VS</div>
-                            <div class="prompt-info right">
-                                <h3>${this.escapeHtml(prompt2.name)}</h3>
-                                <div class="prompt-metadata">
-                                    <span class="role-badge ${prompt2.role}">${this.getRoleIcon(prompt2.role)} ${prompt2.role}</span>
-                                    <span class="created-date">Created: ${new Date(prompt2.metadata.created_at).toLocaleDateString()}</span>
-                                    <span class="usage-count">Used: ${prompt2.metadata.usage_count} times</span>
-                                </div>
-                            </div>
-                        </div>
-
-                        <div class="comparison-tabs">
-                            <button class="tab-button active" data-tab="content">Content Diff</button>
-                            <button class="tab-button" data-tab="metadata">Metadata Comparison</button>
-                            <button class="tab-button" data-tab="settings">Settings Comparison</button>
+    createTrashModalHTML(trashedPrompts) {
+        const retentionDays = extensionSettings.settings?.trash_retention_days ?? 30;
+
+        const trashItems = trashedPrompts.length === 0 ?
+            '<div class="no-trashed-prompts">The trash is empty.</div>' :
+            trashedPrompts.map(prompt => {
+                const deletedAt = new Date(prompt.trash.deleted_at);
+                const daysLeft = Math.ceil((deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000));
+
+                return `
+                    <div class="trash-item" data-prompt-id="${prompt.id}">
+                        <div class="trash-item-header">
+                            <span class="trash-item-name">${this.escapeHtml(prompt.name)}</span>
+                            ${this.generateRoleBadge(prompt.role)}
                         </div>
-
-                        <div class="tab-content active" data-tab="content">
-                            <div class="diff-container">
-                                ${this.generateDiffHTML(differences)}
-                            </div>
+                        <div class="trash-item-details">
+                            <span class="trash-item-deleted">Deleted ${deletedAt.toLocaleString()}</span>
+                            <span class="trash-item-reason">${this.escapeHtml(this.formatDeleteReason(prompt.trash.reason))}</span>
+                            ${retentionDays > 0 ? `<span class="trash-item-expiry">purged in ${Math.max(daysLeft, 0)} days</span>` : ''}
                         </div>
-
-                        <div class="tab-content" data-tab="metadata">
-                            <div class="metadata-comparison">
-                                ${this.generateMetadataComparisonHTML(metadata_comparison)}
-                            </div>
+                        <div class="prompt-content-preview">${this.escapeHtml(this.truncateText(prompt.content, 150))}</div>
+                        <div class="trash-item-actions">
+                            <button class="restore-trash-btn" data-prompt-id="${prompt.id}" title="Move back into the library">
+                                ↩️ Restore
+                            </button>
+                            <button class="purge-trash-btn" data-prompt-id="${prompt.id}" title="Delete permanently">
+                                ❌ Delete Forever
+                            </button>
                         </div>
+                    </div>
+                `;
+            }).join('');
 
-                        <div class="tab-content" data-tab="settings">
-                            <div class="settings-comparison">
-                                ${this.generateSettingsComparisonHTML(prompt1, prompt2)}
-                            </div>
+        return `
+            <div class="trash-modal-overlay">
+                <div class="trash-modal-container">
+                    <div class="trash-modal-header">
+                        <h2>🗑️ Trash</h2>
+                        <button class="trash-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="trash-modal-content">
+                        <div class="trash-list">
+                            ${trashItems}
                         </div>
                     </div>
-                    <div class="comparison-modal-actions">
-                        <button class="export-comparison-btn">Export Comparison</button>
-                        <button class="close-comparison-btn">Close</button>
+                    <div class="trash-modal-actions">
+                        <button class="empty-trash-btn" ${trashedPrompts.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+                        <button class="close-trash-btn">Close</button>
                     </div>
                 </div>
             </div>
@@ -3584,259 +11378,347 @@ class PromptLibraryUI {
     }
 
     /**
-     * Generate diff HTML visualization
-     * @param {Array} differences - Array of diff objects
-     * @returns {string} HTML for the diff visualization
+     * Format a deletion reason for display
+     * @param {string} reason - Deletion reason key
+     * @returns {string} Human readable reason
      */
-    generateDiffHTML(differences) {
-        if (!differences || differences.length === 0) {
-            return '<div class="no-differences">No differences found between the prompts.</div>';
+    formatDeleteReason(reason) {
+        const labels = {
+            manual: 'Deleted by user',
+            bulk_delete: 'Bulk delete',
+            automatic_cleanup: 'Automatic cleanup',
+            storage_cleanup: 'Storage cleanup',
+            merged: 'Merged into another prompt',
+            backup_restore: 'Not in restored backup'
+        };
+        return labels[reason] || reason || 'Unknown';
+    }
+
+    /**
+     * Setup trash event handlers
+     * @param {HTMLElement} trashModal - The trash modal element
+     * @returns {Object} Result object with success status
+     */
+    setupTrashEventHandlers(trashModal) {
+        try {
+            const closeHandler = () => {
+                if (trashModal.parentNode) {
+                    trashModal.parentNode.removeChild(trashModal);
+                }
+            };
+
+            const closeBtn = trashModal.querySelector('.trash-modal-close');
+            const closeActionBtn = trashModal.querySelector('.close-trash-btn');
+            if (closeBtn) closeBtn.onclick = closeHandler;
+            if (closeActionBtn) closeActionBtn.onclick = closeHandler;
+
+            const removeItem = (button) => {
+                const trashItem = button.closest('.trash-item');
+                if (trashItem) {
+                    trashItem.remove();
+                }
+            };
+
+            // Restore handlers
+            trashModal.querySelectorAll('.restore-trash-btn').forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const promptId = button.getAttribute('data-prompt-id');
+                    const result = await this.dataManager.restoreFromTrash(promptId);
+                    if (result.success) {
+                        removeItem(button);
+                        await this.refreshPromptList();
+                        this.showSaveSuccess(result.message);
+                    } else {
+                        this.showSaveError(`Failed to restore prompt: ${result.error}`);
+                    }
+                };
+            });
+
+            // Permanent delete handlers
+            trashModal.querySelectorAll('.purge-trash-btn').forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const promptId = button.getAttribute('data-prompt-id');
+                    if (confirm('Delete this prompt permanently? This cannot be undone.')) {
+                        const result = await this.dataManager.deletePrompt(promptId, { permanent: true });
+                        if (result.success) {
+                            removeItem(button);
+                        } else {
+                            this.showSaveError(`Failed to delete prompt: ${result.error}`);
+                        }
+                    }
+                };
+            });
+
+            // Empty trash handler
+            const emptyBtn = trashModal.querySelector('.empty-trash-btn');
+            if (emptyBtn) {
+                emptyBtn.onclick = async (e) => {
+                    e.preventDefault();
+                    if (confirm('Permanently delete every prompt in the trash? This cannot be undone.')) {
+                        const result = await this.dataManager.emptyTrash();
+                        if (result.success) {
+                            closeHandler();
+                            this.showSaveSuccess(result.message);
+                        } else {
+                            this.showSaveError(`Failed to empty trash: ${result.error}`);
+                        }
+                    }
+                };
+            }
+
+            // Overlay click handler (close on outside click)
+            const overlay = trashModal.querySelector('.trash-modal-overlay');
+            if (overlay) {
+                overlay.onclick = (e) => {
+                    if (e.target === overlay) {
+                        closeHandler();
+                    }
+                };
+            }
+
+            return {
+                success: true,
+                message: 'Trash event handlers setup successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error setting up trash event handlers:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to setup trash event handlers'
+            };
         }
+    }
+
+    /**
+     * Render a tag badge in its assigned color
+     * @param {string} tag - Tag name
+     * @returns {string} HTML for the tag badge
+     */
+    renderTagBadge(tag) {
+        const color = extensionSettings.tag_colors?.[tag];
+        const style = color ? ` style="background-color: ${color};"` : '';
+        return `<span class="tag"${style}>${this.escapeHtml(tag)}</span>`;
+    }
+
+    /**
+     * Show the tag manager with rename, merge, delete and color actions
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showTagManager() {
+        try {
+            console.log(`[${this.extensionName}] Opening tag manager`);
 
-        let diffHTML = '<div class="diff-view">';
+            const tagStats = await this.dataManager.getTagStats();
 
-        differences.forEach((diff, index) => {
-            const { type, content, lineNumber } = diff;
-            let className = '';
-            let prefix = '';
+            // Create tag manager modal
+            const tagModal = this.createTagManagerModalElement();
+            tagModal.innerHTML = this.createTagManagerModalHTML(tagStats);
 
-            switch (type) {
-                case 'added':
-                    className = 'diff-added';
-                    prefix = '+';
-                    break;
-                case 'removed':
-                    className = 'diff-removed';
-                    prefix = '-';
-                    break;
-                case 'modified':
-                    className = 'diff-modified';
-                    prefix = '~';
-                    break;
-                default:
-                    className = 'diff-unchanged';
-                    prefix = ' ';
+            // Apply styling
+            this.applyModalStyling(tagModal);
+
+            // Setup event handlers
+            const eventResult = this.setupTagManagerEventHandlers(tagModal);
+            if (!eventResult.success) {
+                throw new Error(eventResult.error);
             }
 
-            diffHTML += `
-                <div class="diff-line ${className}" data-line="${lineNumber || index + 1}">
-                    <span class="diff-prefix">${prefix}</span>
-                    <span class="diff-content">${this.escapeHtml(content)}</span>
-                </div>
-            `;
-        });
+            // Add to DOM
+            document.body.appendChild(tagModal);
 
-        diffHTML += '</div>';
-        return diffHTML;
+            return {
+                success: true,
+                modalElement: tagModal,
+                tagStats: tagStats,
+                message: 'Tag manager opened successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error opening tag manager:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to open tag manager'
+            };
+        }
     }
 
     /**
-     * Generate metadata comparison HTML
-     * @param {Object} metadataComparison - Metadata comparison data
-     * @returns {string} HTML for metadata comparison
+     * Create tag manager modal element
+     * @returns {HTMLElement} Tag manager modal element
      */
-    generateMetadataComparisonHTML(metadataComparison) {
-        return `
-            <div class="metadata-comparison-table">
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Property</th>
-                            <th>Prompt 1</th>
-                            <th>Prompt 2</th>
-                            <th>Status</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${Object.entries(metadataComparison).map(([key, comparison]) => `
-                            <tr class="${comparison.different ? 'different' : 'same'}">
-                                <td class="property-name">${this.escapeHtml(key)}</td>
-                                <td class="value-1">${this.escapeHtml(String(comparison.value1))}</td>
-                                <td class="value-2">${this.escapeHtml(String(comparison.value2))}</td>
-                                <td class="status">${comparison.different ? '⚠️ Different' : '✅ Same'}</td>
-                            </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
-            </div>
-        `;
+    createTagManagerModalElement() {
+        const modal = document.createElement('div');
+        modal.className = 'prompt-tag-manager-modal';
+        modal.id = 'prompt-tag-manager-modal';
+        return modal;
     }
 
     /**
-     * Generate settings comparison HTML
-     * @param {Object} prompt1 - First prompt data
-     * @param {Object} prompt2 - Second prompt data
-     * @returns {string} HTML for settings comparison
+     * Create tag manager modal HTML
+     * @param {Array} tagStats - Tag entries from getTagStats()
+     * @returns {string} HTML for the tag manager modal
      */
-    generateSettingsComparisonHTML(prompt1, prompt2) {
-        const settings = [
-            { key: 'role', label: 'Role' },
-            { key: 'system_prompt', label: 'System Prompt' },
-            { key: 'marker', label: 'Marker' },
-            { key: 'injection_position', label: 'Injection Position' },
-            { key: 'injection_depth', label: 'Injection Depth' },
-            { key: 'injection_order', label: 'Injection Order' },
-            { key: 'forbid_overrides', label: 'Forbid Overrides' }
-        ];
+    createTagManagerModalHTML(tagStats) {
+        const tagRows = tagStats.length === 0 ?
+            '<div class="no-tags">No prompts are tagged yet.</div>' :
+            tagStats.map(entry => `
+                <div class="tag-manager-row" data-tag="${this.escapeHtml(entry.tag)}">
+                    <input type="checkbox" class="tag-select-checkbox" data-tag="${this.escapeHtml(entry.tag)}">
+                    ${this.renderTagBadge(entry.tag)}
+                    <span class="tag-manager-count">${entry.count} prompts</span>
+                    <input type="color" class="tag-color-input" data-tag="${this.escapeHtml(entry.tag)}" value="${entry.color || '#808080'}" title="Tag color">
+                    <button class="tag-clear-color-btn" data-tag="${this.escapeHtml(entry.tag)}" title="Clear color" ${entry.color ? '' : 'disabled'}>⊘</button>
+                    <button class="tag-rename-btn" data-tag="${this.escapeHtml(entry.tag)}" title="Rename tag">✏️ Rename</button>
+                    <button class="tag-delete-btn" data-tag="${this.escapeHtml(entry.tag)}" title="Remove tag from all prompts">🗑️ Delete</button>
+                </div>
+            `).join('');
 
         return `
-            <div class="settings-comparison-table">
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Setting</th>
-                            <th>Prompt 1</th>
-                            <th>Prompt 2</th>
-                            <th>Status</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${settings.map(setting => {
-                            const value1 = prompt1[setting.key];
-                            const value2 = prompt2[setting.key];
-                            const different = value1 !== value2;
-
-                            return `
-                                <tr class="${different ? 'different' : 'same'}">
-                                    <td class="setting-name">${setting.label}</td>
-                                    <td class="value-1">${this.formatSettingValue(value1)}</td>
-                                    <td class="value-2">${this.formatSettingValue(value2)}</td>
-                                    <td class="status">${different ? '⚠️ Different' : '✅ Same'}</td>
-                                </tr>
-                            `;
-                        }).join('')}
-                    </tbody>
-                </table>
+            <div class="tag-manager-modal-overlay">
+                <div class="tag-manager-modal-container">
+                    <div class="tag-manager-modal-header">
+                        <h2>🏷️ Tag Manager</h2>
+                        <button class="tag-manager-modal-close" title="Close">✕</button>
+                    </div>
+                    <div class="tag-manager-modal-content">
+                        <div class="tag-manager-list">
+                            ${tagRows}
+                        </div>
+                    </div>
+                    <div class="tag-manager-modal-actions">
+                        <button class="merge-tags-btn" ${tagStats.length < 2 ? 'disabled' : ''}>Merge Selected</button>
+                        <button class="close-tag-manager-btn">Close</button>
+                    </div>
+                </div>
             </div>
         `;
     }
 
     /**
-     * Format setting value for display
-     * @param {any} value - Setting value
-     * @returns {string} Formatted value
-     */
-    formatSettingValue(value) {
-        if (typeof value === 'boolean') {
-            return value ? '✅ Yes' : '❌ No';
-        }
-        if (value === null || value === undefined) {
-            return '—';
-        }
-        return this.escapeHtml(String(value));
-    }
-
-    /**
-     * Get role icon
-     * @param {string} role - Prompt role
-     * @returns {string} Role icon
+     * Reload the tag list of an open tag manager and the library behind it
+     * @param {HTMLElement} tagModal - The tag manager modal element
      */
-    getRoleIcon(role) {
-        const icons = {
-            'user': '👤',
-            'assistant': '🤖',
-            'system': '⚙️'
-        };
-        return icons[role] || '❓';
+    async refreshTagManager(tagModal) {
+        const tagStats = await this.dataManager.getTagStats();
+        tagModal.innerHTML = this.createTagManagerModalHTML(tagStats);
+        this.setupTagManagerEventHandlers(tagModal);
+        await this.refreshPromptList();
     }
 
     /**
-     * Setup comparison event handlers
-     * @param {HTMLElement} comparisonModal - The comparison modal element
+     * Setup tag manager event handlers
+     * @param {HTMLElement} tagModal - The tag manager modal element
      * @returns {Object} Result object with success status
      */
-    setupComparisonEventHandlers(comparisonModal) {
+    setupTagManagerEventHandlers(tagModal) {
         try {
-            // Close button handlers
-            const closeBtn = comparisonModal.querySelector('.comparison-modal-close');
-            const closeActionBtn = comparisonModal.querySelector('.close-comparison-btn');
-
             const closeHandler = () => {
-                document.body.removeChild(comparisonModal);
+                if (tagModal.parentNode) {
+                    tagModal.parentNode.removeChild(tagModal);
+                }
             };
 
+            const closeBtn = tagModal.querySelector('.tag-manager-modal-close');
+            const closeActionBtn = tagModal.querySelector('.close-tag-manager-btn');
             if (closeBtn) closeBtn.onclick = closeHandler;
             if (closeActionBtn) closeActionBtn.onclick = closeHandler;
 
-            // Tab switching handlers
-            const tabButtons = comparisonModal.querySelectorAll('.tab-button');
-            const tabContents = comparisonModal.querySelectorAll('.tab-content');
+            const handleResult = async (result) => {
+                if (result.success) {
+                    await this.refreshTagManager(tagModal);
+                    this.showSaveSuccess(result.message);
+                } else {
+                    this.showSaveError(result.error);
+                }
+            };
 
-            tabButtons.forEach(button => {
-                button.onclick = () => {
-                    const targetTab = button.getAttribute('data-tab');
+            // Color handlers
+            tagModal.querySelectorAll('.tag-color-input').forEach(input => {
+                input.onchange = async () => {
+                    await handleResult(this.dataManager.setTagColor(input.getAttribute('data-tag'), input.value));
+                };
+            });
 
-                    // Update active tab button
-                    tabButtons.forEach(btn => btn.classList.remove('active'));
-                    button.classList.add('active');
+            tagModal.querySelectorAll('.tag-clear-color-btn').forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    await handleResult(this.dataManager.setTagColor(button.getAttribute('data-tag'), null));
+                };
+            });
 
-                    // Update active tab content
-                    tabContents.forEach(content => {
-                        content.classList.remove('active');
-                        if (content.getAttribute('data-tab') === targetTab) {
-                            content.classList.add('active');
-                        }
-                    });
+            // Rename handlers
+            tagModal.querySelectorAll('.tag-rename-btn').forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const tag = button.getAttribute('data-tag');
+                    const newTag = prompt(`Rename tag "${tag}" to:`, tag);
+                    if (newTag && newTag.trim() && newTag.trim() !== tag) {
+                        await handleResult(await this.dataManager.renameTag(tag, newTag));
+                    }
                 };
             });
 
-            // Export comparison handler
-            const exportBtn = comparisonModal.querySelector('.export-comparison-btn');
-            if (exportBtn) {
-                exportBtn.onclick = () => {
-                    this.exportComparison(comparisonModal);
+            // Delete handlers
+            tagModal.querySelectorAll('.tag-delete-btn').forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const tag = button.getAttribute('data-tag');
+                    if (confirm(`Remove tag "${tag}" from every prompt?`)) {
+                        await handleResult(await this.dataManager.deleteTag(tag));
+                    }
+                };
+            });
+
+            // Merge handler
+            const mergeBtn = tagModal.querySelector('.merge-tags-btn');
+            if (mergeBtn) {
+                mergeBtn.onclick = async (e) => {
+                    e.preventDefault();
+                    const selectedTags = Array.from(tagModal.querySelectorAll('.tag-select-checkbox:checked'))
+                        .map(checkbox => checkbox.getAttribute('data-tag'));
+                    if (selectedTags.length < 2) {
+                        this.showSaveError('Select at least two tags to merge');
+                        return;
+                    }
+
+                    const targetTag = prompt(`Merge ${selectedTags.join(', ')} into:`, selectedTags[0]);
+                    if (targetTag && targetTag.trim()) {
+                        await handleResult(await this.dataManager.mergeTags(selectedTags, targetTag));
+                    }
                 };
             }
 
             // Overlay click handler (close on outside click)
-            const overlay = comparisonModal.querySelector('.comparison-modal-overlay');
+            const overlay = tagModal.querySelector('.tag-manager-modal-overlay');
             if (overlay) {
                 overlay.onclick = (e) => {
                     if (e.target === overlay) {
-                        document.body.removeChild(comparisonModal);
+                        closeHandler();
                     }
                 };
             }
 
             return {
                 success: true,
-                message: 'Comparison event handlers setup successfully'
+                closeHandler: closeHandler,
+                message: 'Tag manager event handlers setup successfully'
             };
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error setting up comparison event handlers:`, error);
+            console.error(`[${this.extensionName}] Error setting up tag manager event handlers:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to setup comparison event handlers'
+                message: 'Failed to setup tag manager event handlers'
             };
         }
     }
 
-    /**
-     * Export comparison data
-     * @param {HTMLElement} comparisonModal - The comparison modal element
-     */
-    exportComparison(comparisonModal) {
-        try {
-            const comparisonHTML = comparisonModal.innerHTML;
-            const blob = new Blob([comparisonHTML], { type: 'text/html' });
-            const url = URL.createObjectURL(blob);
-
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `prompt-comparison-${Date.now()}.html`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-
-            console.log(`[${this.extensionName}] Comparison exported successfully`);
-        } catch (error) {
-            console.error(`[${this.extensionName}] Error exporting comparison:`, error);
-        }
-    }
-
     /**
      * Setup prompt card event handlers
      * @param {HTMLElement} modalElement - The modal element containing prompt cards
@@ -3850,21 +11732,57 @@ class PromptLibraryUI {
                 button.onclick = async (e) => {
                     e.preventDefault();
                     const promptId = button.getAttribute('data-prompt-id');
-                    if (promptId && promptSaverManager) {
-                        await promptSaverManager.applyPrompt(promptId);
+                    if (promptId) {
+                        await this.handleApplyPrompt(promptId);
+                    }
+                };
+            });
+
+            // Favorite toggle handlers
+            const favoriteIcons = modalElement.querySelectorAll('.favorite-star');
+            favoriteIcons.forEach(icon => {
+                icon.onclick = async (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const promptId = icon.getAttribute('data-prompt-id');
+                    if (promptId) {
+                        await this.handleToggleFavorite(promptId);
+                    }
+                };
+            });
+
+            // Revision history handlers
+            const historyButtons = modalElement.querySelectorAll('.history-prompt-btn');
+            historyButtons.forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const promptId = button.getAttribute('data-prompt-id');
+                    if (promptId) {
+                        await this.showRevisionHistory(promptId);
+                    }
+                };
+            });
+
+            // Move to folder handlers
+            const moveButtons = modalElement.querySelectorAll('.move-prompt-btn');
+            moveButtons.forEach(button => {
+                button.onclick = async (e) => {
+                    e.preventDefault();
+                    const promptId = button.getAttribute('data-prompt-id');
+                    if (promptId) {
+                        await this.handleMovePrompt(promptId);
                     }
                 };
             });
 
-            // Favorite toggle handlers
-            const favoriteIcons = modalElement.querySelectorAll('.favorite-star');
-            favoriteIcons.forEach(icon => {
-                icon.onclick = async (e) => {
+            // Token budget handlers
+            const budgetButtons = modalElement.querySelectorAll('.budget-prompt-btn');
+            budgetButtons.forEach(button => {
+                button.onclick = async (e) => {
                     e.preventDefault();
-                    e.stopPropagation();
-                    const promptId = icon.getAttribute('data-prompt-id');
+                    const promptId = button.getAttribute('data-prompt-id');
                     if (promptId) {
-                        await this.handleToggleFavorite(promptId);
+                        await this.showTokenBudget(promptId);
                     }
                 };
             });
@@ -3907,10 +11825,11 @@ class PromptLibraryUI {
             console.log(`[${this.extensionName}] Delete prompt requested: ${promptId}`);
 
             if (this.dataManager && typeof this.dataManager.deletePrompt === 'function') {
-                const result = await this.dataManager.deletePrompt(promptId);
+                const result = await this.dataManager.deletePrompt(promptId, { reason: 'manual' });
                 if (result.success) {
                     // Refresh the prompt list to remove deleted prompt
                     await this.refreshPromptList();
+                    this.showSaveSuccess('Prompt moved to trash');
                     console.log(`[${this.extensionName}] Prompt deleted successfully: ${result.message}`);
                 } else {
                     console.error(`[${this.extensionName}] Failed to delete prompt: ${result.error}`);
@@ -4121,43 +12040,32 @@ class PromptLibraryUI {
      */
     async performStorageCleanup(options) {
         try {
-            let deletedCount = 0;
-            const deletedPrompts = [];
+            const prompts = await this.dataManager.getPrompts();
+            const promptIds = new Set();
 
             if (options.deleteUnused) {
-                const prompts = await this.dataManager.getPrompts();
                 const unusedPrompts = Object.values(prompts).filter(p => (p.metadata.usage_count || 0) === 0);
-
-                for (const prompt of unusedPrompts.slice(0, 10)) {
-                    const deleteResult = await this.dataManager.deletePrompt(prompt.id);
-                    if (deleteResult.success) {
-                        deletedCount++;
-                        deletedPrompts.push(prompt.name);
-                    }
-                }
+                unusedPrompts.slice(0, 10).forEach(prompt => promptIds.add(prompt.id));
             }
 
             if (options.deleteOld) {
-                const prompts = await this.dataManager.getPrompts();
                 const oldPrompts = Object.values(prompts).filter(p => {
                     const age = Date.now() - new Date(p.metadata.created_at).getTime();
                     return age > (90 * 24 * 60 * 60 * 1000); // 90 days
                 });
+                oldPrompts.slice(0, 10).forEach(prompt => promptIds.add(prompt.id));
+            }
 
-                for (const prompt of oldPrompts.slice(0, 10)) {
-                    const deleteResult = await this.dataManager.deletePrompt(prompt.id);
-                    if (deleteResult.success) {
-                        deletedCount++;
-                        deletedPrompts.push(prompt.name);
-                    }
-                }
+            const deleteResult = await this.dataManager.deletePrompts([...promptIds], { backupReason: 'before_cleanup', reason: 'storage_cleanup' });
+            if (deleteResult.error) {
+                throw new Error(deleteResult.error);
             }
 
             return {
                 success: true,
-                deletedCount: deletedCount,
-                deletedPrompts: deletedPrompts,
-                message: `Successfully deleted ${deletedCount} prompts`
+                deletedCount: deleteResult.deletedCount,
+                deletedPrompts: deleteResult.deletedPrompts,
+                message: `Successfully deleted ${deleteResult.deletedCount} prompts`
             };
 
         } catch (error) {
@@ -4352,15 +12260,6 @@ class PromptLibraryUI {
         // This will be implemented in Task 10
     }
 
-    /**
-     * Handle delete prompt action
-     * @param {string} promptId - ID of prompt to delete
-     */
-    handleDeletePrompt(promptId) {
-        console.log(`[${this.extensionName}] Delete prompt requested: ${promptId}`);
-        // This will be implemented later
-    }
-
     /**
      * Apply filters to a set of prompts
      * @param {Object} prompts - Prompts to filter
@@ -4369,42 +12268,7 @@ class PromptLibraryUI {
      */
     applyFilters(prompts, filters) {
         try {
-            let filtered = { ...prompts };
-
-            // Search filter (case-insensitive)
-            if (filters.search && filters.search.trim()) {
-                const searchTerm = filters.search.toLowerCase().trim();
-                filtered = Object.fromEntries(
-                    Object.entries(filtered).filter(([id, prompt]) =>
-                        prompt.name.toLowerCase().includes(searchTerm) ||
-                        prompt.content.toLowerCase().includes(searchTerm) ||
-                        prompt.metadata.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-                    )
-                );
-            }
-
-            // Role filter
-            if (filters.role && filters.role !== 'all') {
-                filtered = Object.fromEntries(
-                    Object.entries(filtered).filter(([id, prompt]) => prompt.role === filters.role)
-                );
-            }
-
-            // Favorite filter
-            if (filters.favorite !== undefined && filters.favorite !== null) {
-                filtered = Object.fromEntries(
-                    Object.entries(filtered).filter(([id, prompt]) => prompt.metadata.favorite === filters.favorite)
-                );
-            }
-
-            // Tags filter (AND logic - all specified tags must be present)
-            if (filters.tags && Array.isArray(filters.tags) && filters.tags.length > 0) {
-                filtered = Object.fromEntries(
-                    Object.entries(filtered).filter(([id, prompt]) =>
-                        filters.tags.every(tag => prompt.metadata.tags.includes(tag))
-                    )
-                );
-            }
+            const filtered = this.dataManager.applyFilters(prompts, filters);
 
             return {
                 success: true,
@@ -4427,51 +12291,13 @@ class PromptLibraryUI {
      * Apply sorting to a set of prompts
      * @param {Object} prompts - Prompts to sort
      * @param {string} sortBy - Sort criteria
+     * @param {string} searchQuery - Search text used to rank prompts for the 'relevance' sort
+     * @param {string} searchMode - How the search text is matched, see PromptDataManager.searchPrompts()
      * @returns {Object} Result object with success status and sorted prompts
      */
-    applySorting(prompts, sortBy) {
+    applySorting(prompts, sortBy, searchQuery = '', searchMode = 'ranked') {
         try {
-            const promptArray = Object.values(prompts);
-            let sortedArray;
-
-            switch (sortBy) {
-                case 'latest_used':
-                    sortedArray = promptArray.sort((a, b) => {
-                        const aUsed = a.metadata.last_used ? new Date(a.metadata.last_used) : new Date(0);
-                        const bUsed = b.metadata.last_used ? new Date(b.metadata.last_used) : new Date(0);
-                        return bUsed - aUsed; // Latest first
-                    });
-                    break;
-
-                case 'oldest_used':
-                    sortedArray = promptArray.sort((a, b) => {
-                        const aUsed = a.metadata.last_used ? new Date(a.metadata.last_used) : new Date(0);
-                        const bUsed = b.metadata.last_used ? new Date(b.metadata.last_used) : new Date(0);
-                        
-                        // Handle null dates - put them at the end
-                        if (!a.metadata.last_used && !b.metadata.last_used) return 0;
-                        if (!a.metadata.last_used) return 1;
-                        if (!b.metadata.last_used) return -1;
-                        
-                        return aUsed - bUsed; // Oldest first
-                    });
-                    break;
-
-                case 'name':
-                    sortedArray = promptArray.sort((a, b) => 
-                        a.name.toLowerCase().localeCompare(b.name.toLowerCase())
-                    );
-                    break;
-
-                case 'created':
-                    sortedArray = promptArray.sort((a, b) => 
-                        new Date(b.metadata.created_at) - new Date(a.metadata.created_at)
-                    );
-                    break;
-
-                default:
-                    sortedArray = promptArray;
-            }
+            const sortedArray = this.dataManager.sortPrompts(Object.values(prompts), sortBy, searchQuery, searchMode);
 
             // Convert back to object keyed by ID
             const sortedPrompts = {};
@@ -4511,7 +12337,7 @@ class PromptLibraryUI {
             }
 
             // Then apply sorting
-            const sortResult = this.applySorting(filterResult.filteredPrompts, filters.sort || 'latest_used');
+            const sortResult = this.applySorting(filterResult.filteredPrompts, filters.sort || 'latest_used', filters.search, filters.searchMode);
             if (!sortResult.success) {
                 return sortResult;
             }
@@ -4561,7 +12387,9 @@ class PromptLibraryUI {
                     <h3>Filters</h3>
                     <div class="filter-group">
                         <label for="prompt-search">Search:</label>
-                        <input type="text" id="prompt-search" class="prompt-search-input search-input" placeholder="Search prompts...">
+                        <input type="text" id="prompt-search" class="prompt-search-input search-input" placeholder="Search prompts..." autocomplete="off" title="Filter with tag: role: fav: used: tokens: age: preset: folder:, &quot;exact phrases&quot; and -exclusions">
+                        <div class="search-suggestions" style="display: none;"></div>
+                        <div class="search-query-errors"></div>
                     </div>
                     <div class="filter-group">
                         <label for="role-filter">Role:</label>
@@ -4587,8 +12415,16 @@ class PromptLibraryUI {
                             <option value="oldest_used">Oldest Used</option>
                             <option value="name">Name A-Z</option>
                             <option value="created">Creation Date</option>
+                            <option value="tokens_desc">Most Tokens</option>
+                            <option value="tokens_asc">Fewest Tokens</option>
+                            <option value="relevance">Best Match</option>
                         </select>
                     </div>
+                    <div class="filter-group">
+                        <label for="token-min-filter">Tokens:</label>
+                        <input type="number" id="token-min-filter" class="token-min-input" min="0" placeholder="Min">
+                        <input type="number" id="token-max-filter" class="token-max-input" min="0" placeholder="Max">
+                    </div>
                 </div>
             `;
 
@@ -4626,17 +12462,20 @@ class PromptLibraryUI {
         this.filters = this.currentFilters; // Keep filters property in sync
     }
 
+    /**
+     * Get the default filter state
+     * @returns {Object} Filter values that match every prompt
+     */
+    getDefaultFilters() {
+        return this.dataManager.getDefaultFilters();
+    }
+
     /**
      * Reset filters to default state
      */
     resetFilters() {
-        this.currentFilters = {
-            search: '',
-            role: 'all',
-            favorite: null,
-            tags: [],
-            sort: 'latest_used'
-        };
+        this.currentFilters = this.getDefaultFilters();
+        this.queryFilterKeys = [];
         this.filters = this.currentFilters; // Keep filters property in sync
     }
 
@@ -5576,13 +13415,11 @@ class PromptLibraryUI {
 
             // Get prompts from data manager
             const prompts = await this.dataManager.getPrompts();
-            const promptList = Object.values(prompts);
 
-            // Filter prompts based on query
-            const filteredPrompts = promptList.filter(prompt => {
-                const searchText = `${prompt.name} ${prompt.content} ${prompt.role}`.toLowerCase();
-                return searchText.includes(query.toLowerCase());
-            });
+            // Ranked matches from the search index, best first
+            const filteredPrompts = this.dataManager.searchPrompts(query)
+                .filter(result => prompts[result.id])
+                .map(result => ({ ...prompts[result.id], searchScore: result.score }));
 
             return {
                 success: true,
@@ -6097,13 +13934,15 @@ class PromptLibraryUI {
 class PromptSaverManager {
     constructor() {
         this.extensionName = extensionName;
-        this.dataManager = new PromptDataManager();
-        this.presetIntegrator = new PresetIntegrator();
+        // Share the extension's instances so every entry point goes through the same save path
+        this.dataManager = promptDataManager || new PromptDataManager();
+        this.presetIntegrator = presetIntegrator || new PresetIntegrator();
     }
 
     /**
      * Save the current prompt from the active completion preset
-     * @param {string} promptName - Optional name for the saved prompt
+     * @param {string} promptName - Optional name for the saved prompt; when the preset has several prompts
+     *                              it prefixes each prompt's own name instead
      * @returns {Promise<Object>} Result object with success status and saved prompt data
      */
     async saveCurrentPrompt(promptName = null) {
@@ -6124,7 +13963,10 @@ class PromptSaverManager {
             console.log(`[${this.extensionName}] Found ${currentPreset.prompts.length} prompts in preset: ${currentPreset.name}`);
 
             const savedPrompts = [];
+            const existingPrompts = [];
             const errors = [];
+            const duplicateHandling = extensionSettings.settings?.duplicate_handling || 'skip';
+            const contentPromptCount = currentPreset.prompts.filter(prompt => prompt.content && prompt.content.trim().length > 0).length;
 
             // Process each prompt in the current preset
             for (const presetPrompt of currentPreset.prompts) {
@@ -6145,11 +13987,12 @@ class PromptSaverManager {
                     // Generate unique ID and metadata
                     const promptId = this.dataManager.generatePromptId();
                     const now = new Date().toISOString();
+                    const ownName = presetPrompt.name || `Prompt from ${currentPreset.name}`;
 
                     // Create prompt data structure
                     const promptData = {
                         id: promptId,
-                        name: promptName || presetPrompt.name || `Prompt from ${currentPreset.name}`,
+                        name: !promptName ? ownName : (contentPromptCount > 1 ? `${promptName}: ${ownName}` : promptName),
                         content: presetPrompt.content,
                         role: presetPrompt.role,
                         system_prompt: presetPrompt.system_prompt || false,
@@ -6168,6 +14011,19 @@ class PromptSaverManager {
                         }
                     };
 
+                    // Skip, merge or update a prompt with identical content instead of saving a copy
+                    const duplicatePrompt = await this.dataManager.findPromptByContent(promptData.content);
+                    if (duplicatePrompt) {
+                        const duplicateResult = await this.dataManager.resolveDuplicatePrompt(duplicatePrompt, promptData, duplicateHandling);
+                        if (duplicateResult.success) {
+                            existingPrompts.push(duplicateResult.promptData);
+                            console.log(`[${this.extensionName}] Prompt already in library (${duplicateResult.action}): ${duplicatePrompt.id}`);
+                        } else {
+                            errors.push(`Failed to update existing prompt ${duplicatePrompt.id}: ${duplicateResult.error}`);
+                        }
+                        continue;
+                    }
+
                     // Save the prompt
                     const saveResult = await this.dataManager.savePrompt(promptData);
                     if (saveResult.success) {
@@ -6185,8 +14041,8 @@ class PromptSaverManager {
                 }
             }
 
-            // Check if any prompts were saved
-            if (savedPrompts.length === 0) {
+            // Check if any prompts were saved or found in the library
+            if (savedPrompts.length === 0 && existingPrompts.length === 0) {
                 const errorMessage = errors.length > 0 ? 
                     `No prompts could be saved. Errors: ${errors.join(', ')}` :
                     'No valid prompts found to save';
@@ -6194,7 +14050,8 @@ class PromptSaverManager {
             }
 
             // Show success feedback
-            const successMessage = `Successfully saved ${savedPrompts.length} prompt${savedPrompts.length > 1 ? 's' : ''}`;
+            const successMessage = `Saved ${savedPrompts.length} new prompt${savedPrompts.length !== 1 ? 's' : ''}` +
+                (existingPrompts.length > 0 ? `, ${existingPrompts.length} already in library` : '');
             console.log(`[${this.extensionName}] ${successMessage}`);
             
             // Call visual feedback if available
@@ -6205,7 +14062,10 @@ class PromptSaverManager {
             return {
                 success: true,
                 savedPrompts: savedPrompts,
-                promptData: savedPrompts[0], // For compatibility with tests
+                existingPrompts: existingPrompts,
+                newCount: savedPrompts.length,
+                existingCount: existingPrompts.length,
+                promptData: savedPrompts[0] || existingPrompts[0], // For compatibility with tests
                 message: successMessage,
                 errors: errors.length > 0 ? errors : undefined
             };
@@ -6290,86 +14150,408 @@ class PromptSaverManager {
     }
 
     /**
-     * Delete a prompt by ID
+     * Delete a prompt by ID (moves it to the trash unless options.permanent is set)
      * @param {string} promptId - ID of the prompt to delete
+     * @param {Object} options - Delete options passed to PromptDataManager.deletePrompt
      * @returns {Promise<Object>} Result object with success status
      */
-    async deletePrompt(promptId) {
-        return await this.dataManager.deletePrompt(promptId);
+    async deletePrompt(promptId, options = {}) {
+        return await this.dataManager.deletePrompt(promptId, options);
     }
 
     /**
      * Apply a saved prompt to the current preset
+     * Templated prompts are resolved first; the saved template itself is never modified.
+     * Never asks the user anything: PromptLibraryUI.handleApplyPrompt shows the template form
+     * and confirms budget warnings before calling this
      * @param {string} promptId - ID of the prompt to apply
-     * @returns {Promise<Object>} Result object with success status
+     * @param {Object} options - Optional variables (values for template placeholders, missing ones use their defaults)
+     *                           and force (apply even if the token budget would be exceeded)
+     * @returns {Promise<Object>} Result object with success status; budgetExceeded and budgetWarnings when refused over the budget
      */
-    async applyPrompt(promptId) {
+    async applyPrompt(promptId, options = {}) {
         try {
             const promptData = await this.dataManager.loadPrompt(promptId);
             if (!promptData) {
                 throw new Error('Prompt not found');
             }
 
-            // Get current preset
-            const currentPreset = this.presetIntegrator.getCurrentPreset();
-            if (!currentPreset) {
-                throw new Error('No current preset available');
+            // Fill in template placeholders with the caller's values or their defaults
+            let resolvedContent = promptData.content;
+            if (this.dataManager.isTemplate(promptData.content)) {
+                resolvedContent = this.dataManager.renderTemplate(promptData.content, options.variables || {});
+            }
+
+            // Refuse when the prompt would push the preset past its token budget, unless forced
+            let budgetWarnings = [];
+            if (!options.force) {
+                const budget = await this.calculateTokenBudget({ name: promptData.name, role: promptData.role, content: resolvedContent });
+                budgetWarnings = budget.success ? budget.warnings : [];
+                if (budgetWarnings.length > 0) {
+                    return {
+                        success: false,
+                        budgetExceeded: true,
+                        budgetWarnings: budgetWarnings,
+                        error: 'Token budget exceeded',
+                        message: `"${promptData.name}" not applied: ${budgetWarnings.join('; ')}. Apply with force to ignore the budget.`
+                    };
+                }
+            }
+
+            // Get current preset
+            const currentPreset = this.presetIntegrator.getCurrentPreset();
+            if (!currentPreset) {
+                throw new Error('No current preset available');
+            }
+
+            // Generate a unique identifier for this application
+            const uniqueIdentifier = this.dataManager.generatePromptId();
+
+            // Create new prompt object for the preset
+            const newPrompt = {
+                identifier: uniqueIdentifier,
+                name: promptData.name,
+                content: resolvedContent,
+                role: promptData.role,
+                system_prompt: promptData.system_prompt,
+                marker: promptData.marker,
+                injection_position: promptData.injection_position,
+                injection_depth: promptData.injection_depth,
+                injection_order: promptData.injection_order,
+                forbid_overrides: promptData.forbid_overrides,
+                enabled: true
+            };
+
+            // Add to current preset prompts
+            const updatedPrompts = [...(currentPreset.prompts || []), newPrompt];
+            
+            // Update the preset
+            const updateResult = this.presetIntegrator.updatePresetPrompts(updatedPrompts);
+            if (!updateResult.success) {
+                throw new Error(updateResult.error);
+            }
+
+            // Update usage metadata; reported as a single applied event
+            const now = new Date().toISOString();
+            const usageResult = await this.dataManager.updatePromptMetadata(promptId, {
+                last_used: now,
+                usage_count: (promptData.metadata.usage_count || 0) + 1
+            }, { silent: true });
+            if (usageResult.success) {
+                this.dataManager.emitPromptChange(PROMPT_SAVER_EVENTS.APPLIED, promptId, usageResult.previousData, usageResult.promptData, {
+                    resolvedContent: resolvedContent
+                });
+            }
+
+            // Refresh the prompt manager UI
+            if (typeof refreshPromptManagerUI === 'function') {
+                refreshPromptManagerUI();
+            } else if (typeof global !== 'undefined' && typeof global.refreshPromptManagerUI === 'function') {
+                global.refreshPromptManagerUI();
+            }
+
+            console.log(`[${this.extensionName}] Applied prompt ${promptId} to current preset`);
+
+            return {
+                success: true,
+                resolvedContent: resolvedContent,
+                budgetWarnings: budgetWarnings,
+                message: 'Prompt applied successfully'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error applying prompt ${promptId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to apply prompt'
+            };
+        }
+    }
+
+    /**
+     * Calculate the token budget of the current preset's enabled prompts plus an optional prompt to apply
+     * Marker prompts (chat history, world info and similar) are filled at generation time and not counted
+     * @param {Object|Array<Object>} candidate - Optional prompt, or list of prompts, about to be applied (name, role, content)
+     * @returns {Promise<Object>} Result object with token totals, limits and warnings
+     */
+    async calculateTokenBudget(candidate = null) {
+        try {
+            const currentPreset = this.presetIntegrator.getCurrentPreset();
+            if (!currentPreset) {
+                throw new Error('No current preset available');
+            }
+
+            const enabledPrompts = this.presetIntegrator.getOrderedPresetPrompts(currentPreset)
+                .filter(prompt => prompt.enabled && !prompt.marker);
+
+            const items = [];
+            for (const prompt of enabledPrompts) {
+                items.push({
+                    name: prompt.name || prompt.identifier,
+                    role: prompt.role || 'system',
+                    tokens: await this.presetIntegrator.countTokens(prompt.content || ''),
+                    candidate: false
+                });
+            }
+
+            const candidates = Array.isArray(candidate) ? candidate : (candidate ? [candidate] : []);
+            for (const candidatePrompt of candidates) {
+                items.push({
+                    name: candidatePrompt.name,
+                    role: candidatePrompt.role || 'system',
+                    tokens: await this.presetIntegrator.countTokens(candidatePrompt.content || ''),
+                    candidate: true
+                });
+            }
+
+            const sumTokens = (list) => list.reduce((total, item) => total + item.tokens, 0);
+            const presetTokens = sumTokens(items.filter(item => !item.candidate));
+            const totalTokens = sumTokens(items);
+            const systemTokens = sumTokens(items.filter(item => item.role === 'system'));
+
+            const maxContext = this.presetIntegrator.getMaxContext();
+            const systemShare = extensionSettings.settings?.system_budget_share ?? 0.5;
+            const systemLimit = maxContext ? Math.floor(maxContext * systemShare) : null;
+
+            const warnings = [];
+            if (maxContext && totalTokens > maxContext) {
+                warnings.push(`Prompts use ${totalTokens} tokens, more than the ${maxContext} token context`);
+            }
+            if (systemLimit && systemTokens > systemLimit) {
+                warnings.push(`System prompts use ${systemTokens} tokens, over ${Math.round(systemShare * 100)}% of the context (${systemLimit} tokens)`);
+            }
+
+            return {
+                success: true,
+                items: items,
+                presetTokens: presetTokens,
+                candidateTokens: totalTokens - presetTokens,
+                totalTokens: totalTokens,
+                systemTokens: systemTokens,
+                maxContext: maxContext,
+                systemShare: systemShare,
+                systemLimit: systemLimit,
+                remainingTokens: maxContext ? maxContext - totalTokens : null,
+                estimated: getTokenCounter().getTokenizerId() === 'estimate',
+                warnings: warnings,
+                message: warnings.length > 0 ? warnings.join('; ') : 'Prompts fit the context budget'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error calculating token budget:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to calculate token budget'
+            };
+        }
+    }
+
+    /**
+     * Save the complete current preset, including prompt order and enabled states, as one snapshot
+     * @param {string} snapshotName - Optional name for the snapshot
+     * @returns {Promise<Object>} Result object with success status and snapshot data
+     */
+    async saveCurrentPresetSnapshot(snapshotName = null) {
+        try {
+            const currentPreset = this.presetIntegrator.getCurrentPreset();
+            if (!currentPreset) {
+                throw new Error('No current preset available');
+            }
+
+            const orderedPrompts = this.presetIntegrator.getOrderedPresetPrompts(currentPreset);
+            if (orderedPrompts.length === 0) {
+                throw new Error('Current preset has no prompts to save');
+            }
+
+            const saveResult = await this.dataManager.saveSnapshot({
+                name: snapshotName || `${currentPreset.name || 'Preset'} snapshot`,
+                source_preset: currentPreset.name || null,
+                prompts: orderedPrompts
+            });
+            if (!saveResult.success) {
+                throw new Error(saveResult.error);
+            }
+
+            return saveResult;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error saving preset snapshot:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: `Failed to save preset snapshot: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Restore a preset snapshot into the current preset, replacing its prompts and order
+     * The current preset is saved as a snapshot first and included in a before_restore backup,
+     * so the restore can be undone
+     * @param {string} snapshotId - ID of the snapshot to restore
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async applySnapshot(snapshotId) {
+        try {
+            const snapshotData = await this.dataManager.loadSnapshot(snapshotId);
+            if (!snapshotData) {
+                throw new Error('Snapshot not found');
+            }
+
+            const undoResult = await this.saveCurrentPresetSnapshot(`Before restoring "${snapshotData.name}"`);
+            if (!undoResult.success) {
+                console.warn(`[${this.extensionName}] Current preset not saved before snapshot restore: ${undoResult.error}`);
+            }
+            await this.dataManager.createAutomaticBackup('before_restore');
+
+            const applyResult = this.presetIntegrator.applyPresetSnapshot(snapshotData);
+            if (!applyResult.success) {
+                throw new Error(applyResult.error);
+            }
+
+            await this.dataManager.markSnapshotUsed(snapshotId);
+
+            return applyResult;
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error applying snapshot ${snapshotId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to apply snapshot'
+            };
+        }
+    }
+
+    /**
+     * Get the prompts currently matching a smart collection, in the collection's sort order
+     * @param {string} collectionId - ID of the smart collection
+     * @returns {Promise<Object>} Result object with the collection and its prompts
+     */
+    async getCollectionPrompts(collectionId) {
+        try {
+            const collection = (await this.dataManager.getSmartCollections())[collectionId];
+            if (!collection) {
+                throw new Error('Smart collection not found');
+            }
+
+            const searchCheck = await this.dataManager.checkCollectionSearch(collection.filters);
+            if (!searchCheck.success) {
+                throw new Error(searchCheck.error);
+            }
+
+            // Filtering and sorting are shared with the library view
+            const prompts = this.dataManager.filterAndSortPrompts(await this.dataManager.getPrompts(), collection.filters);
+
+            return {
+                success: true,
+                collection: collection,
+                prompts: prompts,
+                message: `${prompts.length} prompts in "${collection.name}"`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error getting collection prompts:`, error);
+            return {
+                success: false,
+                error: error.message,
+                prompts: [],
+                message: 'Failed to get collection prompts'
+            };
+        }
+    }
+
+    /**
+     * Apply every prompt in a smart collection to the current preset, in the collection's sort order
+     * The token budget is checked once for all of them. Like applyPrompt this never asks the user anything
+     * @param {string} collectionId - ID of the smart collection
+     * @param {Object} options - Optional force (apply even if the token budget would be exceeded) and
+     *                           variables (template values keyed by prompt ID)
+     * @returns {Promise<Object>} Result object with counts of applied and failed prompts; budgetExceeded and budgetWarnings when refused
+     */
+    async applyCollection(collectionId, options = {}) {
+        try {
+            const collectionResult = await this.getCollectionPrompts(collectionId);
+            if (!collectionResult.success) {
+                throw new Error(collectionResult.error);
+            }
+
+            const { collection, prompts } = collectionResult;
+            if (prompts.length === 0) {
+                throw new Error(`No prompts match "${collection.name}"`);
+            }
+
+            let budgetWarnings = [];
+            if (!options.force) {
+                const budget = await this.calculateTokenBudget(prompts.map(prompt => ({ name: prompt.name, role: prompt.role, content: prompt.content })));
+                budgetWarnings = budget.success ? budget.warnings : [];
+                if (budgetWarnings.length > 0) {
+                    return {
+                        success: false,
+                        budgetExceeded: true,
+                        budgetWarnings: budgetWarnings,
+                        error: 'Token budget exceeded',
+                        message: `"${collection.name}" not applied: ${budgetWarnings.join('; ')}. Apply with force to ignore the budget.`
+                    };
+                }
+            }
+
+            const variablesById = options.variables || {};
+            const results = [];
+            for (const prompt of prompts) {
+                const applyResult = await this.applyPrompt(prompt.id, { force: true, variables: variablesById[prompt.id] });
+                results.push({ id: prompt.id, name: prompt.name, ...applyResult });
             }
 
-            // Generate a unique identifier for this application
-            const uniqueIdentifier = this.dataManager.generatePromptId();
+            const applied = results.filter(result => result.success).length;
+            const failed = results.length - applied;
 
-            // Create new prompt object for the preset
-            const newPrompt = {
-                identifier: uniqueIdentifier,
-                name: promptData.name,
-                content: promptData.content,
-                role: promptData.role,
-                system_prompt: promptData.system_prompt,
-                marker: promptData.marker,
-                injection_position: promptData.injection_position,
-                injection_depth: promptData.injection_depth,
-                injection_order: promptData.injection_order,
-                forbid_overrides: promptData.forbid_overrides,
-                enabled: true
+            return {
+                success: applied > 0 && failed === 0,
+                applied: applied,
+                failed: failed,
+                results: results,
+                budgetWarnings: budgetWarnings,
+                message: `Applied ${applied} of ${prompts.length} prompts from "${collection.name}"` +
+                    (failed > 0 ? `, ${failed} failed` : '')
             };
 
-            // Add to current preset prompts
-            const updatedPrompts = [...(currentPreset.prompts || []), newPrompt];
-            
-            // Update the preset
-            const updateResult = this.presetIntegrator.updatePresetPrompts(updatedPrompts);
-            if (!updateResult.success) {
-                throw new Error(updateResult.error);
-            }
-
-            // Update usage metadata
-            const now = new Date().toISOString();
-            await this.dataManager.updatePromptMetadata(promptId, {
-                last_used: now,
-                usage_count: (promptData.metadata.usage_count || 0) + 1
-            });
+        } catch (error) {
+            console.error(`[${this.extensionName}] Error applying collection ${collectionId}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                message: `Failed to apply collection: ${error.message}`
+            };
+        }
+    }
 
-            // Refresh the prompt manager UI
-            if (typeof refreshPromptManagerUI === 'function') {
-                refreshPromptManagerUI();
-            } else if (typeof global !== 'undefined' && typeof global.refreshPromptManagerUI === 'function') {
-                global.refreshPromptManagerUI();
+    /**
+     * Open the prompt library, optionally with a filter set applied
+     * @param {Object|null} filters - Filters to apply on top of the defaults, or null to keep the current ones
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async showLibrary(filters = null) {
+        try {
+            if (!promptLibraryUI) {
+                promptLibraryUI = new PromptLibraryUI(this.dataManager);
             }
 
-            console.log(`[${this.extensionName}] Applied prompt ${promptId} to current preset`);
+            if (filters) {
+                promptLibraryUI.resetFilters();
+                Object.assign(promptLibraryUI.currentFilters, filters);
+            }
 
-            return {
-                success: true,
-                message: 'Prompt applied successfully'
-            };
+            return await promptLibraryUI.showPromptBrowser();
 
         } catch (error) {
-            console.error(`[${this.extensionName}] Error applying prompt ${promptId}:`, error);
+            console.error(`[${this.extensionName}] Error opening prompt library:`, error);
             return {
                 success: false,
                 error: error.message,
-                message: 'Failed to apply prompt'
+                message: `Failed to open prompt library: ${error.message}`
             };
         }
     }
@@ -6456,6 +14638,9 @@ class PromptSaverManager {
                         <button class="menu_button save-current-prompt-btn" title="Save current prompt configuration">
                             💾 Save Current
                         </button>
+                        <button class="menu_button save-preset-snapshot-btn" title="Save the whole preset with its prompt order">
+                            📸 Snapshot
+                        </button>
                         <button class="menu_button browse-prompts-btn" title="Browse and manage saved prompts">
                             📚 Browse Prompts
                         </button>
@@ -6498,6 +14683,15 @@ class PromptSaverManager {
                 };
             }
 
+            // Save preset snapshot button
+            const snapshotBtn = toolbar.querySelector('.save-preset-snapshot-btn');
+            if (snapshotBtn) {
+                snapshotBtn.onclick = async () => {
+                    const result = await this.saveCurrentPresetSnapshot();
+                    this.showOperationFeedback(result);
+                };
+            }
+
             // Browse prompts button
             const browseBtn = toolbar.querySelector('.browse-prompts-btn');
             if (browseBtn) {
@@ -7241,70 +15435,427 @@ class PromptSaverManager {
     }
 
     /**
-     * Calculate operation statistics
-     * @param {Array} operationTimes - Array of operation timing data
-     * @returns {Object} Operation statistics
+     * Calculate operation statistics
+     * @param {Array} operationTimes - Array of operation timing data
+     * @returns {Object} Operation statistics
+     */
+    calculateOperationStats(operationTimes) {
+        if (!operationTimes || operationTimes.length === 0) {
+            return { totalOperations: 0 };
+        }
+
+        const stats = {
+            totalOperations: operationTimes.length,
+            averageDuration: 0,
+            minDuration: Infinity,
+            maxDuration: 0,
+            operationCounts: {}
+        };
+
+        let totalDuration = 0;
+
+        operationTimes.forEach(op => {
+            totalDuration += op.duration;
+            stats.minDuration = Math.min(stats.minDuration, op.duration);
+            stats.maxDuration = Math.max(stats.maxDuration, op.duration);
+            stats.operationCounts[op.operation] = (stats.operationCounts[op.operation] || 0) + 1;
+        });
+
+        stats.averageDuration = totalDuration / operationTimes.length;
+        if (stats.minDuration === Infinity) stats.minDuration = 0;
+
+        return stats;
+    }
+
+    /**
+     * Calculate memory usage statistics
+     * @param {Array} memoryUsage - Array of memory usage data
+     * @returns {Object} Memory statistics
+     */
+    calculateMemoryStats(memoryUsage) {
+        if (!memoryUsage || memoryUsage.length === 0) {
+            return { samples: 0 };
+        }
+
+        const latest = memoryUsage[memoryUsage.length - 1];
+        const stats = {
+            samples: memoryUsage.length,
+            current: latest,
+            peak: { heapUsed: 0, heapTotal: 0 },
+            average: { heapUsed: 0, heapTotal: 0 }
+        };
+
+        let totalHeapUsed = 0;
+        let totalHeapTotal = 0;
+
+        memoryUsage.forEach(usage => {
+            totalHeapUsed += usage.heapUsed || 0;
+            totalHeapTotal += usage.heapTotal || 0;
+            stats.peak.heapUsed = Math.max(stats.peak.heapUsed, usage.heapUsed || 0);
+            stats.peak.heapTotal = Math.max(stats.peak.heapTotal, usage.heapTotal || 0);
+        });
+
+        stats.average.heapUsed = totalHeapUsed / memoryUsage.length;
+        stats.average.heapTotal = totalHeapTotal / memoryUsage.length;
+
+        return stats;
+    }
+}
+
+/**
+ * PromptSaverAPI is the public interface for other extensions
+ *
+ * Available as window.promptSaverApi (and window['prompt-saver-extension'].api) once script.js is loaded.
+ * Every method is async, validates its arguments and resolves to a result object with a success flag,
+ * like PromptDataManager: { success: true, ... } or { success: false, error, message }.
+ * Prompts are returned as copies without their revision history; changing them does not change the library.
+ * Prompts can be referenced by ID or by name.
+ *
+ * @example
+ * const api = window.promptSaverApi;
+ * if (api && api.version.startsWith('1.')) {
+ *     const result = await api.searchPrompts('tag:style role:system');
+ *     const { unsubscribe } = api.subscribe('prompt_saver:saved', event => console.log(event.promptId, event.diff));
+ * }
+ */
+class PromptSaverAPI {
+    constructor() {
+        this.extensionName = extensionName;
+        this.version = PUBLIC_API_VERSION;
+        this.events = PROMPT_SAVER_EVENTS;
+        this.roles = ['system', 'user', 'assistant'];
+        this.searchModes = ['ranked', 'fuzzy', 'regex'];
+    }
+
+    /**
+     * Build a failed result object
+     * @param {string} error - What went wrong
+     * @param {string} message - Optional user-facing message
+     * @returns {Object} Result object
+     */
+    failure(error, message = null) {
+        return {
+            success: false,
+            error: error,
+            message: message || error
+        };
+    }
+
+    /**
+     * Get the library service, initializing the extension if needed
+     * @returns {Promise<PromptSaverManager>} The library service
+     */
+    async getService() {
+        const service = await getLibraryService();
+        if (!service) {
+            throw new Error('Prompt library is not available');
+        }
+        return service;
+    }
+
+    /**
+     * List saved prompts, most recently used first
+     * @param {Object} filters - Optional filters, same keys as PromptDataManager.getPrompts (role, favorite, tags, folder, ...)
+     * @returns {Promise<Object>} Result object with the prompts
+     */
+    async listPrompts(filters = {}) {
+        try {
+            if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+                return this.failure('filters must be an object');
+            }
+
+            const service = await this.getService();
+            const prompts = Object.values(await service.dataManager.getPrompts(filters));
+            const lastActivity = prompt => new Date(prompt.metadata?.last_used || prompt.metadata?.created_at || 0).getTime();
+            prompts.sort((a, b) => lastActivity(b) - lastActivity(a));
+
+            return {
+                success: true,
+                prompts: prompts.map(prompt => service.dataManager.clonePromptForEvent(prompt)),
+                total: prompts.length,
+                message: `Found ${prompts.length} prompts`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API listPrompts failed:`, error);
+            return this.failure(error.message, 'Failed to list prompts');
+        }
+    }
+
+    /**
+     * Search prompts with the library's query syntax, best matches first
+     * @param {string} query - Query text, e.g. tag:nsfw role:system used:>5 "exact phrase"; in regex mode a pattern
+     * @param {Object} options - Search options
+     * @param {string} options.mode - 'ranked' (default), 'fuzzy' or 'regex'
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Promise<Object>} Result object with the matching prompts, each with a searchScore
+     */
+    async searchPrompts(query, options = {}) {
+        try {
+            if (typeof query !== 'string' || !query.trim()) {
+                return this.failure('query must be a non-empty string');
+            }
+            const mode = options.mode || 'ranked';
+            if (!this.searchModes.includes(mode)) {
+                return this.failure(`mode must be one of: ${this.searchModes.join(', ')}`);
+            }
+            if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+                return this.failure('limit must be a positive integer');
+            }
+
+            const service = await this.getService();
+            const dataManager = service.dataManager;
+
+            // Regex mode takes the whole query as the pattern, like the library search box
+            let filters;
+            if (mode === 'regex') {
+                const compiled = await dataManager.checkSearchPatternSpeed(query.trim());
+                if (!compiled.success) {
+                    return this.failure(compiled.tooSlow ? compiled.error : `Invalid pattern: ${compiled.error}`);
+                }
+                filters = { search: query.trim() };
+            } else {
+                const parsed = dataManager.parseSearchQuery(query);
+                if (parsed.errors.length > 0) {
+                    return this.failure(parsed.errors.map(error => `${error.term}: ${error.message}`).join('; '), 'Invalid search query');
+                }
+                filters = parsed.filters;
+            }
+
+            const prompts = Object.values(await dataManager.getPrompts({ ...filters, searchMode: mode }));
+            const scores = filters.search ? dataManager.getSearchScores(filters.search, mode) : new Map();
+            const results = prompts
+                .map(prompt => ({ ...dataManager.clonePromptForEvent(prompt), searchScore: scores.get(prompt.id) || 0 }))
+                .sort((a, b) => b.searchScore - a.searchScore);
+
+            return {
+                success: true,
+                prompts: options.limit ? results.slice(0, options.limit) : results,
+                total: results.length,
+                message: `Found ${results.length} matching prompts`
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API searchPrompts failed:`, error);
+            return this.failure(error.message, 'Search failed');
+        }
+    }
+
+    /**
+     * Get a single prompt
+     * @param {string} reference - Prompt ID or name
+     * @returns {Promise<Object>} Result object with the prompt
+     */
+    async getPrompt(reference) {
+        try {
+            if (typeof reference !== 'string' || !reference.trim()) {
+                return this.failure('reference must be a prompt ID or name');
+            }
+
+            const service = await this.getService();
+            const promptData = await service.dataManager.resolvePromptReference(reference);
+            if (!promptData) {
+                return this.failure(`Prompt not found: ${reference}`);
+            }
+
+            return {
+                success: true,
+                prompt: service.dataManager.clonePromptForEvent(promptData),
+                message: 'Prompt found'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API getPrompt failed:`, error);
+            return this.failure(error.message, 'Failed to get prompt');
+        }
+    }
+
+    /**
+     * Save a new prompt, or update an existing one when promptData.id matches a saved prompt
+     * Fields left out of an update keep their saved values
+     * @param {Object} promptData - Prompt fields: name, content, role, injection fields and metadata (tags, folder, favorite, ...)
+     * @returns {Promise<Object>} Result object with the saved prompt
+     */
+    async savePrompt(promptData) {
+        try {
+            if (promptData === null || typeof promptData !== 'object' || Array.isArray(promptData)) {
+                return this.failure('promptData must be an object');
+            }
+            if (promptData.id !== undefined && (typeof promptData.id !== 'string' || !promptData.id.trim())) {
+                return this.failure('id must be a non-empty string');
+            }
+            if (promptData.name !== undefined && typeof promptData.name !== 'string') {
+                return this.failure('name must be a string');
+            }
+            if (promptData.role !== undefined && !this.roles.includes(promptData.role)) {
+                return this.failure(`role must be one of: ${this.roles.join(', ')}`);
+            }
+            if (promptData.metadata !== undefined && (promptData.metadata === null || typeof promptData.metadata !== 'object')) {
+                return this.failure('metadata must be an object');
+            }
+
+            const service = await this.getService();
+            const dataManager = service.dataManager;
+            const existing = promptData.id ? await dataManager.loadPrompt(promptData.id) : null;
+
+            // Library-managed fields can't be set by callers
+            const { revisions, trash, content_hash, token_count, ...fields } = promptData;
+            const record = existing ?
+                { ...existing, ...fields, metadata: { ...existing.metadata, ...(fields.metadata || {}) } } :
+                fields;
+
+            if (typeof record.content !== 'string' || !record.content.trim()) {
+                return this.failure('content must be a non-empty string');
+            }
+
+            const saveResult = await dataManager.savePrompt(record, { revisionReason: 'before_api_update' });
+            if (!saveResult.success) {
+                return this.failure(saveResult.error, saveResult.message);
+            }
+
+            return {
+                success: true,
+                prompt: dataManager.clonePromptForEvent(saveResult.promptData),
+                created: !existing,
+                message: existing ? 'Prompt updated' : 'Prompt saved'
+            };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API savePrompt failed:`, error);
+            return this.failure(error.message, 'Failed to save prompt');
+        }
+    }
+
+    /**
+     * Apply a prompt to the current preset
+     * Never interactive: template placeholders without a value use their defaults, and without options.force
+     * a prompt that would exceed the token budget is refused with budgetExceeded and budgetWarnings
+     * @param {string} reference - Prompt ID or name
+     * @param {Object} options - Apply options
+     * @param {Object} options.variables - Values for template placeholders
+     * @param {boolean} options.force - Apply even if the token budget would be exceeded
+     * @returns {Promise<Object>} Result object with the resolved content
+     */
+    async applyPrompt(reference, options = {}) {
+        try {
+            if (typeof reference !== 'string' || !reference.trim()) {
+                return this.failure('reference must be a prompt ID or name');
+            }
+            if (options === null || typeof options !== 'object') {
+                return this.failure('options must be an object');
+            }
+            if (options.variables !== undefined && (options.variables === null || typeof options.variables !== 'object')) {
+                return this.failure('variables must be an object');
+            }
+
+            const service = await this.getService();
+            const promptData = await service.dataManager.resolvePromptReference(reference);
+            if (!promptData) {
+                return this.failure(`Prompt not found: ${reference}`);
+            }
+
+            const result = await service.applyPrompt(promptData.id, {
+                variables: options.variables,
+                force: options.force === true
+            });
+            return { ...result, promptId: promptData.id };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API applyPrompt failed:`, error);
+            return this.failure(error.message, 'Failed to apply prompt');
+        }
+    }
+
+    /**
+     * Delete a prompt; it goes to the trash unless options.permanent is set
+     * @param {string} reference - Prompt ID or name
+     * @param {Object} options - Delete options
+     * @param {boolean} options.permanent - Remove the prompt for good
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async deletePrompt(reference, options = {}) {
+        try {
+            if (typeof reference !== 'string' || !reference.trim()) {
+                return this.failure('reference must be a prompt ID or name');
+            }
+            if (options === null || typeof options !== 'object') {
+                return this.failure('options must be an object');
+            }
+
+            const service = await this.getService();
+            const promptData = await service.dataManager.resolvePromptReference(reference, { includeTrashed: options.permanent === true });
+            if (!promptData) {
+                return this.failure(`Prompt not found: ${reference}`);
+            }
+
+            const result = await service.deletePrompt(promptData.id, { permanent: options.permanent === true, reason: 'api' });
+            return { ...result, promptId: promptData.id };
+
+        } catch (error) {
+            console.error(`[${this.extensionName}] API deletePrompt failed:`, error);
+            return this.failure(error.message, 'Failed to delete prompt');
+        }
+    }
+
+    /**
+     * List preset snapshots, newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.search - Match snapshot or preset names
+     * @returns {Promise<Object>} Result object with the snapshots
      */
-    calculateOperationStats(operationTimes) {
-        if (!operationTimes || operationTimes.length === 0) {
-            return { totalOperations: 0 };
-        }
-
-        const stats = {
-            totalOperations: operationTimes.length,
-            averageDuration: 0,
-            minDuration: Infinity,
-            maxDuration: 0,
-            operationCounts: {}
-        };
-
-        let totalDuration = 0;
+    async listSnapshots(filters = {}) {
+        try {
+            if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+                return this.failure('filters must be an object');
+            }
+            if (filters.search !== undefined && typeof filters.search !== 'string') {
+                return this.failure('search must be a string');
+            }
 
-        operationTimes.forEach(op => {
-            totalDuration += op.duration;
-            stats.minDuration = Math.min(stats.minDuration, op.duration);
-            stats.maxDuration = Math.max(stats.maxDuration, op.duration);
-            stats.operationCounts[op.operation] = (stats.operationCounts[op.operation] || 0) + 1;
-        });
+            const service = await this.getService();
+            const snapshots = Object.values(await service.dataManager.getSnapshots(filters))
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .map(snapshot => JSON.parse(JSON.stringify(snapshot)));
 
-        stats.averageDuration = totalDuration / operationTimes.length;
-        if (stats.minDuration === Infinity) stats.minDuration = 0;
+            return {
+                success: true,
+                snapshots: snapshots,
+                total: snapshots.length,
+                message: `Found ${snapshots.length} snapshots`
+            };
 
-        return stats;
+        } catch (error) {
+            console.error(`[${this.extensionName}] API listSnapshots failed:`, error);
+            return this.failure(error.message, 'Failed to list snapshots');
+        }
     }
 
     /**
-     * Calculate memory usage statistics
-     * @param {Array} memoryUsage - Array of memory usage data
-     * @returns {Object} Memory statistics
+     * Listen for library changes
+     * Unlike the other methods this one is synchronous
+     * @param {string} eventType - One of the values in api.events, or '*' for all of them
+     * @param {Function} callback - Receives the event ({ type, timestamp, promptId, before, after, diff, ... })
+     * @returns {Object} Result object with an unsubscribe function
      */
-    calculateMemoryStats(memoryUsage) {
-        if (!memoryUsage || memoryUsage.length === 0) {
-            return { samples: 0 };
+    subscribe(eventType, callback) {
+        const eventTypes = eventType === '*' ? Object.values(PROMPT_SAVER_EVENTS) : [eventType];
+        if (!eventTypes.every(type => Object.values(PROMPT_SAVER_EVENTS).includes(type))) {
+            return this.failure(`eventType must be '*' or one of: ${Object.values(PROMPT_SAVER_EVENTS).join(', ')}`);
+        }
+        if (typeof callback !== 'function') {
+            return this.failure('callback must be a function');
+        }
+        if (typeof eventSource === 'undefined' || typeof eventSource.on !== 'function') {
+            return this.failure('SillyTavern event source is not available');
         }
 
-        const latest = memoryUsage[memoryUsage.length - 1];
-        const stats = {
-            samples: memoryUsage.length,
-            current: latest,
-            peak: { heapUsed: 0, heapTotal: 0 },
-            average: { heapUsed: 0, heapTotal: 0 }
-        };
-
-        let totalHeapUsed = 0;
-        let totalHeapTotal = 0;
-
-        memoryUsage.forEach(usage => {
-            totalHeapUsed += usage.heapUsed || 0;
-            totalHeapTotal += usage.heapTotal || 0;
-            stats.peak.heapUsed = Math.max(stats.peak.heapUsed, usage.heapUsed || 0);
-            stats.peak.heapTotal = Math.max(stats.peak.heapTotal, usage.heapTotal || 0);
-        });
-
-        stats.average.heapUsed = totalHeapUsed / memoryUsage.length;
-        stats.average.heapTotal = totalHeapTotal / memoryUsage.length;
+        eventTypes.forEach(type => eventSource.on(type, callback));
 
-        return stats;
+        return {
+            success: true,
+            unsubscribe: () => eventTypes.forEach(type => eventSource.removeListener(type, callback)),
+            message: `Subscribed to ${eventTypes.length} event${eventTypes.length !== 1 ? 's' : ''}`
+        };
     }
 }
 
@@ -7313,15 +15864,48 @@ class PromptSaverManager {
  * Called by SillyTavern's extension system when the extension is loaded
  */
 async function init() {
+    // SillyTavern's loader and the navigation button entry point may both call init; only the first call runs
+    if (!initPromise) {
+        initPromise = initializeExtension();
+    }
+    return initPromise;
+}
+
+/**
+ * Set up storage, the data managers and the UI once
+ */
+async function initializeExtension() {
     console.log(`[${extensionName}] Initializing Prompt Saver Extension`);
     
     try {
         // Load extension settings
         await loadExtensionSettings();
         
+        // Open the prompt storage backend and migrate existing prompts if needed
+        await initializePromptStorage();
+        
         // Initialize the PromptDataManager
         promptDataManager = new PromptDataManager();
         
+        // List backups written under the old "undefined" key prefix in the backup browser
+        promptDataManager.migrateLegacyBackups();
+        
+        // Upgrade stored prompts to the current schema, refusing unknown newer data without a backup
+        const migrationResult = await promptDataManager.schemaMigrator.migrateLibrary();
+        if (!migrationResult.success) {
+            throw new Error(migrationResult.error);
+        }
+        if (migrationResult.newerSchema && typeof toastr !== 'undefined') {
+            toastr.warning(`${migrationResult.message}. A backup was created; update the extension to avoid data loss.`);
+        }
+        
+        // Permanently remove prompts that have been in the trash too long
+        await promptDataManager.purgeExpiredTrash();
+        
+        // Start scheduled backups, catching up if one was missed
+        backupScheduler = new BackupScheduler(promptDataManager);
+        await backupScheduler.start();
+        
         // Initialize the PresetIntegrator
         presetIntegrator = new PresetIntegrator();
         
@@ -7337,6 +15921,9 @@ async function init() {
         // Set up event listeners
         setupEventListeners();
         
+        // Register /ps-* slash commands
+        registerSlashCommands();
+        
         isExtensionLoaded = true;
         console.log(`[${extensionName}] Extension loaded successfully`);
         
@@ -7345,6 +15932,16 @@ async function init() {
     }
 }
 
+/**
+ * Get the prompt library service used by every entry point (navigation button, prompt manager toolbar)
+ * Initializes the extension on first use
+ * @returns {Promise<PromptSaverManager|null>} The library service, or null if initialization failed
+ */
+async function getLibraryService() {
+    await init();
+    return promptSaverManager;
+}
+
 /**
  * Load extension settings from SillyTavern's extension settings system
  */
@@ -7357,10 +15954,24 @@ async function loadExtensionSettings() {
                 default_sort: 'latest_used',
                 auto_save_enabled: true,
                 max_prompts: 1000,
-                backup_enabled: true
+                max_revisions: 20,
+                backup_enabled: true,
+                duplicate_handling: 'skip',
+                trash_retention_days: 30,
+                similarity_threshold: 0.8,
+                system_budget_share: 0.5,
+                auto_backup: true,
+                backup_interval: 24,
+                backup_retention: {
+                    hourly: 24,
+                    daily: 7,
+                    weekly: 4,
+                    monthly: 12
+                },
+                storage_backend: 'indexeddb'
             },
             metadata: {
-                version: '1.0.0',
+                version: SCHEMA_VERSION,
                 last_backup: null
             }
         };
@@ -7375,11 +15986,14 @@ async function loadExtensionSettings() {
  * Initialize UI integration with the existing prompt manager
  */
 async function initializeUI() {
-    // Wait for the prompt manager to be available
-    await waitForElement('#completion_prompt_manager_list');
+    // Add backup and retention settings to the extension settings panel
+    addSettingsPanel();
     
-    // Add extension buttons to the prompt manager toolbar
-    addPromptManagerButtons();
+    // Add extension buttons to the prompt manager toolbar once it shows up; the prompt manager
+    // only exists for chat completion APIs, so the rest of the extension doesn't wait for it
+    waitForElement('#completion_prompt_manager_list')
+        .then(() => addPromptManagerButtons())
+        .catch(error => console.warn(`[${extensionName}] Prompt manager toolbar not added:`, error.message));
     
     console.log(`[${extensionName}] UI integration completed`);
 }
@@ -7418,6 +16032,13 @@ function addPromptManagerButtons() {
     saveButton.title = 'Save the current prompt from the active completion preset';
     saveButton.onclick = handleSaveCurrentPrompt;
     
+    // Create Save Preset Snapshot button
+    const snapshotButton = document.createElement('button');
+    snapshotButton.className = 'menu_button prompt-saver-snapshot-btn';
+    snapshotButton.innerHTML = '📸 Save Preset Snapshot';
+    snapshotButton.title = 'Save the whole preset, including prompt order and enabled states';
+    snapshotButton.onclick = handleSavePresetSnapshot;
+    
     // Create Browse Saved Prompts button
     const browseButton = document.createElement('button');
     browseButton.className = 'menu_button prompt-saver-browse-btn';
@@ -7434,12 +16055,373 @@ function addPromptManagerButtons() {
     
     // Add buttons to toolbar
     toolbar.appendChild(saveButton);
+    toolbar.appendChild(snapshotButton);
     toolbar.appendChild(browseButton);
     toolbar.appendChild(addButton);
     
     console.log(`[${extensionName}] Prompt manager buttons added`);
 }
 
+/**
+ * Add the Prompt Saver section to SillyTavern's extension settings panel
+ */
+function addSettingsPanel() {
+    const settingsContainer = document.querySelector('#extensions_settings');
+    if (!settingsContainer) {
+        console.warn(`[${extensionName}] Extension settings container not found`);
+        return;
+    }
+
+    if (settingsContainer.querySelector('.prompt-saver-settings')) {
+        return;
+    }
+
+    const settings = extensionSettings.settings || {};
+    const policy = promptDataManager.getRetentionPolicy();
+
+    const panel = document.createElement('div');
+    panel.className = 'prompt-saver-settings';
+    panel.innerHTML = `
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Prompt Saver</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <label for="prompt-saver-duplicate-handling">When saving a preset, prompts already in the library are</label>
+                <select id="prompt-saver-duplicate-handling" class="text_pole">
+                    <option value="skip" ${(settings.duplicate_handling || 'skip') === 'skip' ? 'selected' : ''}>Skipped</option>
+                    <option value="merge" ${settings.duplicate_handling === 'merge' ? 'selected' : ''}>Merged (add tags and source preset)</option>
+                    <option value="update" ${settings.duplicate_handling === 'update' ? 'selected' : ''}>Updated (also take name, role and injection settings)</option>
+                </select>
+                <label for="prompt-saver-trash-retention">Purge trashed prompts after (days, 0 = never)</label>
+                <input type="number" id="prompt-saver-trash-retention" class="text_pole" min="0" value="${settings.trash_retention_days ?? 30}">
+                <label for="prompt-saver-system-budget">Warn when system prompts use more than (% of context)</label>
+                <input type="number" id="prompt-saver-system-budget" class="text_pole" min="1" max="100" value="${Math.round((settings.system_budget_share ?? 0.5) * 100)}">
+                <label class="checkbox_label" for="prompt-saver-auto-backup">
+                    <input type="checkbox" id="prompt-saver-auto-backup" ${settings.auto_backup !== false ? 'checked' : ''}>
+                    <span>Automatic backups</span>
+                </label>
+                <label for="prompt-saver-backup-interval">Backup interval (hours)</label>
+                <input type="number" id="prompt-saver-backup-interval" class="text_pole" min="1" value="${settings.backup_interval || 24}">
+                <h4>Backup retention</h4>
+                <div class="prompt-saver-retention-inputs">
+                    ${Object.entries(policy).map(([tier, count]) => `
+                        <label>
+                            Keep ${tier}
+                            <input type="number" class="text_pole prompt-saver-retention-input" data-tier="${tier}" min="0" value="${count}">
+                        </label>
+                    `).join('')}
+                </div>
+                <small>Backups taken before imports, cleanups, bulk deletes, restores and merges are pinned: they are kept regardless of the tiers until you unpin or delete them in the backup browser.</small>
+                <h4>Backup storage</h4>
+                <div class="prompt-saver-backup-usage"></div>
+            </div>
+        </div>
+    `;
+
+    // Duplicate handling
+    panel.querySelector('#prompt-saver-duplicate-handling').onchange = (e) => {
+        extensionSettings.settings.duplicate_handling = e.target.value;
+        saveSettingsDebounced();
+    };
+
+    // Trash retention
+    panel.querySelector('#prompt-saver-trash-retention').onchange = (e) => {
+        const days = parseInt(e.target.value, 10);
+        if (days >= 0) {
+            extensionSettings.settings.trash_retention_days = days;
+            saveSettingsDebounced();
+        }
+    };
+
+    // System prompt share of the context budget
+    panel.querySelector('#prompt-saver-system-budget').onchange = (e) => {
+        const percent = Number(e.target.value);
+        if (percent > 0 && percent <= 100) {
+            extensionSettings.settings.system_budget_share = percent / 100;
+            saveSettingsDebounced();
+        }
+    };
+
+    // Automatic backup toggle
+    panel.querySelector('#prompt-saver-auto-backup').onchange = (e) => {
+        extensionSettings.settings.auto_backup = e.target.checked;
+        saveSettingsDebounced();
+        backupScheduler?.start();
+    };
+
+    // Backup interval
+    panel.querySelector('#prompt-saver-backup-interval').onchange = (e) => {
+        const hours = Number(e.target.value);
+        if (hours > 0) {
+            extensionSettings.settings.backup_interval = hours;
+            saveSettingsDebounced();
+            backupScheduler?.start();
+        }
+    };
+
+    // Retention counts
+    panel.querySelectorAll('.prompt-saver-retention-input').forEach(input => {
+        input.onchange = async () => {
+            const count = parseInt(input.value, 10);
+            if (!(count >= 0)) {
+                return;
+            }
+
+            extensionSettings.settings.backup_retention = {
+                ...promptDataManager.getRetentionPolicy(),
+                [input.getAttribute('data-tier')]: count
+            };
+            saveSettingsDebounced();
+
+            await promptDataManager.cleanupOldBackups();
+            renderBackupUsage(panel);
+        };
+    });
+
+    renderBackupUsage(panel);
+    settingsContainer.appendChild(panel);
+
+    console.log(`[${extensionName}] Settings panel added`);
+}
+
+/**
+ * Render how much localStorage each backup retention tier uses
+ * @param {HTMLElement} panel - The settings panel element
+ */
+function renderBackupUsage(panel) {
+    const usageContainer = panel.querySelector('.prompt-saver-backup-usage');
+    if (!usageContainer) {
+        return;
+    }
+
+    const usage = promptDataManager.getBackupTierUsage();
+    const tierLabels = {
+        pinned: '📌 Pinned',
+        hourly: 'Hourly',
+        daily: 'Daily',
+        weekly: 'Weekly',
+        monthly: 'Monthly',
+        total: 'Total'
+    };
+
+    usageContainer.innerHTML = `
+        <table class="prompt-saver-usage-table">
+            ${Object.entries(tierLabels).map(([tier, label]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${usage[tier]?.count || 0} backups</td>
+                    <td>${promptLibraryUI.formatByteSize(usage[tier]?.size || 0)}</td>
+                </tr>
+            `).join('')}
+        </table>
+        ${usage.pinnedOverWarning ? `
+            <div class="prompt-saver-backup-warning">
+                ⚠️ Pinned backups use ${promptLibraryUI.formatByteSize(usage.pinned.size)} of browser storage and are never pruned.
+                Unpin or delete the ones you no longer need in the backup browser, or new backups may not fit.
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Register the /ps-* STscript slash commands
+ * Needs SillyTavern's slash command classes from the extension context; does nothing outside SillyTavern
+ * @returns {boolean} True if the commands were registered
+ */
+function registerSlashCommands() {
+    const context = getSillyTavernContext();
+    if (!context || !context.SlashCommandParser || !context.SlashCommand || !context.SlashCommandArgument) {
+        console.warn(`[${extensionName}] Slash command API not available, /ps-* commands not registered`);
+        return false;
+    }
+
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+    const SlashCommandEnumValue = context.SlashCommandEnumValue || globalThis.SlashCommandEnumValue;
+
+    // Saved prompt names for autocompletion, favorites and most used first
+    const promptNameEnum = () => Object.values(getPromptStorage().getPromptMap())
+        .filter(prompt => prompt && !prompt.trash)
+        .sort((a, b) => (b.metadata.favorite === true) - (a.metadata.favorite === true) ||
+            (b.metadata.usage_count || 0) - (a.metadata.usage_count || 0))
+        .map(prompt => new SlashCommandEnumValue(prompt.name, `${prompt.metadata.favorite ? '⭐ ' : ''}${prompt.role} · ${prompt.id}`));
+    const promptReferenceArgument = (description, isRequired = true) => SlashCommandArgument.fromProps({
+        description: description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: isRequired,
+        ...(SlashCommandEnumValue ? { enumProvider: promptNameEnum } : {})
+    });
+
+    // Commands return '' on failure after telling the user why, like SillyTavern's built-in commands
+    const resolveOrWarn = async (reference) => {
+        const promptData = await promptSaverManager.dataManager.resolvePromptReference(String(reference || ''));
+        if (!promptData) {
+            toastr.warning(`No saved prompt named "${reference}"`, 'Prompt Library');
+        }
+        return promptData;
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-save',
+        callback: async (args, name) => {
+            const result = await promptSaverManager.saveCurrentPrompt(String(name || '').trim() || null);
+            if (!result.success) {
+                toastr.error(result.message, 'Prompt Library');
+                return '';
+            }
+            return JSON.stringify([...result.savedPrompts, ...result.existingPrompts].map(prompt => prompt.id));
+        },
+        returns: 'JSON array of the saved prompt IDs',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'name for the saved prompt; with several prompts in the preset, a prefix for each prompt\'s own name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false
+            })
+        ],
+        helpString: 'Save the prompts of the current preset to the prompt library.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-apply',
+        callback: async (args, reference) => {
+            const promptData = await resolveOrWarn(reference);
+            if (!promptData) {
+                return '';
+            }
+            const result = await promptSaverManager.applyPrompt(promptData.id, { force: args.force === 'true' });
+            if (!result.success) {
+                if (result.budgetExceeded) {
+                    toastr.warning(`${result.budgetWarnings.join('; ')}. Use force=true to apply anyway.`, 'Prompt Library');
+                } else {
+                    toastr.error(result.message, 'Prompt Library');
+                }
+                return '';
+            }
+            return result.resolvedContent;
+        },
+        returns: 'the applied content, with template variables filled in',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'force',
+                description: 'apply even if the token budget would be exceeded',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false']
+            })
+        ],
+        unnamedArgumentList: [promptReferenceArgument('name or ID of the prompt to apply')],
+        helpString: 'Add a saved prompt to the current preset.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-list',
+        callback: async (args, query) => {
+            const queryText = String(query || '').trim();
+            const result = queryText ?
+                await promptSaverApi.searchPrompts(queryText, { mode: args.mode || 'ranked' }) :
+                await promptSaverApi.listPrompts();
+            if (!result.success) {
+                toastr.error(result.error, 'Prompt Library');
+                return '';
+            }
+            return JSON.stringify(result.prompts.map(prompt => prompt.name));
+        },
+        returns: 'JSON array of prompt names',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'search mode',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'ranked',
+                enumList: ['ranked', 'fuzzy', 'regex']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'search query, e.g. tag:style role:system "exact phrase"',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false
+            })
+        ],
+        helpString: 'List saved prompts, best matches first when a query is given, otherwise most recently used first.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-get',
+        callback: async (args, reference) => {
+            const promptData = await resolveOrWarn(reference);
+            return promptData ? promptData.content : '';
+        },
+        returns: 'the prompt content',
+        unnamedArgumentList: [promptReferenceArgument('name or ID of the prompt')],
+        helpString: 'Get the content of a saved prompt, e.g. <code>/ps-get House style | /setvar key=style</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-fav',
+        callback: async (args, reference) => {
+            // Without a prompt, list the favorites
+            if (!String(reference || '').trim()) {
+                const result = await promptSaverApi.listPrompts({ favorite: true });
+                return result.success ? JSON.stringify(result.prompts.map(prompt => prompt.name)) : '';
+            }
+
+            const promptData = await resolveOrWarn(reference);
+            if (!promptData) {
+                return '';
+            }
+            const favorite = args.state === 'on' ? true : args.state === 'off' ? false : !promptData.metadata.favorite;
+            if (favorite !== promptData.metadata.favorite) {
+                const result = await promptSaverManager.dataManager.updatePromptMetadata(promptData.id, { favorite: favorite });
+                if (!result.success) {
+                    toastr.error(result.message, 'Prompt Library');
+                    return '';
+                }
+            }
+            return String(favorite);
+        },
+        returns: 'the new favorite state, or a JSON array of favorite names when no prompt is given',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'state',
+                description: 'set instead of toggling',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'toggle',
+                enumList: ['on', 'off', 'toggle']
+            })
+        ],
+        unnamedArgumentList: [promptReferenceArgument('name or ID of the prompt', false)],
+        helpString: 'Toggle whether a saved prompt is a favorite. Without a prompt, lists the favorites.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ps-snapshot',
+        callback: async (args, name) => {
+            const result = await promptSaverManager.saveCurrentPresetSnapshot(String(name || '').trim() || null);
+            if (!result.success) {
+                toastr.error(result.message, 'Prompt Library');
+                return '';
+            }
+            toastr.success(result.message, 'Prompt Library');
+            return result.snapshotData.id;
+        },
+        returns: 'the snapshot ID',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'snapshot name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false
+            })
+        ],
+        helpString: 'Save the whole current preset, with prompt order and enabled states, as a snapshot.'
+    }));
+
+    console.log(`[${extensionName}] Slash commands registered`);
+    return true;
+}
+
 /**
  * Set up event listeners for extension functionality
  */
@@ -7450,6 +16432,13 @@ function setupEventListeners() {
     // Listen for extension settings changes
     eventSource.on('extension_settings_changed', handleSettingsChanged);
     
+    // Expand {{savedprompt::name}} macros through SillyTavern's macro parser, or in the
+    // final prompt of each generation on builds without one
+    if (!registerSavedPromptMacros()) {
+        eventSource.on('chat_completion_prompt_ready', handleChatCompletionPromptReady);
+        eventSource.on('generate_after_combine_prompts', handleTextCompletionPromptReady);
+    }
+    
     console.log(`[${extensionName}] Event listeners set up`);
 }
 
@@ -7468,7 +16457,7 @@ async function handleSaveCurrentPrompt() {
         
         if (result.success) {
             toastr.success(result.message, 'Prompt Saved');
-            console.log(`[${extensionName}] Successfully saved ${result.savedPrompts.length} prompts`);
+            console.log(`[${extensionName}] Saved ${result.newCount} new prompts, ${result.existingCount} already in library`);
         } else {
             throw new Error(result.error || 'Unknown error occurred');
         }
@@ -7479,6 +16468,37 @@ async function handleSaveCurrentPrompt() {
     }
 }
 
+/**
+ * Handle Save Preset Snapshot button click
+ */
+async function handleSavePresetSnapshot() {
+    console.log(`[${extensionName}] Save preset snapshot requested`);
+    
+    try {
+        if (!promptSaverManager) {
+            throw new Error('PromptSaverManager not initialized');
+        }
+
+        const currentPreset = presetIntegrator ? presetIntegrator.getCurrentPreset() : null;
+        const snapshotName = prompt('Snapshot name:', `${currentPreset?.name || 'Preset'} snapshot`);
+        if (snapshotName === null) {
+            return;
+        }
+
+        const result = await promptSaverManager.saveCurrentPresetSnapshot(snapshotName.trim() || null);
+        
+        if (result.success) {
+            toastr.success(result.message, 'Snapshot Saved');
+        } else {
+            throw new Error(result.error || 'Unknown error occurred');
+        }
+        
+    } catch (error) {
+        console.error(`[${extensionName}] Error saving preset snapshot:`, error);
+        toastr.error(`Failed to save preset snapshot: ${error.message}`);
+    }
+}
+
 /**
  * Handle Browse Saved Prompts button click
  */
@@ -7521,6 +16541,126 @@ async function handleAddManualPrompt() {
     }
 }
 
+/**
+ * Expand {{savedprompt::name}} macros in prompt text
+ * SillyTavern's own macros inside the inserted prompts are substituted too, since its macro pass has already run
+ * @param {string} text - Prompt text
+ * @returns {string} Text with saved prompt references replaced
+ */
+function expandSavedPromptText(text) {
+    if (!promptDataManager || typeof text !== 'string' || !text.toLowerCase().includes('{{savedprompt::')) {
+        return text;
+    }
+
+    const context = getSillyTavernContext();
+    const result = promptDataManager.expandSavedPromptMacros(text, {
+        substitute: typeof context?.substituteParams === 'function' ? context.substituteParams : null
+    });
+    result.errors.forEach(error => console.warn(`[${extensionName}] {{savedprompt::${error.reference}}}: ${error.message}`));
+    return result.text;
+}
+
+/**
+ * Register {{savedprompt::name}} and {{savedprompt::id}} with SillyTavern's macro parser
+ * The parser only matches fixed keys, so every library prompt gets its own keys, kept in step
+ * with the library through the change events. The values are looked up at generation time.
+ * @returns {boolean} True if the macro API is available
+ */
+function registerSavedPromptMacros() {
+    const context = getSillyTavernContext();
+    if (typeof context?.registerMacro !== 'function') {
+        return false;
+    }
+
+    syncSavedPromptMacros();
+    Object.values(PROMPT_SAVER_EVENTS).forEach(eventType => eventSource.on(eventType, syncSavedPromptMacros));
+    return true;
+}
+
+/**
+ * Register macro keys for new prompt names and IDs and unregister the ones no longer in the library
+ */
+function syncSavedPromptMacros() {
+    const context = getSillyTavernContext();
+    if (!promptDataManager || typeof context?.registerMacro !== 'function') {
+        return;
+    }
+
+    // Macro keys match case-insensitively, so references are keyed lowercased
+    const references = new Map();
+    Object.values(getPromptStorage().getPromptMap())
+        .filter(prompt => prompt && !prompt.trash)
+        .forEach(prompt => {
+            references.set(prompt.id.toLowerCase(), prompt.id);
+            if (prompt.name && prompt.name.trim() && !/[{}]/.test(prompt.name)) {
+                references.set(prompt.name.trim().toLowerCase(), prompt.name.trim());
+            }
+        });
+
+    registeredSavedPromptMacros.forEach(key => {
+        if (!references.has(key)) {
+            unregisterSavedPromptMacro(context, key);
+        }
+    });
+    references.forEach((reference, key) => {
+        if (registeredSavedPromptMacros.has(key)) {
+            return;
+        }
+        try {
+            context.registerMacro(`savedprompt::${key}`, () => expandSavedPromptText(`{{savedprompt::${reference}}}`),
+                'Current content of a Prompt Library prompt');
+            registeredSavedPromptMacros.add(key);
+        } catch (error) {
+            console.warn(`[${extensionName}] Could not register {{savedprompt::${key}}}:`, error);
+        }
+    });
+}
+
+/**
+ * Remove one {{savedprompt::...}} key from SillyTavern's macro parser
+ * @param {Object} context - SillyTavern context
+ * @param {string} key - Lowercased prompt name or ID
+ */
+function unregisterSavedPromptMacro(context, key) {
+    if (typeof context?.unregisterMacro === 'function') {
+        context.unregisterMacro(`savedprompt::${key}`);
+    }
+    registeredSavedPromptMacros.delete(key);
+}
+
+/**
+ * Handle the finished chat completion prompt (every message, author's note and character field included)
+ * @param {Object} eventData - Event data with the chat message array
+ */
+function handleChatCompletionPromptReady(eventData) {
+    if (!Array.isArray(eventData?.chat)) {
+        return;
+    }
+
+    eventData.chat.forEach(message => {
+        if (typeof message.content === 'string') {
+            message.content = expandSavedPromptText(message.content);
+        } else if (Array.isArray(message.content)) {
+            // Multimodal messages keep text in parts
+            message.content.forEach(part => {
+                if (part.type === 'text') {
+                    part.text = expandSavedPromptText(part.text);
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Handle the combined text completion prompt
+ * @param {Object} eventData - Event data with the prompt string
+ */
+function handleTextCompletionPromptReady(eventData) {
+    if (eventData && typeof eventData.prompt === 'string') {
+        eventData.prompt = expandSavedPromptText(eventData.prompt);
+    }
+}
+
 /**
  * Handle preset change events
  */
@@ -7535,6 +16675,11 @@ function handlePresetChanged(eventData) {
 function handleSettingsChanged() {
     console.log(`[${extensionName}] Extension settings changed`);
     extensionSettings = extension_settings[extensionName];
+    
+    // Pick up changes to auto_backup and backup_interval
+    if (backupScheduler) {
+        backupScheduler.start();
+    }
 }
 
 /**
@@ -7579,6 +16724,28 @@ function cleanup() {
     // Remove event listeners
     eventSource.removeListener('preset_changed', handlePresetChanged);
     eventSource.removeListener('extension_settings_changed', handleSettingsChanged);
+    eventSource.removeListener('chat_completion_prompt_ready', handleChatCompletionPromptReady);
+    eventSource.removeListener('generate_after_combine_prompts', handleTextCompletionPromptReady);
+    Object.values(PROMPT_SAVER_EVENTS).forEach(eventType => eventSource.removeListener(eventType, syncSavedPromptMacros));
+    const context = getSillyTavernContext();
+    [...registeredSavedPromptMacros].forEach(key => unregisterSavedPromptMacro(context, key));
+    
+    // Stop scheduled backups
+    if (backupScheduler) {
+        backupScheduler.stop();
+        backupScheduler = null;
+    }
+    
+    // Close the storage backend
+    if (promptStorage) {
+        promptStorage.close();
+        promptStorage = null;
+    }
+    
+    // Stop the library modal listening for change events
+    if (promptLibraryUI) {
+        promptLibraryUI.closeModal();
+    }
     
     // Clean up instances
     promptDataManager = null;
@@ -7594,6 +16761,7 @@ function cleanup() {
     
     // Reset extension state
     isExtensionLoaded = false;
+    initPromise = null;
     
     console.log(`[${extensionName}] Extension cleanup completed`);
 }
@@ -7606,12 +16774,26 @@ globalScope.PromptDataManager = PromptDataManager;
 globalScope.PresetIntegrator = PresetIntegrator;
 globalScope.PromptSaverManager = PromptSaverManager;
 globalScope.PromptLibraryUI = PromptLibraryUI;
+globalScope.SettingsPromptStorage = SettingsPromptStorage;
+globalScope.IndexedDBPromptStorage = IndexedDBPromptStorage;
+globalScope.BackupScheduler = BackupScheduler;
+globalScope.SchemaMigrator = SchemaMigrator;
+globalScope.TokenCounter = TokenCounter;
+globalScope.SearchIndex = SearchIndex;
+globalScope.PROMPT_SAVER_EVENTS = PROMPT_SAVER_EVENTS;
+globalScope.PromptSaverAPI = PromptSaverAPI;
+
+// Public API instance for other extensions
+const promptSaverApi = Object.freeze(new PromptSaverAPI());
+globalScope.promptSaverApi = promptSaverApi;
 
 // Export functions for SillyTavern's extension system (browser only)
 if (typeof window !== 'undefined') {
     window[extensionName] = {
         init,
-        cleanup
+        cleanup,
+        getLibraryService,
+        api: promptSaverApi
     };
 
     // Auto-initialize if the extension system is already loaded
@@ -7627,7 +16809,17 @@ if (typeof module !== 'undefined' && module.exports) {
         PresetIntegrator,
         PromptSaverManager,
         PromptLibraryUI,
+        SettingsPromptStorage,
+        IndexedDBPromptStorage,
+        BackupScheduler,
+        SchemaMigrator,
+        TokenCounter,
+        SearchIndex,
+        PROMPT_SAVER_EVENTS,
+        PromptSaverAPI,
+        promptSaverApi,
         init,
-        cleanup
+        cleanup,
+        getLibraryService
     };
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Public API tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, promptSaverApi, PROMPT_SAVER_EVENTS } = require('../script.js');
+
+const api = promptSaverApi;
+
+test.before(() => init());
+test.after(() => cleanup());
+
+/**
+ * Check that a call was refused with the given error
+ * @param {Object} result - Result object from the API
+ * @param {RegExp} error - Expected error
+ */
+function assertRefused(result, error) {
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, error);
+    assert.ok(result.message);
+}
+
+test('arguments of the wrong type are refused before the library is touched', async () => {
+    assertRefused(await api.listPrompts(null), /filters must be an object/);
+    assertRefused(await api.listPrompts(['role']), /filters must be an object/);
+    assertRefused(await api.searchPrompts('  '), /query must be a non-empty string/);
+    assertRefused(await api.searchPrompts(42), /query must be a non-empty string/);
+    assertRefused(await api.searchPrompts('text', { mode: 'semantic' }), /mode must be one of: ranked, fuzzy, regex/);
+    assertRefused(await api.searchPrompts('text', { limit: 0 }), /limit must be a positive integer/);
+    assertRefused(await api.searchPrompts('text', { limit: 1.5 }), /limit must be a positive integer/);
+    assertRefused(await api.getPrompt(''), /reference must be a prompt ID or name/);
+    assertRefused(await api.savePrompt('content'), /promptData must be an object/);
+    assertRefused(await api.savePrompt({ id: '', content: 'x' }), /id must be a non-empty string/);
+    assertRefused(await api.savePrompt({ name: 5, content: 'x' }), /name must be a string/);
+    assertRefused(await api.savePrompt({ role: 'narrator', content: 'x' }), /role must be one of: system, user, assistant/);
+    assertRefused(await api.savePrompt({ metadata: null, content: 'x' }), /metadata must be an object/);
+    assertRefused(await api.savePrompt({ name: 'Empty', content: '  ' }), /content must be a non-empty string/);
+    assertRefused(await api.applyPrompt(null), /reference must be a prompt ID or name/);
+    assertRefused(await api.applyPrompt('Somewhere', null), /options must be an object/);
+    assertRefused(await api.applyPrompt('Somewhere', { variables: 'x=1' }), /variables must be an object/);
+    assertRefused(await api.deletePrompt('Somewhere', null), /options must be an object/);
+    assertRefused(await api.listSnapshots({ search: 3 }), /search must be a string/);
+});
+
+test('invalid queries and unknown prompts are reported', async () => {
+    assertRefused(await api.searchPrompts('role:narrator'), /role:narrator: Role must be system, user or assistant/);
+    assertRefused(await api.searchPrompts('(a+)+$', { mode: 'regex' }), /too slow/);
+    assertRefused(await api.searchPrompts('[unclosed', { mode: 'regex' }), /^Invalid pattern: /);
+    assertRefused(await api.getPrompt('No such prompt'), /Prompt not found: No such prompt/);
+    assertRefused(await api.applyPrompt('No such prompt'), /Prompt not found/);
+    assertRefused(await api.deletePrompt('No such prompt'), /Prompt not found/);
+});
+
+test('prompts are saved, updated, found by name and returned as copies', async () => {
+    const created = await api.savePrompt({ name: 'API prompt', content: 'Written by another extension', role: 'user', metadata: { tags: ['api'] } });
+    assert.strictEqual(created.success, true, created.error);
+    assert.strictEqual(created.created, true);
+    assert.strictEqual(created.prompt.revisions, undefined);
+
+    // Fields left out of an update keep their values; library-managed fields are ignored
+    const updated = await api.savePrompt({ id: created.prompt.id, content: 'Rewritten', revisions: [], metadata: { favorite: true } });
+    assert.strictEqual(updated.success, true, updated.error);
+    assert.strictEqual(updated.created, false);
+    assert.strictEqual(updated.prompt.name, 'API prompt');
+    assert.deepStrictEqual(updated.prompt.metadata.tags, ['api']);
+    assert.strictEqual(updated.prompt.metadata.favorite, true);
+
+    const found = await api.getPrompt('api PROMPT');
+    assert.strictEqual(found.success, true);
+    found.prompt.content = 'Changed by the caller';
+    assert.strictEqual((await api.getPrompt(created.prompt.id)).prompt.content, 'Rewritten');
+
+    const searched = await api.searchPrompts('tag:api rewritten', { limit: 1 });
+    assert.strictEqual(searched.success, true, searched.error);
+    assert.deepStrictEqual(searched.prompts.map(prompt => prompt.id), [created.prompt.id]);
+    assert.ok(searched.prompts[0].searchScore > 0);
+
+    const listed = await api.listPrompts({ tags: ['api'] });
+    assert.strictEqual(listed.total, 1);
+});
+
+test('deleted prompts go to the trash unless deleted permanently', async () => {
+    const saved = await api.savePrompt({ name: 'Short lived', content: 'Soon gone' });
+    assert.strictEqual((await api.deletePrompt('Short lived')).success, true);
+    assertRefused(await api.getPrompt('Short lived'), /Prompt not found/);
+
+    const permanent = await api.deletePrompt('Short lived', { permanent: true });
+    assert.strictEqual(permanent.success, true, permanent.error);
+    assert.strictEqual(permanent.promptId, saved.prompt.id);
+    assert.strictEqual(extension_settings['prompt-saver-extension'].prompts[saved.prompt.id], undefined);
+});
+
+test('subscribe checks its arguments and unsubscribe stops the events', async () => {
+    assertRefused(api.subscribe('prompt_saver:renamed', () => {}), /eventType must be '\*' or one of/);
+    assertRefused(api.subscribe(PROMPT_SAVER_EVENTS.SAVED, 'callback'), /callback must be a function/);
+
+    const events = [];
+    const subscription = api.subscribe('*', event => events.push(event));
+    assert.strictEqual(subscription.success, true);
+
+    const saved = await api.savePrompt({ name: 'Watched', content: 'Observed content' });
+    await new Promise(resolve => setImmediate(resolve));
+    const savedEvent = events.find(event => event.type === PROMPT_SAVER_EVENTS.SAVED && event.promptId === saved.prompt.id);
+    assert.ok(savedEvent);
+    assert.strictEqual(savedEvent.after.content, 'Observed content');
+
+    subscription.unsubscribe();
+    const count = events.length;
+    await api.savePrompt({ name: 'Unwatched', content: 'Nobody listens' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(events.length, count);
+});
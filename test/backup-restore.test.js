@@ -0,0 +1,58 @@
+/**
+ * Backup restore tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+test('restoring a before_migration backup migrates the pre-migration prompts again', async () => {
+    await init();
+    const service = await getLibraryService();
+    const dataManager = service.dataManager;
+    const settings = extension_settings['prompt-saver-extension'];
+
+    try {
+        // A library still on schema 1.0.0 with a prompt from that schema
+        settings.metadata.version = '1.0.0';
+        settings.prompts.legacy_prompt = {
+            id: 'legacy_prompt',
+            name: 'Legacy Prompt',
+            content: 'Original legacy content',
+            metadata: {
+                created_at: '2024-01-01T00:00:00.000Z',
+                tags: 'not-an-array'
+            }
+        };
+
+        const migrationResult = await dataManager.schemaMigrator.migrateLibrary();
+        assert.strictEqual(migrationResult.success, true);
+
+        const backup = dataManager.listBackups().find(entry => entry.reason === 'before_migration');
+        assert.ok(backup, 'a before_migration backup is listed');
+
+        const rawBackup = JSON.parse(localStorage.getItem(`${dataManager.storageKey}_backup_${backup.id}`));
+        assert.strictEqual(rawBackup.version, '1.0.0', 'backup is stamped with the schema its prompts are in');
+        assert.strictEqual(rawBackup.prompts.legacy_prompt.metadata.tags, 'not-an-array', 'backup holds the records before any repair');
+        assert.ok(!('content_hash' in rawBackup.prompts.legacy_prompt), 'backup holds the records before migration');
+        assert.ok(migrationResult.changedCount > 0, 'the migration saw the unrepaired record');
+
+        // Change the prompt after the migration, then roll back
+        const prompts = await dataManager.getPrompts();
+        await dataManager.savePrompt({ ...prompts.legacy_prompt, content: 'Edited after migration' });
+
+        const restoreResult = await dataManager.restoreFromBackup(backup.id, { createBackup: false });
+        assert.strictEqual(restoreResult.success, true);
+
+        const restored = (await dataManager.getPrompts()).legacy_prompt;
+        assert.strictEqual(restored.content, 'Original legacy content');
+        assert.deepStrictEqual(restored.metadata.tags, []);
+        assert.strictEqual(restored.metadata.folder, '');
+        assert.strictEqual(restored.role, 'user');
+        assert.strictEqual(restored.content_hash, dataManager.computeContentHash('Original legacy content'));
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * Backup retention tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+    await dataManager.savePrompt({ name: 'Kept', content: 'Backed up content', role: 'system' });
+});
+
+test.after(() => cleanup());
+
+/**
+ * Create a backup and fail the test if it isn't stored
+ * Backup IDs contain the time in milliseconds, so backups are taken a few milliseconds apart
+ * @param {string} reason - Backup reason
+ * @returns {Promise<string>} The backup ID
+ */
+async function createBackup(reason) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const result = await dataManager.createAutomaticBackup(reason);
+    assert.strictEqual(result.success, true, result.error);
+    return result.backupId;
+}
+
+test('pinned backups are never pruned by the retention policy', async () => {
+    const pinnedBefore = dataManager.classifyBackups().pinned.length;
+    for (let i = 0; i < 12; i++) {
+        await createBackup('before_import');
+    }
+
+    const cleanupResult = await dataManager.cleanupOldBackups();
+    assert.strictEqual(cleanupResult.deletedCount, 0);
+    assert.strictEqual(dataManager.classifyBackups().pinned.length, pinnedBefore + 12);
+    assert.strictEqual(dataManager.classifyBackups().expired.length, 0);
+});
+
+test('unpinned backups fall under the retention tiers', async () => {
+    const backups = dataManager.listBackups();
+    backups.slice(1).forEach(backup => {
+        assert.strictEqual(dataManager.setBackupPinned(backup.id, false).success, true);
+    });
+
+    await dataManager.cleanupOldBackups();
+
+    // All were taken in the same hour, so the tiers keep only the newest unpinned one
+    const tiers = dataManager.classifyBackups();
+    assert.deepStrictEqual(tiers.pinned.map(backup => backup.id), [backups[0].id]);
+    assert.strictEqual(dataManager.listBackups().length, 2);
+});
+
+test('the usage report flags pinned backups above the warning size', () => {
+    assert.strictEqual(dataManager.getBackupTierUsage().pinnedOverWarning, false);
+
+    const warningSize = dataManager.pinnedBackupWarningSize;
+    dataManager.pinnedBackupWarningSize = 1;
+    try {
+        assert.strictEqual(dataManager.getBackupTierUsage().pinnedOverWarning, true);
+    } finally {
+        dataManager.pinnedBackupWarningSize = warningSize;
+    }
+});
+
+test('a library from a newer schema is backed up once, not on every startup', async () => {
+    const settings = extension_settings['prompt-saver-extension'];
+    const version = settings.metadata.version;
+    settings.metadata.version = '99.0.0';
+
+    try {
+        for (let i = 0; i < 3; i++) {
+            const result = await dataManager.schemaMigrator.migrateLibrary();
+            assert.strictEqual(result.newerSchema, true);
+        }
+        const newerSchemaBackups = dataManager.listBackups().filter(backup => backup.reason === 'before_newer_schema');
+        assert.strictEqual(newerSchemaBackups.length, 1);
+        assert.strictEqual(newerSchemaBackups[0].version, '99.0.0');
+    } finally {
+        settings.metadata.version = version;
+    }
+});
+
+test('automatic backups leave out revision histories unless asked for them', async () => {
+    const saved = (await dataManager.savePrompt({ name: 'Revised', content: 'First version', role: 'system' })).promptData;
+    await dataManager.savePrompt({ ...saved, content: 'Second version' });
+    assert.strictEqual((await dataManager.getPrompts())[saved.id].revisions.length, 1);
+
+    const readBackup = (backupId) => JSON.parse(localStorage.getItem(`${dataManager.storageKey}_backup_${backupId}`));
+    const slimBackupId = await createBackup('automatic');
+    const slim = readBackup(slimBackupId).prompts[saved.id];
+    assert.strictEqual(slim.content, 'Second version');
+    assert.ok(!('revisions' in slim));
+
+    // Restoring from a backup without histories keeps the live history
+    await dataManager.savePrompt({ ...(await dataManager.getPrompts())[saved.id], content: 'Third version' });
+    const restoreResult = await dataManager.restoreFromBackup(slimBackupId, { promptIds: [saved.id], createBackup: false });
+    assert.strictEqual(restoreResult.success, true, restoreResult.error);
+    const restored = (await dataManager.getPrompts())[saved.id];
+    assert.strictEqual(restored.content, 'Second version');
+    assert.strictEqual(restored.revisions.length, 3);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const full = await dataManager.createAutomaticBackup('automatic', { includeRevisions: true });
+    assert.strictEqual(readBackup(full.backupId).prompts[saved.id].revisions.length, 3);
+});
@@ -0,0 +1,114 @@
+/**
+ * Folder tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+});
+
+test.after(() => cleanup());
+
+/**
+ * Save a prompt in a folder
+ * @param {string} name - Prompt name
+ * @param {string} folder - Folder path
+ * @returns {Promise<string>} The prompt ID
+ */
+async function savePromptIn(name, folder) {
+    const result = await dataManager.savePrompt({ name: name, content: `${name} content`, role: 'system', metadata: { folder: folder } });
+    assert.strictEqual(result.success, true, result.error);
+    return result.promptData.id;
+}
+
+/**
+ * Get the folder of a stored prompt
+ * @param {string} promptId - The prompt ID
+ * @returns {Promise<string>} Folder path
+ */
+async function folderOf(promptId) {
+    return (await dataManager.getPrompts())[promptId].metadata.folder;
+}
+
+test('folder paths are normalized', async () => {
+    assert.strictEqual(dataManager.normalizeFolderPath(' NSFW / Jailbreaks/ '), 'NSFW/Jailbreaks');
+    assert.strictEqual(dataManager.normalizeFolderPath('//'), '');
+
+    const promptId = await savePromptIn('Spaced', ' Writing /  Style ');
+    assert.strictEqual(await folderOf(promptId), 'Writing/Style');
+});
+
+test('a folder only contains its own subfolders', () => {
+    assert.strictEqual(dataManager.isInFolder('Writing/Style', 'Writing'), true);
+    assert.strictEqual(dataManager.isInFolder('Writing', 'Writing'), true);
+    assert.strictEqual(dataManager.isInFolder('Writings', 'Writing'), false);
+    assert.strictEqual(dataManager.isInFolder('', 'Writing'), false);
+});
+
+test('the folder tree counts prompts directly in a folder and below it', async () => {
+    await savePromptIn('Top', 'Tree');
+    await savePromptIn('Nested', 'Tree/Branch');
+
+    const tree = (await dataManager.getFolderTree()).find(node => node.path === 'Tree');
+    assert.strictEqual(tree.promptCount, 1);
+    assert.strictEqual(tree.totalCount, 2);
+    assert.deepStrictEqual(tree.children.map(child => child.path), ['Tree/Branch']);
+});
+
+test('moving prompts sets their folder, an empty path moves them to the root', async () => {
+    const promptId = await savePromptIn('Mover', '');
+
+    const moved = await dataManager.movePromptsToFolder([promptId], 'Moved / Here');
+    assert.strictEqual(moved.movedCount, 1);
+    assert.strictEqual(await folderOf(promptId), 'Moved/Here');
+
+    await dataManager.movePromptsToFolder([promptId], '');
+    assert.strictEqual(await folderOf(promptId), '');
+
+    assert.strictEqual((await dataManager.movePromptsToFolder('not-an-array', 'X')).success, false);
+});
+
+test('renaming a folder moves its subfolders and prompts', async () => {
+    const topId = await savePromptIn('Renamed top', 'Old');
+    const nestedId = await savePromptIn('Renamed nested', 'Old/Sub');
+    const otherId = await savePromptIn('Lookalike', 'Older');
+    await dataManager.createFolder('Old/Empty');
+
+    const result = await dataManager.renameFolder('Old', 'New/Place');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.movedCount, 2);
+    assert.strictEqual(await folderOf(topId), 'New/Place');
+    assert.strictEqual(await folderOf(nestedId), 'New/Place/Sub');
+    assert.strictEqual(await folderOf(otherId), 'Older');
+
+    const folders = await dataManager.getFolders();
+    assert.ok(folders.includes('New/Place/Empty'));
+    assert.ok(!folders.some(folder => folder === 'Old' || folder.startsWith('Old/')));
+});
+
+test('a folder cannot be moved into its own subfolder', async () => {
+    await savePromptIn('Loop', 'Loop');
+    const result = await dataManager.renameFolder('Loop', 'Loop/Inner');
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /own subfolder/);
+});
+
+test('deleting a folder moves its prompts and subfolders up to the parent', async () => {
+    const directId = await savePromptIn('Direct', 'Parent/Gone');
+    const nestedId = await savePromptIn('Deeper', 'Parent/Gone/Deep');
+
+    const result = await dataManager.deleteFolder('Parent/Gone');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(await folderOf(directId), 'Parent');
+    assert.strictEqual(await folderOf(nestedId), 'Parent/Deep');
+
+    assert.strictEqual((await dataManager.deleteFolder('')).success, false);
+});
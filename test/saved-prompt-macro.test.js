@@ -0,0 +1,132 @@
+/**
+ * {{savedprompt::name}} macro tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+
+// SillyTavern's macro parser, reduced to the registered keys and their value functions
+const macros = new Map();
+global.SillyTavern = {
+    getContext: () => ({
+        registerMacro: (key, value) => macros.set(key, value),
+        unregisterMacro: (key) => macros.delete(key),
+        substituteParams: (text) => text.replace(/\{\{user\}\}/g, 'Alex')
+    })
+};
+
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+});
+
+test.after(() => {
+    cleanup();
+    assert.deepStrictEqual([...macros.keys()], [], 'cleanup unregisters every macro');
+});
+
+/**
+ * Save a prompt for the macro tests
+ * @param {string} name - Prompt name
+ * @param {string} content - Prompt content
+ * @returns {Promise<string>} The prompt ID
+ */
+async function save(name, content) {
+    const result = await dataManager.savePrompt({ name: name, content: content, role: 'system' });
+    assert.strictEqual(result.success, true, result.error);
+    return result.promptData.id;
+}
+
+/**
+ * Wait for the library change events to reach their listeners
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+test('references are replaced with the current content, nested ones included', async () => {
+    const styleId = await save('Style guide', 'Be concise. {{savedprompt::Tone}}');
+    await save('Tone', 'Warm {{ps:mood|default=and friendly}} tone for {{user}}.');
+
+    const result = dataManager.expandSavedPromptMacros('Rules: {{SAVEDPROMPT::style guide}} / {{savedprompt::' + styleId + '}}', {
+        substitute: text => text.toUpperCase()
+    });
+    assert.strictEqual(result.text, 'Rules: BE CONCISE. WARM AND FRIENDLY TONE FOR {{USER}}. / BE CONCISE. WARM AND FRIENDLY TONE FOR {{USER}}.');
+    assert.strictEqual(result.expandedIds.length, 2);
+    assert.deepStrictEqual(result.errors, []);
+
+    const text = 'No references here';
+    assert.strictEqual(dataManager.expandSavedPromptMacros(text).text, text);
+});
+
+test('a reference cycle is cut and reported with the prompts involved', async () => {
+    await save('Loop A', 'A then {{savedprompt::Loop B}}');
+    await save('Loop B', 'B then {{savedprompt::Loop A}}');
+    await save('Self', 'me {{savedprompt::self}}');
+
+    const result = dataManager.expandSavedPromptMacros('{{savedprompt::Loop A}} | {{savedprompt::Self}}');
+    assert.strictEqual(result.text, 'A then B then  | me ');
+    assert.deepStrictEqual(result.errors, [
+        { reference: 'Loop A', message: 'Reference cycle: Loop A → Loop B → Loop A' },
+        { reference: 'self', message: 'Reference cycle: Self → Self' }
+    ]);
+});
+
+test('unknown names are replaced with nothing and reported once', () => {
+    const result = dataManager.expandSavedPromptMacros('x{{savedprompt::Nowhere}}y{{savedprompt::Nowhere}}z');
+    assert.strictEqual(result.text, 'xyz');
+    assert.deepStrictEqual(result.errors, [{ reference: 'Nowhere', message: 'No saved prompt named "Nowhere"' }]);
+});
+
+test('expansion stops at the nesting depth limit', async () => {
+    const depth = dataManager.savedPromptMacroLimits.depth;
+    for (let level = 1; level <= depth + 1; level++) {
+        await save(`Level ${level}`, level <= depth ? `${level} {{savedprompt::Level ${level + 1}}}` : 'bottom');
+    }
+
+    const result = dataManager.expandSavedPromptMacros('{{savedprompt::Level 1}}');
+    assert.strictEqual(result.text, '1 2 3 4 5 ');
+    assert.deepStrictEqual(result.errors, [{ reference: `Level ${depth + 1}`, message: `References nested deeper than ${depth} levels` }]);
+});
+
+test('expansion stops once the inserted text exceeds the length limit', async () => {
+    const limit = dataManager.savedPromptMacroLimits.outputLength;
+    await save('Half', 'x'.repeat(Math.ceil(limit / 2) + 1));
+
+    // Each reference inserts the prompt again, so repeating it multiplies the output
+    const result = dataManager.expandSavedPromptMacros('{{savedprompt::Half}}{{savedprompt::Half}}{{savedprompt::Half}}');
+    assert.strictEqual(result.text.length, Math.ceil(limit / 2) + 1);
+    assert.deepStrictEqual(result.errors, [{ reference: 'Half', message: `Expanded text longer than ${limit} characters` }]);
+});
+
+test('a macro is registered for each prompt name and ID and follows library changes', async () => {
+    const id = await save('Greeting', 'Hello {{user}}');
+    const oddId = await save('Odd {name}', 'Braces in the name');
+    await settle();
+
+    assert.ok(macros.has('savedprompt::greeting'));
+    assert.ok(macros.has(`savedprompt::${id.toLowerCase()}`));
+    // Braces would end the macro early, so such a name is only reachable by ID
+    assert.ok(!macros.has('savedprompt::odd {name}'));
+    assert.ok(macros.has(`savedprompt::${oddId.toLowerCase()}`));
+    // The value is looked up at generation time, with SillyTavern's macros substituted
+    assert.strictEqual(macros.get('savedprompt::greeting')(), 'Hello Alex');
+
+    const renamed = await dataManager.savePrompt({ ...dataManager.findPromptByReference(id), name: 'Welcome' });
+    assert.strictEqual(renamed.success, true, renamed.error);
+    await settle();
+    assert.ok(!macros.has('savedprompt::greeting'));
+    assert.ok(macros.has('savedprompt::welcome'));
+
+    await dataManager.deletePrompt(id);
+    await settle();
+    assert.ok(!macros.has('savedprompt::welcome'));
+    assert.ok(!macros.has(`savedprompt::${id.toLowerCase()}`));
+});
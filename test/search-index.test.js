@@ -0,0 +1,102 @@
+/**
+ * BM25 search index tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, SearchIndex } = require('../script.js');
+
+// Loading script.js starts the extension; wait for it so cleanup() can stop it
+test.before(() => init());
+test.after(() => cleanup());
+
+/**
+ * Build a prompt record with the indexed fields
+ * @param {string} id - Prompt ID
+ * @param {string} name - Prompt name
+ * @param {string} content - Prompt content
+ * @param {Array<string>} tags - Tags
+ * @returns {Object} Prompt record
+ */
+function prompt(id, name, content, tags = []) {
+    return { id: id, name: name, content: content, metadata: { tags: tags } };
+}
+
+/**
+ * Build an index over some prompts
+ * @param {Array<Object>} prompts - Prompt records
+ * @returns {SearchIndex} The index
+ */
+function indexOf(prompts) {
+    const index = new SearchIndex();
+    prompts.forEach(promptData => index.addDocument(promptData));
+    return index;
+}
+
+test('tokenize lowercases words and splits CJK text into characters', () => {
+    const index = new SearchIndex();
+    assert.deepStrictEqual(index.tokenize('Hello, World! 42'), ['hello', 'world', '42']);
+    assert.deepStrictEqual(index.tokenize('日本語abc'), ['日', '本', '語', 'abc']);
+});
+
+test('a match in the name ranks above the same match in the content', () => {
+    const index = indexOf([
+        prompt('content', 'Writing guide', 'Describe the dragon in detail'),
+        prompt('name', 'Dragon rules', 'Keep descriptions short')
+    ]);
+    assert.deepStrictEqual(index.search('dragon').map(result => result.id), ['name', 'content']);
+});
+
+test('tags weigh more than content', () => {
+    const index = indexOf([
+        prompt('content', 'First', 'Some horror atmosphere'),
+        prompt('tags', 'Second', 'Some atmosphere', ['horror'])
+    ]);
+    assert.strictEqual(index.search('horror')[0].id, 'tags');
+});
+
+test('every query term has to match', () => {
+    const index = indexOf([
+        prompt('both', 'Knight', 'A brave knight fights the dragon'),
+        prompt('one', 'Dragon', 'A sleeping dragon')
+    ]);
+    assert.deepStrictEqual(index.search('dragon knight').map(result => result.id), ['both']);
+    assert.deepStrictEqual(index.search('dragon unicorn'), []);
+    assert.deepStrictEqual(index.search('  '), []);
+});
+
+test('rarer terms count for more and exact terms rank above prefix matches', () => {
+    const index = indexOf([
+        prompt('exact', 'Note', 'style'),
+        prompt('prefix', 'Note', 'stylesheet'),
+        prompt('other', 'Note', 'nothing')
+    ]);
+    const results = index.search('style');
+    assert.deepStrictEqual(results.map(result => result.id), ['exact', 'prefix']);
+    assert.ok(results[0].score > results[1].score);
+});
+
+test('updating, removing and syncing keep the index current', () => {
+    const index = indexOf([prompt('a', 'Alpha', 'first text'), prompt('b', 'Beta', 'second text')]);
+    const version = index.version;
+
+    index.addDocument(prompt('a', 'Alpha', 'rewritten words'));
+    assert.deepStrictEqual(index.search('first'), []);
+    assert.deepStrictEqual(index.search('rewritten').map(result => result.id), ['a']);
+
+    index.removeDocument('b');
+    assert.deepStrictEqual(index.search('second'), []);
+    assert.ok(index.version > version);
+
+    // sync() re-indexes changed prompts, drops missing and trashed ones and reports how many changed
+    const changed = index.sync({
+        a: prompt('a', 'Alpha', 'rewritten words'),
+        c: prompt('c', 'Gamma', 'third text'),
+        d: { ...prompt('d', 'Delta', 'trashed text'), trash: { deleted_at: new Date().toISOString() } }
+    });
+    assert.strictEqual(changed, 1);
+    assert.deepStrictEqual(index.search('text').map(result => result.id), ['c']);
+    assert.strictEqual(index.sync({ a: prompt('a', 'Alpha', 'rewritten words'), c: prompt('c', 'Gamma', 'third text') }), 0);
+});
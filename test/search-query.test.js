@@ -0,0 +1,131 @@
+/**
+ * Search query parsing tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+});
+
+test.after(() => cleanup());
+
+/**
+ * Parse a query that is expected to be valid
+ * @param {string} query - Query text
+ * @returns {Object} Parsed filters
+ */
+function filtersOf(query) {
+    const result = dataManager.parseSearchQuery(query);
+    assert.strictEqual(result.success, true, result.message);
+    return result.filters;
+}
+
+/**
+ * Build a prompt record for filtering
+ * @param {string} name - Prompt name
+ * @param {Object} metadata - Metadata fields
+ * @param {string} role - Prompt role
+ * @returns {Object} Prompt record
+ */
+function prompt(name, metadata = {}, role = 'system') {
+    return { id: name, name: name, content: `${name} content`, role: role, metadata: { tags: [], ...metadata } };
+}
+
+test('field terms, aliases and negation fill the matching filters', () => {
+    assert.deepStrictEqual(filtersOf('tag:fantasy tags:dark -tag:old role:User -role:assistant fav:yes'), {
+        allTags: ['fantasy', 'dark'],
+        excludeTags: ['old'],
+        role: 'user',
+        excludeRoles: ['assistant'],
+        favorite: true,
+        search: ''
+    });
+    assert.strictEqual(filtersOf('-favorite:no').favorite, true);
+    assert.deepStrictEqual(filtersOf('preset:Default -preset:Old folder:/Work/ -folder:Drafts'), {
+        preset: 'Default',
+        excludePresets: ['Old'],
+        folder: 'Work',
+        excludeFolders: ['Drafts'],
+        search: ''
+    });
+});
+
+test('phrases, excluded words and free text are kept apart', () => {
+    assert.deepStrictEqual(filtersOf('dragon "exact phrase" -boring knight tag:"two words"'), {
+        phrases: ['exact phrase'],
+        excludeTerms: ['boring'],
+        allTags: ['two words'],
+        search: 'dragon knight'
+    });
+    assert.deepStrictEqual(filtersOf(''), { search: '' });
+    // A field that is still being typed is ignored rather than reported
+    assert.deepStrictEqual(filtersOf('tag: -'), { search: '' });
+});
+
+test('numeric fields accept comparisons and ranges', () => {
+    const filters = filtersOf('used:>5 tokens:100..200 age:<=30');
+    assert.strictEqual(filters.minUsage, 6);
+    assert.strictEqual(filters.maxUsage, null);
+    assert.strictEqual(filters.minTokens, 100);
+    assert.strictEqual(filters.maxTokens, 200);
+    assert.strictEqual(filters.minAgeDays, null);
+    assert.strictEqual(filters.maxAgeDays, 30);
+
+    assert.deepStrictEqual(dataManager.parseQueryComparison('<3'), { min: null, max: 2 });
+    assert.deepStrictEqual(dataManager.parseQueryComparison('<0'), { min: null, max: 0 });
+    assert.deepStrictEqual(dataManager.parseQueryComparison('>=4'), { min: 4, max: null });
+    assert.deepStrictEqual(dataManager.parseQueryComparison('7'), { min: 7, max: 7 });
+    assert.strictEqual(dataManager.parseQueryComparison('many'), null);
+});
+
+test('invalid terms are reported and the rest of the query still parses', () => {
+    const result = dataManager.parseSearchQuery('colour:red role:narrator fav:maybe -used:>2 tokens:lots tag:kept');
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.errors.map(error => error.term), ['colour:red', 'role:narrator', 'fav:maybe', '-used:>2', 'tokens:lots']);
+    assert.strictEqual(result.errors[0].message, 'Unknown field "colour"');
+    assert.match(result.errors[3].message, /cannot be excluded/);
+    assert.match(result.message, /^colour:red: Unknown field "colour"; /);
+    assert.deepStrictEqual(result.filters.allTags, ['kept']);
+    assert.strictEqual(result.filters.role, undefined);
+});
+
+test('tag: terms need every tag while the sidebar tag filter needs any', () => {
+    const prompts = {
+        both: prompt('both', { tags: ['Fantasy', 'dark'] }),
+        one: prompt('one', { tags: ['fantasy'] }),
+        none: prompt('none', { tags: ['scifi'] })
+    };
+
+    const ids = filters => Object.keys(dataManager.applyFilters(prompts, { ...dataManager.getDefaultFilters(), ...filters })).sort();
+
+    assert.deepStrictEqual(ids(filtersOf('tag:fantasy tag:DARK')), ['both']);
+    assert.deepStrictEqual(ids({ tags: ['fantasy', 'dark'] }), ['both', 'one']);
+    assert.deepStrictEqual(ids(filtersOf('-tag:dark')), ['none', 'one']);
+});
+
+test('query-only filters check phrases, exclusions, presets and usage', () => {
+    const prompts = {
+        hero: prompt('hero', { source_preset: 'Main Preset', usage_count: 8 }),
+        villain: prompt('villain', { source_presets: ['Old Preset'], usage_count: 1 }, 'assistant'),
+        sidekick: prompt('sidekick', { usage_count: 3, folder: 'Drafts/Minor' })
+    };
+
+    const ids = query => Object.keys(prompts).filter(id => dataManager.matchesQueryFilters(prompts[id], filtersOf(query))).sort();
+
+    assert.deepStrictEqual(ids('"hero content"'), ['hero']);
+    assert.deepStrictEqual(ids('-villain'), ['hero', 'sidekick']);
+    assert.deepStrictEqual(ids('preset:main'), ['hero']);
+    assert.deepStrictEqual(ids('-preset:old'), ['hero', 'sidekick']);
+    assert.deepStrictEqual(ids('-role:assistant'), ['hero', 'sidekick']);
+    assert.deepStrictEqual(ids('-folder:Drafts'), ['hero', 'villain']);
+    assert.deepStrictEqual(ids('used:2..5'), ['sidekick']);
+    assert.deepStrictEqual(ids('used:>=3'), ['hero', 'sidekick']);
+});
@@ -0,0 +1,102 @@
+/**
+ * Search and filtering tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+});
+
+test.after(() => cleanup());
+
+/**
+ * Save a prompt and fail the test if saving fails
+ * @param {Object} promptData - Partial prompt data
+ * @returns {Promise<Object>} The saved prompt
+ */
+async function savePrompt(promptData) {
+    const result = await dataManager.savePrompt({ role: 'system', ...promptData });
+    assert.strictEqual(result.success, true, result.error);
+    return result.promptData;
+}
+
+test('a search sees prompts saved after the same query was cached', async () => {
+    await savePrompt({ name: 'First dragon', content: 'A dragon guards the gate' });
+    const search = async () => dataManager.filterAndSortPrompts(await dataManager.getPrompts(), { search: 'dragon' });
+
+    assert.strictEqual((await search()).length, 1);
+
+    const second = await savePrompt({ name: 'Second', content: 'The dragon sleeps' });
+    assert.strictEqual((await search()).length, 2);
+
+    await dataManager.updatePromptMetadata(second.id, { tags: ['lore'] });
+    await dataManager.deletePrompt(second.id);
+    assert.strictEqual((await search()).length, 1);
+
+    await dataManager.restoreFromTrash(second.id);
+    assert.strictEqual((await search()).length, 2);
+});
+
+/**
+ * Run a test body with a fake Web Worker that answers every message the given way
+ * @param {string} behavior - 'finish', 'error' or 'hang'
+ * @param {Function} body - Test body
+ */
+async function withWorker(behavior, body) {
+    global.Worker = class {
+        postMessage() {
+            setTimeout(() => {
+                if (behavior === 'finish') {
+                    this.onmessage({ data: 'done' });
+                } else if (behavior === 'error') {
+                    this.onerror(new Error('Blocked by content security policy'));
+                }
+            }, 0);
+        }
+
+        terminate() {}
+    };
+    try {
+        await body();
+    } finally {
+        delete global.Worker;
+        dataManager.slowSearchPatterns.clear();
+    }
+}
+
+test('a regex pattern that finishes in the worker is accepted', async () => {
+    await withWorker('finish', async () => {
+        assert.strictEqual((await dataManager.checkSearchPatternSpeed('(a+)+$')).success, true);
+    });
+});
+
+test('a regex pattern that times out in the worker is refused and remembered', async () => {
+    const timeoutMs = dataManager.regexSearchLimits.timeoutMs;
+    dataManager.regexSearchLimits.timeoutMs = 20;
+    try {
+        await withWorker('hang', async () => {
+            const result = await dataManager.checkSearchPatternSpeed('dragon');
+            assert.strictEqual(result.tooSlow, true);
+            assert.strictEqual(dataManager.compileSearchPattern('dragon').success, false);
+        });
+    } finally {
+        dataManager.regexSearchLimits.timeoutMs = timeoutMs;
+    }
+});
+
+test('a worker that fails to run falls back to the nested repetition check', async () => {
+    await withWorker('error', async () => {
+        const slow = await dataManager.checkSearchPatternSpeed('(a+)+$');
+        assert.strictEqual(slow.success, false);
+        assert.strictEqual(slow.tooSlow, true);
+        assert.strictEqual((await dataManager.checkSearchPatternSpeed('drag(on)?')).success, true);
+    });
+});
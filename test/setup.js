@@ -0,0 +1,31 @@
+/**
+ * Shared test environment: the browser and SillyTavern globals that the
+ * Node.js mocks in script.js don't provide
+ * Require before script.js; each test file runs in its own process.
+ */
+
+// Minimal localStorage so automatic backups are actually written
+const localStore = new Map();
+global.localStorage = {
+    get length() { return localStore.size; },
+    key: (index) => [...localStore.keys()][index] ?? null,
+    getItem: (key) => localStore.has(key) ? localStore.get(key) : null,
+    setItem: (key, value) => { localStore.set(key, String(value)); },
+    removeItem: (key) => { localStore.delete(key); }
+};
+
+// SillyTavern's event bus, recording emitted events for assertions
+const listeners = new Map();
+global.eventSource = {
+    on: (type, callback) => {
+        listeners.set(type, [...(listeners.get(type) || []), callback]);
+    },
+    removeListener: (type, callback) => {
+        listeners.set(type, (listeners.get(type) || []).filter(listener => listener !== callback));
+    },
+    emit: async (type, ...args) => {
+        (listeners.get(type) || []).forEach(listener => listener(...args));
+    }
+};
+
+module.exports = { localStore, listeners };
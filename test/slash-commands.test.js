@@ -0,0 +1,120 @@
+/**
+ * /ps-* slash command tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+
+// SillyTavern's slash command classes, reduced to recording what the extension registers
+const commands = new Map();
+const withProps = props => ({ ...props });
+class SlashCommandEnumValue {
+    constructor(value, description) {
+        this.value = value;
+        this.description = description;
+    }
+}
+global.SillyTavern = {
+    getContext: () => ({
+        SlashCommandParser: { addCommandObject: command => commands.set(command.name, command) },
+        SlashCommand: { fromProps: withProps },
+        SlashCommandArgument: { fromProps: withProps },
+        SlashCommandNamedArgument: { fromProps: withProps },
+        SlashCommandEnumValue: SlashCommandEnumValue,
+        ARGUMENT_TYPE: { STRING: 'string', BOOLEAN: 'bool' }
+    })
+};
+
+const toasts = [];
+global.toastr = {
+    success: () => {},
+    info: () => {},
+    error: (message) => toasts.push({ type: 'error', message: message }),
+    warning: (message) => toasts.push({ type: 'warning', message: message })
+};
+
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+    await dataManager.savePrompt({ name: 'House style', content: 'Write in present tense.', role: 'system', metadata: { tags: ['style'] } });
+    await dataManager.savePrompt({ name: 'Villain voice', content: 'Speak with menace.', role: 'assistant', metadata: { tags: ['voice'], usage_count: 4 } });
+});
+
+test.after(() => cleanup());
+
+/**
+ * Run a registered command the way SillyTavern's parser calls it
+ * @param {string} name - Command name
+ * @param {Object} args - Named arguments
+ * @param {string} value - Unnamed argument
+ * @returns {Promise<string>} The command's pipe output
+ */
+function run(name, args = {}, value = '') {
+    assert.ok(commands.has(name), `/${name} is registered`);
+    return commands.get(name).callback(args, value);
+}
+
+test('every /ps-* command is registered with help and arguments', () => {
+    assert.deepStrictEqual([...commands.keys()].sort(), ['ps-apply', 'ps-fav', 'ps-get', 'ps-list', 'ps-save', 'ps-snapshot']);
+    commands.forEach(command => {
+        assert.ok(command.helpString, `/${command.name} has help`);
+        assert.ok(command.unnamedArgumentList.length > 0, `/${command.name} takes an argument`);
+    });
+    assert.strictEqual(commands.get('ps-apply').unnamedArgumentList[0].isRequired, true);
+    assert.strictEqual(commands.get('ps-fav').unnamedArgumentList[0].isRequired, false);
+    assert.deepStrictEqual(commands.get('ps-list').namedArgumentList[0].enumList, ['ranked', 'fuzzy', 'regex']);
+});
+
+test('prompt arguments autocomplete saved names, favorites and most used first', async () => {
+    const trashed = await dataManager.savePrompt({ name: 'Old draft', content: 'Gone', role: 'user' });
+    await dataManager.deletePrompt(trashed.promptData.id);
+
+    const names = commands.get('ps-get').unnamedArgumentList[0].enumProvider();
+    assert.ok(names.every(value => value instanceof SlashCommandEnumValue));
+    assert.deepStrictEqual(names.map(value => value.value), ['Villain voice', 'House style']);
+    assert.match(names[1].description, /^system · /);
+});
+
+test('/ps-get returns the content of a prompt by name or ID', async () => {
+    const houseStyle = dataManager.findPromptByReference('House style');
+    assert.strictEqual(await run('ps-get', {}, 'house style'), 'Write in present tense.');
+    assert.strictEqual(await run('ps-get', {}, houseStyle.id), 'Write in present tense.');
+
+    toasts.length = 0;
+    assert.strictEqual(await run('ps-get', {}, 'Missing prompt'), '');
+    assert.deepStrictEqual(toasts, [{ type: 'warning', message: 'No saved prompt named "Missing prompt"' }]);
+});
+
+test('/ps-list returns matching names as JSON and reports bad queries', async () => {
+    assert.deepStrictEqual(JSON.parse(await run('ps-list', {}, 'tag:style')), ['House style']);
+    assert.deepStrictEqual(JSON.parse(await run('ps-list', { mode: 'regex' }, 'men[a-z]ce')), ['Villain voice']);
+    assert.deepStrictEqual(JSON.parse(await run('ps-list')).sort(), ['House style', 'Villain voice']);
+
+    toasts.length = 0;
+    assert.strictEqual(await run('ps-list', {}, 'role:narrator'), '');
+    assert.strictEqual(toasts[0].type, 'error');
+    assert.match(toasts[0].message, /Role must be system, user or assistant/);
+});
+
+test('/ps-fav toggles or sets the favorite state and lists favorites', async () => {
+    assert.strictEqual(await run('ps-fav', {}, 'House style'), 'true');
+    assert.strictEqual(dataManager.findPromptByReference('House style').metadata.favorite, true);
+    assert.strictEqual(await run('ps-fav', { state: 'on' }, 'House style'), 'true');
+    assert.deepStrictEqual(JSON.parse(await run('ps-fav')), ['House style']);
+
+    assert.strictEqual(await run('ps-fav', {}, 'House style'), 'false');
+    assert.strictEqual(await run('ps-fav', { state: 'off' }, 'House style'), 'false');
+    assert.deepStrictEqual(JSON.parse(await run('ps-fav')), []);
+});
+
+test('/ps-apply returns nothing for an unknown prompt', async () => {
+    toasts.length = 0;
+    assert.strictEqual(await run('ps-apply', { force: 'true' }, 'Missing prompt'), '');
+    assert.strictEqual(toasts[0].type, 'warning');
+});
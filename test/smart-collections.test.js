@@ -0,0 +1,147 @@
+/**
+ * Smart collection tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+// Node.js has no Web Worker, so these patterns are refused by the nested repetition check
+const SLOW_PATTERN = '(a+)+$';
+
+let service;
+let dataManager;
+
+test.before(async () => {
+    await init();
+    service = await getLibraryService();
+    dataManager = service.dataManager;
+    await dataManager.savePrompt({ name: 'Alpha', content: 'aaaa plain text', role: 'system' });
+});
+
+test.after(() => cleanup());
+
+test('a collection with a slow regex search is not saved', async () => {
+    const result = await dataManager.saveSmartCollection({
+        name: 'Slow',
+        filters: { searchMode: 'regex', search: SLOW_PATTERN }
+    });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.tooSlow, true);
+    assert.ok(!Object.values(await dataManager.getSmartCollections()).some(collection => collection.name === 'Slow'));
+});
+
+test('importing a collection with a slow regex search skips it', async () => {
+    const exported = await dataManager.exportPrompts();
+    const data = {
+        ...exported.data,
+        smart_collections: {
+            collection_slow: { id: 'collection_slow', name: 'Imported slow', filters: { searchMode: 'regex', search: SLOW_PATTERN } },
+            collection_fast: { id: 'collection_fast', name: 'Imported fast', filters: { searchMode: 'regex', search: 'plain' } }
+        }
+    };
+
+    await dataManager.importPrompts(data, { createBackup: false });
+    const collections = await dataManager.getSmartCollections();
+    assert.ok(!collections.collection_slow);
+    assert.ok(collections.collection_fast);
+});
+
+test('a stored collection with a slow regex search is refused instead of run', async () => {
+    const saved = await dataManager.saveSmartCollection({ name: 'Stored', filters: { searchMode: 'regex', search: 'plain' } });
+    assert.strictEqual(saved.success, true);
+    assert.strictEqual((await service.getCollectionPrompts(saved.collection.id)).prompts.length, 1);
+
+    // Saved by an older version, before patterns were checked
+    saved.collection.filters.search = SLOW_PATTERN;
+    const result = await service.getCollectionPrompts(saved.collection.id);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /too slow/);
+});
+
+/**
+ * Save a prompt for the collection filter tests
+ * @param {string} name - Prompt name
+ * @param {string} role - Prompt role
+ * @param {Array<string>} tags - Tags
+ * @returns {Promise<string>} The prompt ID
+ */
+async function saveMember(name, role, tags) {
+    const result = await dataManager.savePrompt({ name: name, content: `${name} collection member`, role: role, metadata: { tags: tags } });
+    assert.strictEqual(result.success, true, result.error);
+    return result.promptData.id;
+}
+
+/**
+ * Get the names of the prompts a collection lists
+ * @param {string} collectionId - ID of the smart collection
+ * @returns {Promise<Array<string>>} Prompt names in the collection's order
+ */
+async function memberNames(collectionId) {
+    const result = await service.getCollectionPrompts(collectionId);
+    assert.strictEqual(result.success, true, result.error);
+    return result.prompts.map(prompt => prompt.name);
+}
+
+test('a collection lists the prompts matching its filters now, in its sort order', async () => {
+    await saveMember('Zeta', 'user', ['members', 'keep']);
+    await saveMember('Beta', 'user', ['members', 'keep']);
+    await saveMember('Gamma', 'system', ['members', 'keep']);
+    const dropped = await saveMember('Delta', 'user', ['members']);
+
+    const parsed = dataManager.parseSearchQuery('tag:members tag:keep role:user');
+    const saved = await dataManager.saveSmartCollection({
+        name: 'Members',
+        filters: { ...parsed.filters, query: 'tag:members tag:keep role:user', sort: 'name' }
+    });
+    assert.strictEqual(saved.success, true, saved.error);
+    assert.deepStrictEqual(await memberNames(saved.collection.id), ['Beta', 'Zeta']);
+
+    // Prompts are matched when the collection is opened, not when it was saved
+    await saveMember('Alpha member', 'user', ['members', 'keep']);
+    await dataManager.updatePromptMetadata(dropped, { tags: ['members', 'keep'] });
+    assert.deepStrictEqual(await memberNames(saved.collection.id), ['Alpha member', 'Beta', 'Delta', 'Zeta']);
+});
+
+test('collections saved before allTags match every tag: term of their query', async () => {
+    await saveMember('Old both', 'system', ['legacy-a', 'legacy-b']);
+    await saveMember('Old one', 'system', ['legacy-a']);
+
+    // Older versions put the query's tag: terms in tags, which matches any of them
+    extension_settings['prompt-saver-extension'].smart_collections.collection_legacy = {
+        id: 'collection_legacy',
+        name: 'Legacy',
+        filters: { query: 'tag:legacy-a tag:LEGACY-B', search: '', tags: ['legacy-a', 'legacy-b'], sort: 'name' }
+    };
+
+    const upgraded = (await dataManager.getSmartCollections()).collection_legacy;
+    assert.deepStrictEqual(upgraded.filters.allTags, ['legacy-a', 'LEGACY-B']);
+    assert.deepStrictEqual(upgraded.filters.tags, []);
+    assert.deepStrictEqual(await memberNames('collection_legacy'), ['Old both']);
+
+    // Collections that already have allTags, or no query, are left alone
+    const current = { id: 'c', name: 'Current', filters: { query: 'tag:x', tags: ['y'], allTags: [] } };
+    assert.strictEqual(dataManager.upgradeCollectionFilters(current), current);
+    assert.deepStrictEqual(dataManager.upgradeCollectionFilters({ id: 'd', name: 'Sidebar', filters: { tags: ['y'] } }).filters.tags, ['y']);
+});
+
+test('invalid and missing collections are refused', async () => {
+    const unnamed = await dataManager.saveSmartCollection({ name: '  ', filters: {} });
+    assert.strictEqual(unnamed.success, false);
+    assert.match(unnamed.error, /name is required/);
+
+    const noFilters = await dataManager.saveSmartCollection({ name: 'No filters' });
+    assert.strictEqual(noFilters.success, false);
+    assert.match(noFilters.error, /filters is required/);
+
+    const missing = await service.getCollectionPrompts('collection_missing');
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.error, 'Smart collection not found');
+
+    const saved = await dataManager.saveSmartCollection({ name: 'Temporary', filters: { role: 'user' } });
+    assert.strictEqual((await dataManager.deleteSmartCollection(saved.collection.id)).success, true);
+    assert.strictEqual((await dataManager.deleteSmartCollection(saved.collection.id)).success, false);
+});
@@ -0,0 +1,66 @@
+/**
+ * Prompt storage backend tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService, IndexedDBPromptStorage, SettingsPromptStorage } = require('../script.js');
+
+const warnings = [];
+global.toastr = {
+    success: () => {},
+    info: () => {},
+    error: () => {},
+    warning: (message) => warnings.push(message)
+};
+
+// In-memory IndexedDB object stores, enough for IndexedDBPromptStorage
+const objectStores = new Map();
+IndexedDBPromptStorage.isAvailable = () => true;
+IndexedDBPromptStorage.prototype.openDatabase = async () => ({ close: () => {} });
+IndexedDBPromptStorage.prototype.runTransaction = async function (mode, operation, storeName = this.storeName) {
+    if (!objectStores.has(storeName)) {
+        objectStores.set(storeName, new Map());
+    }
+    const records = objectStores.get(storeName);
+    return operation({
+        getAll: () => [...records.values()],
+        put: (record) => records.set(record.id, record),
+        delete: (id) => records.delete(id),
+        clear: () => records.clear()
+    });
+};
+
+// Loading script.js starts initialization, so the library is set up before it reaches the storage backend:
+// the prompts live in IndexedDB, and moving them back to extension settings fails
+const settings = extension_settings['prompt-saver-extension'];
+settings.settings.storage_backend = 'settings';
+settings.metadata = { storage_backend: 'indexeddb' };
+objectStores.set(new IndexedDBPromptStorage().storeName, new Map([['idb_prompt', {
+    id: 'idb_prompt',
+    name: 'In IndexedDB',
+    content: 'Still here',
+    role: 'system',
+    metadata: { created_at: '2024-01-01T00:00:00.000Z', tags: [] }
+}]]));
+const replaceAll = SettingsPromptStorage.prototype.replaceAll;
+SettingsPromptStorage.prototype.replaceAll = async () => {
+    throw new Error('Settings could not be written');
+};
+
+test('a failed storage migration keeps the library where it is and warns', async () => {
+    try {
+        await init();
+        SettingsPromptStorage.prototype.replaceAll = replaceAll;
+        const dataManager = (await getLibraryService()).dataManager;
+
+        assert.ok((await dataManager.getPrompts()).idb_prompt, 'prompts are still read from IndexedDB');
+        assert.strictEqual(settings.metadata.storage_backend, 'indexeddb', 'the migration is retried on next load');
+        assert.ok(warnings.some(message => message.includes('still using indexeddb storage')), 'the user is told');
+    } finally {
+        SettingsPromptStorage.prototype.replaceAll = replaceAll;
+        cleanup();
+    }
+});
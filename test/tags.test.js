@@ -0,0 +1,108 @@
+/**
+ * Tag manager tests
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('./setup.js');
+const { init, cleanup, getLibraryService } = require('../script.js');
+
+let dataManager;
+
+test.before(async () => {
+    await init();
+    dataManager = (await getLibraryService()).dataManager;
+});
+
+test.after(() => cleanup());
+
+/**
+ * Save a prompt with tags
+ * @param {string} name - Prompt name
+ * @param {Array<string>} tags - Tags
+ * @returns {Promise<string>} The prompt ID
+ */
+async function saveTagged(name, tags) {
+    const result = await dataManager.savePrompt({ name: name, content: `${name} content`, role: 'system', metadata: { tags: tags } });
+    assert.strictEqual(result.success, true, result.error);
+    return result.promptData.id;
+}
+
+/**
+ * Get the tags of a stored prompt, trashed prompts included
+ * @param {string} promptId - The prompt ID
+ * @returns {Array<string>} Tags
+ */
+function tagsOf(promptId) {
+    return extension_settings['prompt-saver-extension'].prompts[promptId].metadata.tags;
+}
+
+test('renaming a tag updates every prompt, trashed ones included, and keeps its color', async () => {
+    const liveId = await saveTagged('Live', ['nsfw', 'style']);
+    const trashedId = await saveTagged('Trashed', ['nsfw']);
+    await dataManager.deletePrompt(trashedId);
+    dataManager.setTagColor('nsfw', '#aa3355');
+
+    const result = await dataManager.renameTag('nsfw', 'mature');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.updatedCount, 2);
+    assert.deepStrictEqual(tagsOf(liveId), ['mature', 'style']);
+    assert.deepStrictEqual(tagsOf(trashedId), ['mature']);
+
+    const stats = await dataManager.getTagStats();
+    assert.strictEqual(stats.find(entry => entry.tag === 'mature').color, '#aa3355');
+    assert.ok(!stats.some(entry => entry.tag === 'nsfw'));
+});
+
+test('merging tags leaves one copy of the target on each prompt', async () => {
+    const bothId = await saveTagged('Both', ['rp', 'roleplay', 'fantasy']);
+    const oneId = await saveTagged('One', ['role-play']);
+
+    const result = await dataManager.mergeTags(['rp', 'role-play'], 'roleplay');
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(tagsOf(bothId), ['roleplay', 'fantasy']);
+    assert.deepStrictEqual(tagsOf(oneId), ['roleplay']);
+});
+
+test('merging keeps the target color over a source color', async () => {
+    await saveTagged('Colored', ['warm', 'hot']);
+    dataManager.setTagColor('warm', '#111111');
+    dataManager.setTagColor('hot', '#222222');
+
+    await dataManager.mergeTags(['warm'], 'hot');
+    const stats = await dataManager.getTagStats();
+    assert.strictEqual(stats.find(entry => entry.tag === 'hot').color, '#222222');
+});
+
+test('invalid tag names are refused without changing any prompt', async () => {
+    const promptId = await saveTagged('Untouched', ['keep']);
+
+    assert.strictEqual((await dataManager.mergeTags([], 'x')).success, false);
+    assert.strictEqual((await dataManager.renameTag('keep', '   ')).success, false);
+    assert.strictEqual((await dataManager.renameTag('keep', 'x'.repeat(51))).success, false);
+    assert.deepStrictEqual(tagsOf(promptId), ['keep']);
+});
+
+test('deleting a tag removes it and its color', async () => {
+    const promptId = await saveTagged('Delete from', ['temporary', 'stays']);
+    dataManager.setTagColor('temporary', '#333333');
+
+    const result = await dataManager.deleteTag('temporary');
+    assert.strictEqual(result.updatedCount, 1);
+    assert.deepStrictEqual(tagsOf(promptId), ['stays']);
+    assert.ok(!(await dataManager.getTagStats()).some(entry => entry.tag === 'temporary'));
+});
+
+test('tag colors must be hex values', () => {
+    assert.strictEqual(dataManager.setTagColor('any', 'red').success, false);
+    assert.strictEqual(dataManager.setTagColor('any', '#A0b1C2').success, true);
+});
+
+test('renamed tags are found by tag search right away', async () => {
+    await saveTagged('Searchable', ['before']);
+    await dataManager.renameTag('before', 'after');
+
+    const found = dataManager.filterAndSortPrompts(await dataManager.getPrompts(), { search: 'after' });
+    assert.deepStrictEqual(found.map(prompt => prompt.name), ['Searchable']);
+});